@@ -4,6 +4,9 @@ const app = require('./src/app');
 const { testConnection, closeConnection } = require('./src/config/dbConnection');
 const { connectMongo, closeMongo } = require('./src/config/mongoConnection');
 const { initSocket } = require('./src/config/socket');
+const { startEmailWorker, stopEmailWorker } = require('./src/services/emailService');
+const { startWebhookWorker, stopWebhookWorker } = require('./src/services/webhookService');
+const { startNotificationWorker, stopNotificationWorker } = require('./src/services/notificationService');
 
 const PORT = process.env.PORT || 3000;
 const NODE_ENV = process.env.NODE_ENV || 'development';
@@ -13,6 +16,9 @@ connectMongo();
 
 const server = http.createServer(app);
 initSocket(server);
+startEmailWorker();
+startWebhookWorker();
+startNotificationWorker();
 
 server.listen(PORT, () => {
   console.log(`Server running on port ${PORT} in ${NODE_ENV} mode`);
@@ -20,6 +26,9 @@ server.listen(PORT, () => {
 
 const gracefulShutdown = async signal => {
   console.log(`${signal} received, shutting down gracefully`);
+  stopEmailWorker();
+  stopWebhookWorker();
+  stopNotificationWorker();
 
   server.close(async () => {
     console.log('HTTP server closed');
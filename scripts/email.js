@@ -0,0 +1,81 @@
+// scripts/email.js
+//
+// Email outbox maintenance. lease-reminders is meant for a daily cron;
+// process-outbox drains the queue when the in-process worker is off
+// (EMAIL_WORKER_INTERVAL_MS=0):
+//
+//   npm run email:lease-reminders
+//   npm run email:process
+//   npm run email:retry-failed -- [--since 2025-01-01]
+require("dotenv").config();
+const { parseArgs } = require("util");
+const { sequelize, closeConnection } = require("../src/config/dbConnection");
+const {
+  processEmailOutbox,
+  requeueFailedEmails,
+  sendLeaseExpiryReminders,
+} = require("../src/services/emailService");
+
+const OPTIONS = {
+  since: { type: "string" },
+};
+
+const COMMANDS = {
+  "lease-reminders": async () => {
+    const { properties, queued } = await sendLeaseExpiryReminders();
+    console.log(
+      `Queued ${queued} lease expiry reminder(s) for ${properties} properties`
+    );
+  },
+
+  "process-outbox": async () => {
+    const totals = { sent: 0, retrying: 0, failed: 0 };
+    let summary;
+    do {
+      summary = await processEmailOutbox();
+      totals.sent += summary.sent;
+      totals.retrying += summary.retrying;
+      totals.failed += summary.failed;
+    } while (summary.claimed > 0);
+    console.log(
+      `Sent ${totals.sent}, will retry ${totals.retrying}, failed ${totals.failed}`
+    );
+  },
+
+  "retry-failed": async ({ values }) => {
+    let since;
+    if (values.since) {
+      since = new Date(values.since);
+      if (isNaN(since.getTime())) {
+        throw new Error("--since must be a valid date");
+      }
+    }
+    const requeued = await requeueFailedEmails({ since });
+    console.log(`Requeued ${requeued} failed email(s)`);
+  },
+};
+
+const main = async () => {
+  const [commandName, ...args] = process.argv.slice(2);
+  const command = COMMANDS[commandName];
+  if (!command) {
+    console.error(
+      `Usage: node scripts/email.js <${Object.keys(COMMANDS).join("|")}> [options]`
+    );
+    process.exit(1);
+  }
+
+  const parsed = parseArgs({ args, options: OPTIONS });
+
+  await sequelize.authenticate();
+  try {
+    await command(parsed);
+  } finally {
+    await closeConnection();
+  }
+};
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,144 @@
+// scripts/logRetention.js
+//
+// Log retention maintenance. Run from cron (archive-audit, backfill) or by
+// hand during an investigation (list-audit, restore-audit):
+//
+//   npm run logs:archive -- [--older-than-days 365] [--batch-size 5000] [--dry-run]
+//   npm run logs:list -- [--from 2025-01-01] [--to 2025-03-31]
+//   npm run logs:restore -- <key> [<key>...] [--entity-type Property]
+//                           [--record-id <uuid>] [--user-id <uuid>]
+//   npm run logs:restore -- --from 2025-01-01 --to 2025-01-31 [filters]
+//   npm run logs:backfill-expiry
+require("dotenv").config();
+const { parseArgs } = require("util");
+const { sequelize, closeConnection } = require("../src/config/dbConnection");
+const { connectMongo, closeMongo } = require("../src/config/mongoConnection");
+const {
+  DAY_MS,
+  AUDIT_LOG_RETENTION_DAYS,
+} = require("../src/config/logRetention");
+const {
+  archiveAuditLogs,
+  listAuditArchives,
+  restoreAuditArchive,
+  backfillApiLogExpiry,
+} = require("../src/services/logRetentionService");
+
+const OPTIONS = {
+  "older-than-days": { type: "string" },
+  "batch-size": { type: "string" },
+  "dry-run": { type: "boolean" },
+  from: { type: "string" },
+  to: { type: "string" },
+  "entity-type": { type: "string" },
+  "record-id": { type: "string" },
+  "user-id": { type: "string" },
+};
+
+const parseDateOption = (value, name) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`--${name} must be a valid date`);
+  }
+  return date;
+};
+
+const COMMANDS = {
+  "archive-audit": async ({ values }) => {
+    const days =
+      parseInt(values["older-than-days"], 10) || AUDIT_LOG_RETENTION_DAYS;
+    const before = new Date(Date.now() - days * DAY_MS);
+
+    const { archivedRows, keys } = await archiveAuditLogs({
+      before,
+      batchSize: parseInt(values["batch-size"], 10) || undefined,
+      dryRun: values["dry-run"],
+    });
+
+    if (values["dry-run"]) {
+      console.log(
+        `${archivedRows} audit log rows older than ${before.toISOString()} would be archived`
+      );
+      return;
+    }
+    keys.forEach((key) => console.log(`Wrote ${key}`));
+    console.log(`Archived ${archivedRows} audit log rows`);
+  },
+
+  "list-audit": async ({ values }) => {
+    const archives = await listAuditArchives({
+      from: parseDateOption(values.from, "from"),
+      to: parseDateOption(values.to, "to"),
+    });
+    archives.forEach((archive) =>
+      console.log(
+        `${archive.key}\t${archive.from}..${archive.to}\tids ${archive.firstAuditLogId}-${archive.lastAuditLogId}`
+      )
+    );
+    console.log(`${archives.length} archive(s)`);
+  },
+
+  "restore-audit": async ({ values, positionals }) => {
+    let keys = positionals;
+    if (keys.length === 0) {
+      if (!values.from && !values.to) {
+        throw new Error("Give archive keys, or --from/--to to pick them");
+      }
+      const archives = await listAuditArchives({
+        from: parseDateOption(values.from, "from"),
+        to: parseDateOption(values.to, "to"),
+      });
+      keys = archives.map((archive) => archive.key);
+    }
+
+    const filter = {
+      entityType: values["entity-type"],
+      recordId: values["record-id"],
+      userId: values["user-id"],
+    };
+
+    for (const key of keys) {
+      const { matchedRows, restoredRows } = await restoreAuditArchive(
+        key,
+        filter
+      );
+      console.log(
+        `${key}: restored ${restoredRows} of ${matchedRows} matching rows`
+      );
+    }
+  },
+
+  "backfill-expiry": async () => {
+    const updated = await backfillApiLogExpiry();
+    console.log(`Set expiresAt on ${updated} API log entries`);
+  },
+};
+
+const main = async () => {
+  const [commandName, ...args] = process.argv.slice(2);
+  const command = COMMANDS[commandName];
+  if (!command) {
+    console.error(
+      `Usage: node scripts/logRetention.js <${Object.keys(COMMANDS).join("|")}> [options]`
+    );
+    process.exit(1);
+  }
+
+  const parsed = parseArgs({ args, options: OPTIONS, allowPositionals: true });
+
+  await sequelize.authenticate();
+  if (commandName === "backfill-expiry") await connectMongo();
+
+  try {
+    await command(parsed);
+  } finally {
+    await closeConnection();
+    if (commandName === "backfill-expiry") await closeMongo();
+  }
+};
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
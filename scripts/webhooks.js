@@ -0,0 +1,35 @@
+// scripts/webhooks.js
+//
+// Send due webhook deliveries once and exit. Only needed when the
+// in-process worker is off (WEBHOOK_WORKER_INTERVAL_MS=0):
+//
+//   npm run webhooks:process
+require("dotenv").config();
+const { sequelize, closeConnection } = require("../src/config/dbConnection");
+const { processWebhookDeliveries } = require("../src/services/webhookService");
+
+const main = async () => {
+  await sequelize.authenticate();
+
+  const totals = { delivered: 0, retrying: 0, dead: 0 };
+  try {
+    let summary;
+    do {
+      summary = await processWebhookDeliveries();
+      totals.delivered += summary.delivered;
+      totals.retrying += summary.retrying;
+      totals.dead += summary.dead;
+    } while (summary.claimed > 0);
+  } finally {
+    await closeConnection();
+  }
+
+  console.log(
+    `Delivered ${totals.delivered}, will retry ${totals.retrying}, dead-lettered ${totals.dead}`
+  );
+};
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
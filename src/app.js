@@ -2,6 +2,7 @@ const express = require("express");
 const helmet = require("helmet");
 const cors = require("cors");
 const morgan = require("morgan");
+const { requestLogger } = require("./middlewares/requestLogger");
 // const { testDbConnection } = require("./config/dbConnection");
 // testDbConnection();
 const app = express();
@@ -37,7 +38,7 @@ app.get("/health", (req, res) => {
 });
 
 const v1Routes = require("./routers/router");
-app.use("/api/v1", v1Routes);
+app.use("/api/v1", requestLogger, v1Routes);
 
 // 404 Handler - Must be after all routes
 app.use((req, res) => {
@@ -49,6 +50,9 @@ app.use((req, res) => {
 
 // Global Error Handler - Must be last
 app.use((err, req, res, next) => {
+  // Picked up by requestLogger for the ApiLog entry
+  res.locals.error = err;
+
   // Log error for debugging (only in development)
   if (NODE_ENV === "development") {
     console.error("Error:", err.stack);
@@ -0,0 +1,80 @@
+// config/logRetention.js
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days an ApiLog entry is kept, by NODE_ENV and response status class.
+// Failures are kept longer since they are what gets investigated.
+const API_LOG_RETENTION_DAYS = {
+  production: { success: 30, clientError: 90, serverError: 180 },
+  staging: { success: 14, clientError: 30, serverError: 60 },
+  development: { success: 3, clientError: 7, serverError: 14 },
+};
+
+// Optional per-class overrides for the current environment
+const API_LOG_RETENTION_ENV = {
+  success: "API_LOG_RETENTION_SUCCESS_DAYS",
+  clientError: "API_LOG_RETENTION_CLIENT_ERROR_DAYS",
+  serverError: "API_LOG_RETENTION_SERVER_ERROR_DAYS",
+};
+
+// AuditLog rows older than this are moved to compressed archives
+const AUDIT_LOG_RETENTION_DAYS =
+  parseInt(process.env.AUDIT_LOG_RETENTION_DAYS, 10) || 365;
+
+// Storage prefix for AuditLog archives (see services/logRetentionService.js)
+const AUDIT_ARCHIVE_PREFIX = "audit-archive/";
+
+/**
+ * Status class used to pick a retention period. Requests that never got a
+ * status (connection dropped) count as server errors.
+ * @param {number|null} status
+ * @returns {"success"|"clientError"|"serverError"}
+ */
+const getStatusClass = (status) => {
+  if (!status || status >= 500) return "serverError";
+  if (status >= 400) return "clientError";
+  return "success";
+};
+
+/**
+ * Retention in days for an environment; unknown environments get the
+ * development periods
+ * @param {string} environment
+ * @returns {{ success: number, clientError: number, serverError: number }}
+ */
+const getApiLogRetentionDays = (environment) => {
+  const days = {
+    ...(API_LOG_RETENTION_DAYS[environment] ||
+      API_LOG_RETENTION_DAYS.development),
+  };
+
+  if (environment === (process.env.NODE_ENV || "development")) {
+    for (const [statusClass, envVar] of Object.entries(API_LOG_RETENTION_ENV)) {
+      const override = parseInt(process.env[envVar], 10);
+      if (override > 0) days[statusClass] = override;
+    }
+  }
+
+  return days;
+};
+
+/**
+ * When an ApiLog entry written now should be dropped by the TTL index
+ * @param {number|null} status
+ * @param {Date} [from]
+ * @returns {Date}
+ */
+const getApiLogExpiry = (status, from = new Date()) => {
+  const days = getApiLogRetentionDays(process.env.NODE_ENV || "development");
+  return new Date(from.getTime() + days[getStatusClass(status)] * DAY_MS);
+};
+
+module.exports = {
+  DAY_MS,
+  API_LOG_RETENTION_DAYS,
+  AUDIT_LOG_RETENTION_DAYS,
+  AUDIT_ARCHIVE_PREFIX,
+  getStatusClass,
+  getApiLogRetentionDays,
+  getApiLogExpiry,
+};
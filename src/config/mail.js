@@ -0,0 +1,74 @@
+// config/mail.js
+const nodemailer = require("nodemailer");
+
+const NODE_ENV = process.env.NODE_ENV || "development";
+
+// EMAIL_ENABLED=false keeps queueing emails but never sends them
+const EMAIL_ENABLED = process.env.EMAIL_ENABLED !== "false";
+
+const MAIL_FROM =
+  process.env.MAIL_FROM || "Pre-Lease <no-reply@pre-lease.local>";
+
+// Base URL of the web app, for links in emails
+const APP_URL =
+  process.env.APP_URL || process.env.CORS_ORIGIN || "http://localhost:3000";
+
+// How often the in-process worker drains the outbox; 0 disables it (run
+// `npm run email:process` from cron instead)
+const EMAIL_WORKER_INTERVAL_MS =
+  process.env.EMAIL_WORKER_INTERVAL_MS !== undefined
+    ? parseInt(process.env.EMAIL_WORKER_INTERVAL_MS, 10) || 0
+    : 30 * 1000;
+
+// Wait before each retry of a failed send; the last entry is the final try
+const EMAIL_RETRY_DELAYS_MS = [
+  60 * 1000,
+  5 * 60 * 1000,
+  30 * 60 * 1000,
+  2 * 60 * 60 * 1000,
+  12 * 60 * 60 * 1000,
+];
+const EMAIL_MAX_ATTEMPTS = EMAIL_RETRY_DELAYS_MS.length + 1;
+
+// Days before leaseEndDate at which a reminder goes out
+const LEASE_EXPIRY_REMINDER_DAYS = [90, 30, 7];
+
+let transporter = null;
+
+/**
+ * SMTP transport from SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER /
+ * SMTP_PASS. Outside production it defaults to a local capture server
+ * (Mailpit or MailHog on localhost:1025) so nothing reaches real inboxes.
+ * @returns {import("nodemailer").Transporter}
+ */
+const getTransporter = () => {
+  if (transporter) return transporter;
+
+  const host =
+    process.env.SMTP_HOST || (NODE_ENV === "production" ? null : "localhost");
+  if (!host) {
+    throw new Error("SMTP_HOST is not configured");
+  }
+
+  const user = process.env.SMTP_USER;
+  transporter = nodemailer.createTransport({
+    host,
+    port:
+      parseInt(process.env.SMTP_PORT, 10) ||
+      (process.env.SMTP_HOST ? 587 : 1025),
+    secure: process.env.SMTP_SECURE === "true",
+    ...(user && { auth: { user, pass: process.env.SMTP_PASS } }),
+  });
+  return transporter;
+};
+
+module.exports = {
+  EMAIL_ENABLED,
+  MAIL_FROM,
+  APP_URL,
+  EMAIL_WORKER_INTERVAL_MS,
+  EMAIL_RETRY_DELAYS_MS,
+  EMAIL_MAX_ATTEMPTS,
+  LEASE_EXPIRY_REMINDER_DAYS,
+  getTransporter,
+};
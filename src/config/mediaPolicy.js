@@ -0,0 +1,23 @@
+// config/mediaPolicy.js
+
+// Per-role video limits. `maxVideos` counts videos already on the
+// property plus the ones in the current upload.
+const VIDEO_LIMITS = {
+  Owner: { maxVideos: 2, maxDurationSeconds: 120 },
+  Broker: { maxVideos: 5, maxDurationSeconds: 300 },
+  Admin: { maxVideos: 10, maxDurationSeconds: 600 },
+  "Super Admin": { maxVideos: 10, maxDurationSeconds: 600 },
+};
+
+// Any other role that holds PROPERTY_CREATE / PROPERTY_UPDATE
+const DEFAULT_VIDEO_LIMIT = { maxVideos: 3, maxDurationSeconds: 180 };
+
+/**
+ * Video limits for the role the request is acting as
+ * @param {string} roleName
+ * @returns {{ maxVideos: number, maxDurationSeconds: number }}
+ */
+const getVideoLimits = (roleName) =>
+  VIDEO_LIMITS[roleName] || DEFAULT_VIDEO_LIMIT;
+
+module.exports = { VIDEO_LIMITS, DEFAULT_VIDEO_LIMIT, getVideoLimits };
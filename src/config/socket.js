@@ -1,7 +1,116 @@
 const { Server } = require("socket.io");
+const { Op } = require("sequelize");
+const { SalesRelationship } = require("../models");
+const Token = require("../models/token");
+const { resolveTokenUser } = require("../middlewares/auth");
 
 let io = null;
 
+// ============================================
+// ROOMS
+// ============================================
+// user:{userId}             - every socket of that user
+// role:{roleName}           - sockets acting as that role (JWT role)
+// team:{salesExecutiveId}   - the Sales Managers of that executive, so
+//                             events about an executive's properties reach
+//                             their managers without a lookup
+const userRoom = (userId) => `user:${userId}`;
+const roleRoom = (roleName) => `role:${roleName}`;
+const teamRoom = (salesExecutiveId) => `team:${salesExecutiveId}`;
+
+// setTimeout can't wait longer than this (about 24.8 days)
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+const getHandshakeToken = (socket) => {
+  if (socket.handshake.auth && socket.handshake.auth.token) {
+    return socket.handshake.auth.token;
+  }
+  const authHeader = socket.handshake.headers.authorization;
+  return authHeader && authHeader.startsWith("Bearer ")
+    ? authHeader.split(" ")[1]
+    : null;
+};
+
+// Errors passed to next() in io.use reach the client as connect_error
+const socketError = (message, data = {}) => {
+  const error = new Error(message);
+  error.data = data;
+  return error;
+};
+
+/**
+ * Verify an access token for a socket. Besides the JWT itself, the user
+ * must still be active and have a session (an unrevoked refresh token):
+ * sockets live much longer than a request, so logout must reach them.
+ * @param {string} accessToken
+ * @returns {Promise<{ user: Object, expiresAt: number }>}
+ */
+const authenticateToken = async (accessToken) => {
+  if (!accessToken) {
+    throw socketError("No access token provided");
+  }
+
+  const { valid, decoded, message, expired } =
+    Token.verifyAccessToken(accessToken);
+  if (!valid) {
+    throw socketError(message, { expired: !!expired });
+  }
+
+  const user = await resolveTokenUser(decoded);
+
+  const activeSessions = await Token.count({
+    where: {
+      userId: user.userId,
+      isActive: true,
+      expiresAt: { [Op.gt]: new Date() },
+    },
+  });
+  if (activeSessions === 0) {
+    throw socketError("Session revoked", { revoked: true });
+  }
+
+  return { user, expiresAt: decoded.exp * 1000 };
+};
+
+/**
+ * Put the socket in exactly the rooms its user should be in, leaving any it
+ * no longer belongs to (role switch, team change)
+ * @param {import("socket.io").Socket} socket
+ */
+const syncRooms = async (socket) => {
+  const { user } = socket.data;
+  const rooms = [userRoom(user.userId), roleRoom(user.role)];
+
+  if (user.role === "Sales Manager") {
+    const relationships = await SalesRelationship.findAll({
+      where: { salesManagerId: user.userId, isActive: true },
+      attributes: ["salesExecutiveId"],
+    });
+    rooms.push(...relationships.map((r) => teamRoom(r.salesExecutiveId)));
+  }
+
+  for (const room of socket.rooms) {
+    if (room !== socket.id && !rooms.includes(room)) socket.leave(room);
+  }
+  socket.join(rooms);
+};
+
+const disconnectSocket = (socket, event, message) => {
+  clearTimeout(socket.data.expiryTimer);
+  socket.emit(event, { message });
+  socket.disconnect(true);
+};
+
+// Drop the socket when its access token expires; clients send
+// "auth:refresh" with a new token to stay connected
+const scheduleExpiry = (socket) => {
+  clearTimeout(socket.data.expiryTimer);
+  socket.data.expiryTimer = setTimeout(
+    () => disconnectSocket(socket, "auth:expired", "Access token expired"),
+    Math.min(Math.max(socket.data.expiresAt - Date.now(), 0), MAX_TIMER_MS)
+  );
+};
+
 const initSocket = (httpServer) => {
   io = new Server(httpServer, {
     cors: {
@@ -10,15 +119,61 @@ const initSocket = (httpServer) => {
     },
   });
 
-  io.on("connection", (socket) => {
-    const { userId } = socket.handshake.query;
+  io.use(async (socket, next) => {
+    try {
+      const accessToken = getHandshakeToken(socket);
+      const { user, expiresAt } = await authenticateToken(accessToken);
+      socket.data.accessToken = accessToken;
+      socket.data.user = user;
+      socket.data.expiresAt = expiresAt;
+      next();
+    } catch (err) {
+      next(err.data ? err : socketError(err.message));
+    }
+  });
 
-    if (userId) {
-      socket.join(`user:${userId}`);
-      console.log(`Socket connected: ${socket.id} (user: ${userId})`);
+  io.on("connection", async (socket) => {
+    const { userId, role } = socket.data.user;
+
+    try {
+      await syncRooms(socket);
+    } catch (err) {
+      console.error("Socket room sync failed:", err.message);
     }
+    scheduleExpiry(socket);
+    console.log(`Socket connected: ${socket.id} (user: ${userId}, ${role})`);
+
+    // Required here: the notification service itself depends on this module
+    try {
+      const {
+        replayMissedNotifications,
+      } = require("../services/notificationService");
+      await replayMissedNotifications(socket);
+    } catch (err) {
+      console.error("Notification replay failed:", err.message);
+    }
+
+    // New access token from a refresh or role switch; must be the same user
+    socket.on("auth:refresh", async (accessToken, ack) => {
+      const reply = typeof ack === "function" ? ack : () => {};
+      try {
+        const { user, expiresAt } = await authenticateToken(accessToken);
+        if (user.userId !== socket.data.user.userId) {
+          throw socketError("Token belongs to a different user");
+        }
+        socket.data.accessToken = accessToken;
+        socket.data.user = user;
+        socket.data.expiresAt = expiresAt;
+        await syncRooms(socket);
+        scheduleExpiry(socket);
+        reply({ success: true, role: user.role });
+      } catch (err) {
+        reply({ success: false, message: err.message });
+      }
+    });
 
     socket.on("disconnect", () => {
+      clearTimeout(socket.data.expiryTimer);
       console.log(`Socket disconnected: ${socket.id}`);
     });
   });
@@ -33,4 +188,37 @@ const getIO = () => {
   return io;
 };
 
-module.exports = { initSocket, getIO };
+/**
+ * Re-check a user's open sockets after their account changed (logout,
+ * deactivation, role or team change): sockets that no longer authenticate
+ * are disconnected with "auth:revoked", the rest get their rooms updated.
+ * Safe to call when Socket.IO isn't running.
+ * @param {string} userId
+ */
+const revalidateUserSockets = async (userId) => {
+  if (!io) return;
+
+  const sockets = await io.in(userRoom(userId)).fetchSockets();
+  for (const remote of sockets) {
+    // Only sockets held by this process can be re-checked here
+    const socket = io.sockets.sockets.get(remote.id);
+    if (!socket) continue;
+
+    try {
+      const { user } = await authenticateToken(socket.data.accessToken);
+      socket.data.user = user;
+      await syncRooms(socket);
+    } catch (err) {
+      disconnectSocket(socket, "auth:revoked", err.message);
+    }
+  }
+};
+
+module.exports = {
+  initSocket,
+  getIO,
+  userRoom,
+  roleRoom,
+  teamRoom,
+  revalidateUserSockets,
+};
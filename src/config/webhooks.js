@@ -0,0 +1,32 @@
+// config/webhooks.js
+
+// How often the in-process worker sends due deliveries; 0 disables it (run
+// `npm run webhooks:process` from cron instead)
+const WEBHOOK_WORKER_INTERVAL_MS =
+  process.env.WEBHOOK_WORKER_INTERVAL_MS !== undefined
+    ? parseInt(process.env.WEBHOOK_WORKER_INTERVAL_MS, 10) || 0
+    : 15 * 1000;
+
+// A partner endpoint slower than this counts as a failed attempt
+const WEBHOOK_TIMEOUT_MS =
+  parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+
+// Attempts before a delivery is dead-lettered. Retries back off
+// exponentially from the base delay (1m, 2m, 4m, ...) up to the cap, so 8
+// attempts span a little over two hours.
+const WEBHOOK_MAX_ATTEMPTS = 8;
+const WEBHOOK_BACKOFF_BASE_MS = 60 * 1000;
+const WEBHOOK_BACKOFF_MAX_MS = 6 * 60 * 60 * 1000;
+
+// Partners must use HTTPS outside development
+const WEBHOOK_ALLOW_HTTP =
+  (process.env.NODE_ENV || "development") !== "production";
+
+module.exports = {
+  WEBHOOK_WORKER_INTERVAL_MS,
+  WEBHOOK_TIMEOUT_MS,
+  WEBHOOK_MAX_ATTEMPTS,
+  WEBHOOK_BACKOFF_BASE_MS,
+  WEBHOOK_BACKOFF_MAX_MS,
+  WEBHOOK_ALLOW_HTTP,
+};
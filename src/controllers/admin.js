@@ -4,6 +4,15 @@ const {
   Role,
   UserRole,
   Property,
+  PropertyAmenity,
+  PropertyCertification,
+  PropertyConnectivity,
+  PropertyMedia,
+  PropertyInvestorNote,
+  PropertyDocument,
+  PropertyDocumentAccess,
+  PropertyStatusTransition,
+  PropertyVerificationItem,
   SalesRelationship,
 } = require("../models");
 const {
@@ -14,1048 +23,1087 @@ const {
 const createAppError = require("../utils/appError");
 const asyncHandler = require("../utils/asyncHandler");
 const {
-  logRequest,
   logInsert,
   logUpdate,
+  logDelete,
   buildUpdateValues,
 } = require("../utils/logs");
 const { sequelize } = require("../config/dbConnection");
 const { sendEncodedResponse } = require("../utils/responseEncoder");
-const { getIO } = require("../config/socket");
-
-const createUser = asyncHandler(async (req, res, next) => {
-  const requestStartTime = Date.now();
-
+const { revalidateUserSockets } = require("../config/socket");
+const { notifyUsers } = require("../services/notificationService");
+const { queueEmail } = require("../services/emailService");
+const { dispatchWebhookEvent } = require("../services/webhookService");
+const { deleteFile, getMediaPaths } = require("../utils/gcsHelper");
+const { revertPropertyUpdate } = require("../services/auditRevertService");
+
+const createUser = asyncHandler(async (req, res) => {
   const { firstName, lastName, email, mobileNumber, roleName, salesManagerId } =
     req.body; // ✅ Added salesManagerId
 
-  const requestBodyLog = {
-    email,
-    mobileNumber,
-    firstName,
-    lastName,
-    roleName,
-    salesManagerId,
-    createdBy: req.userRole,
-  };
+  const requiredFields = [
+    "firstName",
+    "lastName",
+    "email",
+    "mobileNumber",
+    "roleName",
+  ];
+  const missing = validateRequiredFields(requiredFields, req.body);
+  if (missing.length > 0) {
+    throw createAppError(`Missing required fields: ${missing.join(", ")}`, 400);
+  }
 
-  try {
-    const requiredFields = [
-      "firstName",
-      "lastName",
-      "email",
-      "mobileNumber",
-      "roleName",
-    ];
-    const missing = validateRequiredFields(requiredFields, req.body);
-    if (missing.length > 0) {
-      throw createAppError(
-        `Missing required fields: ${missing.join(", ")}`,
-        400
-      );
-    }
+  if (!isValidEmail(email)) {
+    throw createAppError("Invalid email format", 400);
+  }
 
-    if (!isValidEmail(email)) {
-      throw createAppError("Invalid email format", 400);
-    }
+  if (!isValidPhone(mobileNumber)) {
+    throw createAppError(
+      "Invalid mobile number. Must be 10 digits starting with 6-9",
+      400
+    );
+  }
 
-    if (!isValidPhone(mobileNumber)) {
-      throw createAppError(
-        "Invalid mobile number. Must be 10 digits starting with 6-9",
-        400
-      );
-    }
+  const targetRole = await Role.findOne({
+    where: { roleName, roleType: "admin", isActive: true },
+  });
 
-    const targetRole = await Role.findOne({
-      where: { roleName, roleType: "admin", isActive: true },
-    });
+  if (!targetRole) {
+    throw createAppError(`Invalid role: ${roleName}`, 400);
+  }
 
-    if (!targetRole) {
-      throw createAppError(`Invalid role: ${roleName}`, 400);
-    }
+  if (targetRole.roleType === "client") {
+    throw createAppError(
+      "Cannot create client roles (Owner, Investor, Broker). These are created via signup API.",
+      403
+    );
+  }
 
-    if (targetRole.roleType === "client") {
+  // ✅ NEW: Sales Manager role-specific validations
+  if (req.userRole === "Sales Manager") {
+    // Sales Manager can ONLY create Sales Executive
+    if (roleName !== "Sales Executive") {
       throw createAppError(
-        "Cannot create client roles (Owner, Investor, Broker). These are created via signup API.",
+        "Sales Manager can only create Sales Executive users",
         403
       );
     }
 
-    // ✅ NEW: Sales Manager role-specific validations
-    if (req.userRole === "Sales Manager") {
-      // Sales Manager can ONLY create Sales Executive
-      if (roleName !== "Sales Executive") {
+    // Sales Executive will be automatically assigned to the Sales Manager creating them
+    // No need for salesManagerId in request body for Sales Manager
+  }
+
+  // ✅ NEW: If creating Sales Executive, validate salesManagerId requirement
+  if (roleName === "Sales Executive") {
+    if (req.userRole === "Admin" || req.userRole === "Super Admin") {
+      // Admin/Super Admin MUST provide salesManagerId
+      if (!salesManagerId) {
         throw createAppError(
-          "Sales Manager can only create Sales Executive users",
-          403
+          "salesManagerId is required when creating Sales Executive",
+          400
         );
       }
 
-      // Sales Executive will be automatically assigned to the Sales Manager creating them
-      // No need for salesManagerId in request body for Sales Manager
-    }
+      // Verify the salesManagerId exists and has Sales Manager role
+      const salesManager = await User.findOne({
+        where: { userId: salesManagerId, isActive: true },
+        include: [
+          {
+            model: Role,
+            as: "roles",
+            where: { roleName: "Sales Manager", isActive: true },
+            through: { attributes: [] },
+          },
+        ],
+        attributes: ["userId"],
+      });
 
-    // ✅ NEW: If creating Sales Executive, validate salesManagerId requirement
-    if (roleName === "Sales Executive") {
-      if (req.userRole === "Admin" || req.userRole === "Super Admin") {
-        // Admin/Super Admin MUST provide salesManagerId
-        if (!salesManagerId) {
-          throw createAppError(
-            "salesManagerId is required when creating Sales Executive",
-            400
-          );
-        }
-
-        // Verify the salesManagerId exists and has Sales Manager role
-        const salesManager = await User.findOne({
-          where: { userId: salesManagerId, isActive: true },
-          include: [
-            {
-              model: Role,
-              as: "roles",
-              where: { roleName: "Sales Manager", isActive: true },
-              through: { attributes: [] },
-            },
-          ],
-          attributes: ["userId"],
-        });
-
-        if (!salesManager) {
-          throw createAppError(
-            "Invalid salesManagerId. User must be an active Sales Manager",
-            400
-          );
-        }
+      if (!salesManager) {
+        throw createAppError(
+          "Invalid salesManagerId. User must be an active Sales Manager",
+          400
+        );
       }
     }
+  }
 
-    const existingUser = await User.findOne({
-      where: { [Op.or]: [{ email }, { mobileNumber }] },
-    });
+  const existingUser = await User.findOne({
+    where: { [Op.or]: [{ email }, { mobileNumber }] },
+  });
 
-    if (existingUser) {
-      if (existingUser.email === email) {
-        throw createAppError("Email already exists", 409);
-      }
-      if (existingUser.mobileNumber === mobileNumber) {
-        throw createAppError("Mobile number already exists", 409);
-      }
+  if (existingUser) {
+    if (existingUser.email === email) {
+      throw createAppError("Email already exists", 409);
+    }
+    if (existingUser.mobileNumber === mobileNumber) {
+      throw createAppError("Mobile number already exists", 409);
     }
+  }
 
-    const result = await sequelize.transaction(async (t) => {
-      const newUser = await User.create(
-        {
-          firstName,
-          lastName,
-          email,
-          mobileNumber,
-          userType: "admin",
-          isActive: true,
-        },
-        { transaction: t }
-      );
+  const result = await sequelize.transaction(async (t) => {
+    const newUser = await User.create(
+      {
+        firstName,
+        lastName,
+        email,
+        mobileNumber,
+        userType: "admin",
+        isActive: true,
+      },
+      { transaction: t }
+    );
+
+    await UserRole.create(
+      {
+        userId: newUser.userId,
+        roleId: targetRole.roleId,
+        assignedBy: req.user.userId,
+      },
+      { transaction: t }
+    );
 
-      await UserRole.create(
+    // ✅ NEW: Create SalesRelationship if creating Sales Executive
+    let salesRelationship = null;
+    if (roleName === "Sales Executive") {
+      const managerUserId =
+        req.userRole === "Sales Manager" ? req.user.userId : salesManagerId;
+
+      salesRelationship = await SalesRelationship.create(
         {
-          userId: newUser.userId,
-          roleId: targetRole.roleId,
+          salesExecutiveId: newUser.userId,
+          salesManagerId: managerUserId,
           assignedBy: req.user.userId,
+          isActive: true,
         },
         { transaction: t }
       );
+    }
 
-      // ✅ NEW: Create SalesRelationship if creating Sales Executive
-      let salesRelationship = null;
-      if (roleName === "Sales Executive") {
-        const managerUserId =
-          req.userRole === "Sales Manager" ? req.user.userId : salesManagerId;
-
-        salesRelationship = await SalesRelationship.create(
-          {
-            salesExecutiveId: newUser.userId,
-            salesManagerId: managerUserId,
-            assignedBy: req.user.userId,
-            isActive: true,
-          },
-          { transaction: t }
-        );
-      }
-
-      await logInsert({
-        userId: req.user.userId,
-        entityType: "User",
-        recordId: newUser.userId,
-        newRecord: {
-          userId: newUser.userId,
-          email: newUser.email,
-          mobileNumber: newUser.mobileNumber,
-          firstName: newUser.firstName,
-          lastName: newUser.lastName,
-          userType: newUser.userType,
-          roleName: targetRole.roleName,
-          createdBy: req.userRole,
-          ...(salesRelationship && {
-            salesManagerId: salesRelationship.salesManagerId,
-          }), // ✅ Log manager assignment
-        },
-        tableName: "users",
-        ipAddress: req.ip,
-        userAgent: req.headers["user-agent"],
-        transaction: t,
-      });
-
-      return { user: newUser, role: targetRole, salesRelationship };
-    });
-
-    const data = {
-      userId: result.user.userId,
-      name: `${result.user.firstName} ${result.user.lastName}`,
-      email: result.user.email,
-      mobileNumber: result.user.mobileNumber,
-      role: result.role.roleName,
-      userType: result.user.userType,
-      ...(result.salesRelationship && {
-        salesManagerId: result.salesRelationship.salesManagerId,
-      }), // ✅ Include manager ID in response
-    };
-
-    await logRequest(
-      req,
-      {
-        userId: req.user.userId,
-        status: 201,
-        body: { success: true, message: "User created successfully" },
-        requestBodyLog: {
-          ...requestBodyLog,
-          createdUserId: result.user.userId,
-        },
+    await logInsert({
+      userId: req.user.userId,
+      entityType: "User",
+      recordId: newUser.userId,
+      newRecord: {
+        userId: newUser.userId,
+        email: newUser.email,
+        mobileNumber: newUser.mobileNumber,
+        firstName: newUser.firstName,
+        lastName: newUser.lastName,
+        userType: newUser.userType,
+        roleName: targetRole.roleName,
+        createdBy: req.userRole,
+        ...(salesRelationship && {
+          salesManagerId: salesRelationship.salesManagerId,
+        }), // ✅ Log manager assignment
       },
-      requestStartTime
-    );
+      tableName: "users",
+      ipAddress: req.ip,
+      userAgent: req.headers["user-agent"],
+      transaction: t,
+    });
 
-    return sendEncodedResponse(
-      res,
-      201,
-      true,
-      "User created successfully",
-      data
-    );
-  } catch (error) {
-    await logRequest(
-      req,
-      {
-        userId: req.user?.userId || null,
-        status: error.statusCode || 500,
-        body: { success: false, message: error.message },
-        requestBodyLog,
-        error: error.message,
-        stackTrace: error.stack,
-      },
-      requestStartTime
-    );
+    return { user: newUser, role: targetRole, salesRelationship };
+  });
+
+  const data = {
+    userId: result.user.userId,
+    name: `${result.user.firstName} ${result.user.lastName}`,
+    email: result.user.email,
+    mobileNumber: result.user.mobileNumber,
+    role: result.role.roleName,
+    userType: result.user.userType,
+    ...(result.salesRelationship && {
+      salesManagerId: result.salesRelationship.salesManagerId,
+    }), // ✅ Include manager ID in response
+  };
 
-    return next(error);
+  await queueEmail([result.user.userId], "userWelcome", {
+    roleName: result.role.roleName,
+  });
+  await dispatchWebhookEvent("user.created", {
+    userId: result.user.userId,
+    firstName: result.user.firstName,
+    lastName: result.user.lastName,
+    email: result.user.email,
+    mobileNumber: result.user.mobileNumber,
+    role: result.role.roleName,
+    createdBy: req.user.userId,
+  });
+
+  // The manager's open sockets pick up the new team room
+  if (result.salesRelationship) {
+    try {
+      await revalidateUserSockets(result.salesRelationship.salesManagerId);
+    } catch (socketErr) {
+      console.error("Socket revalidation failed:", socketErr.message);
+    }
   }
+
+  return sendEncodedResponse(res, 201, true, "User created successfully", data);
 });
 
-const updateUser = asyncHandler(async (req, res, next) => {
-  const requestStartTime = Date.now();
+const updateUser = asyncHandler(async (req, res) => {
   const { userId } = req.params;
 
   const { firstName, lastName, email, mobileNumber, roleName, isActive } =
     req.body;
 
-  const requestBodyLog = {
-    userId,
-    updatedFields: Object.keys(req.body),
-    updatedBy: req.userRole,
-  };
+  const existingUser = await User.findOne({
+    where: { userId },
+    include: [
+      {
+        model: Role,
+        as: "roles",
+        through: { attributes: [] },
+        attributes: ["roleId", "roleName", "roleType"],
+      },
+    ],
+  });
 
-  try {
-    const existingUser = await User.findOne({
-      where: { userId },
-      include: [
-        {
-          model: Role,
-          as: "roles",
-          through: { attributes: [] },
-          attributes: ["roleId", "roleName", "roleType"],
-        },
-      ],
+  if (!existingUser) {
+    throw createAppError("User not found", 404);
+  }
+
+  const currentRole = existingUser.roles[0];
+  if (currentRole.roleType === "client") {
+    throw createAppError(
+      "Cannot update client users (Owner, Broker, Investor) via admin API",
+      403
+    );
+  }
+
+  if (email || mobileNumber) {
+    const duplicateUser = await User.findOne({
+      where: {
+        userId: { [Op.ne]: userId },
+        [Op.or]: [
+          ...(email ? [{ email }] : []),
+          ...(mobileNumber ? [{ mobileNumber }] : []),
+        ],
+      },
     });
 
-    if (!existingUser) {
-      throw createAppError("User not found", 404);
+    if (duplicateUser) {
+      if (duplicateUser.email === email) {
+        throw createAppError("Email already exists", 409);
+      }
+      if (duplicateUser.mobileNumber === mobileNumber) {
+        throw createAppError("Mobile number already exists", 409);
+      }
     }
+  }
 
-    const currentRole = existingUser.roles[0];
-    if (currentRole.roleType === "client") {
-      throw createAppError(
-        "Cannot update client users (Owner, Broker, Investor) via admin API",
-        403
-      );
+  let newRole = null;
+  if (roleName && roleName !== currentRole.roleName) {
+    newRole = await Role.findOne({
+      where: { roleName, roleType: "admin", isActive: true },
+    });
+
+    if (!newRole) {
+      throw createAppError(`Invalid role: ${roleName}`, 400);
     }
+  }
 
-    if (email || mobileNumber) {
-      const duplicateUser = await User.findOne({
-        where: {
-          userId: { [Op.ne]: userId },
-          [Op.or]: [
-            ...(email ? [{ email }] : []),
-            ...(mobileNumber ? [{ mobileNumber }] : []),
-          ],
-        },
-      });
+  const oldRecord = existingUser.toJSON();
 
-      if (duplicateUser) {
-        if (duplicateUser.email === email) {
-          throw createAppError("Email already exists", 409);
-        }
-        if (duplicateUser.mobileNumber === mobileNumber) {
-          throw createAppError("Mobile number already exists", 409);
-        }
-      }
-    }
+  const result = await sequelize.transaction(async (t) => {
+    const updateData = {};
+    if (firstName) updateData.firstName = firstName;
+    if (lastName) updateData.lastName = lastName;
+    if (email) updateData.email = email;
+    if (mobileNumber) updateData.mobileNumber = mobileNumber;
+    if (isActive !== undefined) updateData.isActive = isActive;
 
-    let newRole = null;
-    if (roleName && roleName !== currentRole.roleName) {
-      newRole = await Role.findOne({
-        where: { roleName, roleType: "admin", isActive: true },
-      });
+    if (Object.keys(updateData).length > 0) {
+      await existingUser.update(updateData, { transaction: t });
+    }
 
-      if (!newRole) {
-        throw createAppError(`Invalid role: ${roleName}`, 400);
-      }
+    if (newRole) {
+      await UserRole.update(
+        { roleId: newRole.roleId },
+        { where: { userId }, transaction: t }
+      );
     }
 
-    const oldRecord = existingUser.toJSON();
+    const { oldValues, newValues } = buildUpdateValues(oldRecord, updateData);
+    if (newRole) {
+      oldValues.roleName = currentRole.roleName;
+      newValues.roleName = newRole.roleName;
+    }
+    newValues.updatedBy = req.userRole;
+
+    await logUpdate({
+      userId: req.user.userId,
+      entityType: "User",
+      recordId: userId,
+      oldValues,
+      newValues,
+      tableName: "users",
+      ipAddress: req.ip,
+      userAgent: req.headers["user-agent"],
+      transaction: t,
+    });
 
-    const result = await sequelize.transaction(async (t) => {
-      const updateData = {};
-      if (firstName) updateData.firstName = firstName;
-      if (lastName) updateData.lastName = lastName;
-      if (email) updateData.email = email;
-      if (mobileNumber) updateData.mobileNumber = mobileNumber;
-      if (isActive !== undefined) updateData.isActive = isActive;
+    return { user: existingUser, newRole: newRole || currentRole };
+  });
 
-      if (Object.keys(updateData).length > 0) {
-        await existingUser.update(updateData, { transaction: t });
-      }
+  const data = {
+    userId: result.user.userId,
+    name: `${result.user.firstName} ${result.user.lastName}`,
+    email: result.user.email,
+    mobileNumber: result.user.mobileNumber,
+    role: result.newRole.roleName,
+    isActive: result.user.isActive,
+  };
 
-      if (newRole) {
-        await UserRole.update(
-          { roleId: newRole.roleId },
-          { where: { userId }, transaction: t }
-        );
-      }
+  // Role or active flag may have changed under open sockets
+  try {
+    await revalidateUserSockets(result.user.userId);
+  } catch (socketErr) {
+    console.error("Socket revalidation failed:", socketErr.message);
+  }
 
-      const { oldValues, newValues } = buildUpdateValues(oldRecord, updateData);
-      if (newRole) {
-        oldValues.roleName = currentRole.roleName;
-        newValues.roleName = newRole.roleName;
-      }
-      newValues.updatedBy = req.userRole;
-
-      await logUpdate({
-        userId: req.user.userId,
-        entityType: "User",
-        recordId: userId,
-        oldValues,
-        newValues,
-        tableName: "users",
-        ipAddress: req.ip,
-        userAgent: req.headers["user-agent"],
-        transaction: t,
-      });
+  return sendEncodedResponse(res, 200, true, "User updated successfully", data);
+});
 
-      return { user: existingUser, newRole: newRole || currentRole };
-    });
+const deleteUser = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
 
-    const data = {
-      userId: result.user.userId,
-      name: `${result.user.firstName} ${result.user.lastName}`,
-      email: result.user.email,
-      mobileNumber: result.user.mobileNumber,
-      role: result.newRole.roleName,
-      isActive: result.user.isActive,
-    };
-
-    await logRequest(
-      req,
+  const existingUser = await User.findOne({
+    where: { userId, isActive: true },
+    include: [
       {
-        userId: req.user.userId,
-        status: 200,
-        body: { success: true, message: "User updated successfully" },
-        requestBodyLog,
+        model: Role,
+        as: "roles",
+        through: { attributes: [] },
+        attributes: ["roleId", "roleName", "roleType"],
       },
-      requestStartTime
-    );
+    ],
+  });
 
-    return sendEncodedResponse(
-      res,
-      200,
-      true,
-      "User updated successfully",
-      data
-    );
-  } catch (error) {
-    await logRequest(
-      req,
-      {
-        userId: req.user?.userId || null,
-        status: error.statusCode || 500,
-        body: { success: false, message: error.message },
-        requestBodyLog,
-        error: error.message,
-        stackTrace: error.stack,
-      },
-      requestStartTime
+  if (!existingUser) {
+    throw createAppError("User not found or already deleted", 404);
+  }
+
+  const currentRole = existingUser.roles[0];
+  if (currentRole.roleType === "client") {
+    throw createAppError(
+      "Cannot delete client users (Owner, Broker, Investor) via admin API",
+      403
     );
+  }
 
-    return next(error);
+  if (userId === req.user.userId) {
+    throw createAppError("Cannot delete your own account", 403);
   }
-});
 
-const deleteUser = asyncHandler(async (req, res, next) => {
-  const requestStartTime = Date.now();
-  const { userId } = req.params;
+  await sequelize.transaction(async (t) => {
+    await existingUser.update({ isActive: false }, { transaction: t });
+
+    await logUpdate({
+      userId: req.user.userId,
+      entityType: "User",
+      recordId: userId,
+      oldValues: { isActive: true },
+      newValues: { isActive: false, deletedBy: req.userRole },
+      tableName: "users",
+      ipAddress: req.ip,
+      userAgent: req.headers["user-agent"],
+      transaction: t,
+    });
+  });
 
-  const requestBodyLog = {
-    userId,
-    deletedBy: req.userRole,
+  const data = {
+    userId: existingUser.userId,
+    name: `${existingUser.firstName} ${existingUser.lastName}`,
+    email: existingUser.email,
+    deletedAt: new Date(),
   };
 
+  // Deactivated accounts lose their open sockets
   try {
-    const existingUser = await User.findOne({
-      where: { userId, isActive: true },
-      include: [
-        {
-          model: Role,
-          as: "roles",
-          through: { attributes: [] },
-          attributes: ["roleId", "roleName", "roleType"],
-        },
-      ],
-    });
+    await revalidateUserSockets(existingUser.userId);
+  } catch (socketErr) {
+    console.error("Socket revalidation failed:", socketErr.message);
+  }
 
-    if (!existingUser) {
-      throw createAppError("User not found or already deleted", 404);
-    }
+  return sendEncodedResponse(res, 200, true, "User deleted successfully", data);
+});
 
-    const currentRole = existingUser.roles[0];
-    if (currentRole.roleType === "client") {
-      throw createAppError(
-        "Cannot delete client users (Owner, Broker, Investor) via admin API",
-        403
-      );
-    }
+const getAllUsers = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10, roleName, isActive } = req.query;
 
-    if (userId === req.user.userId) {
-      throw createAppError("Cannot delete your own account", 403);
-    }
+  const whereClause = { userType: "admin" };
 
-    await sequelize.transaction(async (t) => {
-      await existingUser.update({ isActive: false }, { transaction: t });
+  if (isActive !== undefined) {
+    whereClause.isActive = isActive === "true";
+  }
 
-      await logUpdate({
-        userId: req.user.userId,
-        entityType: "User",
-        recordId: userId,
-        oldValues: { isActive: true },
-        newValues: { isActive: false, deletedBy: req.userRole },
-        tableName: "users",
-        ipAddress: req.ip,
-        userAgent: req.headers["user-agent"],
-        transaction: t,
-      });
-    });
+  const roleWhere = {};
+  if (roleName) {
+    roleWhere.roleName = roleName;
+  }
 
-    const data = {
-      userId: existingUser.userId,
-      name: `${existingUser.firstName} ${existingUser.lastName}`,
-      email: existingUser.email,
-      deletedAt: new Date(),
-    };
+  const pageNumber = parseInt(page);
+  const pageSize = parseInt(limit);
+  const offset = (pageNumber - 1) * pageSize;
 
-    await logRequest(
-      req,
+  const { count, rows: users } = await User.findAndCountAll({
+    where: whereClause,
+    attributes: [
+      "userId",
+      "firstName",
+      "lastName",
+      "email",
+      "mobileNumber",
+      "isActive",
+      "createdAt",
+    ],
+    include: [
       {
-        userId: req.user.userId,
-        status: 200,
-        body: { success: true, message: "User deleted successfully" },
-        requestBodyLog,
+        model: Role,
+        as: "roles",
+        through: { attributes: [] },
+        attributes: ["roleId", "roleName", "roleType"],
+        where: roleWhere,
       },
-      requestStartTime
-    );
+    ],
+    order: [["createdAt", "DESC"]],
+    limit: pageSize,
+    offset: offset,
+    distinct: true,
+  });
+
+  const totalPages = Math.ceil(count / pageSize);
+  const hasNextPage = pageNumber < totalPages;
+  const hasPrevPage = pageNumber > 1;
+
+  const pagination = {
+    currentPage: pageNumber,
+    totalPages,
+    totalUsers: count,
+    hasNextPage,
+    hasPrevPage,
+    usersPerPage: pageSize,
+  };
+
+  const formattedUsers = users.map((user) => ({
+    userId: user.userId,
+    name: `${user.firstName} ${user.lastName}`,
+    email: user.email,
+    mobileNumber: user.mobileNumber,
+    role: user.roles[0]?.roleName || null,
+    isActive: user.isActive,
+    createdAt: user.createdAt,
+  }));
+
+  return sendEncodedResponse(
+    res,
+    200,
+    true,
+    "Users fetched successfully",
+    formattedUsers,
+    pagination
+  );
+});
 
-    return sendEncodedResponse(
-      res,
-      200,
-      true,
-      "User deleted successfully",
-      data
+const createSuperAdmin = asyncHandler(async (req, res) => {
+  const { firstName, lastName, email, mobileNumber, secretKey } = req.body;
+
+  const SUPER_ADMIN_SECRET = process.env.SUPER_ADMIN_CREATION_SECRET;
+
+  if (!SUPER_ADMIN_SECRET) {
+    throw createAppError(
+      "Super Admin creation is disabled. Set SUPER_ADMIN_CREATION_SECRET in .env",
+      403
     );
-  } catch (error) {
-    await logRequest(
-      req,
+  }
+
+  if (secretKey !== SUPER_ADMIN_SECRET) {
+    throw createAppError("Invalid secret key", 403);
+  }
+
+  const superAdminRole = await Role.findOne({
+    where: { roleName: "Super Admin", isActive: true },
+  });
+
+  if (!superAdminRole) {
+    throw createAppError("Super Admin role not found in database", 500);
+  }
+
+  const existingSuperAdmin = await User.findOne({
+    include: [
       {
-        userId: req.user?.userId || null,
-        status: error.statusCode || 500,
-        body: { success: false, message: error.message },
-        requestBodyLog,
-        error: error.message,
-        stackTrace: error.stack,
+        model: Role,
+        as: "roles",
+        where: { roleName: "Super Admin" },
+        through: { attributes: [] },
       },
-      requestStartTime
-    );
+    ],
+  });
 
-    return next(error);
+  if (existingSuperAdmin) {
+    throw createAppError(
+      "Super Admin already exists. Cannot create another one.",
+      409
+    );
   }
-});
 
-const getAllUsers = asyncHandler(async (req, res, next) => {
-  const requestStartTime = Date.now();
+  const requiredFields = ["firstName", "lastName", "email", "mobileNumber"];
+  const missing = validateRequiredFields(requiredFields, req.body);
+  if (missing.length > 0) {
+    throw createAppError(`Missing required fields: ${missing.join(", ")}`, 400);
+  }
 
-  const { page = 1, limit = 10, roleName, isActive } = req.query;
+  if (!isValidEmail(email)) {
+    throw createAppError("Invalid email format", 400);
+  }
 
-  const requestBodyLog = {
-    page,
-    limit,
-    filters: { roleName, isActive },
-  };
+  if (!isValidPhone(mobileNumber)) {
+    throw createAppError(
+      "Invalid mobile number. Must be 10 digits starting with 6-9",
+      400
+    );
+  }
 
-  try {
-    const whereClause = { userType: "admin" };
+  const existingUser = await User.findOne({
+    where: { [Op.or]: [{ email }, { mobileNumber }] },
+  });
 
-    if (isActive !== undefined) {
-      whereClause.isActive = isActive === "true";
+  if (existingUser) {
+    if (existingUser.email === email) {
+      throw createAppError("Email already exists", 409);
     }
-
-    const roleWhere = {};
-    if (roleName) {
-      roleWhere.roleName = roleName;
+    if (existingUser.mobileNumber === mobileNumber) {
+      throw createAppError("Mobile number already exists", 409);
     }
+  }
 
-    const pageNumber = parseInt(page);
-    const pageSize = parseInt(limit);
-    const offset = (pageNumber - 1) * pageSize;
-
-    const { count, rows: users } = await User.findAndCountAll({
-      where: whereClause,
-      attributes: [
-        "userId",
-        "firstName",
-        "lastName",
-        "email",
-        "mobileNumber",
-        "isActive",
-        "createdAt",
-      ],
-      include: [
-        {
-          model: Role,
-          as: "roles",
-          through: { attributes: [] },
-          attributes: ["roleId", "roleName", "roleType"],
-          where: roleWhere,
-        },
-      ],
-      order: [["createdAt", "DESC"]],
-      limit: pageSize,
-      offset: offset,
-      distinct: true,
-    });
-
-    const totalPages = Math.ceil(count / pageSize);
-    const hasNextPage = pageNumber < totalPages;
-    const hasPrevPage = pageNumber > 1;
-
-    const pagination = {
-      currentPage: pageNumber,
-      totalPages,
-      totalUsers: count,
-      hasNextPage,
-      hasPrevPage,
-      usersPerPage: pageSize,
-    };
-
-    const formattedUsers = users.map((user) => ({
-      userId: user.userId,
-      name: `${user.firstName} ${user.lastName}`,
-      email: user.email,
-      mobileNumber: user.mobileNumber,
-      role: user.roles[0]?.roleName || null,
-      isActive: user.isActive,
-      createdAt: user.createdAt,
-    }));
-
-    await logRequest(
-      req,
+  const result = await sequelize.transaction(async (t) => {
+    const newSuperAdmin = await User.create(
       {
-        userId: req.user.userId,
-        status: 200,
-        body: { success: true, message: "Users fetched successfully", count },
-        requestBodyLog,
+        firstName,
+        lastName,
+        email,
+        mobileNumber,
+        userType: "admin",
+        isActive: true,
       },
-      requestStartTime
+      { transaction: t }
     );
 
-    return sendEncodedResponse(
-      res,
-      200,
-      true,
-      "Users fetched successfully",
-      formattedUsers,
-      pagination
-    );
-  } catch (error) {
-    await logRequest(
-      req,
+    await UserRole.create(
       {
-        userId: req.user?.userId || null,
-        status: error.statusCode || 500,
-        body: { success: false, message: error.message },
-        requestBodyLog,
-        error: error.message,
-        stackTrace: error.stack,
+        userId: newSuperAdmin.userId,
+        roleId: superAdminRole.roleId,
+        assignedBy: null,
       },
-      requestStartTime
+      { transaction: t }
     );
 
-    return next(error);
-  }
-});
-
-const createSuperAdmin = asyncHandler(async (req, res, next) => {
-  const requestStartTime = Date.now();
-
-  const { firstName, lastName, email, mobileNumber, secretKey } = req.body;
+    await logInsert({
+      userId: newSuperAdmin.userId,
+      entityType: "User",
+      recordId: newSuperAdmin.userId,
+      newRecord: {
+        userId: newSuperAdmin.userId,
+        email: newSuperAdmin.email,
+        mobileNumber: newSuperAdmin.mobileNumber,
+        firstName: newSuperAdmin.firstName,
+        lastName: newSuperAdmin.lastName,
+        userType: newSuperAdmin.userType,
+        roleName: "Super Admin",
+        createdBy: "SYSTEM",
+      },
+      tableName: "users",
+      ipAddress: req.ip,
+      userAgent: req.headers["user-agent"],
+      transaction: t,
+    });
 
-  const requestBodyLog = {
-    email,
-    mobileNumber,
-    firstName,
-    lastName,
-    hasSecretKey: !!secretKey,
+    return { user: newSuperAdmin, role: superAdminRole };
+  });
+
+  // Created with the secret key rather than a session
+  res.locals.logUserId = result.user.userId;
+
+  await dispatchWebhookEvent("user.created", {
+    userId: result.user.userId,
+    firstName: result.user.firstName,
+    lastName: result.user.lastName,
+    email: result.user.email,
+    mobileNumber: result.user.mobileNumber,
+    role: result.role.roleName,
+    createdBy: null,
+  });
+
+  const data = {
+    userId: result.user.userId,
+    name: `${result.user.firstName} ${result.user.lastName}`,
+    email: result.user.email,
+    mobileNumber: result.user.mobileNumber,
+    role: result.role.roleName,
   };
 
-  try {
-    const SUPER_ADMIN_SECRET = process.env.SUPER_ADMIN_CREATION_SECRET;
-
-    if (!SUPER_ADMIN_SECRET) {
-      throw createAppError(
-        "Super Admin creation is disabled. Set SUPER_ADMIN_CREATION_SECRET in .env",
-        403
-      );
-    }
-
-    if (secretKey !== SUPER_ADMIN_SECRET) {
-      throw createAppError("Invalid secret key", 403);
-    }
-
-    const superAdminRole = await Role.findOne({
-      where: { roleName: "Super Admin", isActive: true },
-    });
+  return sendEncodedResponse(
+    res,
+    201,
+    true,
+    "Super Admin account created successfully",
+    data
+  );
+});
 
-    if (!superAdminRole) {
-      throw createAppError("Super Admin role not found in database", 500);
-    }
+const reassignProperty = asyncHandler(async (req, res) => {
+  const { propertyId } = req.params;
+  const { userId } = req.body;
 
-    const existingSuperAdmin = await User.findOne({
-      include: [
-        {
-          model: Role,
-          as: "roles",
-          where: { roleName: "Super Admin" },
-          through: { attributes: [] },
-        },
-      ],
-    });
+  if (!userId) {
+    throw createAppError("userId is required", 400);
+  }
 
-    if (existingSuperAdmin) {
-      throw createAppError(
-        "Super Admin already exists. Cannot create another one.",
-        409
-      );
-    }
+  const property = await Property.findOne({
+    where: { propertyId, isActive: true },
+  });
 
-    const requiredFields = ["firstName", "lastName", "email", "mobileNumber"];
-    const missing = validateRequiredFields(requiredFields, req.body);
-    if (missing.length > 0) {
-      throw createAppError(
-        `Missing required fields: ${missing.join(", ")}`,
-        400
-      );
-    }
+  if (!property) {
+    throw createAppError("Property not found", 404);
+  }
 
-    if (!isValidEmail(email)) {
-      throw createAppError("Invalid email format", 400);
-    }
+  const isSalesPerson = ["Sales Manager", "Sales Executive"].includes(
+    req.user.role
+  );
+  const isAdmin = ["Admin", "Super Admin"].includes(req.user.role);
 
-    if (!isValidPhone(mobileNumber)) {
+  if (isSalesPerson) {
+    if (property.salesId !== req.user.userId) {
       throw createAppError(
-        "Invalid mobile number. Must be 10 digits starting with 6-9",
-        400
+        "You can only reassign properties assigned to you",
+        403
       );
     }
+  } else if (!isAdmin) {
+    throw createAppError(
+      "You do not have permission to reassign properties",
+      403
+    );
+  }
 
-    const existingUser = await User.findOne({
-      where: { [Op.or]: [{ email }, { mobileNumber }] },
-    });
-
-    if (existingUser) {
-      if (existingUser.email === email) {
-        throw createAppError("Email already exists", 409);
-      }
-      if (existingUser.mobileNumber === mobileNumber) {
-        throw createAppError("Mobile number already exists", 409);
-      }
-    }
+  if (userId === property.salesId) {
+    throw createAppError("Property is already assigned to this user", 400);
+  }
 
-    const result = await sequelize.transaction(async (t) => {
-      const newSuperAdmin = await User.create(
-        {
-          firstName,
-          lastName,
-          email,
-          mobileNumber,
-          userType: "admin",
+  const targetUser = await User.findOne({
+    where: { userId, isActive: true },
+    attributes: ["userId", "firstName", "lastName", "email"],
+    include: [
+      {
+        model: Role,
+        as: "roles",
+        through: { attributes: [] },
+        attributes: ["roleName"],
+        where: {
+          roleName: { [Op.in]: ["Sales Manager", "Sales Executive"] },
           isActive: true,
         },
-        { transaction: t }
-      );
+        required: true,
+      },
+    ],
+  });
 
-      await UserRole.create(
-        {
-          userId: newSuperAdmin.userId,
-          roleId: superAdminRole.roleId,
-          assignedBy: null,
-        },
-        { transaction: t }
-      );
+  if (!targetUser) {
+    throw createAppError(
+      "Target user not found, inactive, or not a Sales Manager/Executive",
+      404
+    );
+  }
 
-      await logInsert({
-        userId: newSuperAdmin.userId,
-        entityType: "User",
-        recordId: newSuperAdmin.userId,
-        newRecord: {
-          userId: newSuperAdmin.userId,
-          email: newSuperAdmin.email,
-          mobileNumber: newSuperAdmin.mobileNumber,
-          firstName: newSuperAdmin.firstName,
-          lastName: newSuperAdmin.lastName,
-          userType: newSuperAdmin.userType,
-          roleName: "Super Admin",
-          createdBy: "SYSTEM",
-        },
-        tableName: "users",
-        ipAddress: req.ip,
-        userAgent: req.headers["user-agent"],
-        transaction: t,
-      });
+  const oldSalesId = property.salesId;
+  const oldRecord = property.toJSON();
+
+  const result = await sequelize.transaction(async (t) => {
+    await property.update({ salesId: userId }, { transaction: t });
 
-      return { user: newSuperAdmin, role: superAdminRole };
+    const { oldValues, newValues } = buildUpdateValues(oldRecord, {
+      salesId: userId,
+    });
+    newValues.reassignedBy = req.user.userId;
+
+    await logUpdate({
+      userId: req.user.userId,
+      entityType: "Property",
+      recordId: propertyId,
+      oldValues,
+      newValues,
+      tableName: "properties",
+      ipAddress: req.ip,
+      userAgent: req.headers["user-agent"],
+      transaction: t,
     });
 
-    const data = {
-      userId: result.user.userId,
-      name: `${result.user.firstName} ${result.user.lastName}`,
-      email: result.user.email,
-      mobileNumber: result.user.mobileNumber,
-      role: result.role.roleName,
-    };
+    return property;
+  });
 
-    await logRequest(
-      req,
+  await notifyUsers(
+    [userId],
+    "property:assigned",
+    {
+      propertyId,
+      city: result.city,
+      state: result.state,
+      propertyType: result.propertyType,
+      assignedBy: req.user.userId,
+      timestamp: new Date().toISOString(),
+    },
+    { propertyId }
+  );
+  if (oldSalesId && oldSalesId !== userId) {
+    await notifyUsers(
+      [oldSalesId],
+      "property:unassigned",
       {
-        userId: result.user.userId,
-        status: 201,
-        body: {
-          success: true,
-          message: "Super Admin account created successfully",
-        },
-        requestBodyLog: {
-          ...requestBodyLog,
-          createdUserId: result.user.userId,
-        },
+        propertyId,
+        city: result.city,
+        state: result.state,
+        propertyType: result.propertyType,
+        reassignedBy: req.user.userId,
+        reassignedTo: userId,
+        timestamp: new Date().toISOString(),
       },
-      requestStartTime
+      { propertyId, excludeUserId: req.user.userId }
     );
+  }
+  await queueEmail(
+    [userId],
+    "propertyAssigned",
+    { property: result.toJSON() },
+    { excludeUserId: req.user.userId }
+  );
+  await dispatchWebhookEvent("property.assigned", {
+    propertyId,
+    salesId: userId,
+    previousSalesId: oldSalesId,
+    assignedBy: req.user.userId,
+  });
 
-    return sendEncodedResponse(
-      res,
-      201,
-      true,
-      "Super Admin account created successfully",
-      data
-    );
-  } catch (error) {
-    await logRequest(
-      req,
-      {
-        userId: null,
-        status: error.statusCode || 500,
-        body: { success: false, message: error.message },
-        requestBodyLog,
-        error: error.message,
-        stackTrace: error.stack,
-      },
-      requestStartTime
-    );
+  const data = {
+    propertyId,
+    previousSalesId: oldSalesId,
+    newSalesId: userId,
+    reassignedTo: `${targetUser.firstName} ${targetUser.lastName}`,
+  };
 
-    return next(error);
-  }
+  return sendEncodedResponse(
+    res,
+    200,
+    true,
+    "Property reassigned successfully",
+    data
+  );
 });
 
-const reassignProperty = asyncHandler(async (req, res, next) => {
-  const requestStartTime = Date.now();
+const restoreProperty = asyncHandler(async (req, res) => {
   const { propertyId } = req.params;
-  const { userId } = req.body;
 
-  const requestBodyLog = {
-    propertyId,
-    targetUserId: userId,
-    reassignedBy: req.user.userId,
-    reassignerRole: req.user.role,
-  };
+  const property = await Property.findOne({
+    where: { propertyId, isActive: false },
+  });
 
-  try {
-    if (!userId) {
-      throw createAppError("userId is required", 400);
-    }
+  if (!property) {
+    throw createAppError("Property not found or not deleted", 404);
+  }
 
-    const property = await Property.findOne({
-      where: { propertyId, isActive: true },
+  await sequelize.transaction(async (t) => {
+    await property.update({ isActive: true }, { transaction: t });
+
+    await logUpdate({
+      userId: req.user.userId,
+      entityType: "Property",
+      recordId: propertyId,
+      oldValues: { isActive: false },
+      newValues: { isActive: true, restoredBy: req.userRole },
+      tableName: "properties",
+      ipAddress: req.ip,
+      userAgent: req.headers["user-agent"],
+      transaction: t,
     });
+  });
 
-    if (!property) {
-      throw createAppError("Property not found", 404);
-    }
+  await notifyUsers(
+    [property.ownerId, property.brokerId, property.salesId],
+    "property:restored",
+    {
+      propertyId,
+      city: property.city,
+      state: property.state,
+      propertyType: property.propertyType,
+      restoredBy: req.user.userId,
+      timestamp: new Date().toISOString(),
+    },
+    { propertyId }
+  );
+
+  const data = {
+    propertyId,
+    restoredBy: req.userRole,
+    restoredAt: new Date(),
+  };
 
-    const isSalesPerson = ["Sales Manager", "Sales Executive"].includes(
-      req.user.role
-    );
-    const isAdmin = ["Admin", "Super Admin"].includes(req.user.role);
+  return sendEncodedResponse(
+    res,
+    200,
+    true,
+    "Property restored successfully",
+    data
+  );
+});
 
-    if (isSalesPerson) {
-      if (property.salesId !== req.user.userId) {
-        throw createAppError(
-          "You can only reassign properties assigned to you",
-          403
-        );
-      }
-    } else if (!isAdmin) {
-      throw createAppError(
-        "You do not have permission to reassign properties",
-        403
-      );
-    }
+const purgeProperty = asyncHandler(async (req, res) => {
+  const { propertyId } = req.params;
 
-    if (userId === property.salesId) {
-      throw createAppError("Property is already assigned to this user", 400);
-    }
+  // Only soft-deleted properties can be purged
+  const property = await Property.findOne({
+    where: { propertyId, isActive: false },
+  });
 
-    const targetUser = await User.findOne({
-      where: { userId, isActive: true },
-      attributes: ["userId", "firstName", "lastName", "email"],
-      include: [
-        {
-          model: Role,
-          as: "roles",
-          through: { attributes: [] },
-          attributes: ["roleName"],
-          where: {
-            roleName: { [Op.in]: ["Sales Manager", "Sales Executive"] },
-            isActive: true,
-          },
-          required: true,
-        },
-      ],
+  if (!property) {
+    throw createAppError(
+      "Property not found or not deleted. Soft delete it before purging",
+      404
+    );
+  }
+
+  const result = await sequelize.transaction(async (t) => {
+    const media = await PropertyMedia.findAll({
+      where: { propertyId },
+      attributes: ["mediaId", "fileUrl", "variants", "posterUrl"],
+      raw: true,
+      transaction: t,
+    });
+    // Soft-deleted documents keep their files, so every row is collected
+    const documents = await PropertyDocument.findAll({
+      where: { propertyId },
+      attributes: ["documentId", "filePath"],
+      raw: true,
+      transaction: t,
     });
 
-    if (!targetUser) {
-      throw createAppError(
-        "Target user not found, inactive, or not a Sales Manager/Executive",
-        404
-      );
-    }
+    const amenityCount = await PropertyAmenity.destroy({
+      where: { propertyId },
+      transaction: t,
+    });
+    const certificationCount = await PropertyCertification.destroy({
+      where: { propertyId },
+      transaction: t,
+    });
+    const connectivityCount = await PropertyConnectivity.destroy({
+      where: { propertyId },
+      transaction: t,
+    });
+    const noteCount = await PropertyInvestorNote.destroy({
+      where: { propertyId },
+      transaction: t,
+    });
+    await PropertyMedia.destroy({ where: { propertyId }, transaction: t });
+    const documentAccessCount = await PropertyDocumentAccess.destroy({
+      where: { propertyId },
+      transaction: t,
+    });
+    await PropertyDocument.destroy({ where: { propertyId }, transaction: t });
+    const statusTransitionCount = await PropertyStatusTransition.destroy({
+      where: { propertyId },
+      transaction: t,
+    });
+    const verificationItemCount = await PropertyVerificationItem.destroy({
+      where: { propertyId },
+      transaction: t,
+    });
 
-    const oldSalesId = property.salesId;
     const oldRecord = property.toJSON();
-
-    const result = await sequelize.transaction(async (t) => {
-      await property.update({ salesId: userId }, { transaction: t });
-
-      const { oldValues, newValues } = buildUpdateValues(oldRecord, {
-        salesId: userId,
-      });
-      newValues.reassignedBy = req.user.userId;
-
-      await logUpdate({
-        userId: req.user.userId,
-        entityType: "Property",
-        recordId: propertyId,
-        oldValues,
-        newValues,
-        tableName: "properties",
-        ipAddress: req.ip,
-        userAgent: req.headers["user-agent"],
-        transaction: t,
-      });
-
-      return property;
+    await property.destroy({ transaction: t });
+
+    await logDelete({
+      userId: req.user.userId,
+      entityType: "Property",
+      recordId: propertyId,
+      oldRecord: {
+        ...oldRecord,
+        mediaCount: media.length,
+        amenityCount,
+        certificationCount,
+        connectivityCount,
+        investorNoteCount: noteCount,
+        documentCount: documents.length,
+        documentAccessCount,
+        statusTransitionCount,
+        verificationItemCount,
+        purgedBy: req.userRole,
+      },
+      tableName: "properties",
+      ipAddress: req.ip,
+      userAgent: req.headers["user-agent"],
+      transaction: t,
     });
 
-    try {
-      const io = getIO();
-      io.to(`user:${userId}`).emit("property:assigned", {
-        propertyId,
-        city: result.city,
-        state: result.state,
-        propertyType: result.propertyType,
-        assignedBy: req.user.userId,
-        timestamp: new Date().toISOString(),
-      });
-      if (oldSalesId && oldSalesId !== req.user.userId) {
-        io.to(`user:${oldSalesId}`).emit("property:unassigned", {
-          propertyId,
-          city: result.city,
-          state: result.state,
-          propertyType: result.propertyType,
-          reassignedBy: req.user.userId,
-          reassignedTo: userId,
-          timestamp: new Date().toISOString(),
-        });
-      }
-    } catch (socketErr) {
-      console.error("Socket notification failed:", socketErr.message);
-    }
-
-    const data = {
-      propertyId,
-      previousSalesId: oldSalesId,
-      newSalesId: userId,
-      reassignedTo: `${targetUser.firstName} ${targetUser.lastName}`,
-    };
-
-    await logRequest(
-      req,
-      {
-        userId: req.user.userId,
-        status: 200,
-        body: {
-          success: true,
-          message: "Property reassigned successfully",
-        },
-        requestBodyLog,
-      },
-      requestStartTime
+    return { media, documents };
+  });
+
+  // Remove bucket objects only after the database rows are gone
+  const deletions = await Promise.allSettled(
+    result.media.flatMap((m) => getMediaPaths(m)).map(deleteFile)
+  );
+  const failedDeletions = deletions.filter((d) => d.status === "rejected");
+  if (failedDeletions.length > 0) {
+    console.error(
+      `Failed to delete ${failedDeletions.length} media object(s) for property ${propertyId}`
     );
+  }
 
-    return sendEncodedResponse(
-      res,
-      200,
-      true,
-      "Property reassigned successfully",
-      data
-    );
-  } catch (error) {
-    await logRequest(
-      req,
-      {
-        userId: req.user?.userId || null,
-        status: error.statusCode || 500,
-        body: { success: false, message: error.message },
-        requestBodyLog,
-        error: error.message,
-        stackTrace: error.stack,
-      },
-      requestStartTime
+  const documentDeletions = await Promise.allSettled(
+    result.documents.map((d) => deleteFile(d.filePath))
+  );
+  const failedDocumentDeletions = documentDeletions.filter(
+    (d) => d.status === "rejected"
+  );
+  if (failedDocumentDeletions.length > 0) {
+    console.error(
+      `Failed to delete ${failedDocumentDeletions.length} document object(s) for property ${propertyId}`
     );
-
-    return next(error);
   }
-});
 
-const getAllActiveSalesManagers = asyncHandler(async (req, res, next) => {
-  const requestStartTime = Date.now();
+  await notifyUsers(
+    [property.ownerId, property.brokerId, property.salesId],
+    "property:purged",
+    {
+      propertyId,
+      purgedBy: req.user.userId,
+      timestamp: new Date().toISOString(),
+    },
+    { propertyId }
+  );
 
-  const requestBodyLog = {
-    requestedBy: req.userRole,
+  const data = {
+    propertyId,
+    // Bucket objects (a media row has several: original, variants, poster)
+    mediaDeleted: deletions.length - failedDeletions.length,
+    mediaDeleteFailed: failedDeletions.length,
+    documentsDeleted: result.documents.length - failedDocumentDeletions.length,
+    documentDeleteFailed: failedDocumentDeletions.length,
+    purgedAt: new Date(),
   };
 
-  try {
-    // Only Admin and Super Admin can access this endpoint
-    if (req.userRole !== "Admin" && req.userRole !== "Super Admin") {
-      throw createAppError(
-        "Access denied. Only Admin or Super Admin can fetch sales managers",
-        403
-      );
-    }
-
-    const salesManagers = await User.findAll({
-      where: { isActive: true },
-      attributes: ["userId", "firstName", "lastName", "email", "mobileNumber"],
-      include: [
-        {
-          model: Role,
-          as: "roles",
-          where: { roleName: "Sales Manager", isActive: true },
-          through: { attributes: [] },
-          attributes: ["roleName"],
-        },
-      ],
-      order: [
-        ["firstName", "ASC"],
-        ["lastName", "ASC"],
-      ],
-    });
+  return sendEncodedResponse(
+    res,
+    200,
+    true,
+    "Property purged successfully",
+    data
+  );
+});
 
-    const formattedManagers = salesManagers.map((manager) => ({
-      value: manager.userId,
-      label: `${manager.firstName} ${manager.lastName}`,
-      email: manager.email,
-      mobileNumber: manager.mobileNumber,
-    }));
+const getAllActiveSalesManagers = asyncHandler(async (req, res) => {
+  // Only Admin and Super Admin can access this endpoint
+  if (req.userRole !== "Admin" && req.userRole !== "Super Admin") {
+    throw createAppError(
+      "Access denied. Only Admin or Super Admin can fetch sales managers",
+      403
+    );
+  }
 
-    await logRequest(
-      req,
+  const salesManagers = await User.findAll({
+    where: { isActive: true },
+    attributes: ["userId", "firstName", "lastName", "email", "mobileNumber"],
+    include: [
       {
-        userId: req.user.userId,
-        status: 200,
-        body: {
-          success: true,
-          message: "Sales managers fetched successfully",
-          count: formattedManagers.length,
-        },
-        requestBodyLog,
+        model: Role,
+        as: "roles",
+        where: { roleName: "Sales Manager", isActive: true },
+        through: { attributes: [] },
+        attributes: ["roleName"],
       },
-      requestStartTime
-    );
+    ],
+    order: [
+      ["firstName", "ASC"],
+      ["lastName", "ASC"],
+    ],
+  });
+
+  const formattedManagers = salesManagers.map((manager) => ({
+    value: manager.userId,
+    label: `${manager.firstName} ${manager.lastName}`,
+    email: manager.email,
+    mobileNumber: manager.mobileNumber,
+  }));
+
+  return sendEncodedResponse(
+    res,
+    200,
+    true,
+    "Sales managers fetched successfully",
+    formattedManagers
+  );
+});
 
-    return sendEncodedResponse(
-      res,
-      200,
-      true,
-      "Sales managers fetched successfully",
-      formattedManagers
-    );
-  } catch (error) {
-    await logRequest(
-      req,
+const revertAuditLog = asyncHandler(async (req, res) => {
+  const { auditLogId } = req.params;
+  const force = req.body?.force === true || req.body?.force === "true";
+
+  if (isNaN(parseInt(auditLogId))) {
+    throw createAppError("Invalid audit log ID", 400);
+  }
+
+  const result = await sequelize.transaction((t) =>
+    revertPropertyUpdate(
       {
-        userId: req.user?.userId || null,
-        status: error.statusCode || 500,
-        body: { success: false, message: error.message },
-        requestBodyLog,
-        error: error.message,
-        stackTrace: error.stack,
+        auditLogId: parseInt(auditLogId),
+        force,
+        user: req.user,
+        userRole: req.userRole,
+        ipAddress: req.ip,
+        userAgent: req.headers["user-agent"],
       },
-      requestStartTime
-    );
+      t
+    )
+  );
+
+  const { property } = result;
+
+  // Same events as updateProperty, so listeners see reverts as edits
+  await notifyUsers(
+    [property.ownerId, property.brokerId],
+    "property:updated",
+    {
+      propertyId: property.propertyId,
+      updatedFields: result.revertedFields,
+      updatedBy: req.user.userId,
+      revertedAuditLogId: parseInt(auditLogId),
+      timestamp: new Date().toISOString(),
+    },
+    { propertyId: property.propertyId }
+  );
+  await dispatchWebhookEvent("property.updated", {
+    propertyId: property.propertyId,
+    updatedFields: result.revertedFields,
+    updatedBy: req.user.userId,
+  });
+
+  const data = {
+    propertyId: property.propertyId,
+    revertedAuditLogId: parseInt(auditLogId),
+    revertAuditLogId: result.auditLogId,
+    revertedFields: result.revertedFields,
+    skippedFields: result.skippedFields,
+    overriddenConflicts: result.conflicts,
+    revertedBy: req.userRole,
+  };
 
-    return next(error);
-  }
+  return sendEncodedResponse(
+    res,
+    200,
+    true,
+    "Change reverted successfully",
+    data
+  );
 });
 
 module.exports = {
@@ -1065,5 +1113,8 @@ module.exports = {
   getAllUsers,
   createSuperAdmin,
   reassignProperty,
+  restoreProperty,
+  purgeProperty,
   getAllActiveSalesManagers,
+  revertAuditLog,
 };
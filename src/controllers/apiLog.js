@@ -0,0 +1,181 @@
+const mongoose = require("mongoose");
+const { Op } = require("sequelize");
+const ApiLog = require("../models/apiLog");
+const { User } = require("../models");
+const createAppError = require("../utils/appError");
+const asyncHandler = require("../utils/asyncHandler");
+const { sendEncodedResponse } = require("../utils/responseEncoder");
+const { isValidUuid } = require("../utils/validators");
+const {
+  buildApiLogFilter,
+  getEndpointStats,
+  getTopFailingUsers,
+} = require("../services/apiLogQueryService");
+
+const MAX_PAGE_SIZE = 100;
+const MAX_STATS_LIMIT = 200;
+
+// Bodies and headers are only returned by the single-log endpoint
+const LIST_PROJECTION = {
+  requestHeaders: 0,
+  requestBody: 0,
+  responseBody: 0,
+  stackTrace: 0,
+};
+
+const parseLimit = (value, defaultValue, max) => {
+  if (value === undefined) return defaultValue;
+  const limit = parseInt(value);
+  if (isNaN(limit) || limit < 1 || limit > max) {
+    throw createAppError(`limit must be between 1 and ${max}`, 400);
+  }
+  return limit;
+};
+
+// ============================================
+// SEARCH API LOGS
+// ============================================
+const searchApiLogs = asyncHandler(async (req, res) => {
+  const {
+    page = 1,
+    sortBy = "requestTimestamp",
+    sortOrder = "DESC",
+  } = req.query;
+
+  const pageNumber = parseInt(page);
+  if (isNaN(pageNumber) || pageNumber < 1) {
+    throw createAppError("page must be a positive integer", 400);
+  }
+  const pageSize = parseLimit(req.query.limit, 50, MAX_PAGE_SIZE);
+
+  const sortField =
+    sortBy === "responseTimeMs" ? "responseTimeMs" : "requestTimestamp";
+  const direction = String(sortOrder).toUpperCase() === "ASC" ? 1 : -1;
+
+  const filter = buildApiLogFilter(req.query);
+
+  const [count, rows] = await Promise.all([
+    ApiLog.countDocuments(filter),
+    ApiLog.find(filter, LIST_PROJECTION)
+      .sort({ [sortField]: direction, _id: direction })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .lean(),
+  ]);
+
+  const totalPages = Math.ceil(count / pageSize);
+
+  return sendEncodedResponse(
+    res,
+    200,
+    true,
+    "API logs fetched successfully",
+    rows,
+    {
+      pagination: {
+        currentPage: pageNumber,
+        pageSize: pageSize,
+        totalItems: count,
+        totalPages: totalPages,
+        hasNextPage: pageNumber < totalPages,
+        hasPrevPage: pageNumber > 1,
+      },
+    }
+  );
+});
+
+// ============================================
+// GET SINGLE API LOG (FULL DETAIL)
+// ============================================
+const getApiLogById = asyncHandler(async (req, res) => {
+  const { logId } = req.params;
+
+  if (!mongoose.isValidObjectId(logId)) {
+    throw createAppError("Invalid log id", 400);
+  }
+
+  const log = await ApiLog.findById(logId).lean();
+  if (!log) {
+    throw createAppError("API log not found", 404);
+  }
+
+  return sendEncodedResponse(
+    res,
+    200,
+    true,
+    "API log fetched successfully",
+    log
+  );
+});
+
+// ============================================
+// ENDPOINT STATS: ERROR RATE AND P50/P95 LATENCY
+// ============================================
+const getApiLogEndpointStats = asyncHandler(async (req, res) => {
+  const limit = parseLimit(req.query.limit, 50, MAX_STATS_LIMIT);
+  const filter = buildApiLogFilter(req.query, { defaultWindow: true });
+
+  const stats = await getEndpointStats(filter, limit);
+
+  return sendEncodedResponse(
+    res,
+    200,
+    true,
+    "Endpoint stats fetched successfully",
+    stats,
+    {
+      window: {
+        from: filter.requestTimestamp?.$gte || null,
+        to: filter.requestTimestamp?.$lte || null,
+      },
+    }
+  );
+});
+
+// ============================================
+// TOP FAILING USERS
+// ============================================
+const getApiLogFailingUsers = asyncHandler(async (req, res) => {
+  const limit = parseLimit(req.query.limit, 20, MAX_STATS_LIMIT);
+  const filter = buildApiLogFilter(req.query, { defaultWindow: true });
+
+  const failingUsers = await getTopFailingUsers(filter, limit);
+
+  // ApiLog.userId is a plain string; unauthenticated or malformed ids
+  // simply come back without a user
+  const userIds = failingUsers.map((entry) => entry.userId).filter(isValidUuid);
+  const users = userIds.length
+    ? await User.findAll({
+        where: { userId: { [Op.in]: userIds } },
+        attributes: ["userId", "firstName", "lastName", "email"],
+        raw: true,
+      })
+    : [];
+  const userMap = new Map(users.map((user) => [user.userId, user]));
+
+  const data = failingUsers.map((entry) => ({
+    ...entry,
+    user: userMap.get(entry.userId) || null,
+  }));
+
+  return sendEncodedResponse(
+    res,
+    200,
+    true,
+    "Failing users fetched successfully",
+    data,
+    {
+      window: {
+        from: filter.requestTimestamp?.$gte || null,
+        to: filter.requestTimestamp?.$lte || null,
+      },
+    }
+  );
+});
+
+module.exports = {
+  searchApiLogs,
+  getApiLogById,
+  getApiLogEndpointStats,
+  getApiLogFailingUsers,
+};
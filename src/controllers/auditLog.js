@@ -0,0 +1,138 @@
+const { Op } = require("sequelize");
+const { AuditLog, User } = require("../models");
+const createAppError = require("../utils/appError");
+const asyncHandler = require("../utils/asyncHandler");
+const { sendEncodedResponse } = require("../utils/responseEncoder");
+const { toCsvLine } = require("../utils/csv");
+const { writeWithBackpressure } = require("../utils/stream");
+const {
+  AUDIT_EXPORT_COLUMNS,
+  buildAuditLogWhere,
+} = require("../services/auditLogQueryService");
+
+const MAX_PAGE_SIZE = 100;
+
+// Rows fetched per query while streaming an export
+const EXPORT_BATCH_SIZE = 500;
+
+const USER_INCLUDE = {
+  model: User,
+  as: "user",
+  attributes: ["userId", "firstName", "lastName", "email"],
+};
+
+// ============================================
+// SEARCH AUDIT LOGS (READ-ONLY)
+// ============================================
+const getAuditLogs = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 50, sortOrder = "DESC" } = req.query;
+
+  const pageNumber = parseInt(page);
+  const pageSize = parseInt(limit);
+  if (isNaN(pageNumber) || pageNumber < 1) {
+    throw createAppError("page must be a positive integer", 400);
+  }
+  if (isNaN(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    throw createAppError(`limit must be between 1 and ${MAX_PAGE_SIZE}`, 400);
+  }
+
+  const where = buildAuditLogWhere(req.query);
+  const direction = sortOrder.toUpperCase() === "ASC" ? "ASC" : "DESC";
+
+  const { count, rows } = await AuditLog.findAndCountAll({
+    where,
+    include: [USER_INCLUDE],
+    order: [
+      ["createdAt", direction],
+      ["auditLogId", direction],
+    ],
+    limit: pageSize,
+    offset: (pageNumber - 1) * pageSize,
+  });
+
+  const totalPages = Math.ceil(count / pageSize);
+
+  return sendEncodedResponse(
+    res,
+    200,
+    true,
+    "Audit logs fetched successfully",
+    rows,
+    {
+      pagination: {
+        currentPage: pageNumber,
+        pageSize: pageSize,
+        totalItems: count,
+        totalPages: totalPages,
+        hasNextPage: pageNumber < totalPages,
+        hasPrevPage: pageNumber > 1,
+      },
+    }
+  );
+});
+
+// ============================================
+// EXPORT AUDIT LOGS AS CSV (SAME FILTERS)
+// ============================================
+const exportAuditLogs = asyncHandler(async (req, res, next) => {
+  try {
+    const where = buildAuditLogWhere(req.query);
+
+    const fileName = `audit-logs-${new Date().toISOString().slice(0, 10)}.csv`;
+    res.status(200);
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+
+    const write = (chunk) => writeWithBackpressure(res, chunk);
+
+    // BOM so Excel opens the file as UTF-8
+    await write(
+      "\uFEFF" + toCsvLine(AUDIT_EXPORT_COLUMNS.map((c) => c.header))
+    );
+
+    // Keyset paging on auditLogId (newest first) so rows written while the
+    // export runs can't shift the batches
+    let rowCount = 0;
+    let lastId = null;
+    for (;;) {
+      const batch = await AuditLog.findAll({
+        where: lastId
+          ? { [Op.and]: [where, { auditLogId: { [Op.lt]: lastId } }] }
+          : where,
+        include: [USER_INCLUDE],
+        order: [["auditLogId", "DESC"]],
+        limit: EXPORT_BATCH_SIZE,
+      });
+
+      for (const row of batch) {
+        const log = row.toJSON();
+        await write(toCsvLine(AUDIT_EXPORT_COLUMNS.map((c) => c.value(log))));
+      }
+
+      rowCount += batch.length;
+      if (batch.length < EXPORT_BATCH_SIZE) break;
+      lastId = batch[batch.length - 1].auditLogId;
+    }
+
+    res.end();
+
+    // Streamed, so there is no JSON body for the request log to pick up
+    res.locals.responseBody = {
+      success: true,
+      message: "Audit logs exported successfully",
+      count: rowCount,
+    };
+  } catch (error) {
+    // Once the file has started streaming the status can't change; cut the
+    // download short so the client doesn't keep a truncated file as complete
+    if (res.headersSent) {
+      res.locals.error = error;
+      return res.destroy(error);
+    }
+    res.removeHeader("Content-Type");
+    res.removeHeader("Content-Disposition");
+    return next(error);
+  }
+});
+
+module.exports = { getAuditLogs, exportAuditLogs };
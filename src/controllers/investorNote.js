@@ -0,0 +1,329 @@
+const { Op } = require("sequelize");
+const { Property, PropertyInvestorNote } = require("../models");
+const { sequelize } = require("../config/dbConnection");
+const createAppError = require("../utils/appError");
+const asyncHandler = require("../utils/asyncHandler");
+const { sanitizeString } = require("../utils/validators");
+const { logInsert, logUpdate, logDelete } = require("../utils/logs");
+const { sendEncodedResponse } = require("../utils/responseEncoder");
+
+const MAX_NOTE_LENGTH = 5000;
+const MAX_PAGE_SIZE = 100;
+
+// Validate and clean note text coming from the request body
+const parseNoteText = (noteText) => {
+  if (typeof noteText !== "string" || !noteText.trim()) {
+    throw createAppError("noteText is required", 400);
+  }
+
+  const cleaned = sanitizeString(noteText);
+  if (cleaned.length > MAX_NOTE_LENGTH) {
+    throw createAppError(
+      `noteText cannot exceed ${MAX_NOTE_LENGTH} characters`,
+      400
+    );
+  }
+
+  return cleaned;
+};
+
+// Rows with at least one active note whose text contains `search`
+// (case-insensitive; % and _ in the term match literally)
+const activeNoteMatches = (search) => {
+  const pattern = `%${search.replace(/[\\%_]/g, "\\$&")}%`;
+  return sequelize.literal(
+    `EXISTS (SELECT 1 FROM jsonb_array_elements("PropertyInvestorNote"."notes") AS note
+      WHERE COALESCE((note->>'isDeleted')::boolean, false) = false
+        AND note->>'noteText' ILIKE ${sequelize.escape(pattern)})`
+  );
+};
+
+// Case-insensitive match on note text
+const filterNotes = (notes, search) => {
+  if (!search) return notes;
+  const term = search.toLowerCase();
+  return notes.filter((note) => note.noteText.toLowerCase().includes(term));
+};
+
+// ============================================
+// ADD NOTE
+// ============================================
+const addInvestorNote = asyncHandler(async (req, res) => {
+  const { propertyId } = req.params;
+  const { noteText } = req.body;
+
+  const cleanedText = parseNoteText(noteText);
+
+  const property = await Property.findOne({
+    where: { propertyId, isActive: true },
+    attributes: ["propertyId"],
+  });
+
+  if (!property) {
+    throw createAppError("Property not found", 404);
+  }
+
+  const result = await sequelize.transaction(async (t) => {
+    await PropertyInvestorNote.findOrCreate({
+      where: { propertyId, investorId: req.user.userId },
+      defaults: { notes: [], totalNotesCount: 0, isActive: true },
+      transaction: t,
+    });
+    // findOrCreate doesn't lock an existing row; re-read it locked so
+    // concurrent adds append to the notes array one at a time
+    const noteRecord = await PropertyInvestorNote.findOne({
+      where: { propertyId, investorId: req.user.userId },
+      transaction: t,
+      lock: t.LOCK.UPDATE,
+    });
+
+    if (!noteRecord.isActive) {
+      noteRecord.isActive = true;
+    }
+
+    const newNote = PropertyInvestorNote.addNote(
+      noteRecord,
+      cleanedText,
+      req.user.userId
+    );
+    await noteRecord.save({ transaction: t });
+
+    await logInsert({
+      userId: req.user.userId,
+      entityType: "PropertyInvestorNote",
+      recordId: newNote.noteId,
+      newRecord: { propertyId, ...newNote },
+      tableName: "property_investor_notes",
+      ipAddress: req.ip,
+      userAgent: req.headers["user-agent"],
+      transaction: t,
+    });
+
+    return { note: newNote, totalNotesCount: noteRecord.totalNotesCount };
+  });
+
+  return sendEncodedResponse(res, 201, true, "Note added successfully", {
+    propertyId,
+    note: result.note,
+    totalNotesCount: result.totalNotesCount,
+  });
+});
+
+// ============================================
+// GET NOTES FOR A PROPERTY
+// ============================================
+const getInvestorNotes = asyncHandler(async (req, res) => {
+  const { propertyId } = req.params;
+  const search =
+    typeof req.query.search === "string" ? req.query.search.trim() : "";
+
+  const noteRecord = await PropertyInvestorNote.findOne({
+    where: { propertyId, investorId: req.user.userId, isActive: true },
+  });
+
+  const notes = noteRecord
+    ? filterNotes(PropertyInvestorNote.getActiveNotes(noteRecord), search)
+    : [];
+
+  return sendEncodedResponse(
+    res,
+    200,
+    true,
+    "Notes fetched successfully",
+    { propertyId, notes },
+    { count: notes.length }
+  );
+});
+
+// ============================================
+// UPDATE NOTE
+// ============================================
+const updateInvestorNote = asyncHandler(async (req, res) => {
+  const { propertyId, noteId } = req.params;
+  const { noteText } = req.body;
+
+  const cleanedText = parseNoteText(noteText);
+
+  const result = await sequelize.transaction(async (t) => {
+    const noteRecord = await PropertyInvestorNote.findOne({
+      where: { propertyId, investorId: req.user.userId, isActive: true },
+      transaction: t,
+      lock: t.LOCK.UPDATE,
+    });
+
+    const existingNote = noteRecord
+      ? PropertyInvestorNote.getNoteById(noteRecord, noteId)
+      : null;
+
+    if (!existingNote) {
+      throw createAppError("Note not found", 404);
+    }
+
+    const oldText = existingNote.noteText;
+    const updatedNote = PropertyInvestorNote.updateNote(
+      noteRecord,
+      noteId,
+      cleanedText
+    );
+    await noteRecord.save({ transaction: t });
+
+    await logUpdate({
+      userId: req.user.userId,
+      entityType: "PropertyInvestorNote",
+      recordId: noteId,
+      oldValues: { noteText: oldText },
+      newValues: { noteText: updatedNote.noteText, propertyId },
+      tableName: "property_investor_notes",
+      ipAddress: req.ip,
+      userAgent: req.headers["user-agent"],
+      transaction: t,
+    });
+
+    return updatedNote;
+  });
+
+  return sendEncodedResponse(res, 200, true, "Note updated successfully", {
+    propertyId,
+    note: result,
+  });
+});
+
+// ============================================
+// DELETE NOTE (SOFT)
+// ============================================
+const deleteInvestorNote = asyncHandler(async (req, res) => {
+  const { propertyId, noteId } = req.params;
+
+  const result = await sequelize.transaction(async (t) => {
+    const noteRecord = await PropertyInvestorNote.findOne({
+      where: { propertyId, investorId: req.user.userId, isActive: true },
+      transaction: t,
+      lock: t.LOCK.UPDATE,
+    });
+
+    const existingNote = noteRecord
+      ? PropertyInvestorNote.getNoteById(noteRecord, noteId)
+      : null;
+
+    if (!existingNote) {
+      throw createAppError("Note not found or already deleted", 404);
+    }
+
+    const deletedNote = PropertyInvestorNote.deleteNote(noteRecord, noteId);
+    await noteRecord.save({ transaction: t });
+
+    await logDelete({
+      userId: req.user.userId,
+      entityType: "PropertyInvestorNote",
+      recordId: noteId,
+      oldRecord: { propertyId, ...existingNote },
+      tableName: "property_investor_notes",
+      ipAddress: req.ip,
+      userAgent: req.headers["user-agent"],
+      transaction: t,
+    });
+
+    return {
+      note: deletedNote,
+      totalNotesCount: noteRecord.totalNotesCount,
+    };
+  });
+
+  return sendEncodedResponse(res, 200, true, "Note deleted successfully", {
+    propertyId,
+    noteId,
+    deletedAt: result.note.deletedAt,
+    totalNotesCount: result.totalNotesCount,
+  });
+});
+
+// ============================================
+// GET MY NOTES ACROSS ALL PROPERTIES
+// ============================================
+const getMyNotes = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10 } = req.query;
+  const search =
+    typeof req.query.search === "string" ? req.query.search.trim() : "";
+
+  const pageNumber = parseInt(page);
+  if (isNaN(pageNumber) || pageNumber < 1) {
+    throw createAppError("page must be a positive integer", 400);
+  }
+  const pageSize = parseInt(limit);
+  if (isNaN(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    throw createAppError(`limit must be between 1 and ${MAX_PAGE_SIZE}`, 400);
+  }
+  const offset = (pageNumber - 1) * pageSize;
+
+  const whereClause = {
+    investorId: req.user.userId,
+    isActive: true,
+    totalNotesCount: { [Op.gt]: 0 },
+  };
+
+  // Matched in SQL so the count and pages only cover properties with a
+  // matching note; the notes shown are narrowed below
+  if (search) {
+    whereClause[Op.and] = [activeNoteMatches(search)];
+  }
+
+  const { count, rows: noteRecords } =
+    await PropertyInvestorNote.findAndCountAll({
+      where: whereClause,
+      include: [
+        {
+          model: Property,
+          as: "property",
+          attributes: [
+            "propertyId",
+            "propertyType",
+            "microMarket",
+            "city",
+            "state",
+          ],
+          where: { isActive: true },
+          required: true,
+        },
+      ],
+      order: [["updatedAt", "DESC"]],
+      limit: pageSize,
+      offset: offset,
+    });
+
+  const properties = noteRecords.map((record) => ({
+    property: record.property,
+    notes: filterNotes(PropertyInvestorNote.getActiveNotes(record), search),
+    totalNotesCount: record.totalNotesCount,
+    lastUpdatedAt: record.updatedAt,
+  }));
+
+  const totalPages = Math.ceil(count / pageSize);
+  const hasNextPage = pageNumber < totalPages;
+  const hasPrevPage = pageNumber > 1;
+
+  return sendEncodedResponse(
+    res,
+    200,
+    true,
+    "Notes fetched successfully",
+    properties,
+    {
+      pagination: {
+        currentPage: pageNumber,
+        pageSize: pageSize,
+        totalItems: count,
+        totalPages: totalPages,
+        hasNextPage: hasNextPage,
+        hasPrevPage: hasPrevPage,
+      },
+    }
+  );
+});
+
+module.exports = {
+  addInvestorNote,
+  getInvestorNotes,
+  updateInvestorNote,
+  deleteInvestorNote,
+  getMyNotes,
+};
@@ -0,0 +1,201 @@
+const createAppError = require("../utils/appError");
+const asyncHandler = require("../utils/asyncHandler");
+const { sendEncodedResponse } = require("../utils/responseEncoder");
+const { isValidUuid } = require("../utils/validators");
+const {
+  listNotifications,
+  getUnreadCount,
+  markRead,
+  markAllRead,
+} = require("../services/notificationService");
+const {
+  NOTIFICATION_CATEGORIES,
+  CHANNELS,
+  TIME_PATTERN,
+  isValidTimezone,
+  getUserPreferences,
+  updateUserPreferences,
+} = require("../services/notificationPreferenceService");
+
+const MAX_PAGE_SIZE = 100;
+const MAX_MARK_READ = 500;
+
+// Validate the preferences array of an update request
+const validatePreferences = (preferences) => {
+  if (!Array.isArray(preferences)) {
+    throw createAppError("preferences must be an array", 400);
+  }
+  preferences.forEach((preference, index) => {
+    if (!preference || !NOTIFICATION_CATEGORIES.includes(preference.category)) {
+      throw createAppError(
+        `Preference ${index + 1}: category must be one of: ${NOTIFICATION_CATEGORIES.join(", ")}`,
+        400
+      );
+    }
+    CHANNELS.forEach((channel) => {
+      if (channel in preference && typeof preference[channel] !== "boolean") {
+        throw createAppError(
+          `Preference ${index + 1}: ${channel} must be true or false`,
+          400
+        );
+      }
+    });
+  });
+};
+
+// Validate quietHours of an update request; null turns them off
+const validateQuietHours = (quietHours) => {
+  if (quietHours === null) return;
+  if (typeof quietHours !== "object" || Array.isArray(quietHours)) {
+    throw createAppError("quietHours must be an object or null", 400);
+  }
+  const { start, end, timezone } = quietHours;
+  if (!TIME_PATTERN.test(start) || !TIME_PATTERN.test(end)) {
+    throw createAppError("quietHours start and end must be HH:MM", 400);
+  }
+  if (start === end) {
+    throw createAppError("quietHours start and end cannot be equal", 400);
+  }
+  if (timezone !== undefined && !isValidTimezone(timezone)) {
+    throw createAppError("quietHours timezone is not a valid IANA zone", 400);
+  }
+};
+
+// ============================================
+// LIST MY NOTIFICATIONS
+// ============================================
+const getMyNotifications = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, unreadOnly, type } = req.query;
+
+  const pageNumber = parseInt(page);
+  if (isNaN(pageNumber) || pageNumber < 1) {
+    throw createAppError("page must be a positive integer", 400);
+  }
+  const pageSize = parseInt(limit);
+  if (isNaN(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    throw createAppError(`limit must be between 1 and ${MAX_PAGE_SIZE}`, 400);
+  }
+
+  const [{ count, rows }, unreadCount] = await Promise.all([
+    listNotifications(req.user.userId, {
+      page: pageNumber,
+      limit: pageSize,
+      unreadOnly: unreadOnly === "true",
+      type,
+    }),
+    getUnreadCount(req.user.userId),
+  ]);
+
+  const totalPages = Math.ceil(count / pageSize);
+
+  return sendEncodedResponse(
+    res,
+    200,
+    true,
+    "Notifications fetched successfully",
+    rows,
+    {
+      unreadCount,
+      pagination: {
+        currentPage: pageNumber,
+        pageSize: pageSize,
+        totalItems: count,
+        totalPages: totalPages,
+        hasNextPage: pageNumber < totalPages,
+        hasPrevPage: pageNumber > 1,
+      },
+    }
+  );
+});
+
+// ============================================
+// UNREAD COUNT
+// ============================================
+const getMyUnreadCount = asyncHandler(async (req, res) => {
+  const unreadCount = await getUnreadCount(req.user.userId);
+
+  return sendEncodedResponse(res, 200, true, "Unread count fetched", {
+    unreadCount,
+  });
+});
+
+// ============================================
+// MARK NOTIFICATIONS READ
+// ============================================
+const markNotificationsRead = asyncHandler(async (req, res) => {
+  const { notificationIds } = req.body;
+
+  if (!Array.isArray(notificationIds) || notificationIds.length === 0) {
+    throw createAppError("notificationIds must be a non-empty array", 400);
+  }
+  if (notificationIds.length > MAX_MARK_READ) {
+    throw createAppError(
+      `Cannot mark more than ${MAX_MARK_READ} notifications at once`,
+      400
+    );
+  }
+  if (!notificationIds.every(isValidUuid)) {
+    throw createAppError("notificationIds must be valid UUIDs", 400);
+  }
+
+  const updated = await markRead(req.user.userId, notificationIds);
+  const unreadCount = await getUnreadCount(req.user.userId);
+
+  return sendEncodedResponse(res, 200, true, "Notifications marked as read", {
+    updated,
+    unreadCount,
+  });
+});
+
+// ============================================
+// MARK ALL READ
+// ============================================
+const markAllNotificationsRead = asyncHandler(async (req, res) => {
+  const updated = await markAllRead(req.user.userId);
+
+  return sendEncodedResponse(
+    res,
+    200,
+    true,
+    "All notifications marked as read",
+    { updated, unreadCount: 0 }
+  );
+});
+
+// ============================================
+// GET MY NOTIFICATION PREFERENCES
+// ============================================
+const getMyPreferences = asyncHandler(async (req, res) => {
+  const data = await getUserPreferences(req.user.userId);
+
+  return sendEncodedResponse(res, 200, true, "Preferences fetched", data);
+});
+
+// ============================================
+// UPDATE MY NOTIFICATION PREFERENCES
+// ============================================
+const updateMyPreferences = asyncHandler(async (req, res) => {
+  const { preferences, quietHours } = req.body;
+
+  if (preferences === undefined && quietHours === undefined) {
+    throw createAppError("Provide preferences and/or quietHours", 400);
+  }
+  if (preferences !== undefined) validatePreferences(preferences);
+  if (quietHours !== undefined) validateQuietHours(quietHours);
+
+  const data = await updateUserPreferences(req.user.userId, {
+    preferences,
+    quietHours,
+  });
+
+  return sendEncodedResponse(res, 200, true, "Preferences updated", data);
+});
+
+module.exports = {
+  getMyNotifications,
+  getMyUnreadCount,
+  markNotificationsRead,
+  markAllNotificationsRead,
+  getMyPreferences,
+  updateMyPreferences,
+};
@@ -9,21 +9,66 @@ const {
   PropertyCertification,
   PropertyConnectivity,
   SalesRelationship,
+  PropertyStatusTransition,
+  PropertyVerificationItem,
 } = require("../models");
 const { sequelize } = require("../config/dbConnection");
 const createAppError = require("../utils/appError");
 const { validateRequiredFields } = require("../utils/validators");
 const asyncHandler = require("../utils/asyncHandler");
-const {
-  logRequest,
-  logInsert,
-  logUpdate,
-  buildUpdateValues,
-} = require("../utils/logs");
-const { Op } = require("sequelize");
+const { logInsert, logUpdate, buildUpdateValues } = require("../utils/logs");
 const { sendEncodedResponse } = require("../utils/responseEncoder");
 const { attachSignedUrls } = require("../utils/gcsHelper");
-const { getIO } = require("../config/socket");
+const {
+  notifyUsers,
+  notifyPropertyAudience,
+} = require("../services/notificationService");
+const { queueEmail } = require("../services/emailService");
+const { dispatchWebhookEvent } = require("../services/webhookService");
+const {
+  COMPUTED_FIELDS,
+  toNumber,
+  getMonthlyRent,
+  reconcileFinancialMetrics,
+} = require("../utils/propertyFinancials");
+const {
+  CASHFLOW_SCENARIOS,
+  CASHFLOW_GRANULARITIES,
+  MAX_HORIZON_YEARS,
+  projectCashflow,
+} = require("../utils/cashflowProjection");
+const {
+  MAX_HOLDING_YEARS,
+  analyseInvestment,
+} = require("../utils/investmentAnalysis");
+const {
+  toPropertyAttributes,
+  toPropertyUpdateAttributes,
+  buildCertificationRows,
+} = require("../utils/propertyFields");
+const {
+  loadSalesWorkload,
+  pickLeastLoadedSales,
+  getSalesScope,
+} = require("../services/salesAssignmentService");
+const {
+  buildPropertyFilters,
+  getTenureLeftYears,
+} = require("../utils/propertyFilters");
+const {
+  SELLING_STATUSES,
+  getAllowedTransitions,
+  canTransition,
+  isRollback,
+} = require("../utils/sellingPipeline");
+
+// Roles allowed to tick off property verification checklist items
+const VERIFIER_ROLES = [
+  "Sales Manager",
+  "Sales Executive",
+  "Admin",
+  "Super Admin",
+];
 
 const ALLOWED_UPDATE_FIELDS = [
   "propertyType",
@@ -80,9 +125,7 @@ const ALLOWED_UPDATE_FIELDS = [
   "otherAmenities",
 ];
 
-const createProperty = asyncHandler(async (req, res, next) => {
-  const requestStartTime = Date.now();
-
+const createProperty = asyncHandler(async (req, res) => {
   const parseIfNeeded = (field) => {
     if (typeof field === "string") {
       try {
@@ -106,478 +149,288 @@ const createProperty = asyncHandler(async (req, res, next) => {
   }
 
   const {
-    propertyType,
-    carpetAreaSqft,
-    carpetAreaUnit,
-    completionYear,
-    lastRefurbished,
-    ownershipType,
-    buildingGrade,
-    parkingSlots,
-    parkingRatio,
-    powerBackupKva,
-    numberOfLifts,
-    hvacType,
-    furnishingStatus,
-    titleStatus,
-    occupancyCertificate,
-    leaseRegistration,
-    hasPendingLitigation,
-    litigationDetails,
-    reraNumber,
-    tenantType,
-    leaseStartDate,
-    leaseEndDate,
-    lockInPeriodYears,
-    lockInPeriodMonths,
-    leaseDurationYears,
-    rentType,
-    rentPerSqftMonthly,
     totalMonthlyRent,
-    securityDepositType,
-    securityDepositMonths,
-    securityDepositAmount,
-    escalationFrequencyYears,
-    annualEscalationPercent,
-    maintenanceCostsIncluded,
-    maintenanceType,
-    maintenanceAmount,
-    sellingPrice,
-    propertyTaxAnnual,
-    insuranceAnnual,
-    otherCostsAnnual,
-    additionalIncomeAnnual,
     annualGrossRent,
     grossRentalYield,
     netRentalYield,
     paybackPeriodYears,
-    microMarket,
-    city,
-    state,
-    demandDrivers,
-    upcomingDevelopments,
-    description,
-    otherAmenities,
     amenityIds,
     caretakerId,
     connectivityDetails,
     certifications,
   } = req.body;
 
-  const requestBodyLog = {
-    propertyType,
-    carpetAreaSqft,
-    carpetAreaUnit,
-    completionYear,
-    lastRefurbished,
-    ownershipType,
-    buildingGrade,
-    city,
-    state,
-    microMarket,
-    tenantType,
-    hasLeaseDetails: !!(leaseStartDate || leaseEndDate),
-    leaseDurationYears,
-    rentType,
-    hasRentalDetails: !!(rentPerSqftMonthly || totalMonthlyRent),
-    hasFinancialData: !!(sellingPrice || propertyTaxAnnual || insuranceAnnual),
-    hasCalculatedMetrics: !!(
-      annualGrossRent ||
-      grossRentalYield ||
-      netRentalYield
-    ),
-    userRole: req.userRole,
-    caretakerId: caretakerId || null,
-    amenityCount: amenityIds ? amenityIds.length : 0,
-    hasMedia: req.files && req.files.length > 0,
-    mediaCount: req.files ? req.files.length : 0,
-    connectivityCount: connectivityDetails ? connectivityDetails.length : 0,
-    certificationsCount: certifications
-      ? Object.keys(certifications).filter((k) => certifications[k]).length
-      : 0,
-  };
+  const requiredFields = ["city", "state"];
+  const missing = validateRequiredFields(requiredFields, req.body);
+  if (missing.length > 0) {
+    throw createAppError(`Missing required fields: ${missing.join(", ")}`, 400);
+  }
 
-  try {
-    const requiredFields = ["city", "state"];
-    const missing = validateRequiredFields(requiredFields, req.body);
-    if (missing.length > 0) {
-      throw createAppError(
-        `Missing required fields: ${missing.join(", ")}`,
-        400
-      );
+  const userWithRole = await User.findOne({
+    where: { userId: req.user.userId, isActive: true },
+    include: [
+      {
+        model: Role,
+        as: "roles",
+        through: { attributes: [] },
+        attributes: ["roleId", "roleName"],
+        where: { isActive: true },
+      },
+    ],
+  });
+
+  if (!userWithRole) {
+    throw createAppError("User not found or inactive", 404);
+  }
+
+  const userRole = userWithRole.roles[0].roleName;
+
+  if (caretakerId) {
+    const caretaker = await Caretaker.findOne({
+      where: { caretakerId, isActive: true },
+    });
+    if (!caretaker) {
+      throw createAppError("Invalid caretaker ID", 400);
     }
+  }
 
-    const userWithRole = await User.findOne({
-      where: { userId: req.user.userId, isActive: true },
-      include: [
-        {
-          model: Role,
-          as: "roles",
-          through: { attributes: [] },
-          attributes: ["roleId", "roleName"],
-          where: { isActive: true },
-        },
-      ],
+  if (amenityIds && amenityIds.length > 0) {
+    const validAmenities = await Amenity.findAll({
+      where: { amenityId: amenityIds, isActive: true },
+      attributes: ["amenityId"],
     });
 
-    if (!userWithRole) {
-      throw createAppError("User not found or inactive", 404);
+    if (validAmenities.length !== amenityIds.length) {
+      throw createAppError("One or more invalid amenity IDs provided", 400);
     }
+  }
 
-    const userRole = userWithRole.roles[0].roleName;
+  if (connectivityDetails && !Array.isArray(connectivityDetails)) {
+    throw createAppError("connectivityDetails must be an array", 400);
+  }
 
-    if (caretakerId) {
-      const caretaker = await Caretaker.findOne({
-        where: { caretakerId, isActive: true },
-      });
-      if (!caretaker) {
-        throw createAppError("Invalid caretaker ID", 400);
+  if (connectivityDetails && connectivityDetails.length > 0) {
+    connectivityDetails.forEach((conn, index) => {
+      if (!conn.connectivityType) {
+        throw createAppError(
+          `Connectivity entry ${index + 1}: connectivityType is required`,
+          400
+        );
       }
-    }
+      if (conn.distanceKm && isNaN(parseFloat(conn.distanceKm))) {
+        throw createAppError(
+          `Connectivity entry ${index + 1}: distanceKm must be a number`,
+          400
+        );
+      }
+    });
 
-    if (amenityIds && amenityIds.length > 0) {
-      const validAmenities = await Amenity.findAll({
-        where: { amenityId: amenityIds, isActive: true },
-        attributes: ["amenityId"],
+    for (const [index, conn] of connectivityDetails.entries()) {
+      const [message] = await PropertyConnectivity.getValidationErrors({
+        connectivityType: conn.connectivityType,
+        name: conn.name || null,
+        distanceKm: conn.distanceKm ? parseFloat(conn.distanceKm) : null,
       });
-
-      if (validAmenities.length !== amenityIds.length) {
-        throw createAppError("One or more invalid amenity IDs provided", 400);
+      if (message) {
+        throw createAppError(
+          `Connectivity entry ${index + 1}: ${message}`,
+          400
+        );
       }
     }
+  }
 
-    if (connectivityDetails && !Array.isArray(connectivityDetails)) {
-      throw createAppError("connectivityDetails must be an array", 400);
-    }
+  const assignedSalesId = pickLeastLoadedSales(await loadSalesWorkload());
 
-    if (connectivityDetails && connectivityDetails.length > 0) {
-      connectivityDetails.forEach((conn, index) => {
-        if (!conn.connectivityType) {
-          throw createAppError(
-            `Connectivity entry ${index + 1}: connectivityType is required`,
-            400
-          );
-        }
-        if (conn.distanceKm && isNaN(parseFloat(conn.distanceKm))) {
-          throw createAppError(
-            `Connectivity entry ${index + 1}: distanceKm must be a number`,
-            400
-          );
-        }
-      });
-    }
+  const result = await sequelize.transaction(async (t) => {
+    const propertyData = toPropertyAttributes(req.body);
 
-    const salesUsers = await User.findAll({
-      where: { isActive: true },
-      attributes: ["userId"],
-      include: [
-        {
-          model: Role,
-          as: "roles",
-          through: { attributes: [] },
-          where: { roleName: "Sales", isActive: true },
-          attributes: [],
-        },
-      ],
+    // ✅ Derive rent, cost, yield and payback metrics server-side
+    const { metrics, warnings } = reconcileFinancialMetrics(propertyData, {
+      totalMonthlyRent,
+      annualGrossRent,
+      grossRentalYield,
+      netRentalYield,
+      paybackPeriodYears,
     });
+    Object.assign(propertyData, metrics);
 
-    let assignedSalesId = null;
-    if (salesUsers.length > 0) {
-      const salesUserIds = salesUsers.map((u) => u.userId);
-      const propertyCounts = await Property.findAll({
-        where: { salesId: { [Op.in]: salesUserIds }, isActive: true },
-        attributes: [
-          "salesId",
-          [
-            sequelize.fn("COUNT", sequelize.col("property_id")),
-            "propertyCount",
-          ],
-        ],
-        group: ["salesId"],
-        raw: true,
-      });
-
-      const countMap = {};
-      propertyCounts.forEach((row) => {
-        countMap[row.salesId] = parseInt(row.propertyCount);
-      });
-
-      assignedSalesId = salesUserIds.reduce((minId, id) => {
-        const count = countMap[id] || 0;
-        const minCount = countMap[minId] || 0;
-        return count < minCount ? id : minId;
-      }, salesUserIds[0]);
+    if (userRole === "Owner") {
+      propertyData.ownerId = req.user.userId;
+      propertyData.brokerId = null;
+    } else if (userRole === "Broker") {
+      propertyData.brokerId = req.user.userId;
+      propertyData.ownerId = null;
     }
 
-    const result = await sequelize.transaction(async (t) => {
-      const propertyData = {
-        propertyType: propertyType || null,
-        carpetArea: carpetAreaSqft || null,
-        carpetAreaUnit: carpetAreaUnit || "Sq. Feet",
-        completionYear: completionYear || null,
-        lastRefurbishedYear: lastRefurbished || null,
-        ownershipType: ownershipType || null,
-        buildingGrade: buildingGrade || null,
-        parkingFourWheeler: parkingSlots || 0,
-        parkingTwoWheeler: parkingRatio || 0,
-        powerBackup: powerBackupKva || null,
-        numberOfLifts: numberOfLifts || null,
-        hvacType: hvacType || null,
-        furnishingStatus: furnishingStatus || null,
-        maintainedById: caretakerId || null,
-        titleStatus: titleStatus || null,
-        occupancyCertificate: occupancyCertificate || null,
-        leaseRegistration: leaseRegistration || null,
-        hasPendingLitigation:
-          hasPendingLitigation !== undefined ? hasPendingLitigation : false,
-        litigationDetails: litigationDetails || null,
-        reraNumber: reraNumber || null,
-        tenantType: tenantType || null,
-        leaseStartDate: leaseStartDate || null,
-        leaseEndDate: leaseEndDate || null,
-        lockInPeriodYears: lockInPeriodYears || null,
-        lockInPeriodMonths: lockInPeriodMonths || null,
-        leaseDurationYears: leaseDurationYears || null,
-        rentType: rentType || "Per Sq Ft",
-        rentPerSqftMonthly: rentPerSqftMonthly || null,
-        totalMonthlyRent: totalMonthlyRent || null,
-        securityDepositType: securityDepositType || "Months of Rent",
-        securityDepositMonths: securityDepositMonths || null,
-        securityDepositAmount: securityDepositAmount || null,
-        escalationFrequencyYears: escalationFrequencyYears || null,
-        annualEscalationPercent: annualEscalationPercent || null,
-        maintenanceCostsIncluded: maintenanceCostsIncluded || null,
-        maintenanceType: maintenanceType || null,
-        maintenanceAmount: maintenanceAmount || null,
-        microMarket: microMarket || null,
-        city,
-        state,
-        demandDrivers: demandDrivers || null,
-        upcomingDevelopments: upcomingDevelopments || null,
-        description: description || null,
-        additionalDescription: otherAmenities || null,
-        sellingPrice: sellingPrice || null,
-        propertyTaxAnnual: propertyTaxAnnual || null,
-        insuranceAnnual: insuranceAnnual || null,
-        otherCostsAnnual: otherCostsAnnual || null,
-        totalOperatingAnnualCosts:
-          parseFloat(propertyTaxAnnual || 0) +
-            parseFloat(insuranceAnnual || 0) +
-            parseFloat(otherCostsAnnual || 0) || null,
-        additionalIncomeAnnual: additionalIncomeAnnual || null,
-        annualGrossRent: annualGrossRent || null,
-        grossRentalYield: grossRentalYield || null,
-        netRentalYield: netRentalYield || null,
-        paybackPeriodYears: paybackPeriodYears || null,
-        isActive: true,
-      };
-
-      if (userRole === "Owner") {
-        propertyData.ownerId = req.user.userId;
-        propertyData.brokerId = null;
-      } else if (userRole === "Broker") {
-        propertyData.brokerId = req.user.userId;
-        propertyData.ownerId = null;
-      }
-
-      if (assignedSalesId) {
-        propertyData.salesId = assignedSalesId;
-      }
-
-      const property = await Property.create(propertyData, {
-        transaction: t,
-      });
-
-      if (amenityIds && amenityIds.length > 0) {
-        await property.setAmenities(amenityIds, { transaction: t });
-      }
+    if (assignedSalesId) {
+      propertyData.salesId = assignedSalesId;
+    }
 
-      let mediaRecords = [];
-      if (req.files && req.files.length > 0) {
-        mediaRecords = await Promise.all(
-          req.files.map((file) => {
-            const mediaType = file.mimetype.startsWith("video/")
-              ? "video"
-              : "photo";
-
-            return PropertyMedia.create(
-              {
-                propertyId: property.propertyId,
-                mediaType,
-                fileUrl: file.gcsPath,
-              },
-              { transaction: t }
-            );
-          })
-        );
-      }
+    const property = await Property.create(propertyData, {
+      transaction: t,
+    });
 
-      let connectivityRecords = [];
-      if (connectivityDetails && connectivityDetails.length > 0) {
-        connectivityRecords = await Promise.all(
-          connectivityDetails.map((conn) =>
-            PropertyConnectivity.create(
-              {
-                propertyId: property.propertyId,
-                connectivityType: conn.connectivityType,
-                name: conn.name || null,
-                distanceKm: conn.distanceKm
-                  ? parseFloat(conn.distanceKm)
-                  : null,
-              },
-              { transaction: t }
-            )
-          )
-        );
-      }
+    if (amenityIds && amenityIds.length > 0) {
+      await property.setAmenities(amenityIds, { transaction: t });
+    }
 
-      let certificationRecords = [];
-      if (certifications) {
-        const certificationsToInsert = [];
-        const predefinedCerts = ["RERA", "LEED", "IGBC"];
+    let mediaRecords = [];
+    if (req.files && req.files.length > 0) {
+      mediaRecords = await Promise.all(
+        req.files.map((file, index) => {
+          const mediaType = file.mimetype.startsWith("video/")
+            ? "video"
+            : "photo";
 
-        for (const certType of predefinedCerts) {
-          const certKey = certType.toLowerCase();
-          if (certifications[certKey] === true) {
-            certificationsToInsert.push({
+          return PropertyMedia.create(
+            {
               propertyId: property.propertyId,
-              certificationType: certType,
-              certificationDetails: null,
-            });
-          }
-        }
-
-        if (certifications.others && Array.isArray(certifications.others)) {
-          certifications.others.forEach((otherCert, index) => {
-            if (otherCert && otherCert.trim()) {
-              certificationsToInsert.push({
-                propertyId: property.propertyId,
-                certificationType: `OTHER_${index + 1}`,
-                certificationDetails: otherCert.trim(),
-              });
-            }
-          });
-        }
-
-        if (certificationsToInsert.length > 0) {
-          certificationRecords = await PropertyCertification.bulkCreate(
-            certificationsToInsert,
-            { transaction: t, validate: true }
+              mediaType,
+              fileUrl: file.gcsPath,
+              variants: file.variants || null,
+              ...file.videoMetadata,
+              posterUrl: file.posterPath || null,
+              displayOrder: index,
+            },
+            { transaction: t }
           );
-        }
-      }
+        })
+      );
+    }
 
-      await logInsert({
-        userId: req.user.userId,
-        entityType: "Property",
-        recordId: property.propertyId,
-        newRecord: {
-          propertyId: property.propertyId,
-          city: property.city,
-          state: property.state,
-          propertyType: property.propertyType,
-          carpetAreaSqft: property.carpetAreaSqft,
-          ownershipType: property.ownershipType,
-          buildingGrade: property.buildingGrade,
-          ownerId: property.ownerId,
-          brokerId: property.brokerId,
-          salesId: property.salesId,
-          caretakerId: property.caretakerId,
-          createdBy: userRole,
-          amenityCount: amenityIds ? amenityIds.length : 0,
-          mediaCount: mediaRecords.length,
-          connectivityCount: connectivityRecords.length,
-          certificationCount: certificationRecords.length,
-        },
-        tableName: "properties",
-        ipAddress: req.ip,
-        userAgent: req.headers["user-agent"],
-        transaction: t,
-      });
+    let connectivityRecords = [];
+    if (connectivityDetails && connectivityDetails.length > 0) {
+      connectivityRecords = await Promise.all(
+        connectivityDetails.map((conn) =>
+          PropertyConnectivity.create(
+            {
+              propertyId: property.propertyId,
+              connectivityType: conn.connectivityType,
+              name: conn.name || null,
+              distanceKm: conn.distanceKm ? parseFloat(conn.distanceKm) : null,
+            },
+            { transaction: t }
+          )
+        )
+      );
+    }
+
+    let certificationRecords = [];
+    const certificationsToInsert = buildCertificationRows(
+      property.propertyId,
+      certifications
+    );
+    if (certificationsToInsert.length > 0) {
+      certificationRecords = await PropertyCertification.bulkCreate(
+        certificationsToInsert,
+        { transaction: t, validate: true }
+      );
+    }
 
-      return {
-        property,
-        media: mediaRecords,
+    await logInsert({
+      userId: req.user.userId,
+      entityType: "Property",
+      recordId: property.propertyId,
+      newRecord: {
+        propertyId: property.propertyId,
+        city: property.city,
+        state: property.state,
+        propertyType: property.propertyType,
+        carpetAreaSqft: property.carpetAreaSqft,
+        ownershipType: property.ownershipType,
+        buildingGrade: property.buildingGrade,
+        ownerId: property.ownerId,
+        brokerId: property.brokerId,
+        salesId: property.salesId,
+        caretakerId: property.caretakerId,
+        createdBy: userRole,
         amenityCount: amenityIds ? amenityIds.length : 0,
+        mediaCount: mediaRecords.length,
         connectivityCount: connectivityRecords.length,
         certificationCount: certificationRecords.length,
-        createdByRole: userRole,
-      };
+      },
+      tableName: "properties",
+      ipAddress: req.ip,
+      userAgent: req.headers["user-agent"],
+      transaction: t,
     });
 
-    const data = {
+    return {
+      property,
+      media: mediaRecords,
+      amenityCount: amenityIds ? amenityIds.length : 0,
+      connectivityCount: connectivityRecords.length,
+      certificationCount: certificationRecords.length,
+      createdByRole: userRole,
+      financialWarnings: warnings,
+    };
+  });
+
+  const data = {
+    propertyId: result.property.propertyId,
+    city: result.property.city,
+    state: result.property.state,
+    propertyType: result.property.propertyType,
+    createdBy: result.createdByRole,
+    ownerId: result.property.ownerId,
+    brokerId: result.property.brokerId,
+    salesId: result.property.salesId,
+    caretakerId: result.property.caretakerId,
+    amenityCount: result.amenityCount,
+    mediaCount: result.media.length,
+    connectivityCount: result.connectivityCount,
+    certificationCount: result.certificationCount,
+    financialMetrics: {
+      totalMonthlyRent: result.property.totalMonthlyRent,
+      annualGrossRent: result.property.annualGrossRent,
+      totalOperatingAnnualCosts: result.property.totalOperatingAnnualCosts,
+      grossRentalYield: result.property.grossRentalYield,
+      netRentalYield: result.property.netRentalYield,
+      paybackPeriodYears: result.property.paybackPeriodYears,
+    },
+    validationWarnings: result.financialWarnings,
+  };
+
+  await notifyPropertyAudience(
+    result.property,
+    "property:created",
+    {
       propertyId: result.property.propertyId,
       city: result.property.city,
       state: result.property.state,
       propertyType: result.property.propertyType,
-      createdBy: result.createdByRole,
-      ownerId: result.property.ownerId,
-      brokerId: result.property.brokerId,
-      salesId: result.property.salesId,
-      caretakerId: result.property.caretakerId,
-      amenityCount: result.amenityCount,
-      mediaCount: result.media.length,
-      connectivityCount: result.connectivityCount,
-      certificationCount: result.certificationCount,
-    };
-
-    await logRequest(
-      req,
-      {
-        userId: req.user.userId,
-        status: 201,
-        body: { success: true, message: "Property created successfully" },
-        requestBodyLog: {
-          ...requestBodyLog,
-          propertyId: result.property.propertyId,
-          createdByRole: result.createdByRole,
-        },
-      },
-      requestStartTime
-    );
-
-    try {
-      const io = getIO();
-      io.emit("property:created", {
-        propertyId: result.property.propertyId,
-        city: result.property.city,
-        state: result.property.state,
-        propertyType: result.property.propertyType,
-        createdBy: req.user.userId,
-        createdByRole: result.createdByRole,
-        timestamp: new Date().toISOString(),
-      });
-    } catch (socketErr) {
-      console.error("Socket notification failed:", socketErr.message);
+      createdBy: req.user.userId,
+      createdByRole: result.createdByRole,
+      timestamp: new Date().toISOString(),
+    },
+    {
+      propertyId: result.property.propertyId,
+      excludeUserId: req.user.userId,
     }
-
-    return sendEncodedResponse(
-      res,
-      201,
-      true,
-      "Property created successfully",
-      data
-    );
-  } catch (error) {
-    await logRequest(
-      req,
-      {
-        userId: req.user?.userId || null,
-        status: error.statusCode || 500,
-        body: { success: false, message: error.message },
-        requestBodyLog,
-        error: error.message,
-        stackTrace: error.stack,
-      },
-      requestStartTime
-    );
-
-    return next(error);
-  }
+  );
+  await dispatchWebhookEvent("property.created", {
+    propertyId: result.property.propertyId,
+    propertyType: result.property.propertyType,
+    city: result.property.city,
+    state: result.property.state,
+    ownerId: result.property.ownerId,
+    brokerId: result.property.brokerId,
+    salesId: result.property.salesId,
+    createdBy: req.user.userId,
+    createdByRole: result.createdByRole,
+  });
+
+  return sendEncodedResponse(
+    res,
+    201,
+    true,
+    "Property created successfully",
+    data
+  );
 });
 
-const updateProperty = asyncHandler(async (req, res, next) => {
-  const requestStartTime = Date.now();
+const updateProperty = asyncHandler(async (req, res) => {
   const { propertyId } = req.params;
 
   const parseIfNeeded = (field) => {
@@ -602,618 +455,948 @@ const updateProperty = asyncHandler(async (req, res, next) => {
     req.body.amenityIds = parseIfNeeded(req.body.amenityIds);
   }
 
-  const requestBodyLog = {
+  const userRole = req.userRole;
+
+  let whereCondition = {
     propertyId,
-    userRole: req.userRole,
-    updatedFields: Object.keys(req.body).filter(
-      (key) =>
-        key !== "ownerId" &&
-        key !== "propertyId" &&
-        key !== "brokerId" &&
-        key !== "amenityIds"
-    ),
-    hasNewMedia: req.files && req.files.length > 0,
-    newMediaCount: req.files ? req.files.length : 0,
-    amenityUpdate: req.body.amenityIds ? true : false,
+    isActive: true,
   };
 
-  try {
-    const userRole = req.userRole;
+  if (userRole === "Owner") {
+    whereCondition.ownerId = req.user.userId;
+  } else if (userRole === "Broker") {
+    whereCondition.brokerId = req.user.userId;
+  }
 
-    let whereCondition = {
-      propertyId,
-      isActive: true,
-    };
+  const existingProperty = await Property.findOne({
+    where: whereCondition,
+  });
 
-    if (userRole === "Owner") {
-      whereCondition.ownerId = req.user.userId;
-    } else if (userRole === "Broker") {
-      whereCondition.brokerId = req.user.userId;
+  if (!existingProperty) {
+    throw createAppError(
+      "Property not found or you don't have permission to update it",
+      404
+    );
+  }
+
+  const oldRecord = existingProperty.toJSON();
+  const { amenityIds, caretakerId } = req.body;
+
+  const requestFields = {};
+  for (const field of ALLOWED_UPDATE_FIELDS) {
+    if (req.body[field] !== undefined) {
+      requestFields[field] = req.body[field];
+    }
+  }
+
+  if (caretakerId !== undefined) {
+    if (caretakerId !== null) {
+      const caretaker = await Caretaker.findOne({
+        where: { caretakerId, isActive: true },
+      });
+      if (!caretaker) {
+        throw createAppError("Invalid caretaker ID", 400);
+      }
     }
+    requestFields.caretakerId = caretakerId;
+  }
 
-    const existingProperty = await Property.findOne({
-      where: whereCondition,
+  if (amenityIds && amenityIds.length > 0) {
+    const validAmenities = await Amenity.findAll({
+      where: { amenityId: amenityIds, isActive: true },
+      attributes: ["amenityId"],
     });
 
-    if (!existingProperty) {
-      throw createAppError(
-        "Property not found or you don't have permission to update it",
-        404
-      );
+    if (validAmenities.length !== amenityIds.length) {
+      throw createAppError("One or more invalid amenity IDs provided", 400);
     }
+  }
 
-    const oldRecord = existingProperty.toJSON();
-    const { amenityIds, caretakerId } = req.body;
+  if (req.body.ownerId || req.body.propertyId || req.body.brokerId) {
+    console.warn(
+      `Attempt to update protected fields by user ${req.user.userId} (role: ${userRole})`
+    );
+  }
 
-    const updateData = {};
-    for (const field of ALLOWED_UPDATE_FIELDS) {
-      if (req.body[field] !== undefined) {
-        updateData[field] = req.body[field];
-      }
+  if (
+    Object.keys(requestFields).length === 0 &&
+    (!req.files || req.files.length === 0) &&
+    !amenityIds
+  ) {
+    throw createAppError("No fields to update", 400);
+  }
+
+  // ✅ Request names (carpetAreaSqft, ...) mapped to model attributes, then
+  // financial metrics recomputed against the merged (stored + new) values
+  const updateData = toPropertyUpdateAttributes(requestFields);
+  const { metrics, warnings: financialWarnings } = reconcileFinancialMetrics(
+    { ...oldRecord, ...updateData },
+    requestFields,
+    oldRecord
+  );
+  COMPUTED_FIELDS.forEach((field) => {
+    if (toNumber(oldRecord[field]) !== metrics[field]) {
+      updateData[field] = metrics[field];
+    } else {
+      delete updateData[field];
     }
+  });
 
-    if (caretakerId !== undefined) {
-      if (caretakerId !== null) {
-        const caretaker = await Caretaker.findOne({
-          where: { caretakerId, isActive: true },
-        });
-        if (!caretaker) {
-          throw createAppError("Invalid caretaker ID", 400);
-        }
-      }
-      updateData.caretakerId = caretakerId;
+  const result = await sequelize.transaction(async (t) => {
+    if (Object.keys(updateData).length > 0) {
+      await existingProperty.update(updateData, { transaction: t });
     }
 
-    if (amenityIds && amenityIds.length > 0) {
-      const validAmenities = await Amenity.findAll({
-        where: { amenityId: amenityIds, isActive: true },
+    let oldAmenityIds = [];
+    if (amenityIds) {
+      const oldAmenities = await existingProperty.getAmenities({
         attributes: ["amenityId"],
+        raw: true,
+        transaction: t,
       });
-
-      if (validAmenities.length !== amenityIds.length) {
-        throw createAppError("One or more invalid amenity IDs provided", 400);
-      }
+      oldAmenityIds = oldAmenities.map((a) => a.amenityId);
+      await existingProperty.setAmenities(amenityIds, { transaction: t });
     }
 
-    if (req.body.ownerId || req.body.propertyId || req.body.brokerId) {
-      console.warn(
-        `Attempt to update protected fields by user ${req.user.userId} (role: ${userRole})`
+    let newMediaRecords = [];
+    if (req.files && req.files.length > 0) {
+      // New uploads go after the existing media
+      const lastOrder = await PropertyMedia.max("displayOrder", {
+        where: { propertyId },
+        transaction: t,
+      });
+      const nextOrder = lastOrder === null ? 0 : lastOrder + 1;
+
+      newMediaRecords = await Promise.all(
+        req.files.map((file, index) => {
+          const mediaType = file.mimetype.startsWith("video/")
+            ? "video"
+            : "photo";
+
+          return PropertyMedia.create(
+            {
+              propertyId,
+              mediaType,
+              fileUrl: file.gcsPath,
+              variants: file.variants || null,
+              ...file.videoMetadata,
+              posterUrl: file.posterPath || null,
+              displayOrder: nextOrder + index,
+            },
+            { transaction: t }
+          );
+        })
       );
     }
 
-    if (
-      Object.keys(updateData).length === 0 &&
-      (!req.files || req.files.length === 0) &&
-      !amenityIds
-    ) {
-      throw createAppError("No fields to update", 400);
-    }
-
-    const result = await sequelize.transaction(async (t) => {
-      if (Object.keys(updateData).length > 0) {
-        await existingProperty.update(updateData, { transaction: t });
-      }
-
-      let oldAmenityIds = [];
-      if (amenityIds) {
-        const oldAmenities = await existingProperty.getAmenities({
-          attributes: ["amenityId"],
-          raw: true,
-          transaction: t,
-        });
-        oldAmenityIds = oldAmenities.map((a) => a.amenityId);
-        await existingProperty.setAmenities(amenityIds, { transaction: t });
-      }
+    const { oldValues, newValues } = buildUpdateValues(oldRecord, updateData);
 
-      let newMediaRecords = [];
-      if (req.files && req.files.length > 0) {
-        newMediaRecords = await Promise.all(
-          req.files.map((file) => {
-            const mediaType = file.mimetype.startsWith("video/")
-              ? "video"
-              : "photo";
-
-            return PropertyMedia.create(
-              {
-                propertyId,
-                mediaType,
-                fileUrl: file.gcsPath,
-              },
-              { transaction: t }
-            );
-          })
-        );
-      }
+    if (amenityIds) {
+      oldValues.amenityIds = oldAmenityIds;
+      newValues.amenityIds = amenityIds;
+    }
 
-      const { oldValues, newValues } = buildUpdateValues(oldRecord, updateData);
+    if (newMediaRecords.length > 0) {
+      newValues.mediaAdded = newMediaRecords.length;
+    }
 
-      if (amenityIds) {
-        oldValues.amenityIds = oldAmenityIds;
-        newValues.amenityIds = amenityIds;
-      }
+    newValues.updatedBy = userRole;
+
+    await logUpdate({
+      userId: req.user.userId,
+      entityType: "Property",
+      recordId: propertyId,
+      oldValues,
+      newValues,
+      tableName: "properties",
+      ipAddress: req.ip,
+      userAgent: req.headers["user-agent"],
+      transaction: t,
+    });
 
-      if (newMediaRecords.length > 0) {
-        newValues.mediaAdded = newMediaRecords.length;
-      }
+    return {
+      property: existingProperty,
+      updatedFields: Object.keys(updateData),
+      newMedia: newMediaRecords,
+      amenitiesUpdated: amenityIds ? true : false,
+    };
+  });
+
+  const data = {
+    propertyId: result.property.propertyId,
+    updatedBy: userRole,
+    updatedFields: result.updatedFields,
+    newMediaCount: result.newMedia.length,
+    amenitiesUpdated: result.amenitiesUpdated,
+    validationWarnings: financialWarnings,
+  };
 
-      newValues.updatedBy = userRole;
+  const prop = result.property;
+  await notifyUsers(
+    [prop.ownerId, prop.brokerId],
+    "property:updated",
+    {
+      propertyId: prop.propertyId,
+      updatedFields: result.updatedFields,
+      updatedBy: req.user.userId,
+      timestamp: new Date().toISOString(),
+    },
+    { propertyId: prop.propertyId }
+  );
+  await dispatchWebhookEvent("property.updated", {
+    propertyId: prop.propertyId,
+    updatedFields: result.updatedFields,
+    updatedBy: req.user.userId,
+  });
+
+  return sendEncodedResponse(
+    res,
+    200,
+    true,
+    "Property updated successfully",
+    data
+  );
+});
 
-      await logUpdate({
-        userId: req.user.userId,
-        entityType: "Property",
-        recordId: propertyId,
-        oldValues,
-        newValues,
-        tableName: "properties",
-        ipAddress: req.ip,
-        userAgent: req.headers["user-agent"],
-        transaction: t,
-      });
+const deleteProperty = asyncHandler(async (req, res) => {
+  const { propertyId } = req.params;
 
-      return {
-        property: existingProperty,
-        updatedFields: Object.keys(updateData),
-        newMedia: newMediaRecords,
-        amenitiesUpdated: amenityIds ? true : false,
-      };
-    });
+  const userRole = req.userRole;
 
-    const data = {
-      propertyId: result.property.propertyId,
-      updatedBy: userRole,
-      updatedFields: result.updatedFields,
-      newMediaCount: result.newMedia.length,
-      amenitiesUpdated: result.amenitiesUpdated,
-    };
+  let whereCondition = {
+    propertyId,
+    isActive: true,
+  };
 
-    await logRequest(
-      req,
-      {
-        userId: req.user.userId,
-        status: 200,
-        body: { success: true, message: "Property updated successfully" },
-        requestBodyLog,
-      },
-      requestStartTime
-    );
+  if (userRole === "Owner") {
+    whereCondition.ownerId = req.user.userId;
+  } else if (userRole === "Broker") {
+    whereCondition.brokerId = req.user.userId;
+  }
 
-    try {
-      const io = getIO();
-      const prop = result.property;
-      const notifyUserIds = [prop.ownerId, prop.brokerId].filter(Boolean);
-      notifyUserIds.forEach((uid) => {
-        io.to(`user:${uid}`).emit("property:updated", {
-          propertyId: prop.propertyId,
-          updatedFields: result.updatedFields,
-          updatedBy: req.user.userId,
-          timestamp: new Date().toISOString(),
-        });
-      });
-    } catch (socketErr) {
-      console.error("Socket notification failed:", socketErr.message);
-    }
+  const existingProperty = await Property.findOne({
+    where: whereCondition,
+  });
 
-    return sendEncodedResponse(
-      res,
-      200,
-      true,
-      "Property updated successfully",
-      data
+  if (!existingProperty) {
+    throw createAppError(
+      "Property not found or you don't have permission to delete it",
+      404
     );
-  } catch (error) {
-    await logRequest(
-      req,
-      {
-        userId: req.user?.userId || null,
-        status: error.statusCode || 500,
-        body: { success: false, message: error.message },
-        requestBodyLog,
-        error: error.message,
-        stackTrace: error.stack,
-      },
-      requestStartTime
-    );
-
-    return next(error);
   }
-});
 
-const getAllAmenities = asyncHandler(async (req, res, next) => {
-  const requestStartTime = Date.now();
+  await sequelize.transaction(async (t) => {
+    await existingProperty.update({ isActive: false }, { transaction: t });
+
+    await logUpdate({
+      userId: req.user.userId,
+      entityType: "Property",
+      recordId: propertyId,
+      oldValues: { isActive: true },
+      newValues: { isActive: false, deletedBy: userRole },
+      tableName: "properties",
+      ipAddress: req.ip,
+      userAgent: req.headers["user-agent"],
+      transaction: t,
+    });
+  });
 
-  const requestBodyLog = {
-    userId: req.user?.userId || null,
-    endpoint: "/api/v1/amenities",
+  const data = {
+    propertyId,
+    deletedBy: userRole,
+    deletedAt: new Date(),
   };
 
-  try {
-    const amenities = await Amenity.findAll({
-      where: { isActive: true },
-      attributes: ["amenityId", "amenityName"],
-      order: [["amenityName", "ASC"]],
-      raw: true,
-    });
-
-    await logRequest(
-      req,
-      {
-        userId: req.user?.userId || null,
-        status: 200,
-        body: {
-          success: true,
-          message: "Amenities fetched successfully",
-          count: amenities.length,
-        },
-        requestBodyLog,
-      },
-      requestStartTime
-    );
+  await notifyUsers(
+    [
+      existingProperty.ownerId,
+      existingProperty.brokerId,
+      existingProperty.salesId,
+    ],
+    "property:deleted",
+    {
+      propertyId,
+      deletedBy: req.user.userId,
+      timestamp: new Date().toISOString(),
+    },
+    { propertyId, excludeUserId: req.user.userId }
+  );
+
+  return sendEncodedResponse(
+    res,
+    200,
+    true,
+    "Property deleted successfully",
+    data
+  );
+});
 
-    return sendEncodedResponse(
-      res,
-      200,
-      true,
-      "Amenities fetched successfully",
-      amenities,
-      { count: amenities.length }
-    );
-  } catch (error) {
-    await logRequest(
-      req,
-      {
-        userId: req.user?.userId || null,
-        status: error.statusCode || 500,
-        body: { success: false, message: error.message },
-        requestBodyLog,
-        error: error.message,
-        stackTrace: error.stack,
-      },
-      requestStartTime
-    );
+const updateSellingStatus = asyncHandler(async (req, res) => {
+  const { propertyId } = req.params;
+  const { sellingStatus, remark } = req.body;
 
-    return next(error);
+  if (!sellingStatus) {
+    throw createAppError("sellingStatus is required", 400);
   }
-});
 
-const getAllCaretakers = asyncHandler(async (req, res, next) => {
-  const requestStartTime = Date.now();
+  if (!SELLING_STATUSES.includes(sellingStatus)) {
+    throw createAppError(
+      `Invalid selling status. Must be one of: ${SELLING_STATUSES.join(", ")}`,
+      400
+    );
+  }
 
-  const requestBodyLog = {
-    userId: req.user?.userId || null,
-    endpoint: "/api/v1/caretakers",
-  };
+  const property = await Property.findOne({
+    where: { propertyId, isActive: true },
+    attributes: [
+      "propertyId",
+      "ownerId",
+      "brokerId",
+      "salesId",
+      "sellingStatus",
+      "propertyType",
+      "city",
+      "state",
+    ],
+  });
+
+  if (!property) {
+    throw createAppError("Property not found", 404);
+  }
 
-  try {
-    const caretakers = await Caretaker.findAll({
-      where: { isActive: true },
-      attributes: ["caretakerId", "caretakerName"],
-      order: [["caretakerName", "ASC"]],
-      raw: true,
-    });
+  // ✅ Admins, the assigned sales person or their Sales Manager only
+  const roleNames = req.user.roles.map((r) => r.roleName);
+  const isAdmin = roleNames.some((r) => ["Admin", "Super Admin"].includes(r));
+  let isAllowed = isAdmin || property.salesId === req.user.userId;
 
-    await logRequest(
-      req,
-      {
-        userId: req.user?.userId || null,
-        status: 200,
-        body: {
-          success: true,
-          message: "Caretakers fetched successfully",
-          count: caretakers.length,
-        },
-        requestBodyLog,
+  if (!isAllowed && property.salesId && roleNames.includes("Sales Manager")) {
+    const relationship = await SalesRelationship.findOne({
+      where: {
+        salesManagerId: req.user.userId,
+        salesExecutiveId: property.salesId,
+        isActive: true,
       },
-      requestStartTime
-    );
+      attributes: ["id"],
+    });
+    isAllowed = !!relationship;
+  }
 
-    return sendEncodedResponse(
-      res,
-      200,
-      true,
-      "Caretakers fetched successfully",
-      caretakers,
-      { count: caretakers.length }
-    );
-  } catch (error) {
-    await logRequest(
-      req,
-      {
-        userId: req.user?.userId || null,
-        status: error.statusCode || 500,
-        body: { success: false, message: error.message },
-        requestBodyLog,
-        error: error.message,
-        stackTrace: error.stack,
-      },
-      requestStartTime
+  if (!isAllowed) {
+    throw createAppError(
+      "Only the assigned sales person, their Sales Manager or an admin can change the selling status",
+      403
     );
-
-    return next(error);
   }
-});
-
-const compareProperties = asyncHandler(async (req, res, next) => {
-  const requestStartTime = Date.now();
 
-  const { propertyIds } = req.query;
+  const result = await sequelize.transaction(async (t) => {
+    // Lock the row so concurrent moves can't skip the state check
+    const lockedProperty = await Property.findOne({
+      where: { propertyId, isActive: true },
+      transaction: t,
+      lock: t.LOCK.UPDATE,
+    });
 
-  const requestBodyLog = {
-    endpoint: "/api/properties/compare",
-    propertyIds: propertyIds || null,
-    isPublic: true,
-  };
+    const fromStatus = lockedProperty.sellingStatus;
 
-  try {
-    if (!propertyIds) {
+    if (fromStatus === sellingStatus) {
       throw createAppError(
-        "propertyIds query parameter is required (comma-separated UUIDs)",
+        `Property is already in '${sellingStatus}' stage`,
         400
       );
     }
 
-    const propertyIdArray = propertyIds.split(",").map((id) => id.trim());
-
-    if (propertyIdArray.length < 2) {
+    if (!canTransition(fromStatus, sellingStatus)) {
+      const allowed = getAllowedTransitions(fromStatus);
       throw createAppError(
-        "At least 2 property IDs are required for comparison",
+        `Cannot move from '${fromStatus}' to '${sellingStatus}'. Allowed: ${
+          allowed.length > 0 ? allowed.join(", ") : "none (final stage)"
+        }`,
         400
       );
     }
 
-    if (propertyIdArray.length > 3) {
-      throw createAppError("Maximum 3 properties can be compared at once", 400);
+    const rollback = isRollback(fromStatus, sellingStatus);
+    if (rollback && !remark) {
+      throw createAppError("remark is required when rolling back", 400);
     }
 
-    const uuidRegex =
-      /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
-    const invalidIds = propertyIdArray.filter((id) => !uuidRegex.test(id));
+    await lockedProperty.update({ sellingStatus }, { transaction: t });
+
+    const transition = await PropertyStatusTransition.create(
+      {
+        propertyId,
+        fromStatus,
+        toStatus: sellingStatus,
+        isRollback: rollback,
+        changedBy: req.user.userId,
+        remark: remark || null,
+      },
+      { transaction: t }
+    );
+
+    await logUpdate({
+      userId: req.user.userId,
+      entityType: "Property",
+      recordId: propertyId,
+      oldValues: { sellingStatus: fromStatus },
+      newValues: {
+        sellingStatus,
+        isRollback: rollback,
+        transitionId: transition.transitionId,
+        updatedBy: req.user.role,
+      },
+      tableName: "properties",
+      ipAddress: req.ip,
+      userAgent: req.headers["user-agent"],
+      transaction: t,
+    });
+
+    return { transition, fromStatus, rollback };
+  });
+
+  const data = {
+    propertyId,
+    transitionId: result.transition.transitionId,
+    fromStatus: result.fromStatus,
+    toStatus: sellingStatus,
+    isRollback: result.rollback,
+    remark: result.transition.remark,
+    changedBy: req.user.userId,
+    changedAt: result.transition.createdAt,
+    allowedNextStatuses: getAllowedTransitions(sellingStatus),
+  };
+
+  await notifyUsers(
+    [property.ownerId, property.brokerId, property.salesId],
+    "property:statusChanged",
+    {
+      propertyId,
+      fromStatus: result.fromStatus,
+      toStatus: sellingStatus,
+      isRollback: result.rollback,
+      changedBy: req.user.userId,
+      timestamp: new Date().toISOString(),
+    },
+    { propertyId, excludeUserId: req.user.userId }
+  );
+  await queueEmail(
+    [property.ownerId, property.brokerId, property.salesId],
+    "propertyStatusChanged",
+    {
+      property: property.toJSON(),
+      fromStatus: result.fromStatus,
+      toStatus: sellingStatus,
+      remark: result.transition.remark,
+    },
+    { excludeUserId: req.user.userId }
+  );
+  await dispatchWebhookEvent("property.statusChanged", {
+    propertyId,
+    fromStatus: result.fromStatus,
+    toStatus: sellingStatus,
+    isRollback: result.rollback,
+    remark: result.transition.remark,
+    changedBy: req.user.userId,
+  });
+
+  return sendEncodedResponse(
+    res,
+    200,
+    true,
+    "Selling status updated successfully",
+    data
+  );
+});
+
+const getPropertyVerification = asyncHandler(async (req, res) => {
+  const { propertyId } = req.params;
 
-    if (invalidIds.length > 0) {
+  const property = await Property.findOne({
+    where: { propertyId, isActive: true },
+    attributes: ["propertyId", "ownerId", "brokerId", "isVerified"],
+  });
+
+  if (!property) {
+    throw createAppError("Property not found", 404);
+  }
+
+  // ✅ Verifiers (sales/admin) or the property's own owner/broker
+  const roleNames = req.user.roles.map((r) => r.roleName);
+  const isVerifier = roleNames.some((r) => VERIFIER_ROLES.includes(r));
+  const isListedBy = [property.ownerId, property.brokerId].includes(
+    req.user.userId
+  );
+
+  if (!isVerifier && !isListedBy) {
+    throw createAppError(
+      "You don't have permission to view this property's verification",
+      403
+    );
+  }
+
+  const items = await PropertyVerificationItem.findAll({
+    where: { propertyId },
+  });
+
+  const data = {
+    propertyId,
+    isVerified: property.isVerified,
+    checklist: PropertyVerificationItem.buildChecklist(items),
+  };
+
+  return sendEncodedResponse(
+    res,
+    200,
+    true,
+    "Verification fetched successfully",
+    data
+  );
+});
+
+const updatePropertyVerification = asyncHandler(async (req, res) => {
+  const { propertyId } = req.params;
+  const { items } = req.body;
+
+  if (!Array.isArray(items) || items.length === 0) {
+    throw createAppError("items must be a non-empty array", 400);
+  }
+
+  const validKeys = Object.keys(PropertyVerificationItem.VERIFICATION_ITEMS);
+  items.forEach((item, index) => {
+    if (!item || !validKeys.includes(item.itemKey)) {
       throw createAppError(
-        `Invalid UUID format for property IDs: ${invalidIds.join(", ")}`,
+        `Item ${index + 1}: itemKey must be one of: ${validKeys.join(", ")}`,
         400
       );
     }
+    if (typeof item.isChecked !== "boolean") {
+      throw createAppError(
+        `Item ${index + 1}: isChecked must be true or false`,
+        400
+      );
+    }
+  });
 
-    const properties = await Property.findAll({
-      where: {
-        propertyId: propertyIdArray,
-        isActive: true,
-      },
-      attributes: [
-        "propertyId",
-        "propertyType",
-        "carpetArea",
-        "carpetAreaUnit",
-        "completionYear",
-        "lastRefurbishedYear",
-        "buildingGrade",
-        "ownershipType",
-        "parkingTwoWheeler",
-        "parkingFourWheeler",
-        "powerBackup",
-        "numberOfLifts",
-        "hvacType",
-        "furnishingStatus",
-        "titleStatus",
-        "occupancyCertificate",
-        "leaseRegistration",
-        "hasPendingLitigation",
-        "reraNumber",
-        "tenantType",
-        "leaseStartDate",
-        "leaseEndDate",
-        "lockInPeriodYears",
-        "lockInPeriodMonths",
-        "leaseDurationYears",
-        "rentType",
-        "rentPerSqftMonthly",
-        "totalMonthlyRent",
-        "securityDepositType",
-        "securityDepositMonths",
-        "securityDepositAmount",
-        "escalationFrequencyYears",
-        "annualEscalationPercent",
-        "maintenanceCostsIncluded",
-        "maintenanceType",
-        "maintenanceAmount",
-        "microMarket",
-        "city",
-        "state",
-        "sellingPrice",
-        "propertyTaxAnnual",
-        "insuranceAnnual",
-        "otherCostsAnnual",
-        "totalOperatingAnnualCosts",
-        "additionalIncomeAnnual",
-        "annualGrossRent",
-        "grossRentalYield",
-        "netRentalYield",
-        "paybackPeriodYears",
-        "description",
-        "additionalDescription",
-      ],
-      include: [
-        {
-          model: Amenity,
-          as: "amenities",
-          attributes: ["amenityId", "amenityName"],
-          through: { attributes: [] },
-          where: { isActive: true },
-          required: false,
-        },
-        {
-          model: PropertyMedia,
-          as: "media",
-          attributes: ["mediaId", "mediaType", "fileUrl"],
-          required: false,
-          limit: 5,
-        },
-        {
-          model: Caretaker,
-          as: "caretaker",
-          attributes: ["caretakerId", "caretakerName"],
-          where: { isActive: true },
-          required: false,
-        },
-      ],
-      order: [
-        [
-          sequelize.literal(
-            `CASE ${propertyIdArray
-              .map(
-                (id, index) =>
-                  `WHEN "Property"."property_id" = '${id}' THEN ${index}`
-              )
-              .join(" ")} END`
-          ),
-        ],
-      ],
+  const property = await Property.findOne({
+    where: { propertyId, isActive: true },
+  });
+
+  if (!property) {
+    throw createAppError("Property not found", 404);
+  }
+
+  const result = await sequelize.transaction(async (t) => {
+    const existingItems = await PropertyVerificationItem.findAll({
+      where: { propertyId },
+      transaction: t,
+    });
+    const existingByKey = {};
+    existingItems.forEach((item) => {
+      existingByKey[item.itemKey] = item;
     });
 
-    if (properties.length === 0) {
-      throw createAppError("No active properties found with provided IDs", 404);
+    const oldChecklist = {};
+    const newChecklist = {};
+
+    for (const item of items) {
+      const existing = existingByKey[item.itemKey];
+      const wasChecked = existing ? existing.isChecked : false;
+      const oldRemarks = existing ? existing.remarks : null;
+      const remarks = item.remarks !== undefined ? item.remarks : oldRemarks;
+
+      // Skip items the request doesn't actually change
+      if (wasChecked === item.isChecked && oldRemarks === remarks) {
+        continue;
+      }
+
+      oldChecklist[item.itemKey] = wasChecked;
+      newChecklist[item.itemKey] = item.isChecked;
+
+      const values = {
+        isChecked: item.isChecked,
+        checkedBy: item.isChecked ? req.user.userId : null,
+        checkedAt: item.isChecked ? new Date() : null,
+        remarks,
+      };
+
+      if (existing) {
+        await existing.update(values, { transaction: t });
+      } else {
+        existingByKey[item.itemKey] = await PropertyVerificationItem.create(
+          { propertyId, itemKey: item.itemKey, ...values },
+          { transaction: t }
+        );
+      }
     }
 
-    if (properties.length < propertyIdArray.length) {
-      const foundIds = properties.map((p) => p.propertyId);
-      const notFoundIds = propertyIdArray.filter(
-        (id) => !foundIds.includes(id)
-      );
-      console.warn(
-        `Some properties not found or inactive: ${notFoundIds.join(", ")}`
-      );
+    const allItems = Object.values(existingByKey);
+    const oldStatus = property.isVerified;
+    const newStatus = PropertyVerificationItem.deriveStatus(allItems);
+
+    if (newStatus !== oldStatus) {
+      await property.update({ isVerified: newStatus }, { transaction: t });
     }
 
-    const comparisonProperties = await Promise.all(
-      properties.map(async (property) => ({
-        propertyId: property.propertyId,
-        basicInfo: {
-          propertyType: property.propertyType,
-          carpetArea: property.carpetArea,
-          carpetAreaUnit: property.carpetAreaUnit,
-          completionYear: property.completionYear,
-          lastRefurbishedYear: property.lastRefurbishedYear,
-          buildingGrade: property.buildingGrade,
-          ownershipType: property.ownershipType,
-        },
-        location: {
-          microMarket: property.microMarket,
-          city: property.city,
-          state: property.state,
-        },
-        parking: {
-          twoWheeler: property.parkingTwoWheeler,
-          fourWheeler: property.parkingFourWheeler,
-        },
-        infrastructure: {
-          powerBackup: property.powerBackup,
-          numberOfLifts: property.numberOfLifts,
-          hvacType: property.hvacType,
-          furnishingStatus: property.furnishingStatus,
-        },
-        legal: {
-          titleStatus: property.titleStatus,
-          occupancyCertificate: property.occupancyCertificate,
-          leaseRegistration: property.leaseRegistration,
-          hasPendingLitigation: property.hasPendingLitigation,
-          reraNumber: property.reraNumber,
-        },
-        leaseDetails: {
-          tenantType: property.tenantType,
-          leaseStartDate: property.leaseStartDate,
-          leaseEndDate: property.leaseEndDate,
-          lockInPeriod: {
-            years: property.lockInPeriodYears,
-            months: property.lockInPeriodMonths,
-          },
-          leaseDurationYears: property.leaseDurationYears,
-        },
-        rental: {
-          rentType: property.rentType,
-          rentPerSqftMonthly: property.rentPerSqftMonthly,
-          totalMonthlyRent: property.totalMonthlyRent,
-          securityDeposit: {
-            type: property.securityDepositType,
-            months: property.securityDepositMonths,
-            amount: property.securityDepositAmount,
-          },
-        },
-        escalationAndMaintenance: {
-          escalationFrequencyYears: property.escalationFrequencyYears,
-          annualEscalationPercent: property.annualEscalationPercent,
-          maintenanceCostsIncluded: property.maintenanceCostsIncluded,
-          maintenanceType: property.maintenanceType,
-          maintenanceAmount: property.maintenanceAmount,
-        },
-        financial: {
-          sellingPrice: property.sellingPrice,
-          propertyTaxAnnual: property.propertyTaxAnnual,
-          insuranceAnnual: property.insuranceAnnual,
-          otherCostsAnnual: property.otherCostsAnnual,
-          totalOperatingAnnualCosts: property.totalOperatingAnnualCosts,
-          additionalIncomeAnnual: property.additionalIncomeAnnual,
-          annualGrossRent: property.annualGrossRent,
-          grossRentalYield: property.grossRentalYield,
-          netRentalYield: property.netRentalYield,
-          paybackPeriodYears: property.paybackPeriodYears,
+    if (Object.keys(newChecklist).length > 0) {
+      await logUpdate({
+        userId: req.user.userId,
+        entityType: "Property",
+        recordId: propertyId,
+        oldValues: { isVerified: oldStatus, checklist: oldChecklist },
+        newValues: {
+          isVerified: newStatus,
+          checklist: newChecklist,
+          updatedBy: req.user.role,
         },
-        amenities: property.amenities || [],
-        media: await attachSignedUrls(property.media || []),
-        caretaker: property.caretaker || null,
-        description: property.description,
-        additionalDescription: property.additionalDescription,
-      }))
-    );
+        tableName: "properties",
+        ipAddress: req.ip,
+        userAgent: req.headers["user-agent"],
+        transaction: t,
+      });
+    }
 
-    const comparison = {
-      propertiesCompared: properties.length,
-      properties: comparisonProperties,
+    return {
+      oldStatus,
+      newStatus,
+      changedItems: Object.keys(newChecklist),
+      checklist: PropertyVerificationItem.buildChecklist(allItems),
     };
+  });
 
-    await logRequest(
-      req,
+  const data = {
+    propertyId,
+    previousStatus: result.oldStatus,
+    isVerified: result.newStatus,
+    changedItems: result.changedItems,
+    checklist: result.checklist,
+  };
+
+  if (result.changedItems.length > 0) {
+    await notifyUsers(
+      [property.ownerId, property.brokerId],
+      "property:verificationUpdated",
       {
-        userId: null,
-        status: 200,
-        body: {
-          success: true,
-          message: "Properties comparison fetched successfully",
-          propertiesFound: properties.length,
-        },
-        requestBodyLog,
+        propertyId,
+        previousStatus: result.oldStatus,
+        isVerified: result.newStatus,
+        changedItems: result.changedItems,
+        verifiedBy: req.user.userId,
+        timestamp: new Date().toISOString(),
       },
-      requestStartTime
+      { propertyId }
+    );
+    await dispatchWebhookEvent("property.updated", {
+      propertyId,
+      updatedFields: ["verification"],
+      change: "verification.updated",
+      previousStatus: result.oldStatus,
+      isVerified: result.newStatus,
+      changedItems: result.changedItems,
+      updatedBy: req.user.userId,
+    });
+  }
+
+  if (result.newStatus === "completed" && result.oldStatus !== "completed") {
+    await queueEmail(
+      [property.ownerId, property.brokerId],
+      "propertyVerified",
+      {
+        property: property.toJSON(),
+      }
     );
+  }
+
+  return sendEncodedResponse(
+    res,
+    200,
+    true,
+    "Verification updated successfully",
+    data
+  );
+});
+
+const getAllAmenities = asyncHandler(async (req, res) => {
+  const amenities = await Amenity.findAll({
+    where: { isActive: true },
+    attributes: ["amenityId", "amenityName"],
+    order: [["amenityName", "ASC"]],
+    raw: true,
+  });
+
+  return sendEncodedResponse(
+    res,
+    200,
+    true,
+    "Amenities fetched successfully",
+    amenities,
+    { count: amenities.length }
+  );
+});
+
+const getAllCaretakers = asyncHandler(async (req, res) => {
+  const caretakers = await Caretaker.findAll({
+    where: { isActive: true },
+    attributes: ["caretakerId", "caretakerName"],
+    order: [["caretakerName", "ASC"]],
+    raw: true,
+  });
+
+  return sendEncodedResponse(
+    res,
+    200,
+    true,
+    "Caretakers fetched successfully",
+    caretakers,
+    { count: caretakers.length }
+  );
+});
+
+const compareProperties = asyncHandler(async (req, res) => {
+  const { propertyIds } = req.query;
 
-    return sendEncodedResponse(
-      res,
-      200,
-      true,
-      "Properties comparison fetched successfully",
-      comparison
+  if (!propertyIds) {
+    throw createAppError(
+      "propertyIds query parameter is required (comma-separated UUIDs)",
+      400
     );
-  } catch (error) {
-    await logRequest(
-      req,
+  }
+
+  const propertyIdArray = propertyIds.split(",").map((id) => id.trim());
+
+  if (propertyIdArray.length < 2) {
+    throw createAppError(
+      "At least 2 property IDs are required for comparison",
+      400
+    );
+  }
+
+  if (propertyIdArray.length > 3) {
+    throw createAppError("Maximum 3 properties can be compared at once", 400);
+  }
+
+  const uuidRegex =
+    /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  const invalidIds = propertyIdArray.filter((id) => !uuidRegex.test(id));
+
+  if (invalidIds.length > 0) {
+    throw createAppError(
+      `Invalid UUID format for property IDs: ${invalidIds.join(", ")}`,
+      400
+    );
+  }
+
+  const properties = await Property.findAll({
+    where: {
+      propertyId: propertyIdArray,
+      isActive: true,
+    },
+    attributes: [
+      "propertyId",
+      "propertyType",
+      "carpetArea",
+      "carpetAreaUnit",
+      "completionYear",
+      "lastRefurbishedYear",
+      "buildingGrade",
+      "ownershipType",
+      "parkingTwoWheeler",
+      "parkingFourWheeler",
+      "powerBackup",
+      "numberOfLifts",
+      "hvacType",
+      "furnishingStatus",
+      "titleStatus",
+      "occupancyCertificate",
+      "leaseRegistration",
+      "hasPendingLitigation",
+      "reraNumber",
+      "tenantType",
+      "leaseStartDate",
+      "leaseEndDate",
+      "lockInPeriodYears",
+      "lockInPeriodMonths",
+      "leaseDurationYears",
+      "rentType",
+      "rentPerSqftMonthly",
+      "totalMonthlyRent",
+      "securityDepositType",
+      "securityDepositMonths",
+      "securityDepositAmount",
+      "escalationFrequencyYears",
+      "annualEscalationPercent",
+      "maintenanceCostsIncluded",
+      "maintenanceType",
+      "maintenanceAmount",
+      "microMarket",
+      "city",
+      "state",
+      "sellingPrice",
+      "propertyTaxAnnual",
+      "insuranceAnnual",
+      "otherCostsAnnual",
+      "totalOperatingAnnualCosts",
+      "additionalIncomeAnnual",
+      "annualGrossRent",
+      "grossRentalYield",
+      "netRentalYield",
+      "paybackPeriodYears",
+      "description",
+      "additionalDescription",
+    ],
+    include: [
       {
-        userId: null,
-        status: error.statusCode || 500,
-        body: { success: false, message: error.message },
-        requestBodyLog,
-        error: error.message,
-        stackTrace: error.stack,
+        model: Amenity,
+        as: "amenities",
+        attributes: ["amenityId", "amenityName"],
+        through: { attributes: [] },
+        where: { isActive: true },
+        required: false,
       },
-      requestStartTime
-    );
+      {
+        model: PropertyMedia,
+        as: "media",
+        attributes: [
+          "mediaId",
+          "mediaType",
+          "fileUrl",
+          "variants",
+          "posterUrl",
+        ],
+        required: false,
+        order: PropertyMedia.DISPLAY_ORDER,
+        limit: 5,
+        separate: true,
+      },
+      {
+        model: Caretaker,
+        as: "caretaker",
+        attributes: ["caretakerId", "caretakerName"],
+        where: { isActive: true },
+        required: false,
+      },
+    ],
+    order: [
+      [
+        sequelize.literal(
+          `CASE ${propertyIdArray
+            .map(
+              (id, index) =>
+                `WHEN "Property"."property_id" = '${id}' THEN ${index}`
+            )
+            .join(" ")} END`
+        ),
+      ],
+    ],
+  });
 
-    return next(error);
+  if (properties.length === 0) {
+    throw createAppError("No active properties found with provided IDs", 404);
   }
-});
 
-const getAllProperties = asyncHandler(async (req, res, next) => {
-  const requestStartTime = Date.now();
+  if (properties.length < propertyIdArray.length) {
+    const foundIds = properties.map((p) => p.propertyId);
+    const notFoundIds = propertyIdArray.filter((id) => !foundIds.includes(id));
+    console.warn(
+      `Some properties not found or inactive: ${notFoundIds.join(", ")}`
+    );
+  }
 
+  const comparisonProperties = await Promise.all(
+    properties.map(async (property) => ({
+      propertyId: property.propertyId,
+      basicInfo: {
+        propertyType: property.propertyType,
+        carpetArea: property.carpetArea,
+        carpetAreaUnit: property.carpetAreaUnit,
+        completionYear: property.completionYear,
+        lastRefurbishedYear: property.lastRefurbishedYear,
+        buildingGrade: property.buildingGrade,
+        ownershipType: property.ownershipType,
+      },
+      location: {
+        microMarket: property.microMarket,
+        city: property.city,
+        state: property.state,
+      },
+      parking: {
+        twoWheeler: property.parkingTwoWheeler,
+        fourWheeler: property.parkingFourWheeler,
+      },
+      infrastructure: {
+        powerBackup: property.powerBackup,
+        numberOfLifts: property.numberOfLifts,
+        hvacType: property.hvacType,
+        furnishingStatus: property.furnishingStatus,
+      },
+      legal: {
+        titleStatus: property.titleStatus,
+        occupancyCertificate: property.occupancyCertificate,
+        leaseRegistration: property.leaseRegistration,
+        hasPendingLitigation: property.hasPendingLitigation,
+        reraNumber: property.reraNumber,
+      },
+      leaseDetails: {
+        tenantType: property.tenantType,
+        leaseStartDate: property.leaseStartDate,
+        leaseEndDate: property.leaseEndDate,
+        lockInPeriod: {
+          years: property.lockInPeriodYears,
+          months: property.lockInPeriodMonths,
+        },
+        leaseDurationYears: property.leaseDurationYears,
+      },
+      rental: {
+        rentType: property.rentType,
+        rentPerSqftMonthly: property.rentPerSqftMonthly,
+        totalMonthlyRent: property.totalMonthlyRent,
+        securityDeposit: {
+          type: property.securityDepositType,
+          months: property.securityDepositMonths,
+          amount: property.securityDepositAmount,
+        },
+      },
+      escalationAndMaintenance: {
+        escalationFrequencyYears: property.escalationFrequencyYears,
+        annualEscalationPercent: property.annualEscalationPercent,
+        maintenanceCostsIncluded: property.maintenanceCostsIncluded,
+        maintenanceType: property.maintenanceType,
+        maintenanceAmount: property.maintenanceAmount,
+      },
+      financial: {
+        sellingPrice: property.sellingPrice,
+        propertyTaxAnnual: property.propertyTaxAnnual,
+        insuranceAnnual: property.insuranceAnnual,
+        otherCostsAnnual: property.otherCostsAnnual,
+        totalOperatingAnnualCosts: property.totalOperatingAnnualCosts,
+        additionalIncomeAnnual: property.additionalIncomeAnnual,
+        annualGrossRent: property.annualGrossRent,
+        grossRentalYield: property.grossRentalYield,
+        netRentalYield: property.netRentalYield,
+        paybackPeriodYears: property.paybackPeriodYears,
+      },
+      amenities: property.amenities || [],
+      media: await attachSignedUrls(property.media || [], "medium"),
+      caretaker: property.caretaker || null,
+      description: property.description,
+      additionalDescription: property.additionalDescription,
+    }))
+  );
+
+  const comparison = {
+    propertiesCompared: properties.length,
+    properties: comparisonProperties,
+  };
+
+  return sendEncodedResponse(
+    res,
+    200,
+    true,
+    "Properties comparison fetched successfully",
+    comparison
+  );
+});
+
+const getAllProperties = asyncHandler(async (req, res) => {
   const {
     page = 1,
     limit = 10,
@@ -1229,282 +1412,178 @@ const getAllProperties = asyncHandler(async (req, res, next) => {
     city,
     state,
     microMarket,
+    hideUnverified,
     sortBy = "createdAt",
     sortOrder = "DESC",
   } = req.query;
 
-  const requestBodyLog = {
-    page,
-    limit,
-    filters: {
-      pricing: { minPrice, maxPrice },
-      propertyTypes,
-      rent: { minRent, maxRent },
-      roi: { minROI, maxROI },
-      tenure: { minTenure, maxTenure },
-      location: { city, state, microMarket },
-    },
-    sortBy,
-    sortOrder,
-  };
-
-  try {
-    const whereClause = { isActive: true };
-
-    if (minPrice || maxPrice) {
-      whereClause.sellingPrice = {};
-      if (minPrice) whereClause.sellingPrice[Op.gte] = parseFloat(minPrice);
-      if (maxPrice) whereClause.sellingPrice[Op.lte] = parseFloat(maxPrice);
-    }
-
-    if (propertyTypes) {
-      const typesArray = propertyTypes.split(",").map((type) => type.trim());
-      whereClause.propertyType = { [Op.in]: typesArray };
-    }
-
-    if (minRent || maxRent) {
-      whereClause.annualGrossRent = {};
-      if (minRent) whereClause.annualGrossRent[Op.gte] = parseFloat(minRent);
-      if (maxRent) whereClause.annualGrossRent[Op.lte] = parseFloat(maxRent);
-    }
-
-    if (minROI || maxROI) {
-      whereClause.grossRentalYield = {};
-      if (minROI) whereClause.grossRentalYield[Op.gte] = parseFloat(minROI);
-      if (maxROI) whereClause.grossRentalYield[Op.lte] = parseFloat(maxROI);
-    }
-
-    if (minTenure || maxTenure) {
-      const now = new Date();
-
-      if (minTenure) {
-        const minDate = new Date(now);
-        minDate.setFullYear(minDate.getFullYear() + parseInt(minTenure));
-        whereClause.leaseEndDate = whereClause.leaseEndDate || {};
-        whereClause.leaseEndDate[Op.gte] = minDate;
-      }
-
-      if (maxTenure) {
-        const maxDate = new Date(now);
-        maxDate.setFullYear(maxDate.getFullYear() + parseInt(maxTenure));
-        whereClause.leaseEndDate = whereClause.leaseEndDate || {};
-        whereClause.leaseEndDate[Op.lte] = maxDate;
-      }
-    }
-
-    if (city) {
-      if (city.includes(",")) {
-        const citiesArray = city.split(",").map((c) => c.trim());
-        whereClause.city = { [Op.in]: citiesArray };
-      } else {
-        whereClause.city = { [Op.iLike]: `%${city}%` };
-      }
-    }
-
-    if (state) {
-      if (state.includes(",")) {
-        const statesArray = state.split(",").map((s) => s.trim());
-        whereClause.state = { [Op.in]: statesArray };
-      } else {
-        whereClause.state = { [Op.iLike]: `%${state}%` };
-      }
-    }
-
-    if (microMarket) {
-      if (microMarket.includes(",")) {
-        const microMarketsArray = microMarket.split(",").map((m) => m.trim());
-        whereClause.microMarket = { [Op.in]: microMarketsArray };
-      } else {
-        whereClause.microMarket = { [Op.iLike]: `%${microMarket}%` };
-      }
-    }
-
-    const pageNumber = parseInt(page);
-    const pageSize = parseInt(limit);
-    const offset = (pageNumber - 1) * pageSize;
-
-    const { count, rows: properties } = await Property.findAndCountAll({
-      where: whereClause,
-      attributes: [
-        "propertyId",
-        "propertyType",
-        "carpetArea",
-        "carpetAreaUnit",
-        "completionYear",
-        "lastRefurbishedYear",
-        "buildingGrade",
-        "ownershipType",
-        "parkingTwoWheeler",
-        "parkingFourWheeler",
-        "powerBackup",
-        "numberOfLifts",
-        "hvacType",
-        "furnishingStatus",
-        "titleStatus",
-        "occupancyCertificate",
-        "leaseRegistration",
-        "reraNumber",
-        "tenantType",
-        "leaseStartDate",
-        "leaseEndDate",
-        "lockInPeriodYears",
-        "lockInPeriodMonths",
-        "leaseDurationYears",
-        "rentType",
-        "rentPerSqftMonthly",
-        "totalMonthlyRent",
-        "securityDepositType",
-        "securityDepositMonths",
-        "securityDepositAmount",
-        "escalationFrequencyYears",
-        "annualEscalationPercent",
-        "maintenanceCostsIncluded",
-        "maintenanceType",
-        "maintenanceAmount",
-        "microMarket",
-        "city",
-        "state",
-        "sellingPrice",
-        "propertyTaxAnnual",
-        "insuranceAnnual",
-        "otherCostsAnnual",
-        "totalOperatingAnnualCosts",
-        "additionalIncomeAnnual",
-        "annualGrossRent",
-        "grossRentalYield",
-        "netRentalYield",
-        "paybackPeriodYears",
-        "description",
-        "additionalDescription",
-        "createdAt",
-        "updatedAt",
-      ],
-      include: [
-        {
-          model: Amenity,
-          as: "amenities",
-          attributes: ["amenityId", "amenityName"],
-          through: { attributes: [] },
-          where: { isActive: true },
-          required: false,
-        },
-        {
-          model: PropertyMedia,
-          as: "media",
-          attributes: ["mediaId", "mediaType", "fileUrl"],
-          required: false,
-          limit: 1,
-          separate: true,
-        },
-        {
-          model: Caretaker,
-          as: "caretaker",
-          attributes: ["caretakerId", "caretakerName"],
-          where: { isActive: true },
-          required: false,
-        },
-      ],
-      order: [[sortBy, sortOrder.toUpperCase()]],
-      limit: pageSize,
-      offset: offset,
-      distinct: true,
-    });
-
-    const propertiesWithTenure = await Promise.all(
-      properties.map(async (property) => {
-        const propertyData = property.toJSON();
-
-        if (propertyData.leaseEndDate) {
-          const now = new Date();
-          const leaseEnd = new Date(propertyData.leaseEndDate);
-          const diffTime = leaseEnd - now;
-          const diffYears = diffTime / (1000 * 60 * 60 * 24 * 365.25);
-          propertyData.tenureLeftYears = Math.max(
-            0,
-            parseFloat(diffYears.toFixed(2))
-          );
-        } else {
-          propertyData.tenureLeftYears = null;
-        }
-
-        if (propertyData.media && propertyData.media.length > 0) {
-          propertyData.media = await attachSignedUrls(propertyData.media);
-        }
-
-        return propertyData;
-      })
-    );
+  const whereClause = { isActive: true };
 
-    const totalPages = Math.ceil(count / pageSize);
-    const hasNextPage = pageNumber < totalPages;
-    const hasPrevPage = pageNumber > 1;
+  // ✅ Only show listings that passed every verification check
+  if (hideUnverified === "true") {
+    whereClause.isVerified = "completed";
+  }
 
-    await logRequest(
-      req,
+  Object.assign(whereClause, buildPropertyFilters(req.query));
+
+  const pageNumber = parseInt(page);
+  const pageSize = parseInt(limit);
+  const offset = (pageNumber - 1) * pageSize;
+
+  const { count, rows: properties } = await Property.findAndCountAll({
+    where: whereClause,
+    attributes: [
+      "propertyId",
+      "propertyType",
+      "carpetArea",
+      "carpetAreaUnit",
+      "completionYear",
+      "lastRefurbishedYear",
+      "buildingGrade",
+      "ownershipType",
+      "parkingTwoWheeler",
+      "parkingFourWheeler",
+      "powerBackup",
+      "numberOfLifts",
+      "hvacType",
+      "furnishingStatus",
+      "titleStatus",
+      "occupancyCertificate",
+      "leaseRegistration",
+      "reraNumber",
+      "tenantType",
+      "leaseStartDate",
+      "leaseEndDate",
+      "lockInPeriodYears",
+      "lockInPeriodMonths",
+      "leaseDurationYears",
+      "rentType",
+      "rentPerSqftMonthly",
+      "totalMonthlyRent",
+      "securityDepositType",
+      "securityDepositMonths",
+      "securityDepositAmount",
+      "escalationFrequencyYears",
+      "annualEscalationPercent",
+      "maintenanceCostsIncluded",
+      "maintenanceType",
+      "maintenanceAmount",
+      "microMarket",
+      "city",
+      "state",
+      "sellingPrice",
+      "propertyTaxAnnual",
+      "insuranceAnnual",
+      "otherCostsAnnual",
+      "totalOperatingAnnualCosts",
+      "additionalIncomeAnnual",
+      "annualGrossRent",
+      "grossRentalYield",
+      "netRentalYield",
+      "paybackPeriodYears",
+      "description",
+      "additionalDescription",
+      "isVerified",
+      "createdAt",
+      "updatedAt",
+    ],
+    include: [
       {
-        userId: req.user?.userId || null,
-        status: 200,
-        body: {
-          success: true,
-          message: "Properties fetched successfully",
-          count: count,
-        },
-        requestBodyLog,
+        model: Amenity,
+        as: "amenities",
+        attributes: ["amenityId", "amenityName"],
+        through: { attributes: [] },
+        where: { isActive: true },
+        required: false,
       },
-      requestStartTime
-    );
-
-    return sendEncodedResponse(
-      res,
-      200,
-      true,
-      "Properties fetched successfully",
-      propertiesWithTenure,
       {
-        pagination: {
-          currentPage: pageNumber,
-          pageSize: pageSize,
-          totalItems: count,
-          totalPages: totalPages,
-          hasNextPage: hasNextPage,
-          hasPrevPage: hasPrevPage,
-        },
-        filters: {
-          applied: {
-            pricing: minPrice || maxPrice ? { minPrice, maxPrice } : null,
-            propertyTypes: propertyTypes || null,
-            rent: minRent || maxRent ? { minRent, maxRent } : null,
-            roi: minROI || maxROI ? { minROI, maxROI } : null,
-            tenure: minTenure || maxTenure ? { minTenure, maxTenure } : null,
-            location:
-              city || state || microMarket
-                ? { city, state, microMarket }
-                : null,
-          },
-        },
-      }
-    );
-  } catch (error) {
-    await logRequest(
-      req,
+        model: PropertyMedia,
+        as: "media",
+        attributes: [
+          "mediaId",
+          "mediaType",
+          "fileUrl",
+          "variants",
+          "posterUrl",
+          "caption",
+        ],
+        // ✅ Designated cover image (falls back to the first photo, or a
+        // video's poster frame)
+        where: PropertyMedia.PREVIEWABLE,
+        required: false,
+        order: PropertyMedia.DISPLAY_ORDER,
+        limit: 1,
+        separate: true,
+      },
       {
-        userId: req.user?.userId || null,
-        status: error.statusCode || 500,
-        body: { success: false, message: error.message },
-        requestBodyLog,
-        error: error.message,
-        stackTrace: error.stack,
+        model: Caretaker,
+        as: "caretaker",
+        attributes: ["caretakerId", "caretakerName"],
+        where: { isActive: true },
+        required: false,
       },
-      requestStartTime
-    );
+    ],
+    order: [[sortBy, sortOrder.toUpperCase()]],
+    limit: pageSize,
+    offset: offset,
+    distinct: true,
+  });
+
+  const propertiesWithTenure = await Promise.all(
+    properties.map(async (property) => {
+      const propertyData = property.toJSON();
+
+      propertyData.tenureLeftYears = getTenureLeftYears(
+        propertyData.leaseEndDate
+      );
 
-    return next(error);
-  }
-});
+      if (propertyData.media && propertyData.media.length > 0) {
+        propertyData.media = await attachSignedUrls(
+          propertyData.media,
+          "thumbnail"
+        );
+      }
 
-const getAssignedProperties = asyncHandler(async (req, res, next) => {
-  const requestStartTime = Date.now();
+      return propertyData;
+    })
+  );
+
+  const totalPages = Math.ceil(count / pageSize);
+  const hasNextPage = pageNumber < totalPages;
+  const hasPrevPage = pageNumber > 1;
+
+  return sendEncodedResponse(
+    res,
+    200,
+    true,
+    "Properties fetched successfully",
+    propertiesWithTenure,
+    {
+      pagination: {
+        currentPage: pageNumber,
+        pageSize: pageSize,
+        totalItems: count,
+        totalPages: totalPages,
+        hasNextPage: hasNextPage,
+        hasPrevPage: hasPrevPage,
+      },
+      filters: {
+        applied: {
+          pricing: minPrice || maxPrice ? { minPrice, maxPrice } : null,
+          propertyTypes: propertyTypes || null,
+          rent: minRent || maxRent ? { minRent, maxRent } : null,
+          roi: minROI || maxROI ? { minROI, maxROI } : null,
+          tenure: minTenure || maxTenure ? { minTenure, maxTenure } : null,
+          location:
+            city || state || microMarket ? { city, state, microMarket } : null,
+          hideUnverified: hideUnverified === "true",
+        },
+      },
+    }
+  );
+});
 
+const getAssignedProperties = asyncHandler(async (req, res) => {
   const {
     page = 1,
     limit = 10,
@@ -1524,417 +1603,570 @@ const getAssignedProperties = asyncHandler(async (req, res, next) => {
     sortOrder = "DESC",
   } = req.query;
 
-  const requestBodyLog = {
-    page,
-    limit,
-    assignedTo: req.user.userId,
-    userRole: req.user.role,
-    filters: {
-      pricing: { minPrice, maxPrice },
-      propertyTypes,
-      rent: { minRent, maxRent },
-      roi: { minROI, maxROI },
-      tenure: { minTenure, maxTenure },
-      location: { city, state, microMarket },
-    },
-    sortBy,
-    sortOrder,
+  const whereClause = {
+    isActive: true,
+    // Sales Managers see their team's properties as well as their own
+    salesId: await getSalesScope(req.user),
+    // ✅ All the same filters as getAllProperties
+    ...buildPropertyFilters(req.query),
   };
 
-  try {
-    const whereClause = {
-      isActive: true,
-    };
-    if (req.user.role === "Sales Manager") {
-      const relationships = await SalesRelationship.findAll({
-        where: {
-          salesManagerId: req.user.userId,
-          isActive: true,
-        },
-        attributes: ["salesExecutiveId"],
-      });
+  const pageNumber = parseInt(page);
+  const pageSize = parseInt(limit);
+  const offset = (pageNumber - 1) * pageSize;
+
+  const { count, rows: properties } = await Property.findAndCountAll({
+    where: whereClause,
+    attributes: [
+      "propertyId",
+      "propertyType",
+      "carpetArea",
+      "carpetAreaUnit",
+      "completionYear",
+      "lastRefurbishedYear",
+      "buildingGrade",
+      "ownershipType",
+      "parkingTwoWheeler",
+      "parkingFourWheeler",
+      "powerBackup",
+      "numberOfLifts",
+      "hvacType",
+      "furnishingStatus",
+      "titleStatus",
+      "occupancyCertificate",
+      "leaseRegistration",
+      "reraNumber",
+      "tenantType",
+      "leaseStartDate",
+      "leaseEndDate",
+      "lockInPeriodYears",
+      "lockInPeriodMonths",
+      "leaseDurationYears",
+      "rentType",
+      "rentPerSqftMonthly",
+      "totalMonthlyRent",
+      "securityDepositType",
+      "securityDepositMonths",
+      "securityDepositAmount",
+      "escalationFrequencyYears",
+      "annualEscalationPercent",
+      "maintenanceCostsIncluded",
+      "maintenanceType",
+      "maintenanceAmount",
+      "microMarket",
+      "city",
+      "state",
+      "sellingPrice",
+      "propertyTaxAnnual",
+      "insuranceAnnual",
+      "otherCostsAnnual",
+      "totalOperatingAnnualCosts",
+      "additionalIncomeAnnual",
+      "annualGrossRent",
+      "grossRentalYield",
+      "netRentalYield",
+      "paybackPeriodYears",
+      "description",
+      "additionalDescription",
+      "isVerified",
+      "createdAt",
+      "updatedAt",
+    ],
+    include: [
+      {
+        model: Amenity,
+        as: "amenities",
+        attributes: ["amenityId", "amenityName"],
+        through: { attributes: [] },
+        where: { isActive: true },
+        required: false,
+      },
+      {
+        model: PropertyMedia,
+        as: "media",
+        attributes: [
+          "mediaId",
+          "mediaType",
+          "fileUrl",
+          "variants",
+          "posterUrl",
+          "caption",
+        ],
+        // ✅ Designated cover image (falls back to the first photo, or a
+        // video's poster frame)
+        where: PropertyMedia.PREVIEWABLE,
+        required: false,
+        order: PropertyMedia.DISPLAY_ORDER,
+        limit: 1,
+        separate: true,
+      },
+      {
+        model: Caretaker,
+        as: "caretaker",
+        attributes: ["caretakerId", "caretakerName"],
+        where: { isActive: true },
+        required: false,
+      },
+    ],
+    order: [[sortBy, sortOrder.toUpperCase()]],
+    limit: pageSize,
+    offset: offset,
+    distinct: true,
+  });
+
+  const propertiesWithTenure = await Promise.all(
+    properties.map(async (property) => {
+      const propertyData = property.toJSON();
+
+      propertyData.tenureLeftYears = getTenureLeftYears(
+        propertyData.leaseEndDate
+      );
 
-      const teamMemberIds = relationships.map((r) => r.salesExecutiveId);
-      teamMemberIds.push(req.user.userId); // Include manager's own properties
+      if (propertyData.media && propertyData.media.length > 0) {
+        propertyData.media = await attachSignedUrls(
+          propertyData.media,
+          "thumbnail"
+        );
+      }
 
-      whereClause.salesId = { [Op.in]: teamMemberIds };
-    } else {
-      whereClause.salesId = req.user.userId;
+      return propertyData;
+    })
+  );
+
+  const totalPages = Math.ceil(count / pageSize);
+  const hasNextPage = pageNumber < totalPages;
+  const hasPrevPage = pageNumber > 1;
+
+  return sendEncodedResponse(
+    res,
+    200,
+    true,
+    "Assigned properties fetched successfully",
+    propertiesWithTenure,
+    {
+      pagination: {
+        currentPage: pageNumber,
+        pageSize: pageSize,
+        totalItems: count,
+        totalPages: totalPages,
+        hasNextPage: hasNextPage,
+        hasPrevPage: hasPrevPage,
+      },
+      assignedTo: {
+        userId: req.user.userId,
+        role: req.user.role,
+        ...(req.user.role === "Sales Manager" && { teamView: true }),
+      },
+      filters: {
+        applied: {
+          pricing: minPrice || maxPrice ? { minPrice, maxPrice } : null,
+          propertyTypes: propertyTypes || null,
+          rent: minRent || maxRent ? { minRent, maxRent } : null,
+          roi: minROI || maxROI ? { minROI, maxROI } : null,
+          tenure: minTenure || maxTenure ? { minTenure, maxTenure } : null,
+          location:
+            city || state || microMarket ? { city, state, microMarket } : null,
+        },
+      },
     }
+  );
+});
+const getPropertyById = asyncHandler(async (req, res) => {
+  const { propertyId } = req.params;
 
-    // ✅ All the same filters as getAllProperties
-    if (minPrice || maxPrice) {
-      whereClause.sellingPrice = {};
-      if (minPrice) whereClause.sellingPrice[Op.gte] = parseFloat(minPrice);
-      if (maxPrice) whereClause.sellingPrice[Op.lte] = parseFloat(maxPrice);
-    }
+  const property = await Property.findOne({
+    where: { propertyId, isActive: true },
+    include: [
+      {
+        model: Amenity,
+        as: "amenities",
+        attributes: ["amenityId", "amenityName"],
+        through: { attributes: [] },
+        where: { isActive: true },
+        required: false,
+      },
+      {
+        model: PropertyMedia,
+        as: "media",
+        attributes: [
+          "mediaId",
+          "mediaType",
+          "fileUrl",
+          "variants",
+          "isPrimary",
+          "displayOrder",
+          "caption",
+          "durationSeconds",
+          "width",
+          "height",
+          "codec",
+          "posterUrl",
+        ],
+        required: false,
+        order: PropertyMedia.DISPLAY_ORDER,
+        separate: true,
+      },
+      {
+        model: Caretaker,
+        as: "caretaker",
+        attributes: [
+          "caretakerId",
+          "caretakerName",
+          "caretakerType",
+          "contactInfo",
+        ],
+        where: { isActive: true },
+        required: false,
+      },
+      {
+        model: PropertyConnectivity,
+        as: "connectivity",
+        attributes: [
+          "connectivityId",
+          "connectivityType",
+          "name",
+          "distanceKm",
+        ],
+        required: false,
+      },
+      {
+        model: PropertyCertification,
+        as: "certifications",
+        attributes: ["certificationType", "certificationDetails"],
+        required: false,
+      },
+      {
+        model: PropertyStatusTransition,
+        as: "statusHistory",
+        attributes: [
+          "transitionId",
+          "fromStatus",
+          "toStatus",
+          "isRollback",
+          "remark",
+          "createdAt",
+        ],
+        include: [
+          {
+            model: User,
+            as: "changedByUser",
+            attributes: ["userId", "firstName", "lastName"],
+          },
+        ],
+        required: false,
+        separate: true,
+        order: [["createdAt", "ASC"]],
+      },
+    ],
+  });
 
-    if (propertyTypes) {
-      const typesArray = propertyTypes.split(",").map((type) => type.trim());
-      whereClause.propertyType = { [Op.in]: typesArray };
-    }
+  if (!property) {
+    throw createAppError("Property not found", 404);
+  }
 
-    if (minRent || maxRent) {
-      whereClause.annualGrossRent = {};
-      if (minRent) whereClause.annualGrossRent[Op.gte] = parseFloat(minRent);
-      if (maxRent) whereClause.annualGrossRent[Op.lte] = parseFloat(maxRent);
-    }
+  const propertyData = property.toJSON();
+
+  // Sales stage timeline
+  propertyData.stageHistory = (propertyData.statusHistory || []).map(
+    (transition) => ({
+      transitionId: transition.transitionId,
+      fromStatus: transition.fromStatus,
+      toStatus: transition.toStatus,
+      isRollback: transition.isRollback,
+      remark: transition.remark,
+      changedAt: transition.createdAt,
+      changedBy: transition.changedByUser
+        ? {
+            userId: transition.changedByUser.userId,
+            name: `${transition.changedByUser.firstName} ${transition.changedByUser.lastName}`,
+          }
+        : null,
+    })
+  );
+  delete propertyData.statusHistory;
+  propertyData.allowedNextStatuses = getAllowedTransitions(
+    propertyData.sellingStatus
+  );
+
+  // Attach GCS Signed URLs for media
+  if (propertyData.media && propertyData.media.length > 0) {
+    propertyData.media = await attachSignedUrls(propertyData.media, "large");
+  }
 
-    if (minROI || maxROI) {
-      whereClause.grossRentalYield = {};
-      if (minROI) whereClause.grossRentalYield[Op.gte] = parseFloat(minROI);
-      if (maxROI) whereClause.grossRentalYield[Op.lte] = parseFloat(maxROI);
-    }
+  // Calculate tenure left
+  propertyData.tenureLeftYears = getTenureLeftYears(propertyData.leaseEndDate);
 
-    if (minTenure || maxTenure) {
-      const now = new Date();
+  return sendEncodedResponse(
+    res,
+    200,
+    true,
+    "Property fetched successfully",
+    propertyData
+  );
+});
 
-      if (minTenure) {
-        const minDate = new Date(now);
-        minDate.setFullYear(minDate.getFullYear() + parseInt(minTenure));
-        whereClause.leaseEndDate = whereClause.leaseEndDate || {};
-        whereClause.leaseEndDate[Op.gte] = minDate;
-      }
+const getPropertyCashflow = asyncHandler(async (req, res) => {
+  const { propertyId } = req.params;
+  const {
+    granularity = "yearly",
+    scenario = "base",
+    years,
+    vacancyMonths,
+    vacancyStartDate,
+    assumeRenewal,
+  } = req.query;
 
-      if (maxTenure) {
-        const maxDate = new Date(now);
-        maxDate.setFullYear(maxDate.getFullYear() + parseInt(maxTenure));
-        whereClause.leaseEndDate = whereClause.leaseEndDate || {};
-        whereClause.leaseEndDate[Op.lte] = maxDate;
-      }
-    }
+  if (!CASHFLOW_GRANULARITIES.includes(granularity)) {
+    throw createAppError(
+      `Invalid granularity. Must be one of: ${CASHFLOW_GRANULARITIES.join(", ")}`,
+      400
+    );
+  }
 
-    if (city) {
-      if (city.includes(",")) {
-        const citiesArray = city.split(",").map((c) => c.trim());
-        whereClause.city = { [Op.in]: citiesArray };
-      } else {
-        whereClause.city = { [Op.iLike]: `%${city}%` };
-      }
-    }
+  if (!CASHFLOW_SCENARIOS.includes(scenario)) {
+    throw createAppError(
+      `Invalid scenario. Must be one of: ${CASHFLOW_SCENARIOS.join(", ")}`,
+      400
+    );
+  }
 
-    if (state) {
-      if (state.includes(",")) {
-        const statesArray = state.split(",").map((s) => s.trim());
-        whereClause.state = { [Op.in]: statesArray };
-      } else {
-        whereClause.state = { [Op.iLike]: `%${state}%` };
-      }
-    }
+  const horizonYears = years !== undefined ? parseInt(years) : undefined;
+  if (
+    horizonYears !== undefined &&
+    (isNaN(horizonYears) ||
+      horizonYears < 1 ||
+      horizonYears > MAX_HORIZON_YEARS)
+  ) {
+    throw createAppError(
+      `years must be between 1 and ${MAX_HORIZON_YEARS}`,
+      400
+    );
+  }
 
-    if (microMarket) {
-      if (microMarket.includes(",")) {
-        const microMarketsArray = microMarket.split(",").map((m) => m.trim());
-        whereClause.microMarket = { [Op.in]: microMarketsArray };
-      } else {
-        whereClause.microMarket = { [Op.iLike]: `%${microMarket}%` };
-      }
-    }
+  const vacancy =
+    vacancyMonths !== undefined ? parseInt(vacancyMonths) : undefined;
+  if (
+    vacancy !== undefined &&
+    (isNaN(vacancy) || vacancy < 0 || vacancy > 120)
+  ) {
+    throw createAppError("vacancyMonths must be between 0 and 120", 400);
+  }
 
-    const pageNumber = parseInt(page);
-    const pageSize = parseInt(limit);
-    const offset = (pageNumber - 1) * pageSize;
-
-    const { count, rows: properties } = await Property.findAndCountAll({
-      where: whereClause,
-      attributes: [
-        "propertyId",
-        "propertyType",
-        "carpetArea",
-        "carpetAreaUnit",
-        "completionYear",
-        "lastRefurbishedYear",
-        "buildingGrade",
-        "ownershipType",
-        "parkingTwoWheeler",
-        "parkingFourWheeler",
-        "powerBackup",
-        "numberOfLifts",
-        "hvacType",
-        "furnishingStatus",
-        "titleStatus",
-        "occupancyCertificate",
-        "leaseRegistration",
-        "reraNumber",
-        "tenantType",
-        "leaseStartDate",
-        "leaseEndDate",
-        "lockInPeriodYears",
-        "lockInPeriodMonths",
-        "leaseDurationYears",
-        "rentType",
-        "rentPerSqftMonthly",
-        "totalMonthlyRent",
-        "securityDepositType",
-        "securityDepositMonths",
-        "securityDepositAmount",
-        "escalationFrequencyYears",
-        "annualEscalationPercent",
-        "maintenanceCostsIncluded",
-        "maintenanceType",
-        "maintenanceAmount",
-        "microMarket",
-        "city",
-        "state",
-        "sellingPrice",
-        "propertyTaxAnnual",
-        "insuranceAnnual",
-        "otherCostsAnnual",
-        "totalOperatingAnnualCosts",
-        "additionalIncomeAnnual",
-        "annualGrossRent",
-        "grossRentalYield",
-        "netRentalYield",
-        "paybackPeriodYears",
-        "description",
-        "additionalDescription",
-        "createdAt",
-        "updatedAt",
-      ],
-      include: [
-        {
-          model: Amenity,
-          as: "amenities",
-          attributes: ["amenityId", "amenityName"],
-          through: { attributes: [] },
-          where: { isActive: true },
-          required: false,
-        },
-        {
-          model: PropertyMedia,
-          as: "media",
-          attributes: ["mediaId", "mediaType", "fileUrl"],
-          required: false,
-          limit: 1,
-          separate: true,
-        },
-        {
-          model: Caretaker,
-          as: "caretaker",
-          attributes: ["caretakerId", "caretakerName"],
-          where: { isActive: true },
-          required: false,
-        },
-      ],
-      order: [[sortBy, sortOrder.toUpperCase()]],
-      limit: pageSize,
-      offset: offset,
-      distinct: true,
-    });
+  const vacancyStart = vacancyStartDate ? new Date(vacancyStartDate) : null;
+  if (vacancyStart && isNaN(vacancyStart.getTime())) {
+    throw createAppError("vacancyStartDate must be a valid date", 400);
+  }
 
-    const propertiesWithTenure = await Promise.all(
-      properties.map(async (property) => {
-        const propertyData = property.toJSON();
-
-        if (propertyData.leaseEndDate) {
-          const now = new Date();
-          const leaseEnd = new Date(propertyData.leaseEndDate);
-          const diffTime = leaseEnd - now;
-          const diffYears = diffTime / (1000 * 60 * 60 * 24 * 365.25);
-          propertyData.tenureLeftYears = Math.max(
-            0,
-            parseFloat(diffYears.toFixed(2))
-          );
-        } else {
-          propertyData.tenureLeftYears = null;
-        }
+  const property = await Property.findOne({
+    where: { propertyId, isActive: true },
+  });
 
-        if (propertyData.media && propertyData.media.length > 0) {
-          propertyData.media = await attachSignedUrls(propertyData.media);
-        }
+  if (!property) {
+    throw createAppError("Property not found", 404);
+  }
 
-        return propertyData;
-      })
+  if (getMonthlyRent(property) === null) {
+    throw createAppError(
+      "Property has no rent details to project a cash flow from",
+      400
     );
+  }
 
-    const totalPages = Math.ceil(count / pageSize);
-    const hasNextPage = pageNumber < totalPages;
-    const hasPrevPage = pageNumber > 1;
-
-    await logRequest(
-      req,
-      {
-        userId: req.user.userId,
-        status: 200,
-        body: {
-          success: true,
-          message: "Assigned properties fetched successfully",
-          count: count,
-        },
-        requestBodyLog,
-      },
-      requestStartTime
+  if (
+    scenario === "lockInExit" &&
+    !property.lockInPeriodYears &&
+    !property.lockInPeriodMonths
+  ) {
+    throw createAppError(
+      "Property has no lock-in period for the lockInExit scenario",
+      400
     );
+  }
 
-    return sendEncodedResponse(
-      res,
-      200,
-      true,
-      "Assigned properties fetched successfully",
-      propertiesWithTenure,
-      {
-        pagination: {
-          currentPage: pageNumber,
-          pageSize: pageSize,
-          totalItems: count,
-          totalPages: totalPages,
-          hasNextPage: hasNextPage,
-          hasPrevPage: hasPrevPage,
-        },
-        assignedTo: {
-          userId: req.user.userId,
-          role: req.user.role,
-          ...(req.user.role === "Sales Manager" && { teamView: true }),
-        },
-        filters: {
-          applied: {
-            pricing: minPrice || maxPrice ? { minPrice, maxPrice } : null,
-            propertyTypes: propertyTypes || null,
-            rent: minRent || maxRent ? { minRent, maxRent } : null,
-            roi: minROI || maxROI ? { minROI, maxROI } : null,
-            tenure: minTenure || maxTenure ? { minTenure, maxTenure } : null,
-            location:
-              city || state || microMarket
-                ? { city, state, microMarket }
-                : null,
-          },
-        },
-      }
+  if (scenario === "vacancy" && !vacancyStart && !property.leaseEndDate) {
+    throw createAppError(
+      "vacancyStartDate is required when the property has no lease end date",
+      400
     );
-  } catch (error) {
-    await logRequest(
-      req,
-      {
-        userId: req.user?.userId || null,
-        status: error.statusCode || 500,
-        body: { success: false, message: error.message },
-        requestBodyLog,
-        error: error.message,
-        stackTrace: error.stack,
-      },
-      requestStartTime
+  }
+
+  const projection = projectCashflow(property.toJSON(), {
+    scenario,
+    granularity,
+    horizonYears,
+    vacancyMonths: vacancy,
+    vacancyStartDate: vacancyStart,
+    assumeRenewal: assumeRenewal === "true",
+  });
+
+  return sendEncodedResponse(
+    res,
+    200,
+    true,
+    "Cash flow projected successfully",
+    { propertyId, ...projection }
+  );
+});
+
+// Optional numeric query param within [min, max]; undefined when absent
+const parseNumericQuery = (value, name, min, max = Infinity) => {
+  if (value === undefined || value === "") return undefined;
+
+  const parsed = Number(value);
+  if (isNaN(parsed) || parsed < min || parsed > max) {
+    throw createAppError(
+      max === Infinity
+        ? `${name} must be a number of at least ${min}`
+        : `${name} must be between ${min} and ${max}`,
+      400
     );
+  }
+  return parsed;
+};
 
-    return next(error);
+// Year and month counts index schedules, so fractions are rejected
+const parseIntegerQuery = (value, name, min, max) => {
+  const parsed = parseNumericQuery(value, name, min, max);
+  if (parsed !== undefined && !Number.isInteger(parsed)) {
+    throw createAppError(`${name} must be a whole number`, 400);
   }
-});
-const getPropertyById = asyncHandler(async (req, res, next) => {
-  const requestStartTime = Date.now();
+  return parsed;
+};
+
+const getPropertyAnalysis = asyncHandler(async (req, res) => {
   const { propertyId } = req.params;
+  const {
+    holdingYears,
+    discountRate,
+    exitCapRate,
+    stampDutyPercent,
+    loanAmount,
+    loanInterestRate,
+    loanTenureYears,
+    scenario = "base",
+    vacancyMonths,
+  } = req.query;
 
-  const requestBodyLog = {
-    propertyId,
-    endpoint: `/api/v1/properties/${propertyId}`,
-    userId: req.user?.userId || null,
+  if (!CASHFLOW_SCENARIOS.includes(scenario)) {
+    throw createAppError(
+      `Invalid scenario. Must be one of: ${CASHFLOW_SCENARIOS.join(", ")}`,
+      400
+    );
+  }
+
+  const inputs = {
+    holdingYears: parseIntegerQuery(
+      holdingYears,
+      "holdingYears",
+      1,
+      MAX_HOLDING_YEARS
+    ),
+    discountRatePercent: parseNumericQuery(
+      discountRate,
+      "discountRate",
+      0,
+      100
+    ),
+    exitCapRatePercent: parseNumericQuery(exitCapRate, "exitCapRate", 0.1, 100),
+    stampDutyPercent: parseNumericQuery(
+      stampDutyPercent,
+      "stampDutyPercent",
+      0,
+      100
+    ),
+    loanAmount: parseNumericQuery(loanAmount, "loanAmount", 0),
+    loanInterestRatePercent: parseNumericQuery(
+      loanInterestRate,
+      "loanInterestRate",
+      0,
+      100
+    ),
+    loanTenureYears: parseIntegerQuery(
+      loanTenureYears,
+      "loanTenureYears",
+      1,
+      MAX_HORIZON_YEARS
+    ),
+    scenario,
+    vacancyMonths: parseIntegerQuery(vacancyMonths, "vacancyMonths", 0, 120),
   };
 
-  try {
-    const property = await Property.findOne({
-      where: { propertyId, isActive: true },
-      include: [
-        {
-          model: Amenity,
-          as: "amenities",
-          attributes: ["amenityId", "amenityName"],
-          through: { attributes: [] },
-          where: { isActive: true },
-          required: false,
-        },
-        {
-          model: PropertyMedia,
-          as: "media",
-          attributes: ["mediaId", "mediaType", "fileUrl"],
-          required: false,
-        },
-        {
-          model: Caretaker,
-          as: "caretaker",
-          attributes: ["caretakerId", "caretakerName", "caretakerType", "contactInfo"],
-          where: { isActive: true },
-          required: false,
-        },
-        {
-          model: PropertyConnectivity,
-          as: "connectivity",
-          attributes: ["connectivityId", "connectivityType", "name", "distanceKm"],
-          required: false,
-        },
-        {
-          model: PropertyCertification,
-          as: "certifications",
-          attributes: ["certificationType", "certificationDetails"],
-          required: false,
-        },
-      ],
-    });
+  // Drop params that weren't sent so the analysis defaults apply
+  Object.keys(inputs).forEach((key) => {
+    if (inputs[key] === undefined) delete inputs[key];
+  });
+
+  if (
+    inputs.loanAmount > 0 &&
+    (inputs.loanInterestRatePercent === undefined ||
+      inputs.loanTenureYears === undefined)
+  ) {
+    throw createAppError(
+      "loanInterestRate and loanTenureYears are required with loanAmount",
+      400
+    );
+  }
 
-    if (!property) {
-      throw createAppError("Property not found", 404);
-    }
+  const property = await Property.findOne({
+    where: { propertyId, isActive: true },
+  });
 
-    const propertyData = property.toJSON();
+  if (!property) {
+    throw createAppError("Property not found", 404);
+  }
 
-    // Attach GCS Signed URLs for media
-    if (propertyData.media && propertyData.media.length > 0) {
-      propertyData.media = await attachSignedUrls(propertyData.media);
-    }
+  const sellingPrice = toNumber(property.sellingPrice);
+  if (!sellingPrice) {
+    throw createAppError("Property has no selling price to analyse", 400);
+  }
 
-    // Calculate tenure left
-    if (propertyData.leaseEndDate) {
-      const now = new Date();
-      const leaseEnd = new Date(propertyData.leaseEndDate);
-      const diffTime = leaseEnd - now;
-      const diffYears = diffTime / (1000 * 60 * 60 * 24 * 365.25);
-      propertyData.tenureLeftYears = Math.max(
-        0,
-        parseFloat(diffYears.toFixed(2))
-      );
-    } else {
-      propertyData.tenureLeftYears = null;
-    }
-    await logRequest(
-      req,
-      {
-        userId: req.user?.userId || null,
-        status: 200,
-        body: { success: true, message: "Property fetched successfully" },
-        requestBodyLog,
-      },
-      requestStartTime
-    );
+  if (getMonthlyRent(property) === null) {
+    throw createAppError("Property has no rent details to analyse", 400);
+  }
 
-    return sendEncodedResponse(
-      res,
-      200,
-      true,
-      "Property fetched successfully",
-      propertyData
-    );
-  } catch (error) {
-    await logRequest(
-      req,
-      {
-        userId: req.user?.userId || null,
-        status: error.statusCode || 500,
-        body: { success: false, message: error.message },
-        requestBodyLog,
-        error: error.message,
-        stackTrace: error.stack,
-      },
-      requestStartTime
+  if (inputs.loanAmount >= sellingPrice) {
+    throw createAppError("loanAmount must be less than the selling price", 400);
+  }
+
+  if (
+    scenario === "lockInExit" &&
+    !property.lockInPeriodYears &&
+    !property.lockInPeriodMonths
+  ) {
+    throw createAppError(
+      "Property has no lock-in period for the lockInExit scenario",
+      400
     );
+  }
 
-    return next(error);
+  if (scenario === "vacancy" && !property.leaseEndDate) {
+    throw createAppError(
+      "Property has no lease end date for the vacancy scenario",
+      400
+    );
   }
+
+  const analysis = analyseInvestment(property.toJSON(), inputs);
+
+  return sendEncodedResponse(res, 200, true, "Investment analysis generated", {
+    propertyId,
+    ...analysis,
+  });
 });
 
 module.exports = {
   createProperty,
   updateProperty,
+  deleteProperty,
+  updateSellingStatus,
+  getPropertyVerification,
+  updatePropertyVerification,
   getAllAmenities,
   getAllCaretakers,
   compareProperties,
   getAllProperties,
   getAssignedProperties,
   getPropertyById,
+  getPropertyCashflow,
+  getPropertyAnalysis,
 };
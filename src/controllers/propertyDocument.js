@@ -0,0 +1,511 @@
+const path = require("path");
+const {
+  User,
+  Role,
+  PropertyDocument,
+  PropertyDocumentAccess,
+} = require("../models");
+const { sequelize } = require("../config/dbConnection");
+const createAppError = require("../utils/appError");
+const asyncHandler = require("../utils/asyncHandler");
+const { sanitizeString, isValidUuid } = require("../utils/validators");
+const { logInsert, logUpdate, logDownload } = require("../utils/logs");
+const { sendEncodedResponse } = require("../utils/responseEncoder");
+const { uploadFile, deleteFile, getSignedUrl } = require("../utils/gcsHelper");
+const {
+  findPropertyForDocuments,
+} = require("../services/documentAccessService");
+const { notifyUsers } = require("../services/notificationService");
+const { dispatchWebhookEvent } = require("../services/webhookService");
+
+const { DOCUMENT_TYPES } = PropertyDocument;
+
+const MAX_DESCRIPTION_LENGTH = 500;
+
+// Download links are handed out per request, so keep them short-lived
+const DOWNLOAD_URL_EXPIRY = "15m";
+
+// Kept apart from listing media so bucket rules and retention can differ
+const DOCUMENTS_PREFIX = "property-documents";
+
+// filePath is internal; clients only ever get short-lived download links
+const DOCUMENT_ATTRIBUTES = [
+  "documentId",
+  "propertyId",
+  "documentType",
+  "originalName",
+  "contentType",
+  "fileSize",
+  "description",
+  "uploadedBy",
+  "createdAt",
+];
+
+const findDocument = async (propertyId, documentId) => {
+  if (!isValidUuid(documentId)) {
+    throw createAppError("Invalid document ID", 400);
+  }
+
+  const document = await PropertyDocument.findOne({
+    where: { documentId, propertyId, isActive: true },
+  });
+
+  if (!document) {
+    throw createAppError("Document not found for this property", 404);
+  }
+
+  return document;
+};
+
+// ============================================
+// UPLOAD DOCUMENTS
+// ============================================
+const uploadPropertyDocuments = asyncHandler(async (req, res, next) => {
+  const { propertyId } = req.params;
+  const { documentType, description } = req.body;
+  const files = req.files || [];
+
+  const uploadedPaths = [];
+
+  try {
+    if (!DOCUMENT_TYPES.includes(documentType)) {
+      throw createAppError(
+        `Invalid documentType. Must be one of: ${DOCUMENT_TYPES.join(", ")}`,
+        400
+      );
+    }
+
+    if (files.length === 0) {
+      throw createAppError("At least one file is required", 400);
+    }
+
+    const cleanedDescription = description
+      ? sanitizeString(String(description))
+      : null;
+    if (
+      cleanedDescription &&
+      cleanedDescription.length > MAX_DESCRIPTION_LENGTH
+    ) {
+      throw createAppError(
+        `description cannot exceed ${MAX_DESCRIPTION_LENGTH} characters`,
+        400
+      );
+    }
+
+    const property = await findPropertyForDocuments(req.user, propertyId, {
+      manage: true,
+    });
+
+    // Documents are stored verbatim: no re-encoding, unlike listing photos
+    const uploads = await Promise.all(
+      files.map(async (file) => {
+        const ext = path.extname(file.originalname).toLowerCase();
+        const randomString = Math.round(Math.random() * 1e9);
+        const gcsPath = `${DOCUMENTS_PREFIX}/${propertyId}/${documentType}/${Date.now()}-${randomString}${ext}`;
+
+        await uploadFile(gcsPath, file.path, file.mimetype, {
+          uploadedBy: req.user.userId,
+          documentType,
+          uploadDate: new Date().toISOString(),
+        });
+        uploadedPaths.push(gcsPath);
+
+        return { file, gcsPath };
+      })
+    );
+
+    const documents = await sequelize.transaction(async (t) => {
+      const created = [];
+
+      for (const { file, gcsPath } of uploads) {
+        const document = await PropertyDocument.create(
+          {
+            propertyId,
+            documentType,
+            filePath: gcsPath,
+            originalName: sanitizeString(file.originalname).slice(0, 255),
+            contentType: file.mimetype,
+            fileSize: file.size,
+            description: cleanedDescription,
+            uploadedBy: req.user.userId,
+          },
+          { transaction: t }
+        );
+
+        await logInsert({
+          userId: req.user.userId,
+          entityType: "PropertyDocument",
+          recordId: document.documentId,
+          newRecord: document.toJSON(),
+          tableName: "property_documents",
+          ipAddress: req.ip,
+          userAgent: req.headers["user-agent"],
+          transaction: t,
+        });
+
+        created.push(document);
+      }
+
+      return created;
+    });
+
+    const data = documents.map((document) => {
+      const json = document.toJSON();
+      delete json.filePath;
+      return json;
+    });
+
+    await notifyUsers(
+      [property.ownerId, property.brokerId, property.salesId],
+      "property:documentsUploaded",
+      {
+        propertyId,
+        documentType,
+        count: data.length,
+        uploadedBy: req.user.userId,
+        timestamp: new Date().toISOString(),
+      },
+      { propertyId, excludeUserId: req.user.userId }
+    );
+    await dispatchWebhookEvent("property.updated", {
+      propertyId,
+      updatedFields: ["documents"],
+      change: "documents.uploaded",
+      documentType,
+      count: data.length,
+      updatedBy: req.user.userId,
+    });
+
+    return sendEncodedResponse(
+      res,
+      201,
+      true,
+      "Documents uploaded successfully",
+      { documents: data },
+      { count: data.length }
+    );
+  } catch (error) {
+    // Nothing references the objects if the rows weren't written
+    await Promise.all(
+      uploadedPaths.map((gcsPath) => deleteFile(gcsPath).catch(() => {}))
+    );
+
+    return next(error);
+  }
+});
+
+// ============================================
+// LIST DOCUMENTS
+// ============================================
+const getPropertyDocuments = asyncHandler(async (req, res) => {
+  const { propertyId } = req.params;
+  const { documentType } = req.query;
+
+  if (documentType && !DOCUMENT_TYPES.includes(documentType)) {
+    throw createAppError(
+      `Invalid documentType. Must be one of: ${DOCUMENT_TYPES.join(", ")}`,
+      400
+    );
+  }
+
+  await findPropertyForDocuments(req.user, propertyId);
+
+  const where = { propertyId, isActive: true };
+  if (documentType) where.documentType = documentType;
+
+  const documents = await PropertyDocument.findAll({
+    where,
+    attributes: DOCUMENT_ATTRIBUTES,
+    order: [
+      ["documentType", "ASC"],
+      ["createdAt", "DESC"],
+    ],
+  });
+
+  return sendEncodedResponse(
+    res,
+    200,
+    true,
+    "Documents fetched successfully",
+    { propertyId, documents },
+    { count: documents.length }
+  );
+});
+
+// ============================================
+// DOWNLOAD DOCUMENT (SIGNED URL + AUDIT ENTRY)
+// ============================================
+const downloadPropertyDocument = asyncHandler(async (req, res) => {
+  const { propertyId, documentId } = req.params;
+
+  await findPropertyForDocuments(req.user, propertyId);
+  const document = await findDocument(propertyId, documentId);
+
+  // Record the access before handing out the link; no entry, no link
+  await logDownload({
+    userId: req.user.userId,
+    entityType: "PropertyDocument",
+    recordId: document.documentId,
+    details: {
+      propertyId,
+      documentType: document.documentType,
+      originalName: document.originalName,
+      role: req.user.role,
+    },
+    tableName: "property_documents",
+    ipAddress: req.ip,
+    userAgent: req.headers["user-agent"],
+  });
+
+  const downloadUrl = await getSignedUrl(document.filePath, {
+    expiry: DOWNLOAD_URL_EXPIRY,
+    downloadName: document.originalName,
+  });
+
+  return sendEncodedResponse(res, 200, true, "Download link generated", {
+    documentId: document.documentId,
+    originalName: document.originalName,
+    contentType: document.contentType,
+    downloadUrl,
+    expiresIn: DOWNLOAD_URL_EXPIRY,
+  });
+});
+
+// ============================================
+// DELETE DOCUMENT (SOFT DELETE, FILE KEPT)
+// ============================================
+const deletePropertyDocument = asyncHandler(async (req, res) => {
+  const { propertyId, documentId } = req.params;
+
+  await findPropertyForDocuments(req.user, propertyId, { manage: true });
+  const document = await findDocument(propertyId, documentId);
+
+  // Legal records are only hidden; the object stays in the bucket
+  await sequelize.transaction(async (t) => {
+    await document.update({ isActive: false }, { transaction: t });
+
+    await logUpdate({
+      userId: req.user.userId,
+      entityType: "PropertyDocument",
+      recordId: document.documentId,
+      oldValues: { isActive: true },
+      newValues: { isActive: false, deletedBy: req.user.role },
+      tableName: "property_documents",
+      ipAddress: req.ip,
+      userAgent: req.headers["user-agent"],
+      transaction: t,
+    });
+  });
+
+  await dispatchWebhookEvent("property.updated", {
+    propertyId,
+    updatedFields: ["documents"],
+    change: "documents.deleted",
+    documentId,
+    updatedBy: req.user.userId,
+  });
+
+  return sendEncodedResponse(res, 200, true, "Document deleted successfully", {
+    documentId,
+  });
+});
+
+// ============================================
+// LIST INVESTOR GRANTS
+// ============================================
+const getDocumentAccessList = asyncHandler(async (req, res) => {
+  const { propertyId } = req.params;
+
+  await findPropertyForDocuments(req.user, propertyId, { manage: true });
+
+  const grants = await PropertyDocumentAccess.findAll({
+    where: { propertyId, isActive: true },
+    attributes: ["investorId", "grantedBy", "expiresAt", "createdAt"],
+    include: [
+      {
+        model: User,
+        as: "investor",
+        attributes: ["userId", "firstName", "lastName", "email"],
+      },
+    ],
+    order: [["createdAt", "DESC"]],
+  });
+
+  return sendEncodedResponse(
+    res,
+    200,
+    true,
+    "Document access fetched successfully",
+    { propertyId, grants },
+    { count: grants.length }
+  );
+});
+
+// ============================================
+// GRANT INVESTOR ACCESS
+// ============================================
+const grantDocumentAccess = asyncHandler(async (req, res) => {
+  const { propertyId } = req.params;
+  const { investorId, expiresAt } = req.body;
+
+  if (!investorId || !isValidUuid(investorId)) {
+    throw createAppError("A valid investorId is required", 400);
+  }
+
+  let expiryDate = null;
+  if (expiresAt) {
+    expiryDate = new Date(expiresAt);
+    if (isNaN(expiryDate.getTime()) || expiryDate <= new Date()) {
+      throw createAppError("expiresAt must be a future date", 400);
+    }
+  }
+
+  await findPropertyForDocuments(req.user, propertyId, { manage: true });
+
+  const investor = await User.findOne({
+    where: { userId: investorId, isActive: true },
+    attributes: ["userId"],
+    include: [
+      {
+        model: Role,
+        as: "roles",
+        through: { attributes: [] },
+        where: { roleName: "Investor", isActive: true },
+        attributes: [],
+      },
+    ],
+  });
+
+  if (!investor) {
+    throw createAppError("Investor not found", 404);
+  }
+
+  const grant = await sequelize.transaction(async (t) => {
+    const existing = await PropertyDocumentAccess.findOne({
+      where: { propertyId, investorId },
+      transaction: t,
+      lock: t.LOCK.UPDATE,
+    });
+
+    // audit_logs.record_id is a UUID, so grants are keyed by the
+    // property; the investorId is part of the logged values
+    if (existing) {
+      const oldValues = {
+        investorId,
+        isActive: existing.isActive,
+        expiresAt: existing.expiresAt,
+      };
+      await existing.update(
+        { isActive: true, expiresAt: expiryDate, grantedBy: req.user.userId },
+        { transaction: t }
+      );
+
+      await logUpdate({
+        userId: req.user.userId,
+        entityType: "PropertyDocumentAccess",
+        recordId: propertyId,
+        oldValues,
+        newValues: { investorId, isActive: true, expiresAt: expiryDate },
+        tableName: "property_document_access",
+        ipAddress: req.ip,
+        userAgent: req.headers["user-agent"],
+        transaction: t,
+      });
+
+      return existing;
+    }
+
+    const created = await PropertyDocumentAccess.create(
+      {
+        propertyId,
+        investorId,
+        grantedBy: req.user.userId,
+        expiresAt: expiryDate,
+      },
+      { transaction: t }
+    );
+
+    await logInsert({
+      userId: req.user.userId,
+      entityType: "PropertyDocumentAccess",
+      recordId: propertyId,
+      newRecord: created.toJSON(),
+      tableName: "property_document_access",
+      ipAddress: req.ip,
+      userAgent: req.headers["user-agent"],
+      transaction: t,
+    });
+
+    return created;
+  });
+
+  await notifyUsers(
+    [investorId],
+    "property:documentAccessGranted",
+    {
+      propertyId,
+      expiresAt: expiryDate,
+      grantedBy: req.user.userId,
+      timestamp: new Date().toISOString(),
+    },
+    { propertyId }
+  );
+
+  return sendEncodedResponse(res, 200, true, "Document access granted", {
+    grant,
+  });
+});
+
+// ============================================
+// REVOKE INVESTOR ACCESS
+// ============================================
+const revokeDocumentAccess = asyncHandler(async (req, res) => {
+  const { propertyId, investorId } = req.params;
+
+  if (!isValidUuid(investorId)) {
+    throw createAppError("Invalid investor ID", 400);
+  }
+
+  await findPropertyForDocuments(req.user, propertyId, { manage: true });
+
+  await sequelize.transaction(async (t) => {
+    const grant = await PropertyDocumentAccess.findOne({
+      where: { propertyId, investorId, isActive: true },
+      transaction: t,
+      lock: t.LOCK.UPDATE,
+    });
+
+    if (!grant) {
+      throw createAppError("No active document access for this investor", 404);
+    }
+
+    await grant.update({ isActive: false }, { transaction: t });
+
+    await logUpdate({
+      userId: req.user.userId,
+      entityType: "PropertyDocumentAccess",
+      recordId: propertyId,
+      oldValues: { investorId, isActive: true },
+      newValues: { investorId, isActive: false },
+      tableName: "property_document_access",
+      ipAddress: req.ip,
+      userAgent: req.headers["user-agent"],
+      transaction: t,
+    });
+  });
+
+  return sendEncodedResponse(res, 200, true, "Document access revoked", {
+    propertyId,
+    investorId,
+  });
+});
+
+module.exports = {
+  uploadPropertyDocuments,
+  getPropertyDocuments,
+  downloadPropertyDocument,
+  deletePropertyDocument,
+  getDocumentAccessList,
+  grantDocumentAccess,
+  revokeDocumentAccess,
+};
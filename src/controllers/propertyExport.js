@@ -0,0 +1,202 @@
+const ExcelJS = require("exceljs");
+const {
+  Property,
+  Amenity,
+  Caretaker,
+  PropertyConnectivity,
+} = require("../models");
+const createAppError = require("../utils/appError");
+const asyncHandler = require("../utils/asyncHandler");
+const { buildPropertyFilters } = require("../utils/propertyFilters");
+const {
+  EXPORT_FORMATS,
+  EXPORT_CONTENT_TYPES,
+  EXPORT_COLUMNS,
+  toExportRow,
+} = require("../utils/propertyExport");
+const { toCsvLine } = require("../utils/csv");
+const { writeWithBackpressure } = require("../utils/stream");
+const { getSalesScope } = require("../services/salesAssignmentService");
+
+// Rows fetched per query while streaming
+const EXPORT_BATCH_SIZE = 200;
+
+/**
+ * Page through matching properties and hand each batch to `onBatch`,
+ * so the full result set is never held in memory
+ */
+const forEachPropertyBatch = async ({ where, order }, onBatch) => {
+  let offset = 0;
+
+  for (;;) {
+    const properties = await Property.findAll({
+      where,
+      include: [
+        {
+          model: Amenity,
+          as: "amenities",
+          attributes: ["amenityName"],
+          through: { attributes: [] },
+          where: { isActive: true },
+          required: false,
+        },
+        {
+          model: Caretaker,
+          as: "caretaker",
+          attributes: ["caretakerName"],
+          where: { isActive: true },
+          required: false,
+        },
+        {
+          model: PropertyConnectivity,
+          as: "connectivity",
+          attributes: ["connectivityType", "name", "distanceKm"],
+          separate: true,
+        },
+      ],
+      order,
+      limit: EXPORT_BATCH_SIZE,
+      offset,
+    });
+
+    if (properties.length === 0) return;
+
+    await onBatch(properties.map((property) => property.toJSON()));
+
+    if (properties.length < EXPORT_BATCH_SIZE) return;
+    offset += EXPORT_BATCH_SIZE;
+  }
+};
+
+const streamCsv = async (res, query) => {
+  const write = (chunk) => writeWithBackpressure(res, chunk);
+
+  // BOM so Excel opens the file as UTF-8
+  await write("\uFEFF" + toCsvLine(EXPORT_COLUMNS.map((c) => c.header)));
+
+  let rowCount = 0;
+  await forEachPropertyBatch(query, async (properties) => {
+    for (const property of properties) {
+      await write(toCsvLine(toExportRow(property)));
+      rowCount++;
+    }
+  });
+
+  res.end();
+  return rowCount;
+};
+
+const streamXlsx = async (res, query) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream: res,
+    useStyles: false,
+    useSharedStrings: false,
+  });
+  const sheet = workbook.addWorksheet("Properties");
+  sheet.columns = EXPORT_COLUMNS.map((column) => ({
+    header: column.header,
+    key: column.header,
+    width: column.width,
+  }));
+
+  let rowCount = 0;
+  await forEachPropertyBatch(query, async (properties) => {
+    properties.forEach((property) => {
+      sheet.addRow(toExportRow(property)).commit();
+      rowCount++;
+    });
+  });
+
+  sheet.commit();
+  await workbook.commit();
+  return rowCount;
+};
+
+/**
+ * Shared export flow. `assignedOnly` limits rows the same way as
+ * getAssignedProperties; otherwise rows match getAllProperties.
+ */
+const exportPropertyList = async (req, res, next, { assignedOnly }) => {
+  const {
+    format = "csv",
+    hideUnverified,
+    sortBy = "createdAt",
+    sortOrder = "DESC",
+  } = req.query;
+
+  try {
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw createAppError(
+        `Invalid format. Must be one of: ${EXPORT_FORMATS.join(", ")}`,
+        400
+      );
+    }
+
+    if (!Property.rawAttributes[sortBy]) {
+      throw createAppError(`Invalid sortBy field: ${sortBy}`, 400);
+    }
+
+    const where = {
+      isActive: true,
+      ...buildPropertyFilters(req.query),
+    };
+
+    if (assignedOnly) {
+      where.salesId = await getSalesScope(req.user);
+    } else if (hideUnverified === "true") {
+      where.isVerified = "completed";
+    }
+
+    const query = {
+      where,
+      // propertyId breaks ties so offset paging never skips or repeats rows
+      order: [
+        [sortBy, sortOrder.toUpperCase() === "ASC" ? "ASC" : "DESC"],
+        ["propertyId", "ASC"],
+      ],
+    };
+
+    const fileName = `${assignedOnly ? "assigned-properties" : "properties"}-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.status(200);
+    res.setHeader("Content-Type", EXPORT_CONTENT_TYPES[format]);
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+
+    const rowCount =
+      format === "xlsx"
+        ? await streamXlsx(res, query)
+        : await streamCsv(res, query);
+
+    // Streamed, so there is no JSON body for the request log to pick up
+    res.locals.responseBody = {
+      success: true,
+      message: "Properties exported successfully",
+      count: rowCount,
+    };
+  } catch (error) {
+    // Once the file has started streaming the status can't change; cut the
+    // download short so the client doesn't keep a truncated file as complete
+    if (res.headersSent) {
+      res.locals.error = error;
+      return res.destroy(error);
+    }
+    res.removeHeader("Content-Type");
+    res.removeHeader("Content-Disposition");
+    return next(error);
+  }
+};
+
+// ============================================
+// EXPORT PROPERTIES (getAllProperties filters)
+// ============================================
+const exportProperties = asyncHandler(async (req, res, next) =>
+  exportPropertyList(req, res, next, { assignedOnly: false })
+);
+
+// ============================================
+// EXPORT ASSIGNED PROPERTIES (getAssignedProperties filters)
+// ============================================
+const exportAssignedProperties = asyncHandler(async (req, res, next) =>
+  exportPropertyList(req, res, next, { assignedOnly: true })
+);
+
+module.exports = { exportProperties, exportAssignedProperties };
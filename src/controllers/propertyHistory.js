@@ -0,0 +1,140 @@
+const { Property } = require("../models");
+const createAppError = require("../utils/appError");
+const asyncHandler = require("../utils/asyncHandler");
+const { sendEncodedResponse } = require("../utils/responseEncoder");
+const { getTenureLeftYears } = require("../utils/propertyFilters");
+const { isPropertyParticipant } = require("../services/propertyAccessService");
+const {
+  HISTORY_ENTITY_TYPES,
+  getPropertyTimeline,
+  reconstructPropertyAsOf,
+} = require("../services/propertyHistoryService");
+
+const MAX_PAGE_SIZE = 100;
+
+const parseDateQuery = (value, name) => {
+  if (value === undefined || value === "") return undefined;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw createAppError(`${name} must be a valid date`, 400);
+  }
+  return date;
+};
+
+// History is internal: only people working the listing (and admins) see
+// it. Purged properties no longer have an owner to check, so only admins
+// can look at those.
+const checkHistoryAccess = async (req, propertyId) => {
+  const property = await Property.findByPk(propertyId, {
+    attributes: ["propertyId", "ownerId", "brokerId", "salesId"],
+  });
+
+  if (!property) {
+    if (["Admin", "Super Admin"].includes(req.user.role)) return;
+    throw createAppError("Property not found", 404);
+  }
+
+  if (!(await isPropertyParticipant(req.user, property))) {
+    throw createAppError(
+      "You don't have permission to view this property's history",
+      403
+    );
+  }
+};
+
+// ============================================
+// CHANGE TIMELINE
+// ============================================
+const getPropertyHistory = asyncHandler(async (req, res) => {
+  const { propertyId } = req.params;
+  const { page = 1, limit = 20, entityType, field, from, to } = req.query;
+
+  const pageNumber = parseInt(page);
+  const pageSize = parseInt(limit);
+  if (isNaN(pageNumber) || pageNumber < 1) {
+    throw createAppError("page must be a positive integer", 400);
+  }
+  if (isNaN(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    throw createAppError(`limit must be between 1 and ${MAX_PAGE_SIZE}`, 400);
+  }
+
+  if (entityType && !HISTORY_ENTITY_TYPES.includes(entityType)) {
+    throw createAppError(
+      `Invalid entityType. Must be one of: ${HISTORY_ENTITY_TYPES.join(", ")}`,
+      400
+    );
+  }
+
+  const fromDate = parseDateQuery(from, "from");
+  const toDate = parseDateQuery(to, "to");
+
+  await checkHistoryAccess(req, propertyId);
+
+  const { count, entries } = await getPropertyTimeline(propertyId, {
+    page: pageNumber,
+    limit: pageSize,
+    entityType,
+    field,
+    from: fromDate,
+    to: toDate,
+  });
+
+  const totalPages = Math.ceil(count / pageSize);
+
+  return sendEncodedResponse(
+    res,
+    200,
+    true,
+    "Property history fetched successfully",
+    { propertyId, entries },
+    {
+      pagination: {
+        currentPage: pageNumber,
+        pageSize: pageSize,
+        totalItems: count,
+        totalPages: totalPages,
+        hasNextPage: pageNumber < totalPages,
+        hasPrevPage: pageNumber > 1,
+      },
+    }
+  );
+});
+
+// ============================================
+// POINT-IN-TIME VIEW (?asOf=)
+// ============================================
+const getPropertyAsOf = asyncHandler(async (req, res) => {
+  const { propertyId } = req.params;
+  const { asOf } = req.query;
+
+  const asOfDate = parseDateQuery(asOf, "asOf");
+
+  await checkHistoryAccess(req, propertyId);
+
+  const result = await reconstructPropertyAsOf(propertyId, asOfDate);
+  if (!result) {
+    throw createAppError(
+      `Property did not exist at ${asOfDate.toISOString()}`,
+      404
+    );
+  }
+
+  const property = {
+    ...result.property,
+    tenureLeftYears: getTenureLeftYears(result.property.leaseEndDate, asOfDate),
+  };
+
+  return sendEncodedResponse(
+    res,
+    200,
+    true,
+    "Property fetched as of requested date",
+    property,
+    {
+      asOf: asOfDate.toISOString(),
+      changesUndone: result.changesUndone,
+    }
+  );
+});
+
+module.exports = { getPropertyHistory, getPropertyAsOf };
@@ -0,0 +1,59 @@
+const createAppError = require("../utils/appError");
+const asyncHandler = require("../utils/asyncHandler");
+const { sendEncodedResponse } = require("../utils/responseEncoder");
+const { notifyPropertyAudience } = require("../services/notificationService");
+const { dispatchWebhookEvent } = require("../services/webhookService");
+const { importProperties } = require("../services/propertyImportService");
+
+// ============================================
+// BULK IMPORT PROPERTIES FROM CSV / XLSX
+// ============================================
+const importPropertiesFromFile = asyncHandler(async (req, res) => {
+  const dryRun = req.query.dryRun === "true";
+
+  if (!req.file) {
+    throw createAppError("A CSV or XLSX file is required", 400);
+  }
+
+  const { report, createdProperties } = await importProperties({
+    file: req.file,
+    dryRun,
+    user: { userId: req.user.userId, userRole: req.userRole },
+    requestMeta: {
+      ipAddress: req.ip,
+      userAgent: req.headers["user-agent"],
+    },
+  });
+
+  const statusCode = report.createdCount > 0 ? 201 : 200;
+  const message = dryRun
+    ? "Import validated (dry run, nothing saved)"
+    : `${report.createdCount} properties imported successfully`;
+
+  if (createdProperties.length > 0) {
+    await notifyPropertyAudience(
+      createdProperties,
+      "property:imported",
+      {
+        propertyIds: createdProperties.map((p) => p.propertyId),
+        createdBy: req.user.userId,
+        createdByRole: req.userRole,
+        timestamp: new Date().toISOString(),
+      },
+      { excludeUserId: req.user.userId }
+    );
+  }
+
+  // One event per property, with the same payload as a single create
+  for (const property of createdProperties) {
+    await dispatchWebhookEvent("property.created", {
+      ...property,
+      createdBy: req.user.userId,
+      createdByRole: req.userRole,
+    });
+  }
+
+  return sendEncodedResponse(res, statusCode, true, message, report);
+});
+
+module.exports = { importPropertiesFromFile };
@@ -0,0 +1,399 @@
+const { Property, PropertyMedia } = require("../models");
+const { sequelize } = require("../config/dbConnection");
+const createAppError = require("../utils/appError");
+const asyncHandler = require("../utils/asyncHandler");
+const { sanitizeString } = require("../utils/validators");
+const { logUpdate, logDelete } = require("../utils/logs");
+const { sendEncodedResponse } = require("../utils/responseEncoder");
+const { attachSignedUrls, deleteMediaFiles } = require("../utils/gcsHelper");
+const { IMAGE_SIZES } = require("../utils/imageProcessor");
+const { notifyUsers } = require("../services/notificationService");
+const { dispatchWebhookEvent } = require("../services/webhookService");
+
+const MAX_CAPTION_LENGTH = 500;
+
+const MEDIA_ATTRIBUTES = [
+  "mediaId",
+  "mediaType",
+  "fileUrl",
+  "variants",
+  "isPrimary",
+  "displayOrder",
+  "caption",
+  "durationSeconds",
+  "width",
+  "height",
+  "codec",
+  "posterUrl",
+  "uploadedAt",
+];
+
+// Owners and brokers may only manage media on their own listings,
+// the same scoping updateProperty applies
+const findManagedProperty = async (req, propertyId, transaction) => {
+  const whereCondition = { propertyId, isActive: true };
+
+  if (req.userRole === "Owner") {
+    whereCondition.ownerId = req.user.userId;
+  } else if (req.userRole === "Broker") {
+    whereCondition.brokerId = req.user.userId;
+  }
+
+  const property = await Property.findOne({
+    where: whereCondition,
+    attributes: ["propertyId", "ownerId", "brokerId", "salesId"],
+    transaction,
+  });
+
+  if (!property) {
+    throw createAppError(
+      "Property not found or you don't have permission to update it",
+      404
+    );
+  }
+
+  return property;
+};
+
+const findMedia = async (propertyId, mediaId, transaction) => {
+  if (!Number.isInteger(Number(mediaId))) {
+    throw createAppError("Invalid media ID", 400);
+  }
+
+  const media = await PropertyMedia.findOne({
+    where: { mediaId, propertyId },
+    transaction,
+    lock: transaction ? transaction.LOCK.UPDATE : undefined,
+  });
+
+  if (!media) {
+    throw createAppError("Media not found for this property", 404);
+  }
+
+  return media;
+};
+
+// Let the other people on the listing, and webhook subscribers, know its
+// gallery changed
+const notifyMediaChange = async (property, req, change) => {
+  await notifyUsers(
+    [property.ownerId, property.brokerId, property.salesId],
+    "property:mediaUpdated",
+    {
+      propertyId: property.propertyId,
+      change,
+      updatedBy: req.user.userId,
+      timestamp: new Date().toISOString(),
+    },
+    { propertyId: property.propertyId, excludeUserId: req.user.userId }
+  );
+  await dispatchWebhookEvent("property.updated", {
+    propertyId: property.propertyId,
+    updatedFields: ["media"],
+    change: `media.${change}`,
+    updatedBy: req.user.userId,
+  });
+};
+
+// ============================================
+// LIST MEDIA
+// ============================================
+const getPropertyMedia = asyncHandler(async (req, res) => {
+  const { propertyId } = req.params;
+  const { size = "large" } = req.query;
+
+  if (!IMAGE_SIZES[size]) {
+    throw createAppError(
+      `Invalid size. Must be one of: ${Object.keys(IMAGE_SIZES).join(", ")}`,
+      400
+    );
+  }
+
+  const property = await Property.findOne({
+    where: { propertyId, isActive: true },
+    attributes: ["propertyId"],
+  });
+
+  if (!property) {
+    throw createAppError("Property not found", 404);
+  }
+
+  const media = await PropertyMedia.findAll({
+    where: { propertyId },
+    attributes: MEDIA_ATTRIBUTES,
+    order: PropertyMedia.DISPLAY_ORDER,
+  });
+
+  const data = await attachSignedUrls(media, size);
+
+  return sendEncodedResponse(
+    res,
+    200,
+    true,
+    "Media fetched successfully",
+    { propertyId, media: data },
+    { count: data.length }
+  );
+});
+
+// ============================================
+// DELETE MEDIA (ROW + BUCKET OBJECT)
+// ============================================
+const deletePropertyMedia = asyncHandler(async (req, res) => {
+  const { propertyId, mediaId } = req.params;
+
+  const property = await findManagedProperty(req, propertyId);
+
+  const deletedMedia = await sequelize.transaction(async (t) => {
+    const media = await findMedia(propertyId, mediaId, t);
+    const oldRecord = media.toJSON();
+
+    await media.destroy({ transaction: t });
+
+    // audit_logs.record_id is a UUID, so media entries are keyed by the
+    // owning property; the mediaId is part of the logged values
+    await logDelete({
+      userId: req.user.userId,
+      entityType: "PropertyMedia",
+      recordId: propertyId,
+      oldRecord,
+      tableName: "property_media",
+      ipAddress: req.ip,
+      userAgent: req.headers["user-agent"],
+      transaction: t,
+    });
+
+    return oldRecord;
+  });
+
+  // Only remove the object once the row is gone for good
+  try {
+    await deleteMediaFiles(deletedMedia);
+  } catch (storageErr) {
+    console.error(
+      `Failed to delete media object ${deletedMedia.fileUrl}:`,
+      storageErr.message
+    );
+  }
+
+  await notifyMediaChange(property, req, "deleted");
+
+  return sendEncodedResponse(res, 200, true, "Media deleted successfully", {
+    propertyId,
+    mediaId: deletedMedia.mediaId,
+    wasPrimary: deletedMedia.isPrimary,
+  });
+});
+
+// ============================================
+// REORDER MEDIA
+// ============================================
+const reorderPropertyMedia = asyncHandler(async (req, res) => {
+  const { propertyId } = req.params;
+  const { mediaIds } = req.body;
+
+  if (!Array.isArray(mediaIds) || mediaIds.length === 0) {
+    throw createAppError("mediaIds must be a non-empty array", 400);
+  }
+
+  const orderedIds = mediaIds.map((id) => parseInt(id));
+  if (orderedIds.some((id) => isNaN(id))) {
+    throw createAppError("mediaIds must contain numeric media IDs", 400);
+  }
+
+  if (new Set(orderedIds).size !== orderedIds.length) {
+    throw createAppError("mediaIds must not contain duplicates", 400);
+  }
+
+  const property = await findManagedProperty(req, propertyId);
+
+  const media = await sequelize.transaction(async (t) => {
+    const existing = await PropertyMedia.findAll({
+      where: { propertyId },
+      order: PropertyMedia.DISPLAY_ORDER,
+      transaction: t,
+      lock: t.LOCK.UPDATE,
+    });
+
+    const existingIds = existing.map((m) => m.mediaId);
+    const sameSet =
+      existingIds.length === orderedIds.length &&
+      orderedIds.every((id) => existingIds.includes(id));
+
+    if (!sameSet) {
+      throw createAppError(
+        "mediaIds must list every media item of this property exactly once",
+        400
+      );
+    }
+
+    await Promise.all(
+      orderedIds.map((id, index) =>
+        PropertyMedia.update(
+          { displayOrder: index },
+          { where: { mediaId: id, propertyId }, transaction: t }
+        )
+      )
+    );
+
+    await logUpdate({
+      userId: req.user.userId,
+      entityType: "PropertyMedia",
+      recordId: propertyId,
+      oldValues: { mediaOrder: existingIds },
+      newValues: { mediaOrder: orderedIds, updatedBy: req.userRole },
+      tableName: "property_media",
+      ipAddress: req.ip,
+      userAgent: req.headers["user-agent"],
+      transaction: t,
+    });
+
+    return PropertyMedia.findAll({
+      where: { propertyId },
+      attributes: MEDIA_ATTRIBUTES,
+      order: PropertyMedia.DISPLAY_ORDER,
+      transaction: t,
+    });
+  });
+
+  await notifyMediaChange(property, req, "reordered");
+
+  return sendEncodedResponse(res, 200, true, "Media reordered successfully", {
+    propertyId,
+    media: await attachSignedUrls(media, "thumbnail"),
+  });
+});
+
+// ============================================
+// SET COVER IMAGE
+// ============================================
+const setPrimaryPropertyMedia = asyncHandler(async (req, res) => {
+  const { propertyId, mediaId } = req.params;
+
+  const property = await findManagedProperty(req, propertyId);
+
+  const result = await sequelize.transaction(async (t) => {
+    // Lock every media row of the property, as reorder does, so two
+    // concurrent requests can't each leave a primary behind
+    await PropertyMedia.findAll({
+      where: { propertyId },
+      attributes: ["mediaId"],
+      order: PropertyMedia.DISPLAY_ORDER,
+      transaction: t,
+      lock: t.LOCK.UPDATE,
+    });
+    const media = await findMedia(propertyId, mediaId, t);
+
+    if (media.mediaType !== "photo") {
+      throw createAppError("Only photos can be set as the cover image", 400);
+    }
+
+    const previousPrimary = await PropertyMedia.findOne({
+      where: { propertyId, isPrimary: true },
+      attributes: ["mediaId"],
+      transaction: t,
+    });
+
+    await PropertyMedia.update(
+      { isPrimary: false },
+      { where: { propertyId, isPrimary: true }, transaction: t }
+    );
+    await media.update({ isPrimary: true }, { transaction: t });
+
+    await logUpdate({
+      userId: req.user.userId,
+      entityType: "PropertyMedia",
+      recordId: propertyId,
+      oldValues: {
+        primaryMediaId: previousPrimary ? previousPrimary.mediaId : null,
+      },
+      newValues: {
+        primaryMediaId: media.mediaId,
+        updatedBy: req.userRole,
+      },
+      tableName: "property_media",
+      ipAddress: req.ip,
+      userAgent: req.headers["user-agent"],
+      transaction: t,
+    });
+
+    return {
+      mediaId: media.mediaId,
+      previousPrimaryMediaId: previousPrimary ? previousPrimary.mediaId : null,
+    };
+  });
+
+  await notifyMediaChange(property, req, "primaryChanged");
+
+  return sendEncodedResponse(
+    res,
+    200,
+    true,
+    "Cover image updated successfully",
+    { propertyId, ...result }
+  );
+});
+
+// ============================================
+// UPDATE CAPTION
+// ============================================
+const updatePropertyMediaCaption = asyncHandler(async (req, res) => {
+  const { propertyId, mediaId } = req.params;
+  const { caption } = req.body;
+
+  if (
+    caption !== null &&
+    caption !== undefined &&
+    typeof caption !== "string"
+  ) {
+    throw createAppError("caption must be a string", 400);
+  }
+
+  // Empty caption clears it
+  const cleanedCaption = caption ? sanitizeString(caption) || null : null;
+  if (cleanedCaption && cleanedCaption.length > MAX_CAPTION_LENGTH) {
+    throw createAppError(
+      `caption cannot exceed ${MAX_CAPTION_LENGTH} characters`,
+      400
+    );
+  }
+
+  const property = await findManagedProperty(req, propertyId);
+
+  const media = await sequelize.transaction(async (t) => {
+    const existing = await findMedia(propertyId, mediaId, t);
+    const oldCaption = existing.caption;
+
+    await existing.update({ caption: cleanedCaption }, { transaction: t });
+
+    await logUpdate({
+      userId: req.user.userId,
+      entityType: "PropertyMedia",
+      recordId: propertyId,
+      oldValues: { mediaId: existing.mediaId, caption: oldCaption },
+      newValues: { mediaId: existing.mediaId, caption: cleanedCaption },
+      tableName: "property_media",
+      ipAddress: req.ip,
+      userAgent: req.headers["user-agent"],
+      transaction: t,
+    });
+
+    return existing;
+  });
+
+  await notifyMediaChange(property, req, "captionChanged");
+
+  return sendEncodedResponse(res, 200, true, "Caption updated successfully", {
+    propertyId,
+    mediaId: media.mediaId,
+    caption: media.caption,
+  });
+});
+
+module.exports = {
+  getPropertyMedia,
+  deletePropertyMedia,
+  reorderPropertyMedia,
+  setPrimaryPropertyMedia,
+  updatePropertyMediaCaption,
+};
@@ -0,0 +1,51 @@
+const { pipeline } = require("stream/promises");
+const createAppError = require("../utils/appError");
+const asyncHandler = require("../utils/asyncHandler");
+const { getStorage } = require("../services/storage");
+
+// ============================================
+// SERVE LOCALLY STORED OBJECT (SIGNED URL)
+// ============================================
+// Stand-in for GCS signed URLs when STORAGE_DRIVER=local. Downloads are
+// logged like any request, but the router redacts the signature and expiry
+// so the API log can't be used to rebuild a working link.
+const serveStoredObject = asyncHandler(async (req, res, next) => {
+  const storage = getStorage();
+  if (storage.name !== "local") {
+    return next(createAppError("The requested resource does not exist", 404));
+  }
+
+  const key = [].concat(req.params.key).join("/");
+
+  let valid = false;
+  try {
+    valid = storage.verifySignedUrl(key, req.query);
+  } catch (err) {
+    return next(createAppError(err.message, 400));
+  }
+
+  if (!valid) {
+    return next(createAppError("Invalid or expired link", 403));
+  }
+
+  const info = await storage.getObjectInfo(key);
+  if (!info) {
+    return next(createAppError("File not found", 404));
+  }
+
+  res.setHeader("Content-Type", info.contentType || "application/octet-stream");
+  // helmet defaults to same-origin; the frontend loads these cross-origin
+  res.setHeader("Cross-Origin-Resource-Policy", "cross-origin");
+  if (req.query.download) {
+    res.attachment(req.query.download);
+  }
+
+  try {
+    await pipeline(storage.createReadStream(key), res);
+  } catch (err) {
+    if (!res.headersSent) return next(err);
+    res.destroy(err);
+  }
+});
+
+module.exports = { serveStoredObject };
@@ -7,75 +7,41 @@ const {
 } = require("../utils/validators");
 const createAppError = require("../utils/appError");
 const asyncHandler = require("../utils/asyncHandler");
-const { logRequest } = require("../utils/logs");
 const { sequelize } = require("../config/dbConnection");
 const { sendEncodedResponse } = require("../utils/responseEncoder");
 const otpService = require("../services/otpService");
+const { revalidateUserSockets } = require("../config/socket");
+const { dispatchWebhookEvent } = require("../services/webhookService");
 
 // ============================================
 // SEND OTP
 // ============================================
-const sendOtpHandler = asyncHandler(async (req, res, next) => {
-  const requestStartTime = Date.now();
+const sendOtpHandler = asyncHandler(async (req, res) => {
   const { mobileNumber } = req.body;
 
-  const requestBodyLog = {
-    mobileNumber,
-  };
-
-  try {
-    if (!mobileNumber) {
-      throw createAppError("mobileNumber is required", 400);
-    }
-
-    if (!isValidPhone(mobileNumber)) {
-      throw createAppError(
-        "Invalid mobile number. Must be 10 digits starting with 6-9",
-        400
-      );
-    }
-
-    const result = await otpService.sendOtp(mobileNumber);
+  if (!mobileNumber) {
+    throw createAppError("mobileNumber is required", 400);
+  }
 
-    await logRequest(
-      req,
-      {
-        userId: null,
-        status: 200,
-        body: { success: true, message: "OTP sent successfully" },
-        requestBodyLog: { mobileNumber: "[REDACTED]" },
-      },
-      requestStartTime
+  if (!isValidPhone(mobileNumber)) {
+    throw createAppError(
+      "Invalid mobile number. Must be 10 digits starting with 6-9",
+      400
     );
+  }
 
-    return sendEncodedResponse(res, 200, true, "OTP sent successfully", {
-      verificationId: result.verificationId,
-      timeout: result.timeout,
-    });
-  } catch (error) {
-    await logRequest(
-      req,
-      {
-        userId: null,
-        status: error.statusCode || 500,
-        body: { success: false, message: error.message },
-        requestBodyLog,
-        error: error.message,
-        stackTrace: error.stack,
-      },
-      requestStartTime
-    );
+  const result = await otpService.sendOtp(mobileNumber);
 
-    return next(error);
-  }
+  return sendEncodedResponse(res, 200, true, "OTP sent successfully", {
+    verificationId: result.verificationId,
+    timeout: result.timeout,
+  });
 });
 
 // ============================================
 // SIGNUP
 // ============================================
-const signup = asyncHandler(async (req, res, next) => {
-  const requestStartTime = Date.now();
-
+const signup = asyncHandler(async (req, res) => {
   const {
     mobileNumber,
     email,
@@ -87,467 +53,353 @@ const signup = asyncHandler(async (req, res, next) => {
     verificationId,
   } = req.body;
 
-  // Prepare log-safe request body (redact sensitive data)
-  const requestBodyLog = {
-    email, // ✅ Keep email for failure tracking
-    mobileNumber, // ✅ Keep mobile for failure tracking
-    firstName,
-    lastName,
-    reraNumber,
-    roleName,
-    otp: otp ? "[REDACTED]" : null,
-    verificationId: verificationId ? "[PRESENT]" : null,
-    deviceId: req.body.deviceId ? "[REDACTED]" : null,
-  };
+  // Validate required fields
+  const requiredFields = [
+    "mobileNumber",
+    "email",
+    "firstName",
+    "lastName",
+    "otp",
+    "verificationId",
+  ];
+  const missing = validateRequiredFields(requiredFields, req.body);
+  if (missing.length > 0) {
+    throw createAppError(`Missing required fields: ${missing.join(", ")}`, 400);
+  }
 
-  try {
-    // Validate required fields
-    const requiredFields = [
-      "mobileNumber",
-      "email",
-      "firstName",
-      "lastName",
-      "otp",
-      "verificationId",
-    ];
-    const missing = validateRequiredFields(requiredFields, req.body);
-    if (missing.length > 0) {
-      throw createAppError(
-        `Missing required fields: ${missing.join(", ")}`,
-        400
-      );
-    }
+  // Validate email format
+  if (!isValidEmail(email)) {
+    throw createAppError("Invalid email format", 400);
+  }
 
-    // Validate email format
-    if (!isValidEmail(email)) {
-      throw createAppError("Invalid email format", 400);
-    }
+  // Validate mobile number (10 digits, starts with 6-9)
+  if (!isValidPhone(mobileNumber)) {
+    throw createAppError(
+      "Invalid mobile number. Must be 10 digits starting with 6-9",
+      400
+    );
+  }
 
-    // Validate mobile number (10 digits, starts with 6-9)
-    if (!isValidPhone(mobileNumber)) {
-      throw createAppError(
-        "Invalid mobile number. Must be 10 digits starting with 6-9",
-        400
-      );
-    }
+  // Verify OTP via MessageCentral
+  await otpService.verifyOtp(verificationId, otp);
 
-    // Verify OTP via MessageCentral
-    await otpService.verifyOtp(verificationId, otp);
+  // Build where condition dynamically to avoid undefined values
+  const whereConditions = [{ mobileNumber }, { email }];
 
-    // Build where condition dynamically to avoid undefined values
-    const whereConditions = [{ mobileNumber }, { email }];
+  // Only add reraNumber to condition if it's provided
+  if (reraNumber) {
+    whereConditions.push({ reraNumber });
+  }
 
-    // Only add reraNumber to condition if it's provided
-    if (reraNumber) {
-      whereConditions.push({ reraNumber });
+  // Check if user already exists
+  const existingUser = await User.findOne({
+    where: {
+      [Op.or]: whereConditions,
+    },
+    attributes: ["mobileNumber", "email", "reraNumber", "otp", "otpExpiresAt"],
+  });
+
+  if (existingUser) {
+    if (existingUser.email === email) {
+      throw createAppError("Email already exists", 409);
+    } else if (existingUser.mobileNumber === mobileNumber) {
+      throw createAppError("Mobile number already exists", 409);
+    } else if (reraNumber && existingUser.reraNumber === reraNumber) {
+      throw createAppError("Rera number already exists", 409);
     }
+  }
 
-    // Check if user already exists
-    const existingUser = await User.findOne({
-      where: {
-        [Op.or]: whereConditions,
-      },
-      attributes: [
-        "mobileNumber",
-        "email",
-        "reraNumber",
-        "otp",
-        "otpExpiresAt",
-      ],
-    });
-
-    if (existingUser) {
-      if (existingUser.email === email) {
-        throw createAppError("Email already exists", 409);
-      } else if (existingUser.mobileNumber === mobileNumber) {
-        throw createAppError("Mobile number already exists", 409);
-      } else if (reraNumber && existingUser.reraNumber === reraNumber) {
-        throw createAppError("Rera number already exists", 409);
-      }
-    }
+  // Find role from roles table
+  const roleRecord = await Role.findOne({
+    where: {
+      roleName: roleName || "Broker",
+      roleType: "client",
+      isActive: true,
+    },
+  });
+
+  if (!roleRecord) {
+    throw createAppError(
+      "Invalid role. Please choose: Owner, Investor, or Broker",
+      400
+    );
+  }
 
-    // Find role from roles table
-    const roleRecord = await Role.findOne({
-      where: {
-        roleName: roleName || "Broker",
-        roleType: "client",
+  // Start transaction
+  const result = await sequelize.transaction(async (t) => {
+    // Create user (✅ with otp and otpExpiresAt as null after verification)
+    const createUser = await User.create(
+      {
+        firstName,
+        lastName,
+        email,
+        mobileNumber,
+        userType: "client",
         isActive: true,
+        reraNumber: reraNumber || null,
       },
-    });
-
-    if (!roleRecord) {
-      throw createAppError(
-        "Invalid role. Please choose: Owner, Investor, or Broker",
-        400
-      );
-    }
-
-    // Start transaction
-    const result = await sequelize.transaction(async (t) => {
-      // Create user (✅ with otp and otpExpiresAt as null after verification)
-      const createUser = await User.create(
-        {
-          firstName,
-          lastName,
-          email,
-          mobileNumber,
-          userType: "client",
-          isActive: true,
-          reraNumber: reraNumber || null,
-        },
-        { transaction: t }
-      );
-
-      // Create user role
-      await UserRole.create(
-        {
-          userId: createUser.userId,
-          roleId: roleRecord.roleId,
-          assignedBy: null,
-        },
-        { transaction: t }
-      );
-
-      // Create refresh token
-      const tokenRecord = await Token.create(
-        {
-          userId: createUser.userId,
-          refreshToken: Token.generateRefreshToken(
-            createUser.userId,
-            roleRecord.roleName
-          ),
-          expiresAt: Token.calculateExpiryDate(
-            process.env.REFRESH_TOKEN_EXPIRY
-          ),
-          deviceId: req.body.deviceId || null,
-          userAgent: req.headers["user-agent"] || null,
-          ipAddress: req.ip || null,
-          isActive: true,
-        },
-        { transaction: t }
-      );
-
-      return {
-        user: createUser,
-        role: roleRecord,
-        refreshToken: tokenRecord.refreshToken,
-      };
-    });
-
-    const accessToken = Token.generateAccessToken(
-      result.user.userId,
-      result.role.roleName
+      { transaction: t }
     );
 
-    const data = {
-      userId: result.user.userId,
-      role: result.role.roleName,
-      accessToken,
-      refreshToken: result.refreshToken,
-    };
-
-    // ✅ Log successful API request
-    await logRequest(
-      req,
+    // Create user role
+    await UserRole.create(
       {
-        userId: result.user.userId,
-        status: 201,
-        body: { success: true, message: "User created successfully" },
-        requestBodyLog: {
-          ...requestBodyLog,
-          email: "[SUCCESS]", // ✅ Redact on success
-          mobileNumber: "[SUCCESS]", // ✅ Redact on success
-        },
+        userId: createUser.userId,
+        roleId: roleRecord.roleId,
+        assignedBy: null,
       },
-      requestStartTime
+      { transaction: t }
     );
 
-    return sendEncodedResponse(
-      res,
-      201,
-      true,
-      "User created successfully",
-      data
-    );
-  } catch (error) {
-    // ✅ Log failed API request (keep email/mobile for support)
-    await logRequest(
-      req,
+    // Create refresh token
+    const tokenRecord = await Token.create(
       {
-        userId: null,
-        status: error.statusCode || 500,
-        body: { success: false, message: error.message },
-        requestBodyLog, // ✅ Keep email/mobile for failure investigation
-        error: error.message,
-        stackTrace: error.stack,
+        userId: createUser.userId,
+        refreshToken: Token.generateRefreshToken(
+          createUser.userId,
+          roleRecord.roleName
+        ),
+        expiresAt: Token.calculateExpiryDate(process.env.REFRESH_TOKEN_EXPIRY),
+        deviceId: req.body.deviceId || null,
+        userAgent: req.headers["user-agent"] || null,
+        ipAddress: req.ip || null,
+        isActive: true,
       },
-      requestStartTime
+      { transaction: t }
     );
 
-    // Pass error to error handler middleware
-    return next(error);
-  }
+    return {
+      user: createUser,
+      role: roleRecord,
+      refreshToken: tokenRecord.refreshToken,
+    };
+  });
+
+  const accessToken = Token.generateAccessToken(
+    result.user.userId,
+    result.role.roleName
+  );
+
+  // Not authenticated yet, so name the user for the request log
+  res.locals.logUserId = result.user.userId;
+
+  // Self sign-up has no creator
+  await dispatchWebhookEvent("user.created", {
+    userId: result.user.userId,
+    firstName: result.user.firstName,
+    lastName: result.user.lastName,
+    email: result.user.email,
+    mobileNumber: result.user.mobileNumber,
+    role: result.role.roleName,
+    createdBy: null,
+  });
+
+  const data = {
+    userId: result.user.userId,
+    role: result.role.roleName,
+    accessToken,
+    refreshToken: result.refreshToken,
+  };
+
+  return sendEncodedResponse(res, 201, true, "User created successfully", data);
 });
 
 // ============================================
 // LOGIN
 // ============================================
-const login = asyncHandler(async (req, res, next) => {
-  const requestStartTime = Date.now();
-
+const login = asyncHandler(async (req, res) => {
   const { mobileNumber, otp, roleName, verificationId } = req.body;
 
-  // Prepare log-safe request body
-  const requestBodyLog = {
-    mobileNumber, // ✅ Keep mobile for failure tracking
-    otp: otp ? "[REDACTED]" : null,
-    verificationId: verificationId ? "[PRESENT]" : null,
-    deviceId: req.body.deviceId ? "[REDACTED]" : null,
-    roleName,
-  };
+  // Validate required fields
+  const requiredFields = ["mobileNumber", "otp", "verificationId"];
+  const missing = validateRequiredFields(requiredFields, req.body);
+  if (missing.length > 0) {
+    throw createAppError(`Missing required fields: ${missing.join(", ")}`, 400);
+  }
 
-  try {
-    // Validate required fields
-    const requiredFields = ["mobileNumber", "otp", "verificationId"];
-    const missing = validateRequiredFields(requiredFields, req.body);
-    if (missing.length > 0) {
-      throw createAppError(
-        `Missing required fields: ${missing.join(", ")}`,
-        400
-      );
-    }
+  // Validate mobile number
+  if (!isValidPhone(mobileNumber)) {
+    throw createAppError(
+      "Invalid mobile number. Must be 10 digits starting with 6-9",
+      400
+    );
+  }
 
-    // Validate mobile number
-    if (!isValidPhone(mobileNumber)) {
-      throw createAppError(
-        "Invalid mobile number. Must be 10 digits starting with 6-9",
-        400
-      );
-    }
+  // Verify OTP via MessageCentral
+  await otpService.verifyOtp(verificationId, otp);
 
-    // Verify OTP via MessageCentral
-    await otpService.verifyOtp(verificationId, otp);
-
-    // Check if user exists
-    const existingUser = await User.findOne({
-      where: { mobileNumber, isActive: true },
-      attributes: [
-        "mobileNumber",
-        "userId",
-        "userType",
-        "firstName",
-        "lastName",
-        "email",
-      ],
-      include: [
-        {
-          model: Role,
-          as: "roles",
-          through: { attributes: [] },
-          attributes: ["roleId", "roleName", "roleType"],
-          where: { isActive: true },
-        },
-      ],
-    });
+  // Check if user exists
+  const existingUser = await User.findOne({
+    where: { mobileNumber, isActive: true },
+    attributes: [
+      "mobileNumber",
+      "userId",
+      "userType",
+      "firstName",
+      "lastName",
+      "email",
+    ],
+    include: [
+      {
+        model: Role,
+        as: "roles",
+        through: { attributes: [] },
+        attributes: ["roleId", "roleName", "roleType"],
+        where: { isActive: true },
+      },
+    ],
+  });
 
-    if (!existingUser) {
-      throw createAppError("Account does not exist, please sign up first", 404);
-    }
+  if (!existingUser) {
+    throw createAppError("Account does not exist, please sign up first", 404);
+  }
 
-    if (!existingUser.roles || existingUser.roles.length === 0) {
-      throw createAppError("No active role assigned to this account", 403);
-    }
+  if (!existingUser.roles || existingUser.roles.length === 0) {
+    throw createAppError("No active role assigned to this account", 403);
+  }
 
-    // Determine active role for this login session
-    let activeRoleName = existingUser.roles[0].roleName;
-
-    // If roleName is provided and it's a client role, add it if not already assigned
-    if (roleName && existingUser.userType === "client") {
-      const validClientRoles = ["Owner", "Broker", "Investor"];
-      if (!validClientRoles.includes(roleName)) {
-        throw createAppError(
-          "Invalid role. Please choose: Owner, Investor, or Broker",
-          400
-        );
-      }
+  // Determine active role for this login session
+  let activeRoleName = existingUser.roles[0].roleName;
 
-      const alreadyHasRole = existingUser.roles.some(
-        (r) => r.roleName === roleName
+  // If roleName is provided and it's a client role, add it if not already assigned
+  if (roleName && existingUser.userType === "client") {
+    const validClientRoles = ["Owner", "Broker", "Investor"];
+    if (!validClientRoles.includes(roleName)) {
+      throw createAppError(
+        "Invalid role. Please choose: Owner, Investor, or Broker",
+        400
       );
-
-      if (!alreadyHasRole) {
-        // Find the role record
-        const newRoleRecord = await Role.findOne({
-          where: { roleName, roleType: "client", isActive: true },
-        });
-
-        if (!newRoleRecord) {
-          throw createAppError("Role not found or inactive", 400);
-        }
-
-        await UserRole.create({
-          userId: existingUser.userId,
-          roleId: newRoleRecord.roleId,
-          assignedBy: null,
-        });
-      }
-
-      activeRoleName = roleName;
     }
 
-    // Generate new refresh token
-    const refreshToken = Token.generateRefreshToken(
-      existingUser.userId,
-      activeRoleName
+    const alreadyHasRole = existingUser.roles.some(
+      (r) => r.roleName === roleName
     );
 
-    // Update existing token or create new one
-    const [updatedCount] = await Token.update(
-      {
-        refreshToken,
-        expiresAt: Token.calculateExpiryDate(process.env.REFRESH_TOKEN_EXPIRY),
-        deviceId: req.body.deviceId || null,
-        userAgent: req.headers["user-agent"] || null,
-        ipAddress: req.ip || null,
-        isActive: true,
-        lastUsedAt: new Date(),
-      },
-      {
-        where: {
-          userId: existingUser.userId,
-          isActive: true,
-        },
-      }
-    );
+    if (!alreadyHasRole) {
+      // Find the role record
+      const newRoleRecord = await Role.findOne({
+        where: { roleName, roleType: "client", isActive: true },
+      });
 
-    const lastLoginAt = new Date();
-    await User.update({ lastLoginAt }, { where: { mobileNumber } });
+      if (!newRoleRecord) {
+        throw createAppError("Role not found or inactive", 400);
+      }
 
-    // If no active token found, create new one
-    if (updatedCount === 0) {
-      await Token.create({
+      await UserRole.create({
         userId: existingUser.userId,
-        refreshToken,
-        expiresAt: Token.calculateExpiryDate(process.env.REFRESH_TOKEN_EXPIRY),
-        deviceId: req.body.deviceId || null,
-        userAgent: req.headers["user-agent"] || null,
-        ipAddress: req.ip || null,
-        isActive: true,
+        roleId: newRoleRecord.roleId,
+        assignedBy: null,
       });
     }
 
-    // Generate access token
-    const accessToken = Token.generateAccessToken(
-      existingUser.userId,
-      activeRoleName
-    );
+    activeRoleName = roleName;
+  }
 
-    // Build roles array from existing roles + newly added role (if any)
-    const allRoles = existingUser.roles.map((r) => r.roleName);
-    if (roleName && !allRoles.includes(roleName)) {
-      allRoles.push(roleName);
-    }
+  // Generate new refresh token
+  const refreshToken = Token.generateRefreshToken(
+    existingUser.userId,
+    activeRoleName
+  );
 
-    const data = {
-      userId: existingUser.userId,
-      role: activeRoleName,
-      roles: allRoles,
-      accessToken,
+  // Update existing token or create new one
+  const [updatedCount] = await Token.update(
+    {
       refreshToken,
-      name: `${existingUser.firstName} ${existingUser.lastName}`,
-      email: existingUser.email,
-    };
-
-    // ✅ Log successful API request
-    await logRequest(
-      req,
-      {
+      expiresAt: Token.calculateExpiryDate(process.env.REFRESH_TOKEN_EXPIRY),
+      deviceId: req.body.deviceId || null,
+      userAgent: req.headers["user-agent"] || null,
+      ipAddress: req.ip || null,
+      isActive: true,
+      lastUsedAt: new Date(),
+    },
+    {
+      where: {
         userId: existingUser.userId,
-        status: 200,
-        body: { success: true, message: "Login successfully" },
-        requestBodyLog: {
-          mobileNumber: "[SUCCESS]", // ✅ Redact on success
-          deviceId: "[REDACTED]",
-        },
+        isActive: true,
       },
-      requestStartTime
-    );
+    }
+  );
 
-    return sendEncodedResponse(res, 200, true, "Login successfully", data);
-  } catch (error) {
-    // ✅ Log failed API request (keep mobile for support)
-    await logRequest(
-      req,
-      {
-        userId: null,
-        status: error.statusCode || 500,
-        body: { success: false, message: error.message },
-        requestBodyLog, // ✅ Keep mobile for failure investigation
-        error: error.message,
-        stackTrace: error.stack,
-      },
-      requestStartTime
-    );
+  const lastLoginAt = new Date();
+  await User.update({ lastLoginAt }, { where: { mobileNumber } });
 
-    // Pass error to error handler middleware
-    return next(error);
+  // If no active token found, create new one
+  if (updatedCount === 0) {
+    await Token.create({
+      userId: existingUser.userId,
+      refreshToken,
+      expiresAt: Token.calculateExpiryDate(process.env.REFRESH_TOKEN_EXPIRY),
+      deviceId: req.body.deviceId || null,
+      userAgent: req.headers["user-agent"] || null,
+      ipAddress: req.ip || null,
+      isActive: true,
+    });
   }
+
+  // Generate access token
+  const accessToken = Token.generateAccessToken(
+    existingUser.userId,
+    activeRoleName
+  );
+
+  // Build roles array from existing roles + newly added role (if any)
+  const allRoles = existingUser.roles.map((r) => r.roleName);
+  if (roleName && !allRoles.includes(roleName)) {
+    allRoles.push(roleName);
+  }
+
+  res.locals.logUserId = existingUser.userId;
+
+  const data = {
+    userId: existingUser.userId,
+    role: activeRoleName,
+    roles: allRoles,
+    accessToken,
+    refreshToken,
+    name: `${existingUser.firstName} ${existingUser.lastName}`,
+    email: existingUser.email,
+  };
+
+  return sendEncodedResponse(res, 200, true, "Login successfully", data);
 });
 
 // ============================================
 // LOGOUT
 // ============================================
-const logout = asyncHandler(async (req, res, next) => {
-  const requestStartTime = Date.now();
-
-  try {
-    // Extract refresh token from Authorization header
-    const authHeader = req.headers.authorization;
-    const refreshToken =
-      authHeader && authHeader.startsWith("Bearer ")
-        ? authHeader.substring(7)
-        : null;
-
-    if (!refreshToken) {
-      throw createAppError(
-        "Refresh token is required in Authorization header",
-        401
-      );
-    }
-
-    // Revoke the token
-    const revoked = await Token.revokeToken(refreshToken, "logout");
-
-    if (!revoked) {
-      throw createAppError("Token not found or already revoked", 400);
-    }
+const logout = asyncHandler(async (req, res) => {
+  // Extract refresh token from Authorization header
+  const authHeader = req.headers.authorization;
+  const refreshToken =
+    authHeader && authHeader.startsWith("Bearer ")
+      ? authHeader.substring(7)
+      : null;
 
-    await logRequest(
-      req,
-      {
-        userId: req.user?.userId || null,
-        status: 200,
-        body: { success: true, message: "Logged out successfully" },
-      },
-      requestStartTime
+  if (!refreshToken) {
+    throw createAppError(
+      "Refresh token is required in Authorization header",
+      401
     );
+  }
 
-    return sendEncodedResponse(res, 200, true, "Logged out successfully", null);
-  } catch (error) {
-    await logRequest(
-      req,
-      {
-        userId: req.user?.userId || null,
-        status: error.statusCode || 500,
-        body: { success: false, message: error.message },
-        error: error.message,
-        stackTrace: error.stack,
-      },
-      requestStartTime
-    );
+  // Revoke the token
+  const revoked = await Token.revokeToken(refreshToken, "logout");
 
-    return next(error);
+  if (!revoked) {
+    throw createAppError("Token not found or already revoked", 400);
   }
+
+  // Sockets stay open only while the user has another active session
+  const tokenRecord = await Token.findOne({
+    where: { refreshToken },
+    attributes: ["userId"],
+  });
+  try {
+    await revalidateUserSockets(tokenRecord.userId);
+  } catch (socketErr) {
+    console.error("Socket revalidation failed:", socketErr.message);
+  }
+
+  return sendEncodedResponse(res, 200, true, "Logged out successfully", null);
 });
 
 // ============================================
@@ -560,9 +412,7 @@ const logout = asyncHandler(async (req, res, next) => {
  * @header  Authorization: Bearer <refreshToken>
  * @returns New access token with user details
  */
-const refreshAccessToken = asyncHandler(async (req, res, next) => {
-  const requestStartTime = Date.now();
-
+const refreshAccessToken = asyncHandler(async (req, res) => {
   // Extract refresh token from Authorization header
   const authHeader = req.headers.authorization;
   const refreshToken =
@@ -570,293 +420,172 @@ const refreshAccessToken = asyncHandler(async (req, res, next) => {
       ? authHeader.substring(7)
       : null;
 
-  // Prepare log-safe request body
-  const requestBodyLog = {
-    endpoint: "/api/v1/auth/refresh-token",
-    hasRefreshToken: !!refreshToken,
-    refreshToken: refreshToken ? "[REDACTED]" : null,
-  };
-
-  try {
-    if (!refreshToken) {
-      throw createAppError(
-        "Refresh token is required in Authorization header",
-        401
-      );
-    }
-
-    // ============================================
-    // VERIFY REFRESH TOKEN FROM DATABASE
-    // ============================================
-    // Check if refresh token exists in database and is valid
-    const verification = await Token.verifyRefreshToken(refreshToken);
-
-    if (!verification.valid) {
-      throw createAppError(
-        verification.message || "Invalid or expired refresh token",
-        401
-      );
-    }
-
-    // Extract decoded payload and token record
-    const { decoded, token: tokenRecord } = verification;
-
-    const user = await User.findOne({
-      where: { userId: decoded._id, isActive: true },
-      attributes: ["userId", "firstName", "lastName", "email", "mobileNumber"],
-      include: [
-        {
-          model: Role,
-          as: "roles",
-          through: { attributes: [] },
-          attributes: ["roleId", "roleName", "roleType"],
-          where: { isActive: true },
-        },
-      ],
-    });
-
-    // Check if user exists and is active
-    if (!user) {
-      throw createAppError("User not found or account deactivated", 404);
-    }
-
-    // Check if user has active role
-    if (!user.roles || user.roles.length === 0) {
-      throw createAppError("No active role assigned to this account", 403);
-    }
-
-    // Respect the role from JWT if still valid, otherwise fallback
-    const activeRoleName =
-      decoded.role && user.roles.some((r) => r.roleName === decoded.role)
-        ? decoded.role
-        : user.roles[0].roleName;
-
-    const newAccessToken = Token.generateAccessToken(
-      user.userId,
-      activeRoleName
+  if (!refreshToken) {
+    throw createAppError(
+      "Refresh token is required in Authorization header",
+      401
     );
+  }
 
-    // Track when refresh token was last used
-    await Token.update(
-      { lastUsedAt: new Date() },
-      { where: { tokenId: tokenRecord.tokenId } }
+  // ============================================
+  // VERIFY REFRESH TOKEN FROM DATABASE
+  // ============================================
+  // Check if refresh token exists in database and is valid
+  const verification = await Token.verifyRefreshToken(refreshToken);
+
+  if (!verification.valid) {
+    throw createAppError(
+      verification.message || "Invalid or expired refresh token",
+      401
     );
+  }
 
-    const data = {
-      userId: user.userId,
-      role: activeRoleName,
-      accessToken: newAccessToken,
-      name: `${user.firstName} ${user.lastName}`,
-      email: user.email,
-    };
+  // Extract decoded payload and token record
+  const { decoded, token: tokenRecord } = verification;
 
-    await logRequest(
-      req,
+  const user = await User.findOne({
+    where: { userId: decoded._id, isActive: true },
+    attributes: ["userId", "firstName", "lastName", "email", "mobileNumber"],
+    include: [
       {
-        userId: user.userId,
-        status: 200,
-        body: {
-          success: true,
-          message: "Access token refreshed successfully",
-        },
-        requestBodyLog: {
-          ...requestBodyLog,
-          userId: user.userId,
-          role: activeRoleName,
-        },
+        model: Role,
+        as: "roles",
+        through: { attributes: [] },
+        attributes: ["roleId", "roleName", "roleType"],
+        where: { isActive: true },
       },
-      requestStartTime
-    );
+    ],
+  });
 
-    return sendEncodedResponse(
-      res,
-      200,
-      true,
-      "Access token refreshed successfully",
-      data
-    );
-  } catch (error) {
-    await logRequest(
-      req,
-      {
-        userId: null,
-        status: error.statusCode || 500,
-        body: { success: false, message: error.message },
-        requestBodyLog,
-        error: error.message,
-        stackTrace: error.stack,
-      },
-      requestStartTime
-    );
+  // Check if user exists and is active
+  if (!user) {
+    throw createAppError("User not found or account deactivated", 404);
+  }
 
-    return next(error);
+  // Check if user has active role
+  if (!user.roles || user.roles.length === 0) {
+    throw createAppError("No active role assigned to this account", 403);
   }
-});
 
-const switchRole = asyncHandler(async (req, res, next) => {
-  const requestStartTime = Date.now();
-  const { roleName } = req.body;
+  // Respect the role from JWT if still valid, otherwise fallback
+  const activeRoleName =
+    decoded.role && user.roles.some((r) => r.roleName === decoded.role)
+      ? decoded.role
+      : user.roles[0].roleName;
 
-  const requestBodyLog = {
-    userId: req.user?.userId,
-    requestedRole: roleName,
-    currentRole: req.user?.role,
-  };
+  const newAccessToken = Token.generateAccessToken(user.userId, activeRoleName);
 
-  try {
-    if (!roleName) {
-      throw createAppError("roleName is required", 400);
-    }
+  // Track when refresh token was last used
+  await Token.update(
+    { lastUsedAt: new Date() },
+    { where: { tokenId: tokenRecord.tokenId } }
+  );
 
-    // Only client roles can be switched
-    const validClientRoles = ["Owner", "Broker", "Investor"];
-    if (!validClientRoles.includes(roleName)) {
-      throw createAppError(
-        "Only client roles (Owner, Broker, Investor) can be switched",
-        400
-      );
-    }
+  res.locals.logUserId = user.userId;
 
-    const targetRole = req.user.roles.find((r) => r.roleName === roleName);
+  const data = {
+    userId: user.userId,
+    role: activeRoleName,
+    accessToken: newAccessToken,
+    name: `${user.firstName} ${user.lastName}`,
+    email: user.email,
+  };
 
-    if (!targetRole) {
-      throw createAppError(
-        `You do not have the role '${roleName}'. Available roles: ${req.user.roles.filter((r) => validClientRoles.includes(r.roleName)).map((r) => r.roleName).join(", ")}`,
-        403
-      );
-    }
+  return sendEncodedResponse(
+    res,
+    200,
+    true,
+    "Access token refreshed successfully",
+    data
+  );
+});
 
-    if (req.user.role === roleName) {
-      throw createAppError(`'${roleName}' is already your active role`, 400);
-    }
+const switchRole = asyncHandler(async (req, res) => {
+  const { roleName } = req.body;
 
-    const newAccessToken = Token.generateAccessToken(
-      req.user.userId,
-      roleName
-    );
+  if (!roleName) {
+    throw createAppError("roleName is required", 400);
+  }
 
-    const newRefreshToken = Token.generateRefreshToken(
-      req.user.userId,
-      roleName
+  // Only client roles can be switched
+  const validClientRoles = ["Owner", "Broker", "Investor"];
+  if (!validClientRoles.includes(roleName)) {
+    throw createAppError(
+      "Only client roles (Owner, Broker, Investor) can be switched",
+      400
     );
+  }
 
-    const [updatedCount] = await Token.update(
-      {
-        refreshToken: newRefreshToken,
-        expiresAt: Token.calculateExpiryDate(process.env.REFRESH_TOKEN_EXPIRY),
-        lastUsedAt: new Date(),
-      },
-      {
-        where: { userId: req.user.userId, isActive: true },
-      }
+  const targetRole = req.user.roles.find((r) => r.roleName === roleName);
+
+  if (!targetRole) {
+    throw createAppError(
+      `You do not have the role '${roleName}'. Available roles: ${req.user.roles
+        .filter((r) => validClientRoles.includes(r.roleName))
+        .map((r) => r.roleName)
+        .join(", ")}`,
+      403
     );
+  }
 
-    if (updatedCount === 0) {
-      await Token.create({
-        userId: req.user.userId,
-        refreshToken: newRefreshToken,
-        expiresAt: Token.calculateExpiryDate(process.env.REFRESH_TOKEN_EXPIRY),
-        userAgent: req.headers["user-agent"] || null,
-        ipAddress: req.ip || null,
-        isActive: true,
-      });
-    }
+  if (req.user.role === roleName) {
+    throw createAppError(`'${roleName}' is already your active role`, 400);
+  }
 
-    const data = {
-      userId: req.user.userId,
-      previousRole: req.user.role,
-      activeRole: roleName,
-      accessToken: newAccessToken,
-      refreshToken: newRefreshToken,
-    };
+  const newAccessToken = Token.generateAccessToken(req.user.userId, roleName);
 
-    await logRequest(
-      req,
-      {
-        userId: req.user.userId,
-        status: 200,
-        body: { success: true, message: "Role switched successfully" },
-        requestBodyLog,
-      },
-      requestStartTime
-    );
+  const newRefreshToken = Token.generateRefreshToken(req.user.userId, roleName);
 
-    return sendEncodedResponse(
-      res,
-      200,
-      true,
-      "Role switched successfully",
-      data
-    );
-  } catch (error) {
-    await logRequest(
-      req,
-      {
-        userId: req.user?.userId || null,
-        status: error.statusCode || 500,
-        body: { success: false, message: error.message },
-        requestBodyLog,
-        error: error.message,
-        stackTrace: error.stack,
-      },
-      requestStartTime
-    );
+  const [updatedCount] = await Token.update(
+    {
+      refreshToken: newRefreshToken,
+      expiresAt: Token.calculateExpiryDate(process.env.REFRESH_TOKEN_EXPIRY),
+      lastUsedAt: new Date(),
+    },
+    {
+      where: { userId: req.user.userId, isActive: true },
+    }
+  );
 
-    return next(error);
+  if (updatedCount === 0) {
+    await Token.create({
+      userId: req.user.userId,
+      refreshToken: newRefreshToken,
+      expiresAt: Token.calculateExpiryDate(process.env.REFRESH_TOKEN_EXPIRY),
+      userAgent: req.headers["user-agent"] || null,
+      ipAddress: req.ip || null,
+      isActive: true,
+    });
   }
-});
-
-const verifyOtpHandler = asyncHandler(async (req, res, next) => {
-  const requestStartTime = Date.now();
-  const { otp, verificationId } = req.body;
 
-  const requestBodyLog = {
-    otp: "[REDACTED]",
-    verificationId,
+  const data = {
+    userId: req.user.userId,
+    previousRole: req.user.role,
+    activeRole: roleName,
+    accessToken: newAccessToken,
+    refreshToken: newRefreshToken,
   };
 
-  try {
-    if (!otp || !verificationId) {
-      throw createAppError("otp and verificationId are required", 400);
-    }
+  return sendEncodedResponse(
+    res,
+    200,
+    true,
+    "Role switched successfully",
+    data
+  );
+});
 
-    // Verify OTP via MessageCentral
-    await otpService.verifyOtp(verificationId, otp);
+const verifyOtpHandler = asyncHandler(async (req, res) => {
+  const { otp, verificationId } = req.body;
 
-    await logRequest(
-      req,
-      {
-        userId: req.user?.userId || null,
-        status: 200,
-        body: { success: true, message: "OTP verified successfully" },
-        requestBodyLog,
-      },
-      requestStartTime
-    );
+  if (!otp || !verificationId) {
+    throw createAppError("otp and verificationId are required", 400);
+  }
 
-    return sendEncodedResponse(
-      res,
-      200,
-      true,
-      "OTP verified successfully",
-      null
-    );
-  } catch (error) {
-    await logRequest(
-      req,
-      {
-        userId: req.user?.userId || null,
-        status: error.statusCode || 500,
-        body: { success: false, message: error.message },
-        requestBodyLog,
-        error: error.message,
-        stackTrace: error.stack,
-      },
-      requestStartTime
-    );
+  // Verify OTP via MessageCentral
+  await otpService.verifyOtp(verificationId, otp);
 
-    return next(error);
-  }
+  return sendEncodedResponse(res, 200, true, "OTP verified successfully", null);
 });
 
 module.exports = {
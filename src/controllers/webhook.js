@@ -0,0 +1,473 @@
+const { Op } = require("sequelize");
+const { WebhookEndpoint, WebhookDelivery } = require("../models");
+const { sequelize } = require("../config/dbConnection");
+const { WEBHOOK_ALLOW_HTTP } = require("../config/webhooks");
+const createAppError = require("../utils/appError");
+const asyncHandler = require("../utils/asyncHandler");
+const { sendEncodedResponse } = require("../utils/responseEncoder");
+const { isValidUuid, sanitizeString } = require("../utils/validators");
+const { logInsert, logUpdate, buildUpdateValues } = require("../utils/logs");
+const {
+  generateWebhookSecret,
+  assertPublicWebhookHost,
+  redeliverWebhook,
+} = require("../services/webhookService");
+
+const { WEBHOOK_EVENTS } = WebhookEndpoint;
+const { DELIVERY_STATUSES } = WebhookDelivery;
+
+const MAX_PAGE_SIZE = 100;
+
+// The secret is only ever returned by create and rotate-secret
+const ENDPOINT_ATTRIBUTES = { exclude: ["secret"] };
+
+// Payload and partner response are only returned by the single-delivery
+// endpoint
+const DELIVERY_LIST_ATTRIBUTES = { exclude: ["payload", "lastResponseBody"] };
+
+const parseWebhookUrl = async (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (err) {
+    throw createAppError("url must be a valid URL", 400);
+  }
+  const allowed = WEBHOOK_ALLOW_HTTP ? ["https:", "http:"] : ["https:"];
+  if (!allowed.includes(parsed.protocol)) {
+    throw createAppError(
+      WEBHOOK_ALLOW_HTTP ? "url must be http or https" : "url must use https",
+      400
+    );
+  }
+  if (parsed.username || parsed.password) {
+    throw createAppError("url cannot contain credentials", 400);
+  }
+  await assertPublicWebhookHost(parsed.toString());
+  return parsed.toString();
+};
+
+const parseEvents = (events) => {
+  if (!Array.isArray(events) || events.length === 0) {
+    throw createAppError("events must be a non-empty array", 400);
+  }
+  const invalid = events.filter((event) => !WEBHOOK_EVENTS.includes(event));
+  if (invalid.length > 0) {
+    throw createAppError(
+      `Invalid events: ${invalid.join(", ")}. Must be one of: ${WEBHOOK_EVENTS.join(", ")}`,
+      400
+    );
+  }
+  return [...new Set(events)];
+};
+
+const parseName = (name) => {
+  if (typeof name !== "string" || !name.trim()) {
+    throw createAppError("name is required", 400);
+  }
+  return sanitizeString(name).slice(0, 100);
+};
+
+// Audit log copy of an endpoint, without the secret
+const toLoggedEndpoint = (endpoint) => {
+  const json = endpoint.toJSON();
+  delete json.secret;
+  return json;
+};
+
+const findEndpoint = async (endpointId, options = {}) => {
+  if (!isValidUuid(endpointId)) {
+    throw createAppError("Invalid endpoint ID", 400);
+  }
+  const endpoint = await WebhookEndpoint.findByPk(endpointId, options);
+  if (!endpoint) {
+    throw createAppError("Webhook endpoint not found", 404);
+  }
+  return endpoint;
+};
+
+// ============================================
+// REGISTER ENDPOINT
+// ============================================
+const createWebhookEndpoint = asyncHandler(async (req, res) => {
+  const { name, url, events, description } = req.body;
+
+  const values = {
+    name: parseName(name),
+    url: await parseWebhookUrl(url),
+    events: parseEvents(events),
+    description: description ? sanitizeString(description) : null,
+    secret: generateWebhookSecret(),
+    createdBy: req.user.userId,
+  };
+
+  const endpoint = await sequelize.transaction(async (t) => {
+    const created = await WebhookEndpoint.create(values, { transaction: t });
+
+    await logInsert({
+      userId: req.user.userId,
+      entityType: "WebhookEndpoint",
+      recordId: created.endpointId,
+      newRecord: toLoggedEndpoint(created),
+      tableName: "webhook_endpoints",
+      ipAddress: req.ip,
+      userAgent: req.headers["user-agent"],
+      transaction: t,
+    });
+
+    return created;
+  });
+
+  return sendEncodedResponse(
+    res,
+    201,
+    true,
+    "Webhook endpoint registered. Store the secret now; it is not shown again.",
+    endpoint.toJSON()
+  );
+});
+
+// ============================================
+// LIST ENDPOINTS
+// ============================================
+const getWebhookEndpoints = asyncHandler(async (req, res) => {
+  const { isActive } = req.query;
+
+  const endpoints = await WebhookEndpoint.findAll({
+    where: {
+      ...(isActive !== undefined && { isActive: isActive === "true" }),
+    },
+    attributes: ENDPOINT_ATTRIBUTES,
+    order: [["createdAt", "DESC"]],
+  });
+
+  return sendEncodedResponse(
+    res,
+    200,
+    true,
+    "Webhook endpoints fetched successfully",
+    endpoints,
+    { count: endpoints.length }
+  );
+});
+
+// ============================================
+// GET ENDPOINT (WITH DELIVERY COUNTS)
+// ============================================
+const getWebhookEndpointById = asyncHandler(async (req, res) => {
+  const endpoint = await findEndpoint(req.params.endpointId, {
+    attributes: ENDPOINT_ATTRIBUTES,
+  });
+
+  const counts = await WebhookDelivery.findAll({
+    where: { endpointId: endpoint.endpointId },
+    attributes: ["status", [sequelize.fn("COUNT", "*"), "count"]],
+    group: ["status"],
+    raw: true,
+  });
+  const deliveryCounts = Object.fromEntries(
+    DELIVERY_STATUSES.map((status) => {
+      const row = counts.find((c) => c.status === status);
+      return [status, row ? parseInt(row.count) : 0];
+    })
+  );
+
+  return sendEncodedResponse(res, 200, true, "Webhook endpoint fetched", {
+    ...endpoint.toJSON(),
+    deliveryCounts,
+  });
+});
+
+// ============================================
+// UPDATE ENDPOINT
+// ============================================
+const updateWebhookEndpoint = asyncHandler(async (req, res) => {
+  const { name, url, events, description, isActive } = req.body;
+
+  const updateData = {};
+  if (name !== undefined) updateData.name = parseName(name);
+  if (url !== undefined) updateData.url = await parseWebhookUrl(url);
+  if (events !== undefined) updateData.events = parseEvents(events);
+  if (description !== undefined) {
+    updateData.description = description ? sanitizeString(description) : null;
+  }
+  if (isActive !== undefined) {
+    if (typeof isActive !== "boolean") {
+      throw createAppError("isActive must be true or false", 400);
+    }
+    updateData.isActive = isActive;
+  }
+  if (Object.keys(updateData).length === 0) {
+    throw createAppError("No fields to update", 400);
+  }
+
+  const endpoint = await findEndpoint(req.params.endpointId, {
+    attributes: ENDPOINT_ATTRIBUTES,
+  });
+  const oldRecord = endpoint.toJSON();
+
+  await sequelize.transaction(async (t) => {
+    await endpoint.update(updateData, { transaction: t });
+
+    const { oldValues, newValues } = buildUpdateValues(oldRecord, updateData);
+    await logUpdate({
+      userId: req.user.userId,
+      entityType: "WebhookEndpoint",
+      recordId: endpoint.endpointId,
+      oldValues,
+      newValues,
+      tableName: "webhook_endpoints",
+      ipAddress: req.ip,
+      userAgent: req.headers["user-agent"],
+      transaction: t,
+    });
+  });
+
+  return sendEncodedResponse(
+    res,
+    200,
+    true,
+    "Webhook endpoint updated successfully",
+    endpoint.toJSON()
+  );
+});
+
+// ============================================
+// ROTATE SECRET
+// ============================================
+const rotateWebhookSecret = asyncHandler(async (req, res) => {
+  const endpoint = await findEndpoint(req.params.endpointId);
+
+  await sequelize.transaction(async (t) => {
+    await endpoint.update(
+      { secret: generateWebhookSecret() },
+      { transaction: t }
+    );
+
+    await logUpdate({
+      userId: req.user.userId,
+      entityType: "WebhookEndpoint",
+      recordId: endpoint.endpointId,
+      oldValues: { secret: "[ROTATED]" },
+      newValues: { secret: "[ROTATED]" },
+      tableName: "webhook_endpoints",
+      ipAddress: req.ip,
+      userAgent: req.headers["user-agent"],
+      transaction: t,
+    });
+  });
+
+  // Deliveries already queued are signed with the new secret when sent
+  return sendEncodedResponse(
+    res,
+    200,
+    true,
+    "Secret rotated. Store it now; it is not shown again.",
+    { endpointId: endpoint.endpointId, secret: endpoint.secret }
+  );
+});
+
+// ============================================
+// DEACTIVATE ENDPOINT (SOFT DELETE)
+// ============================================
+const deleteWebhookEndpoint = asyncHandler(async (req, res) => {
+  const endpoint = await findEndpoint(req.params.endpointId, {
+    attributes: ENDPOINT_ATTRIBUTES,
+  });
+
+  if (!endpoint.isActive) {
+    throw createAppError("Webhook endpoint is already inactive", 400);
+  }
+
+  await sequelize.transaction(async (t) => {
+    await endpoint.update({ isActive: false }, { transaction: t });
+
+    await logUpdate({
+      userId: req.user.userId,
+      entityType: "WebhookEndpoint",
+      recordId: endpoint.endpointId,
+      oldValues: { isActive: true },
+      newValues: { isActive: false, deletedBy: req.userRole },
+      tableName: "webhook_endpoints",
+      ipAddress: req.ip,
+      userAgent: req.headers["user-agent"],
+      transaction: t,
+    });
+  });
+
+  return sendEncodedResponse(res, 200, true, "Webhook endpoint deactivated", {
+    endpointId: endpoint.endpointId,
+  });
+});
+
+// ============================================
+// DELIVERY LOG
+// ============================================
+const listDeliveries = async (req, res, { status, message }) => {
+  const {
+    endpointId,
+    eventType,
+    eventId,
+    from,
+    to,
+    page = 1,
+    limit = 50,
+  } = req.query;
+
+  const pageNumber = parseInt(page);
+  if (isNaN(pageNumber) || pageNumber < 1) {
+    throw createAppError("page must be a positive integer", 400);
+  }
+  const pageSize = parseInt(limit);
+  if (isNaN(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    throw createAppError(`limit must be between 1 and ${MAX_PAGE_SIZE}`, 400);
+  }
+
+  if (status && !DELIVERY_STATUSES.includes(status)) {
+    throw createAppError(
+      `Invalid status. Must be one of: ${DELIVERY_STATUSES.join(", ")}`,
+      400
+    );
+  }
+  if (endpointId && !isValidUuid(endpointId)) {
+    throw createAppError("Invalid endpoint ID", 400);
+  }
+  if (eventId && !isValidUuid(eventId)) {
+    throw createAppError("Invalid event ID", 400);
+  }
+
+  const createdAt = {};
+  if (from) {
+    const fromDate = new Date(from);
+    if (isNaN(fromDate.getTime())) {
+      throw createAppError("from must be a valid date", 400);
+    }
+    createdAt[Op.gte] = fromDate;
+  }
+  if (to) {
+    const toDate = new Date(to);
+    if (isNaN(toDate.getTime())) {
+      throw createAppError("to must be a valid date", 400);
+    }
+    createdAt[Op.lte] = toDate;
+  }
+
+  const where = {
+    ...(status && { status }),
+    ...(endpointId && { endpointId }),
+    ...(eventType && { eventType }),
+    ...(eventId && { eventId }),
+    ...((from || to) && { createdAt }),
+  };
+
+  const { count, rows } = await WebhookDelivery.findAndCountAll({
+    where,
+    attributes: DELIVERY_LIST_ATTRIBUTES,
+    include: [
+      {
+        model: WebhookEndpoint,
+        as: "endpoint",
+        attributes: ["endpointId", "name", "url"],
+      },
+    ],
+    order: [
+      ["createdAt", "DESC"],
+      ["deliveryId", "DESC"],
+    ],
+    limit: pageSize,
+    offset: (pageNumber - 1) * pageSize,
+  });
+
+  const totalPages = Math.ceil(count / pageSize);
+
+  return sendEncodedResponse(res, 200, true, message, rows, {
+    pagination: {
+      currentPage: pageNumber,
+      pageSize: pageSize,
+      totalItems: count,
+      totalPages: totalPages,
+      hasNextPage: pageNumber < totalPages,
+      hasPrevPage: pageNumber > 1,
+    },
+  });
+};
+
+const getWebhookDeliveries = asyncHandler((req, res) =>
+  listDeliveries(req, res, {
+    status: req.query.status,
+    message: "Webhook deliveries fetched successfully",
+  })
+);
+
+// Deliveries that ran out of attempts
+const getWebhookDeadLetters = asyncHandler((req, res) =>
+  listDeliveries(req, res, {
+    status: "dead",
+    message: "Dead-lettered webhook deliveries fetched successfully",
+  })
+);
+
+// ============================================
+// GET DELIVERY (PAYLOAD AND RESPONSE)
+// ============================================
+const getWebhookDeliveryById = asyncHandler(async (req, res) => {
+  const { deliveryId } = req.params;
+
+  if (!isValidUuid(deliveryId)) {
+    throw createAppError("Invalid delivery ID", 400);
+  }
+
+  const delivery = await WebhookDelivery.findByPk(deliveryId, {
+    include: [
+      {
+        model: WebhookEndpoint,
+        as: "endpoint",
+        attributes: ["endpointId", "name", "url", "isActive"],
+      },
+    ],
+  });
+
+  if (!delivery) {
+    throw createAppError("Delivery not found", 404);
+  }
+
+  return sendEncodedResponse(
+    res,
+    200,
+    true,
+    "Webhook delivery fetched",
+    delivery
+  );
+});
+
+// ============================================
+// MANUAL REDELIVERY
+// ============================================
+const redeliverWebhookDelivery = asyncHandler(async (req, res) => {
+  const { deliveryId } = req.params;
+
+  if (!isValidUuid(deliveryId)) {
+    throw createAppError("Invalid delivery ID", 400);
+  }
+
+  const delivery = await redeliverWebhook(deliveryId, req.user.userId);
+
+  return sendEncodedResponse(res, 202, true, "Redelivery queued", {
+    deliveryId: delivery.deliveryId,
+    redeliveryOf: delivery.redeliveryOf,
+    eventId: delivery.eventId,
+    status: delivery.status,
+  });
+});
+
+module.exports = {
+  createWebhookEndpoint,
+  getWebhookEndpoints,
+  getWebhookEndpointById,
+  updateWebhookEndpoint,
+  rotateWebhookSecret,
+  deleteWebhookEndpoint,
+  getWebhookDeliveries,
+  getWebhookDeadLetters,
+  getWebhookDeliveryById,
+  redeliverWebhookDelivery,
+};
@@ -6,29 +6,13 @@ const createAppError = require("../utils/appError");
 const asyncHandler = require("../utils/asyncHandler");
 
 /**
- * ✅ Middleware to authenticate user via JWT token
- * ONLY authenticates - does NOT fetch permissions
- * Lightweight and fast - just verifies token and fetches user with roles
+ * Load the active user behind a verified access token and shape it the way
+ * req.user is used everywhere. Shared by authenticateUser and the
+ * Socket.IO handshake.
+ * @param {Object} decoded - Payload from Token.verifyAccessToken
+ * @returns {Promise<Object>} req.user
  */
-const authenticateUser = asyncHandler(async (req, res, next) => {
-  // Extract token from Authorization header
-  const authHeader = req.headers.authorization;
-  if (!authHeader || !authHeader.startsWith("Bearer ")) {
-    throw createAppError("No access token provided", 401);
-  }
-
-  const accessToken = authHeader.split(" ")[1];
-
-  // Verify access token using Token model method
-  const { valid, decoded, message, expired } =
-    Token.verifyAccessToken(accessToken);
-
-  if (!valid) {
-    const error = createAppError(message, 401);
-    error.expired = expired; // Attach expired flag for refresh token logic
-    throw error;
-  }
-
+const resolveTokenUser = async (decoded) => {
   // ✅ Fetch user with roles ONLY (no permissions - much faster)
   const user = await User.findOne({
     where: { userId: decoded._id, isActive: true },
@@ -61,8 +45,7 @@ const authenticateUser = asyncHandler(async (req, res, next) => {
     throw createAppError("No active role assigned to this account", 403);
   }
 
-  // ✅ Attach minimal user info to request (no permissions)
-  req.user = {
+  return {
     userId: user.userId,
     email: user.email,
     mobileNumber: user.mobileNumber,
@@ -75,6 +58,34 @@ const authenticateUser = asyncHandler(async (req, res, next) => {
         : user.roles[0].roleName, // Respect JWT role if valid, fallback to first
     roles: user.roles, // Full roles array for permission checks
   };
+};
+
+/**
+ * ✅ Middleware to authenticate user via JWT token
+ * ONLY authenticates - does NOT fetch permissions
+ * Lightweight and fast - just verifies token and fetches user with roles
+ */
+const authenticateUser = asyncHandler(async (req, res, next) => {
+  // Extract token from Authorization header
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith("Bearer ")) {
+    throw createAppError("No access token provided", 401);
+  }
+
+  const accessToken = authHeader.split(" ")[1];
+
+  // Verify access token using Token model method
+  const { valid, decoded, message, expired } =
+    Token.verifyAccessToken(accessToken);
+
+  if (!valid) {
+    const error = createAppError(message, 401);
+    error.expired = expired; // Attach expired flag for refresh token logic
+    throw error;
+  }
+
+  // ✅ Attach minimal user info to request (no permissions)
+  req.user = await resolveTokenUser(decoded);
 
   next();
 });
@@ -298,6 +309,7 @@ const checkAdminOrSuperAdmin = checkRole(["Admin", "Super Admin"]);
 const checkSalesPerson = checkRole(["Sales Manager", "Sales Executive"]);
 
 module.exports = {
+  resolveTokenUser,
   authenticateUser,
   checkPermission,
   checkAnyPermission,
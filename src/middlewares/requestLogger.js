@@ -0,0 +1,168 @@
+const ApiLog = require("../models/apiLog");
+const { getApiLogExpiry } = require("../config/logRetention");
+
+const REDACTED = "[REDACTED]";
+
+// Never stored, whatever the route declares
+const ALWAYS_REDACTED_HEADERS = ["authorization", "cookie"];
+
+/**
+ * Copy of `value` with every key listed in `keys` replaced by
+ * "[REDACTED]", at any depth
+ * @param {*} value
+ * @param {string[]} keys
+ * @returns {*}
+ */
+const redact = (value, keys) => {
+  if (!keys.length || value === null || typeof value !== "object") {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, keys));
+  }
+  return Object.fromEntries(
+    Object.entries(value).map(([key, val]) => [
+      key,
+      keys.includes(key) && val !== undefined && val !== null
+        ? REDACTED
+        : redact(val, keys),
+    ])
+  );
+};
+
+/**
+ * Request URL with the query parameters listed in `keys` replaced by
+ * "[REDACTED]"
+ * @param {string} url - req.originalUrl
+ * @param {string[]} keys
+ * @returns {string}
+ */
+const redactUrl = (url, keys) => {
+  const queryStart = url.indexOf("?");
+  if (!keys.length || queryStart === -1) return url;
+
+  // Pairs are rewritten in place so the rest of the URL stays as sent
+  const query = url
+    .slice(queryStart + 1)
+    .split("&")
+    .map((pair) => {
+      const [key] = new URLSearchParams(pair).keys();
+      return keys.includes(key) ? `${pair.split("=")[0]}=${REDACTED}` : pair;
+    })
+    .join("&");
+  return `${url.slice(0, queryStart)}?${query}`;
+};
+
+/**
+ * Declare which fields of this route's request/response must not reach
+ * ApiLog. Mount before the controller:
+ *   router.post("/login", redactLog({ request: ["otp"] }), login)
+ * @param {Object} rules
+ * @param {string[]} [rules.request] - Body/query keys, also redacted from
+ *   the logged URL
+ * @param {string[]} [rules.response] - Keys in the logged response body
+ * @param {string[]} [rules.headers] - Extra request headers
+ * @returns {Function} Express middleware
+ */
+const redactLog = ({ request = [], response = [], headers = [] } = {}) => {
+  const rules = {
+    request,
+    response,
+    headers: headers.map((header) => header.toLowerCase()),
+  };
+  return (req, res, next) => {
+    res.locals.logRedaction = rules;
+    next();
+  };
+};
+
+/**
+ * Logged copy of a JSON response. The encoded `data` payload of
+ * sendEncodedResponse is left out; it is opaque and can be large.
+ */
+const toLoggedBody = (body) => {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return body ?? null;
+  }
+  if (typeof body.data !== "string") return body;
+  const rest = { ...body };
+  delete rest.data;
+  return rest;
+};
+
+const buildApiLog = (req, res, startTime) => {
+  const endTime = Date.now();
+  const rules = res.locals.logRedaction || {};
+  const status = res.statusCode;
+
+  const requestKeys = rules.request || [];
+  const headerKeys = [...ALWAYS_REDACTED_HEADERS, ...(rules.headers || [])];
+
+  const safeHeaders = { ...req.headers };
+  for (const header of headerKeys) {
+    if (safeHeaders[header]) safeHeaders[header] = REDACTED;
+  }
+
+  const error = res.locals.error;
+  const aborted = !res.writableFinished;
+
+  return {
+    // Unauthenticated flows (signup, login) name the user themselves
+    userId: req.user?.userId || res.locals.logUserId || null,
+    httpMethod: req.method,
+    endpoint: redactUrl(req.originalUrl || req.url, requestKeys),
+    routePattern: res.locals.routePattern || null,
+    requestHeaders: safeHeaders,
+    requestBody: redact(req.body ?? null, requestKeys),
+    queryParams: redact(req.query, requestKeys),
+    responseStatus: status,
+    responseBody: redact(
+      toLoggedBody(res.locals.responseBody),
+      rules.response || []
+    ),
+    ipAddress: req.ip,
+    userAgent: req.headers["user-agent"],
+    requestTimestamp: new Date(startTime),
+    responseTimestamp: new Date(endTime),
+    responseTimeMs: endTime - startTime,
+    errorMessage: error
+      ? error.message
+      : aborted
+        ? "Connection closed before the response was complete"
+        : null,
+    stackTrace: error ? error.stack : null,
+    environment: process.env.NODE_ENV || "development",
+    expiresAt: getApiLogExpiry(status, new Date(endTime)),
+  };
+};
+
+/**
+ * Writes one ApiLog entry per request once the response has gone out, so
+ * logging never delays the client. Controllers don't log themselves; they
+ * only declare redaction with redactLog and may set:
+ * - res.locals.logUserId when the caller isn't authenticated (signup, login)
+ * - res.locals.responseBody when they stream instead of calling res.json
+ */
+const requestLogger = (req, res, next) => {
+  const startTime = Date.now();
+
+  const json = res.json;
+  res.json = function (body) {
+    res.locals.responseBody = body;
+    return json.call(this, body);
+  };
+
+  // "close" also fires when the connection drops mid-response
+  res.once("close", () => {
+    const entry = buildApiLog(req, res, startTime);
+    setImmediate(() => {
+      ApiLog.create(entry).catch((err) => {
+        console.error("API log failed:", err.message);
+      });
+    });
+  });
+
+  next();
+};
+
+module.exports = { requestLogger, redactLog };
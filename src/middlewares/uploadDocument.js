@@ -0,0 +1,53 @@
+// middleware/uploadDocument.js
+const fs = require("fs");
+const os = require("os");
+const multer = require("multer");
+const path = require("path");
+const createAppError = require("../utils/appError");
+
+// PDFs plus the usual scanner output
+const ALLOWED_TYPES = {
+  ".pdf": ["application/pdf"],
+  ".jpg": ["image/jpeg"],
+  ".jpeg": ["image/jpeg"],
+  ".png": ["image/png"],
+  ".tif": ["image/tiff"],
+  ".tiff": ["image/tiff"],
+};
+
+// File filter - only accept PDFs and scanned images
+const fileFilter = (req, file, cb) => {
+  const extname = path.extname(file.originalname).toLowerCase();
+
+  if ((ALLOWED_TYPES[extname] || []).includes(file.mimetype)) {
+    return cb(null, true);
+  }
+
+  cb(
+    createAppError("Only PDF, JPEG, PNG and TIFF documents are allowed!", 400)
+  );
+};
+
+// Spooled to disk and streamed to the bucket by the controller, which
+// checks vault access first
+const documentUpload = multer({
+  storage: multer.diskStorage({ destination: os.tmpdir() }),
+  limits: {
+    fileSize: 25 * 1024 * 1024, // 25MB
+    files: 5,
+  },
+  fileFilter: fileFilter,
+});
+
+// Remove multer's temp files once the response is done, whatever the outcome
+const cleanupTempFiles = (req, res, next) => {
+  const files = req.files || [];
+  res.on("close", () => {
+    files.forEach((file) => {
+      if (file.path) fs.unlink(file.path, () => {});
+    });
+  });
+  next();
+};
+
+module.exports = { documentUpload, cleanupTempFiles };
@@ -1,8 +1,19 @@
 // middleware/uploadGCS.js
+const fs = require("fs");
+const os = require("os");
 const multer = require("multer");
 const path = require("path");
+const sharp = require("sharp");
 const createAppError = require("../utils/appError");
-const { bucket } = require("../config/gcsClient");
+const { uploadBuffer, uploadFile } = require("../utils/gcsHelper");
+const { PropertyMedia } = require("../models");
+const { getVideoLimits } = require("../config/mediaPolicy");
+const {
+  IMAGE_SIZES,
+  stripMetadata,
+  createImageVariants,
+} = require("../utils/imageProcessor");
+const { probeVideo, extractPosterFrame } = require("../utils/videoProcessor");
 
 // File filter - only accept images and videos
 const fileFilter = (req, file, cb) => {
@@ -32,9 +43,10 @@ const fileFilter = (req, file, cb) => {
   cb(createAppError("Only image and video files are allowed!", 400));
 };
 
-// Configure multer with memory storage (files buffered in memory before GCS upload)
+// Configure multer with disk storage: uploads are spooled to temp files and
+// streamed to GCS, so ten 100MB videos never sit in memory at once
 const multerUpload = multer({
-  storage: multer.memoryStorage(),
+  storage: multer.diskStorage({ destination: os.tmpdir() }),
   limits: {
     fileSize: 100 * 1024 * 1024, // 100MB limit for videos
     files: 10, // Maximum 10 files per upload
@@ -42,59 +54,163 @@ const multerUpload = multer({
   fileFilter: fileFilter,
 });
 
-// Middleware to upload buffered files to GCS
+// Remove multer's temp files once the response is done, whatever the outcome
+const removeTempFiles = (files) => {
+  files.forEach((file) => {
+    if (file.path) fs.unlink(file.path, () => {});
+  });
+};
+
+/**
+ * Probe every video in the upload and enforce the acting role's limits
+ * (see config/mediaPolicy). Metadata is left on `file.videoMetadata`.
+ */
+const checkVideoPolicy = async (req, videos) => {
+  const { maxVideos, maxDurationSeconds } = getVideoLimits(req.userRole);
+
+  const existingVideos = req.params.propertyId
+    ? await PropertyMedia.count({
+        where: { propertyId: req.params.propertyId, mediaType: "video" },
+      })
+    : 0;
+
+  if (existingVideos + videos.length > maxVideos) {
+    throw createAppError(
+      `A property can have at most ${maxVideos} video(s) for your role (${existingVideos} already uploaded)`,
+      400
+    );
+  }
+
+  for (const file of videos) {
+    try {
+      file.videoMetadata = await probeVideo(file.path);
+    } catch (err) {
+      throw createAppError(
+        `${file.originalname} is not a readable video (${err.message})`,
+        400
+      );
+    }
+
+    const { durationSeconds } = file.videoMetadata;
+    if (durationSeconds && durationSeconds > maxDurationSeconds) {
+      throw createAppError(
+        `${file.originalname} is ${Math.round(durationSeconds)}s long; videos can be at most ${maxDurationSeconds}s for your role`,
+        400
+      );
+    }
+  }
+};
+
+// Poster frame scaled to the "medium" photo size, as a JPEG
+const createPosterImage = async (file) => {
+  const frame = await extractPosterFrame(
+    file.path,
+    file.videoMetadata.durationSeconds
+  );
+
+  return sharp(frame)
+    .resize(IMAGE_SIZES.medium, IMAGE_SIZES.medium, {
+      fit: "inside",
+      withoutEnlargement: true,
+    })
+    .jpeg({ quality: 82, mozjpeg: true })
+    .toBuffer();
+};
+
+// Middleware to upload the spooled files to GCS
+// Photos are uploaded with EXIF/GPS stripped, plus thumbnail/medium/large
+// WebP and JPEG variants whose paths are left on `file.variants`.
+// Videos are checked against the role's video limits, then streamed as-is;
+// their metadata is left on `file.videoMetadata` and the path of a poster
+// frame on `file.posterPath`.
 const uploadToGCS = async (req, res, next) => {
   try {
     if (!req.files || req.files.length === 0) {
       return next();
     }
 
-    const uploadPromises = req.files.map((file) => {
-      return new Promise((resolve, reject) => {
-        const userId = req.user?.userId || "guest";
-        const propertyId = req.params.propertyId || "new";
-        const timestamp = Date.now();
-        const randomString = Math.round(Math.random() * 1e9);
-        const ext = path.extname(file.originalname);
-        const baseName = path.basename(file.originalname, ext);
-
-        // Folder structure: properties/{userId}/{propertyId}/{type}/{filename}
-        const mediaType = file.mimetype.startsWith("video/")
-          ? "videos"
-          : "photos";
-        const fileName = `${baseName}-${timestamp}-${randomString}${ext}`;
-        const gcsPath = `properties/${userId}/${propertyId}/${mediaType}/${fileName}`;
-
-        const blob = bucket.file(gcsPath);
-        const blobStream = blob.createWriteStream({
-          resumable: false,
-          contentType: file.mimetype,
-          metadata: {
-            metadata: {
-              fieldName: file.fieldname,
-              uploadedBy: req.user?.userId || "anonymous",
-              uploadDate: new Date().toISOString(),
-            },
-          },
-        });
-
-        blobStream.on("error", (err) => {
-          reject(
-            createAppError(
-              `Failed to upload ${file.originalname}: ${err.message}`,
-              500
-            )
-          );
-        });
-
-        blobStream.on("finish", () => {
-          // Set the GCS path on the file object so the controller can store it
+    const files = req.files;
+    res.on("close", () => removeTempFiles(files));
+
+    const videos = files.filter((file) => file.mimetype.startsWith("video/"));
+    if (videos.length > 0) {
+      await checkVideoPolicy(req, videos);
+    }
+
+    const uploadPromises = req.files.map(async (file) => {
+      const userId = req.user?.userId || "guest";
+      const propertyId = req.params.propertyId || "new";
+      const timestamp = Date.now();
+      const randomString = Math.round(Math.random() * 1e9);
+      const ext = path.extname(file.originalname);
+      const baseName = path.basename(file.originalname, ext);
+
+      // Folder structure: properties/{userId}/{propertyId}/{type}/{filename}
+      const isPhoto = !file.mimetype.startsWith("video/");
+      const mediaType = isPhoto ? "photos" : "videos";
+      const folder = `properties/${userId}/${propertyId}/${mediaType}`;
+      const fileName = `${baseName}-${timestamp}-${randomString}`;
+      const gcsPath = `${folder}/${fileName}${ext}`;
+
+      const metadata = {
+        fieldName: file.fieldname,
+        uploadedBy: req.user?.userId || "anonymous",
+        uploadDate: new Date().toISOString(),
+      };
+
+      try {
+        if (!isPhoto) {
+          // A missing poster only costs the list preview, so don't fail
+          // the upload over it
+          const poster = await createPosterImage(file).catch(() => null);
+          const posterPath = `${folder}/posters/${fileName}.jpg`;
+
+          await Promise.all([
+            uploadFile(gcsPath, file.path, file.mimetype, metadata),
+            poster && uploadBuffer(posterPath, poster, "image/jpeg", metadata),
+          ]);
           file.gcsPath = gcsPath;
-          resolve();
-        });
+          file.posterPath = poster ? posterPath : null;
+          return;
+        }
+
+        let original;
+        let variants;
+        try {
+          [original, variants] = await Promise.all([
+            stripMetadata(file.path),
+            createImageVariants(file.path),
+          ]);
+        } catch (err) {
+          throw createAppError(`not a readable image (${err.message})`, 400);
+        }
+
+        file.variants = {};
+        await Promise.all([
+          uploadBuffer(gcsPath, original, file.mimetype, metadata),
+          ...variants.map((variant) => {
+            const variantPath = `${folder}/variants/${fileName}-${variant.size}.${variant.format}`;
+            file.variants[variant.size] = {
+              ...file.variants[variant.size],
+              [variant.format]: variantPath,
+            };
+            return uploadBuffer(
+              variantPath,
+              variant.buffer,
+              variant.contentType,
+              metadata
+            );
+          }),
+        ]);
 
-        blobStream.end(file.buffer);
-      });
+        // Set the GCS path on the file object so the controller can store it
+        file.gcsPath = gcsPath;
+      } catch (err) {
+        throw createAppError(
+          `Failed to upload ${file.originalname}: ${err.message}`,
+          err.statusCode || 500
+        );
+      }
     });
 
     await Promise.all(uploadPromises);
@@ -0,0 +1,29 @@
+// middleware/uploadSpreadsheet.js
+const multer = require("multer");
+const path = require("path");
+const createAppError = require("../utils/appError");
+
+const ALLOWED_EXTENSIONS = [".csv", ".xlsx"];
+
+// File filter - only accept CSV and XLSX spreadsheets
+const fileFilter = (req, file, cb) => {
+  const extname = path.extname(file.originalname).toLowerCase();
+
+  if (ALLOWED_EXTENSIONS.includes(extname)) {
+    return cb(null, true);
+  }
+
+  cb(createAppError("Only CSV and XLSX files are allowed!", 400));
+};
+
+// Spreadsheets are small enough to parse straight from memory
+const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB
+    files: 1,
+  },
+  fileFilter: fileFilter,
+});
+
+module.exports = { spreadsheetUpload };
@@ -5,6 +5,9 @@ const apiLogSchema = new mongoose.Schema(
     userId: { type: String, default: null },
     httpMethod: { type: String, required: true },
     endpoint: { type: String, required: true },
+    // Express route with params unfilled (/api/v1/properties/:propertyId),
+    // so requests to the same handler can be grouped
+    routePattern: { type: String, default: null },
     requestHeaders: { type: mongoose.Schema.Types.Mixed, default: null },
     requestBody: { type: mongoose.Schema.Types.Mixed, default: null },
     queryParams: { type: mongoose.Schema.Types.Mixed, default: null },
@@ -18,6 +21,9 @@ const apiLogSchema = new mongoose.Schema(
     errorMessage: { type: String, default: null },
     stackTrace: { type: String, default: null },
     environment: { type: String, default: null },
+    // Set from config/logRetention.js; the TTL index below removes the
+    // entry once this passes. Entries without it are kept.
+    expiresAt: { type: Date, default: null },
   },
   {
     timestamps: false,
@@ -27,8 +33,10 @@ const apiLogSchema = new mongoose.Schema(
 
 apiLogSchema.index({ userId: 1 });
 apiLogSchema.index({ endpoint: 1 });
+apiLogSchema.index({ routePattern: 1, requestTimestamp: -1 });
 apiLogSchema.index({ requestTimestamp: -1 });
 apiLogSchema.index({ responseStatus: 1 });
+apiLogSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
 const ApiLog = mongoose.model("ApiLog", apiLogSchema);
 
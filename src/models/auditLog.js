@@ -7,12 +7,21 @@ const { sequelize } = require("../config/dbConnection");
  *
  * Tracks all data modifications (INSERT, UPDATE, DELETE) across the system
  * Stores both old and new values for compliance and recovery purposes
+ * Downloads of sensitive files (DOWNLOAD) are recorded here as well
  *
  * Usage Pattern:
  * - INSERT: oldValue = null, newValue = full new record
  * - UPDATE: oldValue = changed fields before, newValue = changed fields after
  * - DELETE: oldValue = full record before deletion, newValue = null
+ * - DOWNLOAD: oldValue = null, newValue = what was downloaded
  */
+// Entries are append-only: any ORM update or delete is refused. The only
+// exception is archival (services/logRetentionService.js), which deletes
+// rows with hooks disabled once they are stored in an archive.
+const rejectChange = () => {
+  throw new Error("Audit log entries are immutable");
+};
+
 const AuditLog = sequelize.define(
   "AuditLog",
   {
@@ -37,7 +46,7 @@ const AuditLog = sequelize.define(
     operation: {
       type: DataTypes.STRING(20),
       allowNull: false,
-      comment: "Type of operation: INSERT, UPDATE, DELETE",
+      comment: "Type of operation: INSERT, UPDATE, DELETE, DOWNLOAD",
     },
 
     // ============================================
@@ -93,6 +102,13 @@ const AuditLog = sequelize.define(
   {
     tableName: "audit_logs",
     updatedAt: false, // Audit logs are immutable (never updated)
+    hooks: {
+      beforeUpdate: rejectChange,
+      beforeBulkUpdate: rejectChange,
+      beforeUpsert: rejectChange,
+      beforeDestroy: rejectChange,
+      beforeBulkDestroy: rejectChange,
+    },
   }
 );
 
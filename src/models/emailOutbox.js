@@ -0,0 +1,96 @@
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../config/dbConnection");
+
+const EMAIL_STATUSES = ["pending", "sent", "failed"];
+
+/**
+ * EmailOutbox Model
+ *
+ * Queue of rendered emails (see services/emailService.js). Rows are written
+ * when an event happens and sent by the outbox worker, so a slow or down SMTP
+ * server never fails the request that triggered the email.
+ * - status: pending until sent; failed once attempts run out (an admin can
+ *   requeue failed rows with `npm run email:retry-failed`)
+ * - nextAttemptAt: when the worker may pick the row up next
+ * - dedupeKey: optional; a second email with the same key is dropped
+ *   (lease expiry reminders use it so each threshold is sent once)
+ */
+const EmailOutbox = sequelize.define(
+  "EmailOutbox",
+  {
+    emailId: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false,
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      // Foreign key managed by association in index.js
+    },
+    toAddress: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+    },
+    template: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+    },
+    subject: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+    },
+    textBody: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+    },
+    htmlBody: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+    },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: "pending",
+      validate: {
+        isIn: {
+          args: [EMAIL_STATUSES],
+          msg: `Invalid status. Must be one of: ${EMAIL_STATUSES.join(", ")}`,
+        },
+      },
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    nextAttemptAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    lastError: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    sentAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    dedupeKey: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      unique: true,
+    },
+  },
+  {
+    tableName: "email_outbox",
+    // timestamps: true,    // ✅ Inherited from global config
+    // underscored: true,   // ✅ Inherited from global config
+  }
+);
+
+EmailOutbox.EMAIL_STATUSES = EMAIL_STATUSES;
+
+module.exports = EmailOutbox;
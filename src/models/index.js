@@ -16,6 +16,16 @@ const PropertyMedia = require("./propertyMedia");
 const AuditLog = require("./auditLog");
 const SalesRelationship = require("./salesRelationship");
 const PropertyInvestorNote = require("./propertyInvestorNote");
+const PropertyStatusTransition = require("./propertyStatusTransition");
+const PropertyVerificationItem = require("./propertyVerificationItem");
+const PropertyDocument = require("./propertyDocument");
+const PropertyDocumentAccess = require("./propertyDocumentAccess");
+const Notification = require("./notification");
+const NotificationPreference = require("./notificationPreference");
+const NotificationSetting = require("./notificationSetting");
+const EmailOutbox = require("./emailOutbox");
+const WebhookEndpoint = require("./webhookEndpoint");
+const WebhookDelivery = require("./webhookDelivery");
 
 // ============================================
 // USER & ROLE ASSOCIATIONS
@@ -207,6 +217,141 @@ PropertyInvestorNote.belongsTo(User, {
   as: "investor",
 });
 
+// ============================================
+// PROPERTY STATUS TRANSITION ASSOCIATIONS
+// ============================================
+
+// Property <-> PropertyStatusTransition (One-to-Many)
+Property.hasMany(PropertyStatusTransition, {
+  foreignKey: "propertyId",
+  as: "statusHistory",
+});
+
+PropertyStatusTransition.belongsTo(Property, {
+  foreignKey: "propertyId",
+  as: "property",
+});
+
+// User <-> PropertyStatusTransition (One-to-Many)
+PropertyStatusTransition.belongsTo(User, {
+  foreignKey: "changedBy",
+  as: "changedByUser",
+});
+
+// ============================================
+// PROPERTY VERIFICATION ASSOCIATIONS
+// ============================================
+
+// Property <-> PropertyVerificationItem (One-to-Many)
+Property.hasMany(PropertyVerificationItem, {
+  foreignKey: "propertyId",
+  as: "verificationItems",
+});
+
+PropertyVerificationItem.belongsTo(Property, {
+  foreignKey: "propertyId",
+  as: "property",
+});
+
+// User <-> PropertyVerificationItem (One-to-Many)
+PropertyVerificationItem.belongsTo(User, {
+  foreignKey: "checkedBy",
+  as: "checkedByUser",
+});
+
+// ============================================
+// PROPERTY DOCUMENT ASSOCIATIONS
+// ============================================
+
+// Property <-> PropertyDocument (One-to-Many)
+Property.hasMany(PropertyDocument, {
+  foreignKey: "propertyId",
+  as: "documents",
+});
+
+PropertyDocument.belongsTo(Property, {
+  foreignKey: "propertyId",
+  as: "property",
+});
+
+// User <-> PropertyDocument (uploader)
+PropertyDocument.belongsTo(User, {
+  foreignKey: "uploadedBy",
+  as: "uploadedByUser",
+});
+
+// Property <-> PropertyDocumentAccess (One-to-Many)
+Property.hasMany(PropertyDocumentAccess, {
+  foreignKey: "propertyId",
+  as: "documentAccess",
+});
+
+PropertyDocumentAccess.belongsTo(Property, {
+  foreignKey: "propertyId",
+  as: "property",
+});
+
+// User (Investor) <-> PropertyDocumentAccess
+PropertyDocumentAccess.belongsTo(User, {
+  foreignKey: "investorId",
+  as: "investor",
+});
+
+PropertyDocumentAccess.belongsTo(User, {
+  foreignKey: "grantedBy",
+  as: "grantedByUser",
+});
+
+// ============================================
+// NOTIFICATION ASSOCIATIONS
+// ============================================
+
+// User <-> Notification (One-to-Many, recipient)
+User.hasMany(Notification, { foreignKey: "userId", as: "notifications" });
+Notification.belongsTo(User, { foreignKey: "userId", as: "user" });
+
+// Property <-> Notification (optional; kept after a property is purged)
+Notification.belongsTo(Property, {
+  foreignKey: "propertyId",
+  as: "property",
+  constraints: false,
+});
+
+// User <-> NotificationPreference (One-to-Many)
+User.hasMany(NotificationPreference, {
+  foreignKey: "userId",
+  as: "notificationPreferences",
+});
+NotificationPreference.belongsTo(User, { foreignKey: "userId", as: "user" });
+
+// User <-> NotificationSetting (One-to-One)
+User.hasOne(NotificationSetting, {
+  foreignKey: "userId",
+  as: "notificationSetting",
+});
+NotificationSetting.belongsTo(User, { foreignKey: "userId", as: "user" });
+
+// User <-> EmailOutbox (One-to-Many, recipient)
+User.hasMany(EmailOutbox, { foreignKey: "userId", as: "emails" });
+EmailOutbox.belongsTo(User, { foreignKey: "userId", as: "user" });
+
+// ============================================
+// WEBHOOK ASSOCIATIONS
+// ============================================
+
+// WebhookEndpoint <-> WebhookDelivery (One-to-Many)
+WebhookEndpoint.hasMany(WebhookDelivery, {
+  foreignKey: "endpointId",
+  as: "deliveries",
+});
+WebhookDelivery.belongsTo(WebhookEndpoint, {
+  foreignKey: "endpointId",
+  as: "endpoint",
+});
+
+// User <-> WebhookEndpoint (One-to-Many, registered by)
+WebhookEndpoint.belongsTo(User, { foreignKey: "createdBy", as: "creator" });
+
 // ============================================
 // AUDIT LOG ASSOCIATIONS
 // ============================================
@@ -251,4 +396,14 @@ module.exports = {
   AuditLog,
   SalesRelationship,
   PropertyInvestorNote, // ✅ NEW: Export the model
+  PropertyStatusTransition,
+  PropertyVerificationItem,
+  PropertyDocument,
+  PropertyDocumentAccess,
+  Notification,
+  NotificationPreference,
+  NotificationSetting,
+  EmailOutbox,
+  WebhookEndpoint,
+  WebhookDelivery,
 };
@@ -0,0 +1,58 @@
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../config/dbConnection");
+
+/**
+ * Notification Model
+ *
+ * One row per recipient for every event pushed over Socket.IO, so users
+ * who were offline can catch up (see services/notificationService.js).
+ * - type: the socket event name (property:created, property:assigned, ...)
+ * - data: the event payload as it was emitted
+ * - deliveredAt: set once the event reached an open socket; undelivered
+ *   rows are replayed when the user reconnects
+ */
+const Notification = sequelize.define(
+  "Notification",
+  {
+    notificationId: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false,
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      // Foreign key managed by association in index.js
+    },
+    type: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+    },
+    propertyId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      // Foreign key managed by association in index.js
+    },
+    data: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {},
+    },
+    deliveredAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    readAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  },
+  {
+    tableName: "notifications",
+    // timestamps: true,    // ✅ Inherited from global config
+    // underscored: true,   // ✅ Inherited from global config
+  }
+);
+
+module.exports = Notification;
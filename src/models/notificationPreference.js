@@ -0,0 +1,82 @@
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../config/dbConnection");
+
+// Event categories a user can configure. Events outside these (property
+// edits, media, documents, account emails) are always delivered.
+// noteReminders has no sender yet; the setting is stored for when it does.
+const NOTIFICATION_CATEGORIES = [
+  "assignments",
+  "statusChanges",
+  "verification",
+  "newListings",
+  "leaseExpiry",
+  "noteReminders",
+];
+
+// Channel columns and their value when the user has no row for a category.
+// SMS is opt-in; only OTPs are sent by SMS today, so the setting is stored
+// but nothing reads it yet.
+const CHANNEL_DEFAULTS = {
+  socket: true,
+  email: true,
+  sms: false,
+};
+
+/**
+ * NotificationPreference Model
+ *
+ * One row per user and category the user has changed (unique on
+ * user_id + category); a missing row means CHANNEL_DEFAULTS. Quiet hours
+ * are per user, in NotificationSetting.
+ */
+const NotificationPreference = sequelize.define(
+  "NotificationPreference",
+  {
+    preferenceId: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false,
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      // Foreign key managed by association in index.js
+    },
+    category: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      validate: {
+        isIn: {
+          args: [NOTIFICATION_CATEGORIES],
+          msg: `Invalid category. Must be one of: ${NOTIFICATION_CATEGORIES.join(", ")}`,
+        },
+      },
+    },
+    socket: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: CHANNEL_DEFAULTS.socket,
+    },
+    email: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: CHANNEL_DEFAULTS.email,
+    },
+    sms: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: CHANNEL_DEFAULTS.sms,
+    },
+  },
+  {
+    tableName: "notification_preferences",
+    // timestamps: true,    // ✅ Inherited from global config
+    // underscored: true,   // ✅ Inherited from global config
+  }
+);
+
+NotificationPreference.NOTIFICATION_CATEGORIES = NOTIFICATION_CATEGORIES;
+NotificationPreference.CHANNEL_DEFAULTS = CHANNEL_DEFAULTS;
+
+module.exports = NotificationPreference;
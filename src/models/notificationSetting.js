@@ -0,0 +1,43 @@
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../config/dbConnection");
+
+/**
+ * NotificationSetting Model
+ *
+ * Per-user notification settings that don't depend on the event category.
+ * - quietHoursStart / quietHoursEnd: local "HH:MM"; emails falling inside
+ *   the window are held until it ends. The window may cross midnight
+ *   (22:00 - 07:00). Both null means no quiet hours.
+ * - timezone: IANA name the quiet hours are in
+ */
+const NotificationSetting = sequelize.define(
+  "NotificationSetting",
+  {
+    userId: {
+      type: DataTypes.UUID,
+      primaryKey: true,
+      allowNull: false,
+      // Foreign key managed by association in index.js
+    },
+    quietHoursStart: {
+      type: DataTypes.STRING(5),
+      allowNull: true,
+    },
+    quietHoursEnd: {
+      type: DataTypes.STRING(5),
+      allowNull: true,
+    },
+    timezone: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      defaultValue: "Asia/Kolkata",
+    },
+  },
+  {
+    tableName: "notification_settings",
+    // timestamps: true,    // ✅ Inherited from global config
+    // underscored: true,   // ✅ Inherited from global config
+  }
+);
+
+module.exports = NotificationSetting;
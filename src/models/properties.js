@@ -1,5 +1,6 @@
 const { DataTypes } = require("sequelize");
 const { sequelize } = require("../config/dbConnection");
+const { SELLING_STATUSES } = require("../utils/sellingPipeline");
 
 const Property = sequelize.define(
   "Property",
@@ -396,17 +397,7 @@ const Property = sequelize.define(
       defaultValue: "verification of requirement",
       validate: {
         isIn: {
-          args: [
-            [
-              "verification of requirement",
-              "confirm property match",
-              "align visits",
-              "negotiations",
-              "closing",
-              "documentation",
-              "final closure",
-            ],
-          ],
+          args: [SELLING_STATUSES],
           msg: "Invalid selling status",
         },
       },
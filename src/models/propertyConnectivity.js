@@ -1,4 +1,4 @@
-const { DataTypes } = require("sequelize");
+const { DataTypes, ValidationError } = require("sequelize");
 const { sequelize } = require("../config/dbConnection");
 
 const PropertyConnectivity = sequelize.define(
@@ -17,14 +17,30 @@ const PropertyConnectivity = sequelize.define(
     connectivityType: {
       type: DataTypes.STRING(50),
       allowNull: true,
+      validate: {
+        len: {
+          args: [1, 50],
+          msg: "connectivityType must be 1-50 characters",
+        },
+      },
     },
     name: {
       type: DataTypes.STRING(200),
       allowNull: true,
+      validate: {
+        len: {
+          args: [0, 200],
+          msg: "name cannot exceed 200 characters",
+        },
+      },
     },
     distanceKm: {
       type: DataTypes.DECIMAL(10, 2),
       allowNull: true,
+      validate: {
+        min: { args: [0], msg: "distanceKm cannot be negative" },
+        max: { args: [99999999.99], msg: "distanceKm is too large" },
+      },
     },
   },
   {
@@ -33,4 +49,23 @@ const PropertyConnectivity = sequelize.define(
   }
 );
 
+// ============================================
+// HELPER METHODS (Static Methods)
+// ============================================
+
+/**
+ * Run the model validators on an entry before it has a property
+ * @param {Object} entry - { connectivityType, name, distanceKm }
+ * @returns {Promise<string[]>} Validation messages (empty when valid)
+ */
+PropertyConnectivity.getValidationErrors = async function (entry) {
+  try {
+    await PropertyConnectivity.build(entry).validate({ skip: ["propertyId"] });
+    return [];
+  } catch (err) {
+    if (!(err instanceof ValidationError)) throw err;
+    return err.errors.map((item) => item.message);
+  }
+};
+
 module.exports = PropertyConnectivity;
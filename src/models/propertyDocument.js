@@ -0,0 +1,75 @@
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../config/dbConnection");
+
+// Legal paperwork that can be attached to a property
+const DOCUMENT_TYPES = [
+  "lease_deed",
+  "occupancy_certificate",
+  "title_report",
+  "tax_receipt",
+  "noc",
+  "other",
+];
+
+const PropertyDocument = sequelize.define(
+  "PropertyDocument",
+  {
+    documentId: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false,
+    },
+    propertyId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      // Foreign key managed by association in index.js
+    },
+    documentType: {
+      type: DataTypes.STRING(30),
+      allowNull: false,
+      validate: {
+        isIn: [DOCUMENT_TYPES],
+      },
+    },
+    // Bucket path under the documents prefix; never returned to clients
+    filePath: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+    },
+    originalName: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+    },
+    contentType: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+    },
+    fileSize: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    description: {
+      type: DataTypes.STRING(500),
+      allowNull: true,
+    },
+    uploadedBy: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+    },
+  },
+  {
+    tableName: "property_documents",
+    // timestamps: true,    // ✅ Inherited from global config
+    // underscored: true,   // ✅ Inherited from global config
+  }
+);
+
+PropertyDocument.DOCUMENT_TYPES = DOCUMENT_TYPES;
+
+module.exports = PropertyDocument;
@@ -0,0 +1,45 @@
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../config/dbConnection");
+
+/**
+ * PropertyDocumentAccess Model
+ *
+ * Investors granted access to a property's document vault.
+ * Revoking a grant sets isActive = false so the history is kept.
+ */
+const PropertyDocumentAccess = sequelize.define(
+  "PropertyDocumentAccess",
+  {
+    propertyId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      primaryKey: true,
+    },
+    investorId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      primaryKey: true,
+    },
+    grantedBy: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    // Optional cut-off; null means until revoked
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+    },
+  },
+  {
+    tableName: "property_document_access",
+    // timestamps: true,    // ✅ Inherited from global config
+    // underscored: true,   // ✅ Inherited from global config
+  }
+);
+
+module.exports = PropertyDocumentAccess;
@@ -66,7 +66,8 @@ PropertyInvestorNote.addNote = function (noteRecord, noteText, investorId) {
   };
 
   noteRecord.notes = [...noteRecord.notes, newNote];
-  noteRecord.totalNotesCount = noteRecord.notes.length;
+  noteRecord.totalNotesCount =
+    PropertyInvestorNote.getActiveNotes(noteRecord).length;
 
   return newNote;
 };
@@ -78,7 +79,22 @@ PropertyInvestorNote.addNote = function (noteRecord, noteText, investorId) {
  * @returns {Object|null} The note object or null if not found
  */
 PropertyInvestorNote.getNoteById = function (noteRecord, noteId) {
-  return noteRecord.notes.find((note) => note.noteId === noteId) || null;
+  return (
+    noteRecord.notes.find(
+      (note) => note.noteId === noteId && !note.isDeleted
+    ) || null
+  );
+};
+
+/**
+ * Get all notes that have not been soft-deleted, newest first
+ * @param {Object} noteRecord - The PropertyInvestorNote instance
+ * @returns {Array} Active notes
+ */
+PropertyInvestorNote.getActiveNotes = function (noteRecord) {
+  return noteRecord.notes
+    .filter((note) => !note.isDeleted)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
 };
 
 /**
@@ -89,7 +105,9 @@ PropertyInvestorNote.getNoteById = function (noteRecord, noteId) {
  * @returns {Object|null} Updated note or null if not found
  */
 PropertyInvestorNote.updateNote = function (noteRecord, noteId, newNoteText) {
-  const noteIndex = noteRecord.notes.findIndex((n) => n.noteId === noteId);
+  const noteIndex = noteRecord.notes.findIndex(
+    (n) => n.noteId === noteId && !n.isDeleted
+  );
 
   if (noteIndex === -1) {
     return null;
@@ -105,4 +123,31 @@ PropertyInvestorNote.updateNote = function (noteRecord, noteId, newNoteText) {
   return noteRecord.notes[noteIndex];
 };
 
+/**
+ * Soft delete a note (kept in the array, flagged as deleted)
+ * @param {Object} noteRecord - The PropertyInvestorNote instance
+ * @param {String} noteId - UUID of the note to delete
+ * @returns {Object|null} Deleted note or null if not found
+ */
+PropertyInvestorNote.deleteNote = function (noteRecord, noteId) {
+  const noteIndex = noteRecord.notes.findIndex(
+    (n) => n.noteId === noteId && !n.isDeleted
+  );
+
+  if (noteIndex === -1) {
+    return null;
+  }
+
+  noteRecord.notes[noteIndex] = {
+    ...noteRecord.notes[noteIndex],
+    isDeleted: true,
+    deletedAt: new Date().toISOString(),
+  };
+
+  noteRecord.totalNotesCount =
+    PropertyInvestorNote.getActiveNotes(noteRecord).length;
+  noteRecord.changed("notes", true);
+  return noteRecord.notes[noteIndex];
+};
+
 module.exports = PropertyInvestorNote;
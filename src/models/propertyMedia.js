@@ -1,4 +1,4 @@
-const { DataTypes } = require("sequelize");
+const { DataTypes, Op } = require("sequelize");
 const { sequelize } = require("../config/dbConnection");
 
 const PropertyMedia = sequelize.define(
@@ -26,6 +26,48 @@ const PropertyMedia = sequelize.define(
       type: DataTypes.TEXT,
       allowNull: false,
     },
+    // Resized photo copies: { thumbnail: { webp, jpeg }, medium: {...}, large: {...} }
+    variants: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+    },
+    // Video metadata read with ffprobe at upload time
+    durationSeconds: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+    },
+    width: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    height: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    codec: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+    },
+    // Bucket path of a JPEG frame grabbed from the video
+    posterUrl: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    // Cover image shown on listing cards (at most one per property)
+    isPrimary: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    },
+    displayOrder: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    caption: {
+      type: DataTypes.STRING(500),
+      allowNull: true,
+    },
     uploadedAt: {
       type: DataTypes.DATE,
       allowNull: false,
@@ -38,4 +80,16 @@ const PropertyMedia = sequelize.define(
   }
 );
 
+// Cover image first, then the owner's chosen order
+PropertyMedia.DISPLAY_ORDER = [
+  ["isPrimary", "DESC"],
+  ["displayOrder", "ASC"],
+  ["mediaId", "ASC"],
+];
+
+// Media that can be shown as an image on listing cards
+PropertyMedia.PREVIEWABLE = {
+  [Op.or]: [{ mediaType: "photo" }, { posterUrl: { [Op.ne]: null } }],
+};
+
 module.exports = PropertyMedia;
@@ -0,0 +1,66 @@
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../config/dbConnection");
+const { SELLING_STATUSES } = require("../utils/sellingPipeline");
+
+/**
+ * PropertyStatusTransition Model
+ *
+ * One row per sellingStatus change on a property (who, when, from/to, remark)
+ * Rows are append-only and form the property's sales stage timeline
+ */
+const PropertyStatusTransition = sequelize.define(
+  "PropertyStatusTransition",
+  {
+    transitionId: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false,
+    },
+    propertyId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      // Foreign key managed by association in index.js
+    },
+    fromStatus: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      validate: {
+        isIn: {
+          args: [SELLING_STATUSES],
+          msg: "Invalid selling status",
+        },
+      },
+    },
+    toStatus: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      validate: {
+        isIn: {
+          args: [SELLING_STATUSES],
+          msg: "Invalid selling status",
+        },
+      },
+    },
+    isRollback: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    },
+    changedBy: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      // Foreign key managed by association in index.js
+    },
+    remark: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+  },
+  {
+    tableName: "property_status_transitions",
+    updatedAt: false, // ✅ Override: Transitions are never updated
+  }
+);
+
+module.exports = PropertyStatusTransition;
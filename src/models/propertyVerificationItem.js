@@ -0,0 +1,105 @@
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../config/dbConnection");
+
+// Checklist items a property must pass before it is fully verified
+const VERIFICATION_ITEMS = {
+  TITLE_STATUS: "Title status and litigation check",
+  OCCUPANCY_CERTIFICATE: "Occupancy certificate verified",
+  LEASE_REGISTRATION: "Lease registration verified",
+  RERA: "RERA registration verified",
+  MEDIA: "Photos and videos match the property",
+};
+
+const PropertyVerificationItem = sequelize.define(
+  "PropertyVerificationItem",
+  {
+    propertyId: {
+      type: DataTypes.UUID,
+      primaryKey: true,
+      allowNull: false,
+    },
+    itemKey: {
+      type: DataTypes.STRING(50),
+      primaryKey: true,
+      allowNull: false,
+      validate: {
+        isIn: {
+          args: [Object.keys(VERIFICATION_ITEMS)],
+          msg: `Invalid verification item. Must be one of: ${Object.keys(VERIFICATION_ITEMS).join(", ")}`,
+        },
+      },
+    },
+    isChecked: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    },
+    checkedBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      // Foreign key managed by association in index.js
+    },
+    checkedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    remarks: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+  },
+  {
+    tableName: "property_verification_items",
+    // timestamps: true,    // ✅ Inherited from global config
+    // underscored: true,   // ✅ Inherited from global config
+    // freezeTableName: true, // ✅ Inherited from global config
+  }
+);
+
+// ============================================
+// HELPER METHODS (Static Methods)
+// ============================================
+
+PropertyVerificationItem.VERIFICATION_ITEMS = VERIFICATION_ITEMS;
+
+/**
+ * Derive Property.isVerified from checklist rows
+ * @param {Array} items - PropertyVerificationItem rows for one property
+ * @returns {String} pending (nothing checked), partial or completed (all checked)
+ */
+PropertyVerificationItem.deriveStatus = function (items) {
+  const checkedKeys = new Set(
+    items.filter((item) => item.isChecked).map((item) => item.itemKey)
+  );
+  const totalItems = Object.keys(VERIFICATION_ITEMS).length;
+
+  if (checkedKeys.size === 0) return "pending";
+  if (checkedKeys.size >= totalItems) return "completed";
+  return "partial";
+};
+
+/**
+ * Build the full checklist (including items never touched) for a response
+ * @param {Array} items - PropertyVerificationItem rows for one property
+ * @returns {Array} One entry per checklist item
+ */
+PropertyVerificationItem.buildChecklist = function (items) {
+  const itemsByKey = {};
+  items.forEach((item) => {
+    itemsByKey[item.itemKey] = item;
+  });
+
+  return Object.entries(VERIFICATION_ITEMS).map(([itemKey, label]) => {
+    const item = itemsByKey[itemKey];
+    return {
+      itemKey,
+      label,
+      isChecked: item ? item.isChecked : false,
+      checkedBy: item ? item.checkedBy : null,
+      checkedAt: item ? item.checkedAt : null,
+      remarks: item ? item.remarks : null,
+    };
+  });
+};
+
+module.exports = PropertyVerificationItem;
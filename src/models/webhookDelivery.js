@@ -0,0 +1,101 @@
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../config/dbConnection");
+
+const DELIVERY_STATUSES = ["pending", "delivered", "dead"];
+
+/**
+ * WebhookDelivery Model
+ *
+ * One row per event per subscribed endpoint; also the delivery log.
+ * - eventId: shared by every delivery of the same event, and sent as the
+ *   payload id so partners can de-duplicate
+ * - status: pending while attempts remain, delivered on a 2xx, dead once
+ *   attempts run out (the dead-letter list)
+ * - redeliveryOf: set on manual redeliveries, pointing at the original row
+ */
+const WebhookDelivery = sequelize.define(
+  "WebhookDelivery",
+  {
+    deliveryId: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false,
+    },
+    endpointId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      // Foreign key managed by association in index.js
+    },
+    eventId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    eventType: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+    },
+    payload: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+    },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: "pending",
+      validate: {
+        isIn: {
+          args: [DELIVERY_STATUSES],
+          msg: `Invalid status. Must be one of: ${DELIVERY_STATUSES.join(", ")}`,
+        },
+      },
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    nextAttemptAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    lastStatusCode: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    lastError: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    lastResponseBody: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    lastDurationMs: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    deliveredAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    redeliveryOf: {
+      type: DataTypes.UUID,
+      allowNull: true,
+    },
+    redeliveredBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+    },
+  },
+  {
+    tableName: "webhook_deliveries",
+    // timestamps: true,    // ✅ Inherited from global config
+    // underscored: true,   // ✅ Inherited from global config
+  }
+);
+
+WebhookDelivery.DELIVERY_STATUSES = DELIVERY_STATUSES;
+
+module.exports = WebhookDelivery;
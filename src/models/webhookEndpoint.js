@@ -0,0 +1,72 @@
+const { DataTypes } = require("sequelize");
+const { sequelize } = require("../config/dbConnection");
+
+// Events a partner can subscribe to (see services/webhookService.js)
+const WEBHOOK_EVENTS = [
+  "property.created",
+  "property.updated",
+  "property.assigned",
+  "property.statusChanged",
+  "user.created",
+];
+
+/**
+ * WebhookEndpoint Model
+ *
+ * A partner CRM URL registered by an admin.
+ * - events: subset of WEBHOOK_EVENTS the endpoint receives
+ * - secret: HMAC key for the X-Webhook-Signature header; only returned when
+ *   the endpoint is created or the secret is rotated
+ * - isActive: false stops new deliveries (soft delete)
+ */
+const WebhookEndpoint = sequelize.define(
+  "WebhookEndpoint",
+  {
+    endpointId: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false,
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+    },
+    url: {
+      type: DataTypes.STRING(2048),
+      allowNull: false,
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    events: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+    },
+    secret: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+    },
+    createdBy: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      // Foreign key managed by association in index.js
+    },
+  },
+  {
+    tableName: "webhook_endpoints",
+    // timestamps: true,    // ✅ Inherited from global config
+    // underscored: true,   // ✅ Inherited from global config
+  }
+);
+
+WebhookEndpoint.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
+
+module.exports = WebhookEndpoint;
@@ -8,13 +8,37 @@ const {
   getAllUsers,
   createSuperAdmin,
   reassignProperty,
+  restoreProperty,
+  purgeProperty,
   getAllActiveSalesManagers,
+  revertAuditLog,
 } = require("../controllers/admin");
+const { getAuditLogs, exportAuditLogs } = require("../controllers/auditLog");
+const {
+  searchApiLogs,
+  getApiLogById,
+  getApiLogEndpointStats,
+  getApiLogFailingUsers,
+} = require("../controllers/apiLog");
 const {
   authenticateUser,
   checkPermission,
+  checkRole,
   checkAdminOrSuperAdmin,
 } = require("../middlewares/auth");
+const {
+  createWebhookEndpoint,
+  getWebhookEndpoints,
+  getWebhookEndpointById,
+  updateWebhookEndpoint,
+  rotateWebhookSecret,
+  deleteWebhookEndpoint,
+  getWebhookDeliveries,
+  getWebhookDeadLetters,
+  getWebhookDeliveryById,
+  redeliverWebhookDelivery,
+} = require("../controllers/webhook");
+const { redactLog } = require("../middlewares/requestLogger");
 
 const superAdminRateLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -84,7 +108,12 @@ router.delete(
  * @desc    Create first Super Admin account (one-time only, no password)
  * @access  Public (requires secret key)
  */
-router.post("/create-super-admin", superAdminRateLimiter, createSuperAdmin);
+router.post(
+  "/create-super-admin",
+  redactLog({ request: ["secretKey"] }),
+  superAdminRateLimiter,
+  createSuperAdmin
+);
 
 router.put(
   "/properties/:propertyId/assign",
@@ -101,6 +130,30 @@ router.put(
   reassignProperty
 );
 
+/**
+ * @route   PUT /api/v1/admin/properties/:propertyId/restore
+ * @desc    Restore a soft-deleted property
+ * @access  Private (Admin, Super Admin)
+ */
+router.put(
+  "/properties/:propertyId/restore",
+  authenticateUser,
+  checkAdminOrSuperAdmin,
+  restoreProperty
+);
+
+/**
+ * @route   DELETE /api/v1/admin/properties/:propertyId/purge
+ * @desc    Permanently remove a soft-deleted property and its media
+ * @access  Private (Super Admin only)
+ */
+router.delete(
+  "/properties/:propertyId/purge",
+  authenticateUser,
+  checkRole(["Super Admin"]),
+  purgeProperty
+);
+
 // ✅ NEW: Get Sales Managers
 router.get(
   "/sales-managers",
@@ -109,4 +162,235 @@ router.get(
   getAllActiveSalesManagers
 );
 
+// ============================================
+// AUDIT LOG ROUTES
+// ============================================
+
+/**
+ * @route   GET /api/v1/admin/audit-logs
+ * @desc    Search audit logs (read-only; entries can't be edited or deleted)
+ * @access  Private (Super Admin)
+ * @query   userId, entityType, recordId, operation, from, to, field,
+ *          page, limit, sortOrder
+ */
+router.get(
+  "/audit-logs",
+  authenticateUser,
+  checkRole(["Super Admin"]),
+  getAuditLogs
+);
+
+/**
+ * @route   GET /api/v1/admin/audit-logs/export
+ * @desc    Download matching audit logs as CSV (same filters as search)
+ * @access  Private (Super Admin)
+ */
+router.get(
+  "/audit-logs/export",
+  authenticateUser,
+  checkRole(["Super Admin"]),
+  exportAuditLogs
+);
+
+/**
+ * @route   POST /api/v1/admin/audit-logs/:auditLogId/revert
+ * @desc    Undo a Property UPDATE by re-applying its old values; 409 when
+ *          later edits touched the same fields unless body { force: true }
+ * @access  Private (Admin, Super Admin)
+ */
+router.post(
+  "/audit-logs/:auditLogId/revert",
+  authenticateUser,
+  checkAdminOrSuperAdmin,
+  revertAuditLog
+);
+
+// ============================================
+// API LOG ROUTES
+// ============================================
+
+/**
+ * @route   GET /api/v1/admin/api-logs
+ * @desc    Search request logs (bodies and headers omitted; see /:logId)
+ * @access  Private (Admin, Super Admin)
+ * @query   userId, endpoint, routePattern, method, minStatus, maxStatus,
+ *          from, to, minResponseTimeMs, page, limit, sortBy, sortOrder
+ */
+router.get(
+  "/api-logs",
+  authenticateUser,
+  checkAdminOrSuperAdmin,
+  searchApiLogs
+);
+
+/**
+ * @route   GET /api/v1/admin/api-logs/stats/endpoints
+ * @desc    Request count, error rate and p50/p95 latency per route
+ *          (defaults to the last 24 hours)
+ * @access  Private (Admin, Super Admin)
+ * @query   Same filters as search, plus limit
+ */
+router.get(
+  "/api-logs/stats/endpoints",
+  authenticateUser,
+  checkAdminOrSuperAdmin,
+  getApiLogEndpointStats
+);
+
+/**
+ * @route   GET /api/v1/admin/api-logs/stats/failing-users
+ * @desc    Users with the most 4xx/5xx responses (defaults to the last
+ *          24 hours)
+ * @access  Private (Admin, Super Admin)
+ * @query   Same filters as search, plus limit
+ */
+router.get(
+  "/api-logs/stats/failing-users",
+  authenticateUser,
+  checkAdminOrSuperAdmin,
+  getApiLogFailingUsers
+);
+
+/**
+ * @route   GET /api/v1/admin/api-logs/:logId
+ * @desc    Full request log including headers, bodies and stack trace
+ * @access  Private (Admin, Super Admin)
+ */
+router.get(
+  "/api-logs/:logId",
+  authenticateUser,
+  checkAdminOrSuperAdmin,
+  getApiLogById
+);
+
+// ============================================
+// WEBHOOK ROUTES
+// ============================================
+
+/**
+ * @route   POST /api/v1/admin/webhooks
+ * @desc    Register a partner webhook endpoint; the response carries the
+ *          signing secret, which is not shown again
+ * @access  Private (Admin, Super Admin)
+ * @body    name, url, events, description
+ */
+router.post(
+  "/webhooks",
+  authenticateUser,
+  checkAdminOrSuperAdmin,
+  createWebhookEndpoint
+);
+
+/**
+ * @route   GET /api/v1/admin/webhooks
+ * @desc    List webhook endpoints
+ * @access  Private (Admin, Super Admin)
+ * @query   isActive
+ */
+router.get(
+  "/webhooks",
+  authenticateUser,
+  checkAdminOrSuperAdmin,
+  getWebhookEndpoints
+);
+
+/**
+ * @route   GET /api/v1/admin/webhooks/deliveries
+ * @desc    Delivery log (payloads omitted; see /deliveries/:deliveryId)
+ * @access  Private (Admin, Super Admin)
+ * @query   endpointId, status, eventType, eventId, from, to, page, limit
+ */
+router.get(
+  "/webhooks/deliveries",
+  authenticateUser,
+  checkAdminOrSuperAdmin,
+  getWebhookDeliveries
+);
+
+/**
+ * @route   GET /api/v1/admin/webhooks/dead-letters
+ * @desc    Deliveries that ran out of retries
+ * @access  Private (Admin, Super Admin)
+ * @query   endpointId, eventType, eventId, from, to, page, limit
+ */
+router.get(
+  "/webhooks/dead-letters",
+  authenticateUser,
+  checkAdminOrSuperAdmin,
+  getWebhookDeadLetters
+);
+
+/**
+ * @route   GET /api/v1/admin/webhooks/deliveries/:deliveryId
+ * @desc    One delivery with its payload and the partner's last response
+ * @access  Private (Admin, Super Admin)
+ */
+router.get(
+  "/webhooks/deliveries/:deliveryId",
+  authenticateUser,
+  checkAdminOrSuperAdmin,
+  getWebhookDeliveryById
+);
+
+/**
+ * @route   POST /api/v1/admin/webhooks/deliveries/:deliveryId/redeliver
+ * @desc    Send a delivery's payload again as a new delivery
+ * @access  Private (Admin, Super Admin)
+ */
+router.post(
+  "/webhooks/deliveries/:deliveryId/redeliver",
+  authenticateUser,
+  checkAdminOrSuperAdmin,
+  redeliverWebhookDelivery
+);
+
+/**
+ * @route   GET /api/v1/admin/webhooks/:endpointId
+ * @desc    One endpoint with delivery counts per status
+ * @access  Private (Admin, Super Admin)
+ */
+router.get(
+  "/webhooks/:endpointId",
+  authenticateUser,
+  checkAdminOrSuperAdmin,
+  getWebhookEndpointById
+);
+
+/**
+ * @route   PATCH /api/v1/admin/webhooks/:endpointId
+ * @desc    Update name, url, events, description or isActive
+ * @access  Private (Admin, Super Admin)
+ */
+router.patch(
+  "/webhooks/:endpointId",
+  authenticateUser,
+  checkAdminOrSuperAdmin,
+  updateWebhookEndpoint
+);
+
+/**
+ * @route   POST /api/v1/admin/webhooks/:endpointId/rotate-secret
+ * @desc    Replace the signing secret; the new one is returned once
+ * @access  Private (Admin, Super Admin)
+ */
+router.post(
+  "/webhooks/:endpointId/rotate-secret",
+  authenticateUser,
+  checkAdminOrSuperAdmin,
+  rotateWebhookSecret
+);
+
+/**
+ * @route   DELETE /api/v1/admin/webhooks/:endpointId
+ * @desc    Deactivate an endpoint (soft delete); pending deliveries are
+ *          dead-lettered
+ * @access  Private (Admin, Super Admin)
+ */
+router.delete(
+  "/webhooks/:endpointId",
+  authenticateUser,
+  checkAdminOrSuperAdmin,
+  deleteWebhookEndpoint
+);
+
 module.exports = router;
@@ -0,0 +1,73 @@
+const express = require("express");
+const router = express.Router();
+const {
+  addInvestorNote,
+  getInvestorNotes,
+  updateInvestorNote,
+  deleteInvestorNote,
+  getMyNotes,
+} = require("../controllers/investorNote");
+const { authenticateUser, checkInvestor } = require("../middlewares/auth");
+
+// ============================================
+// INVESTOR PRIVATE NOTES
+// ============================================
+
+/**
+ * @route   GET /api/v1/notes
+ * @desc    Get logged-in investor's notes across all properties
+ * @access  Private (Investor)
+ * @query   page, limit, search
+ */
+router.get("/notes", authenticateUser, checkInvestor, getMyNotes);
+
+/**
+ * @route   POST /api/v1/properties/:propertyId/notes
+ * @desc    Add a private note to a property
+ * @access  Private (Investor)
+ */
+router.post(
+  "/properties/:propertyId/notes",
+  authenticateUser,
+  checkInvestor,
+  addInvestorNote
+);
+
+/**
+ * @route   GET /api/v1/properties/:propertyId/notes
+ * @desc    Get logged-in investor's notes for a property
+ * @access  Private (Investor)
+ * @query   search
+ */
+router.get(
+  "/properties/:propertyId/notes",
+  authenticateUser,
+  checkInvestor,
+  getInvestorNotes
+);
+
+/**
+ * @route   PUT /api/v1/properties/:propertyId/notes/:noteId
+ * @desc    Edit a note's text
+ * @access  Private (Investor)
+ */
+router.put(
+  "/properties/:propertyId/notes/:noteId",
+  authenticateUser,
+  checkInvestor,
+  updateInvestorNote
+);
+
+/**
+ * @route   DELETE /api/v1/properties/:propertyId/notes/:noteId
+ * @desc    Soft delete a note
+ * @access  Private (Investor)
+ */
+router.delete(
+  "/properties/:propertyId/notes/:noteId",
+  authenticateUser,
+  checkInvestor,
+  deleteInvestorNote
+);
+
+module.exports = router;
@@ -0,0 +1,67 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getMyNotifications,
+  getMyUnreadCount,
+  markNotificationsRead,
+  markAllNotificationsRead,
+  getMyPreferences,
+  updateMyPreferences,
+} = require("../controllers/notification");
+const { authenticateUser } = require("../middlewares/auth");
+
+// ============================================
+// NOTIFICATION INBOX
+// ============================================
+
+/**
+ * @route   GET /api/v1/notifications
+ * @desc    Get logged-in user's notifications, newest first
+ * @access  Private
+ * @query   page, limit, unreadOnly, type
+ */
+router.get("/notifications", authenticateUser, getMyNotifications);
+
+/**
+ * @route   GET /api/v1/notifications/unread-count
+ * @desc    Number of unread notifications (badge count)
+ * @access  Private
+ */
+router.get("/notifications/unread-count", authenticateUser, getMyUnreadCount);
+
+/**
+ * @route   PATCH /api/v1/notifications/read
+ * @desc    Mark notifications read
+ * @access  Private
+ * @body    notificationIds
+ */
+router.patch("/notifications/read", authenticateUser, markNotificationsRead);
+
+/**
+ * @route   PATCH /api/v1/notifications/read-all
+ * @desc    Mark every notification read
+ * @access  Private
+ */
+router.patch(
+  "/notifications/read-all",
+  authenticateUser,
+  markAllNotificationsRead
+);
+
+/**
+ * @route   GET /api/v1/notifications/preferences
+ * @desc    Get logged-in user's channel preferences and quiet hours
+ * @access  Private
+ */
+router.get("/notifications/preferences", authenticateUser, getMyPreferences);
+
+/**
+ * @route   PUT /api/v1/notifications/preferences
+ * @desc    Update channel preferences per category and/or quiet hours
+ * @access  Private
+ * @body    preferences: [{ category, socket?, email?, sms? }],
+ *          quietHours: { start: "HH:MM", end: "HH:MM", timezone? } | null
+ */
+router.put("/notifications/preferences", authenticateUser, updateMyPreferences);
+
+module.exports = router;
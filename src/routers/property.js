@@ -3,19 +3,36 @@ const router = express.Router();
 const {
   createProperty,
   updateProperty,
+  deleteProperty,
+  updateSellingStatus,
+  getPropertyVerification,
+  updatePropertyVerification,
   getAllAmenities,
   getAllCaretakers,
   compareProperties,
   getAllProperties,
   getAssignedProperties,
   getPropertyById,
+  getPropertyCashflow,
+  getPropertyAnalysis,
 } = require("../controllers/property");
 const {
   authenticateUser,
   checkPermission,
+  checkRole,
   checkSalesPerson,
 } = require("../middlewares/auth");
+const { importPropertiesFromFile } = require("../controllers/propertyImport");
+const {
+  exportProperties,
+  exportAssignedProperties,
+} = require("../controllers/propertyExport");
+const {
+  getPropertyHistory,
+  getPropertyAsOf,
+} = require("../controllers/propertyHistory");
 const { multerUpload, uploadToGCS } = require("../middlewares/uploadGCS");
+const { spreadsheetUpload } = require("../middlewares/uploadSpreadsheet");
 
 // ============================================
 // PROPERTY CRUD OPERATIONS
@@ -31,6 +48,15 @@ router.post(
   createProperty
 );
 
+// ✅ Bulk import properties from CSV/XLSX (?dryRun=true to only validate)
+router.post(
+  "/properties/import",
+  authenticateUser,
+  checkPermission("PROPERTY_CREATE"),
+  spreadsheetUpload.single("file"),
+  importPropertiesFromFile
+);
+
 // ✅ Update property
 router.put(
   "/properties/:propertyId",
@@ -41,6 +67,37 @@ router.put(
   updateProperty
 );
 
+// ✅ Soft delete property (owner/broker scoped to their own listings; anyone
+// who may edit a listing may take it down)
+router.delete(
+  "/properties/:propertyId",
+  authenticateUser,
+  checkPermission("PROPERTY_UPDATE"),
+  deleteProperty
+);
+
+// ✅ Move property through the sales pipeline (assigned sales, their manager or admin)
+router.put(
+  "/properties/:propertyId/selling-status",
+  authenticateUser,
+  updateSellingStatus
+);
+
+// ✅ Get verification checklist (verifiers or the listing owner/broker)
+router.get(
+  "/properties/:propertyId/verification",
+  authenticateUser,
+  getPropertyVerification
+);
+
+// ✅ Tick off verification checklist items (sales or admin)
+router.put(
+  "/properties/:propertyId/verification",
+  authenticateUser,
+  checkRole(["Sales Manager", "Sales Executive", "Admin", "Super Admin"]),
+  updatePropertyVerification
+);
+
 // ============================================
 // PUBLIC APIS (NO AUTHENTICATION)
 // ============================================
@@ -61,9 +118,42 @@ router.get("/caretakers", authenticateUser, getAllCaretakers);
 // ✅ Get all properties with some filters
 router.get("/properties", getAllProperties);
 
+// ✅ Export properties as CSV/XLSX (same filters as the list above)
+router.get("/properties/export", authenticateUser, exportProperties);
+
+// ✅ Export assigned properties as CSV/XLSX (same scope as /properties/assigned)
+router.get(
+  "/properties/assigned/export",
+  authenticateUser,
+  checkSalesPerson,
+  exportAssignedProperties
+);
+
+// ✅ Property as it stood at a past moment (?asOf=<date>), rebuilt from the
+// audit trail; plain requests fall through to the public details route
+router.get(
+  "/properties/:propertyId",
+  (req, res, next) => (req.query.asOf ? next() : next("route")),
+  authenticateUser,
+  getPropertyAsOf
+);
+
 // ✅ Get single property details
 router.get("/properties/:propertyId", getPropertyById);
 
+// ✅ Paginated change timeline (owner, broker, assigned sales, admin)
+router.get(
+  "/properties/:propertyId/history",
+  authenticateUser,
+  getPropertyHistory
+);
+
+// ✅ Projected lease cash flow (public access)
+router.get("/properties/:propertyId/cashflow", getPropertyCashflow);
+
+// ✅ IRR / NPV / exit-value analysis with investor inputs (public access)
+router.get("/properties/:propertyId/analysis", getPropertyAnalysis);
+
 // ✅ Get properties assigned to logged-in Sales Manager/Executive
 router.get(
   "/properties/assigned",
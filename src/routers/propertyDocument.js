@@ -0,0 +1,106 @@
+const express = require("express");
+const router = express.Router();
+const {
+  uploadPropertyDocuments,
+  getPropertyDocuments,
+  downloadPropertyDocument,
+  deletePropertyDocument,
+  getDocumentAccessList,
+  grantDocumentAccess,
+  revokeDocumentAccess,
+} = require("../controllers/propertyDocument");
+const { authenticateUser } = require("../middlewares/auth");
+const {
+  documentUpload,
+  cleanupTempFiles,
+} = require("../middlewares/uploadDocument");
+
+// ============================================
+// PROPERTY DOCUMENT VAULT
+// ============================================
+// Access is decided per property by the acting role: owner, broker,
+// assigned sales (or their manager) and admins; investors read-only
+// with a grant. See services/documentAccessService.
+
+/**
+ * @route   POST /api/v1/properties/:propertyId/documents
+ * @desc    Upload documents (multipart "files", up to 5) of one documentType
+ * @access  Private (owner, broker, assigned sales, admin)
+ * @body    documentType, description
+ */
+router.post(
+  "/properties/:propertyId/documents",
+  authenticateUser,
+  documentUpload.array("files", 5),
+  cleanupTempFiles,
+  uploadPropertyDocuments
+);
+
+/**
+ * @route   GET /api/v1/properties/:propertyId/documents
+ * @desc    List a property's documents (metadata only)
+ * @access  Private (owner, broker, assigned sales, admin, granted investors)
+ * @query   documentType
+ */
+router.get(
+  "/properties/:propertyId/documents",
+  authenticateUser,
+  getPropertyDocuments
+);
+
+/**
+ * @route   GET /api/v1/properties/:propertyId/documents/access
+ * @desc    List investors with access to the document vault
+ * @access  Private (owner, broker, assigned sales, admin)
+ */
+router.get(
+  "/properties/:propertyId/documents/access",
+  authenticateUser,
+  getDocumentAccessList
+);
+
+/**
+ * @route   POST /api/v1/properties/:propertyId/documents/access
+ * @desc    Grant an investor access; body { investorId, expiresAt? }
+ * @access  Private (owner, broker, assigned sales, admin)
+ */
+router.post(
+  "/properties/:propertyId/documents/access",
+  authenticateUser,
+  grantDocumentAccess
+);
+
+/**
+ * @route   DELETE /api/v1/properties/:propertyId/documents/access/:investorId
+ * @desc    Revoke an investor's access
+ * @access  Private (owner, broker, assigned sales, admin)
+ */
+router.delete(
+  "/properties/:propertyId/documents/access/:investorId",
+  authenticateUser,
+  revokeDocumentAccess
+);
+
+/**
+ * @route   GET /api/v1/properties/:propertyId/documents/:documentId/download
+ * @desc    Short-lived download link; every call is written to the audit log
+ * @access  Private (owner, broker, assigned sales, admin, granted investors)
+ */
+router.get(
+  "/properties/:propertyId/documents/:documentId/download",
+  authenticateUser,
+  downloadPropertyDocument
+);
+
+/**
+ * @route   DELETE /api/v1/properties/:propertyId/documents/:documentId
+ * @desc    Soft delete a document (the stored file is kept)
+ * @access  Private (owner, broker, assigned sales, admin)
+ */
+router.delete(
+  "/properties/:propertyId/documents/:documentId",
+  authenticateUser,
+  deletePropertyDocument
+);
+
+module.exports = router;
@@ -0,0 +1,71 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getPropertyMedia,
+  deletePropertyMedia,
+  reorderPropertyMedia,
+  setPrimaryPropertyMedia,
+  updatePropertyMediaCaption,
+} = require("../controllers/propertyMedia");
+const { authenticateUser, checkPermission } = require("../middlewares/auth");
+
+// ============================================
+// PROPERTY MEDIA MANAGEMENT
+// ============================================
+
+/**
+ * @route   GET /api/v1/properties/:propertyId/media
+ * @desc    List a property's photos and videos, cover image first
+ * @access  Public
+ */
+router.get("/properties/:propertyId/media", getPropertyMedia);
+
+/**
+ * @route   PUT /api/v1/properties/:propertyId/media/order
+ * @desc    Reorder media; body { mediaIds: [...] } lists every item once
+ * @access  Private (PROPERTY_UPDATE, owner/broker scoped to own listings)
+ */
+router.put(
+  "/properties/:propertyId/media/order",
+  authenticateUser,
+  checkPermission("PROPERTY_UPDATE"),
+  reorderPropertyMedia
+);
+
+/**
+ * @route   PUT /api/v1/properties/:propertyId/media/:mediaId/primary
+ * @desc    Make a photo the listing's cover image
+ * @access  Private (PROPERTY_UPDATE, owner/broker scoped to own listings)
+ */
+router.put(
+  "/properties/:propertyId/media/:mediaId/primary",
+  authenticateUser,
+  checkPermission("PROPERTY_UPDATE"),
+  setPrimaryPropertyMedia
+);
+
+/**
+ * @route   PUT /api/v1/properties/:propertyId/media/:mediaId/caption
+ * @desc    Set or clear a media caption; body { caption }
+ * @access  Private (PROPERTY_UPDATE, owner/broker scoped to own listings)
+ */
+router.put(
+  "/properties/:propertyId/media/:mediaId/caption",
+  authenticateUser,
+  checkPermission("PROPERTY_UPDATE"),
+  updatePropertyMediaCaption
+);
+
+/**
+ * @route   DELETE /api/v1/properties/:propertyId/media/:mediaId
+ * @desc    Delete a media item and its stored file
+ * @access  Private (PROPERTY_UPDATE, owner/broker scoped to own listings)
+ */
+router.delete(
+  "/properties/:propertyId/media/:mediaId",
+  authenticateUser,
+  checkPermission("PROPERTY_UPDATE"),
+  deletePropertyMedia
+);
+
+module.exports = router;
@@ -5,9 +5,19 @@ const router = express.Router();
 const user = require("./user");
 const property = require("./property");
 const admin = require("./admin");
+const investorNote = require("./investorNote");
+const propertyMedia = require("./propertyMedia");
+const propertyDocument = require("./propertyDocument");
+const storage = require("./storage");
+const notification = require("./notification");
 
 router.use(user);
 router.use(property);
+router.use(investorNote);
+router.use(propertyMedia);
+router.use(propertyDocument);
+router.use(storage);
+router.use(notification);
 router.use("/admin", admin);
 
 module.exports = router;
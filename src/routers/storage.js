@@ -0,0 +1,22 @@
+const express = require("express");
+const router = express.Router();
+const { serveStoredObject } = require("../controllers/storage");
+const { redactLog } = require("../middlewares/requestLogger");
+
+// ============================================
+// LOCAL STORAGE DOWNLOADS
+// ============================================
+
+/**
+ * @route   GET /api/v1/storage/*key
+ * @desc    Serve a file stored by the local storage driver
+ * @access  Public (requires a valid, unexpired HMAC-signed URL)
+ * @query   expires, signature, download
+ */
+router.get(
+  "/storage/*key",
+  redactLog({ request: ["signature", "expires"] }),
+  serveStoredObject
+);
+
+module.exports = router;
@@ -11,6 +11,16 @@ const {
   verifyOtpHandler,
 } = require("../controllers/user");
 const { authenticateUser } = require("../middlewares/auth");
+const { redactLog } = require("../middlewares/requestLogger");
+
+// ============================================
+// REQUEST LOG REDACTION
+// ============================================
+// Mounted ahead of the rate limiters so rejected requests are redacted too.
+const otpLogRedaction = redactLog({
+  request: ["otp", "verificationId", "deviceId", "mobileNumber", "email"],
+});
+
 // ============================================
 // RATE LIMITERS FOR AUTH ROUTES
 // ============================================
@@ -45,22 +55,27 @@ const refreshRateLimiter = rateLimit({
  * @desc    Send OTP to mobile number via MessageCentral
  * @access  Public
  */
-userrouter.post("/send-otp", authRateLimiter, sendOtpHandler);
-userrouter.post("/verify-otp", authRateLimiter, verifyOtpHandler);
+userrouter.post("/send-otp", otpLogRedaction, authRateLimiter, sendOtpHandler);
+userrouter.post(
+  "/verify-otp",
+  otpLogRedaction,
+  authRateLimiter,
+  verifyOtpHandler
+);
 
 /**
  * @route   POST /api/v1/auth/signup
  * @desc    Register new user with OTP verification
  * @access  Public
  */
-userrouter.post("/signup", authRateLimiter, signup);
+userrouter.post("/signup", otpLogRedaction, authRateLimiter, signup);
 
 /**
  * @route   POST /api/v1/auth/login
  * @desc    Login user with mobile number and OTP
  * @access  Public
  */
-userrouter.post("/login", authRateLimiter, login);
+userrouter.post("/login", otpLogRedaction, authRateLimiter, login);
 
 /**
  * @route   POST /api/v1/auth/logout
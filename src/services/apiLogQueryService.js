@@ -0,0 +1,223 @@
+const ApiLog = require("../models/apiLog");
+const createAppError = require("../utils/appError");
+
+const HTTP_METHODS = ["GET", "POST", "PUT", "PATCH", "DELETE"];
+
+// Stats default to this window when no from/to is given
+const DEFAULT_STATS_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const parseNumber = (value, name, min = 0) => {
+  const number = Number(value);
+  if (isNaN(number) || number < min) {
+    throw createAppError(`${name} must be a number >= ${min}`, 400);
+  }
+  return number;
+};
+
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw createAppError(`${name} must be a valid date`, 400);
+  }
+  return date;
+};
+
+/**
+ * Mongo filter for the API log explorer
+ * @param {Object} query - req.query: userId, endpoint (substring),
+ *   routePattern, method, minStatus, maxStatus, from, to, minResponseTimeMs
+ * @param {Object} [options]
+ * @param {boolean} [options.defaultWindow] - Limit to the last 24h when
+ *   neither from nor to is given (used by the aggregated views)
+ * @returns {Object}
+ */
+const buildApiLogFilter = (query, { defaultWindow = false } = {}) => {
+  const {
+    userId,
+    endpoint,
+    routePattern,
+    method,
+    minStatus,
+    maxStatus,
+    from,
+    to,
+    minResponseTimeMs,
+  } = query;
+  const filter = {};
+
+  if (userId) filter.userId = String(userId);
+  if (routePattern) filter.routePattern = String(routePattern);
+
+  if (endpoint) {
+    filter.endpoint = { $regex: escapeRegex(String(endpoint)), $options: "i" };
+  }
+
+  if (method) {
+    const httpMethod = String(method).toUpperCase();
+    if (!HTTP_METHODS.includes(httpMethod)) {
+      throw createAppError(
+        `Invalid method. Must be one of: ${HTTP_METHODS.join(", ")}`,
+        400
+      );
+    }
+    filter.httpMethod = httpMethod;
+  }
+
+  if (minStatus || maxStatus) {
+    filter.responseStatus = {};
+    if (minStatus) {
+      filter.responseStatus.$gte = parseNumber(minStatus, "minStatus", 100);
+    }
+    if (maxStatus) {
+      filter.responseStatus.$lte = parseNumber(maxStatus, "maxStatus", 100);
+    }
+  }
+
+  if (minResponseTimeMs) {
+    filter.responseTimeMs = {
+      $gte: parseNumber(minResponseTimeMs, "minResponseTimeMs"),
+    };
+  }
+
+  if (from || to) {
+    filter.requestTimestamp = {};
+    if (from) filter.requestTimestamp.$gte = parseDate(from, "from");
+    if (to) filter.requestTimestamp.$lte = parseDate(to, "to");
+  } else if (defaultWindow) {
+    filter.requestTimestamp = {
+      $gte: new Date(Date.now() - DEFAULT_STATS_WINDOW_MS),
+    };
+  }
+
+  return filter;
+};
+
+/**
+ * Per-endpoint request count, error rates and latency percentiles.
+ * Requests are grouped by method + routePattern; logs written before
+ * routePattern existed fall back to the raw endpoint.
+ * Uses $percentile, which needs MongoDB 7.0 or newer.
+ * @param {Object} filter - From buildApiLogFilter
+ * @param {number} limit
+ * @returns {Promise<Array>}
+ */
+const getEndpointStats = (filter, limit) =>
+  ApiLog.aggregate([
+    { $match: filter },
+    {
+      $group: {
+        _id: {
+          method: "$httpMethod",
+          route: { $ifNull: ["$routePattern", "$endpoint"] },
+        },
+        requests: { $sum: 1 },
+        serverErrors: {
+          $sum: { $cond: [{ $gte: ["$responseStatus", 500] }, 1, 0] },
+        },
+        clientErrors: {
+          $sum: {
+            $cond: [
+              {
+                $and: [
+                  { $gte: ["$responseStatus", 400] },
+                  { $lt: ["$responseStatus", 500] },
+                ],
+              },
+              1,
+              0,
+            ],
+          },
+        },
+        avgResponseTimeMs: { $avg: "$responseTimeMs" },
+        latency: {
+          $percentile: {
+            input: "$responseTimeMs",
+            p: [0.5, 0.95],
+            method: "approximate",
+          },
+        },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        method: "$_id.method",
+        route: "$_id.route",
+        requests: 1,
+        serverErrors: 1,
+        clientErrors: 1,
+        errorRate: {
+          $round: [
+            {
+              $divide: [
+                { $add: ["$serverErrors", "$clientErrors"] },
+                "$requests",
+              ],
+            },
+            4,
+          ],
+        },
+        serverErrorRate: {
+          $round: [{ $divide: ["$serverErrors", "$requests"] }, 4],
+        },
+        avgResponseTimeMs: { $round: ["$avgResponseTimeMs", 1] },
+        p50ResponseTimeMs: { $arrayElemAt: ["$latency", 0] },
+        p95ResponseTimeMs: { $arrayElemAt: ["$latency", 1] },
+      },
+    },
+    { $sort: { errorRate: -1, requests: -1 } },
+    { $limit: limit },
+  ]);
+
+/**
+ * Users with the most failed (4xx/5xx) requests
+ * @param {Object} filter - From buildApiLogFilter
+ * @param {number} limit
+ * @returns {Promise<Array<{ userId: string, failures: number,
+ *   serverErrors: number, lastFailureAt: Date, topRoutes: string[] }>>}
+ */
+const getTopFailingUsers = (filter, limit) =>
+  ApiLog.aggregate([
+    {
+      $match: {
+        ...filter,
+        userId: filter.userId || { $ne: null },
+        responseStatus: {
+          ...filter.responseStatus,
+          $gte: Math.max(filter.responseStatus?.$gte ?? 0, 400),
+        },
+      },
+    },
+    {
+      $group: {
+        _id: "$userId",
+        failures: { $sum: 1 },
+        serverErrors: {
+          $sum: { $cond: [{ $gte: ["$responseStatus", 500] }, 1, 0] },
+        },
+        lastFailureAt: { $max: "$requestTimestamp" },
+        routes: { $addToSet: { $ifNull: ["$routePattern", "$endpoint"] } },
+      },
+    },
+    { $sort: { failures: -1 } },
+    { $limit: limit },
+    {
+      $project: {
+        _id: 0,
+        userId: "$_id",
+        failures: 1,
+        serverErrors: 1,
+        lastFailureAt: 1,
+        topRoutes: { $slice: ["$routes", 5] },
+      },
+    },
+  ]);
+
+module.exports = {
+  HTTP_METHODS,
+  buildApiLogFilter,
+  getEndpointStats,
+  getTopFailingUsers,
+};
@@ -0,0 +1,129 @@
+const { Op } = require("sequelize");
+const { sequelize } = require("../config/dbConnection");
+const createAppError = require("../utils/appError");
+const { isValidUuid } = require("../utils/validators");
+
+const AUDIT_OPERATIONS = ["INSERT", "UPDATE", "DELETE", "DOWNLOAD"];
+
+/**
+ * Condition matching entries whose old or new value has `field` as a key,
+ * even when the value itself is null
+ * @param {string} field
+ * @returns {Object} Sequelize where fragment
+ */
+const touchesField = (field) => ({
+  [Op.or]: ["old_value", "new_value"].map((column) =>
+    sequelize.where(
+      sequelize.fn("jsonb_exists", sequelize.col(`AuditLog.${column}`), field),
+      true
+    )
+  ),
+});
+
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw createAppError(`${name} must be a valid date`, 400);
+  }
+  return date;
+};
+
+/**
+ * Where clause for the admin audit log search and export
+ * @param {Object} query - req.query: userId, entityType, recordId,
+ *   operation (comma separated), from, to, field
+ * @returns {Object}
+ */
+const buildAuditLogWhere = (query) => {
+  const { userId, entityType, recordId, operation, from, to, field } = query;
+  const where = {};
+
+  if (userId) {
+    if (!isValidUuid(userId)) {
+      throw createAppError("userId must be a valid UUID", 400);
+    }
+    where.userId = userId;
+  }
+
+  if (recordId) {
+    if (!isValidUuid(recordId)) {
+      throw createAppError("recordId must be a valid UUID", 400);
+    }
+    where.recordId = recordId;
+  }
+
+  if (entityType) {
+    where.entityType = entityType;
+  }
+
+  if (operation) {
+    const operations = String(operation)
+      .split(",")
+      .map((op) => op.trim().toUpperCase());
+    const invalid = operations.filter((op) => !AUDIT_OPERATIONS.includes(op));
+    if (invalid.length > 0) {
+      throw createAppError(
+        `Invalid operation: ${invalid.join(", ")}. Must be one of: ${AUDIT_OPERATIONS.join(", ")}`,
+        400
+      );
+    }
+    where.operation = { [Op.in]: operations };
+  }
+
+  if (from || to) {
+    where.createdAt = {};
+    if (from) where.createdAt[Op.gte] = parseDate(from, "from");
+    if (to) where.createdAt[Op.lte] = parseDate(to, "to");
+  }
+
+  if (field) {
+    Object.assign(where, touchesField(String(field)));
+  }
+
+  return where;
+};
+
+/**
+ * CSV columns for the audit export. `value` receives a plain AuditLog
+ * object with its `user` included.
+ */
+const AUDIT_EXPORT_COLUMNS = [
+  { header: "auditLogId", value: (log) => log.auditLogId },
+  {
+    header: "createdAt",
+    value: (log) => new Date(log.createdAt).toISOString(),
+  },
+  { header: "userId", value: (log) => log.userId },
+  { header: "userEmail", value: (log) => (log.user ? log.user.email : null) },
+  { header: "operation", value: (log) => log.operation },
+  { header: "entityType", value: (log) => log.entityType },
+  { header: "recordId", value: (log) => log.recordId },
+  { header: "tableName", value: (log) => log.tableName },
+  {
+    header: "changedFields",
+    value: (log) =>
+      [
+        ...new Set([
+          ...Object.keys(log.oldValue || {}),
+          ...Object.keys(log.newValue || {}),
+        ]),
+      ].join("; "),
+  },
+  {
+    header: "oldValue",
+    value: (log) => (log.oldValue ? JSON.stringify(log.oldValue) : null),
+  },
+  {
+    header: "newValue",
+    value: (log) => (log.newValue ? JSON.stringify(log.newValue) : null),
+  },
+  { header: "ipAddress", value: (log) => log.ipAddress },
+  { header: "userAgent", value: (log) => log.userAgent },
+];
+
+module.exports = {
+  AUDIT_OPERATIONS,
+  AUDIT_EXPORT_COLUMNS,
+  touchesField,
+  buildAuditLogWhere,
+};
@@ -0,0 +1,246 @@
+const { Op } = require("sequelize");
+const { Property, Amenity, AuditLog } = require("../models");
+const createAppError = require("../utils/appError");
+const { logUpdate } = require("../utils/logs");
+const {
+  COMPUTED_FIELDS,
+  toNumber,
+  reconcileFinancialMetrics,
+} = require("../utils/propertyFinancials");
+
+// Identity and bookkeeping columns are never written back
+const NON_REVERTIBLE_FIELDS = [
+  "propertyId",
+  "ownerId",
+  "createdAt",
+  "updatedAt",
+];
+
+// Columns owned by their own endpoints, which enforce checks and write
+// history a revert would bypass: selling status (pipeline transitions),
+// isVerified (checklist), isActive (delete/restore) and the assignments
+// (reassign)
+const WORKFLOW_FIELDS = [
+  "sellingStatus",
+  "isVerified",
+  "isActive",
+  "salesId",
+  "brokerId",
+];
+
+/**
+ * Fields of a Property UPDATE entry that a revert would write back: real
+ * columns plus the amenityIds list updateProperty logs. Markers such as
+ * updatedBy or mediaAdded are skipped, as are WORKFLOW_FIELDS.
+ * @param {Object} entry - AuditLog record
+ * @returns {string[]}
+ */
+const getRevertibleFields = (entry) =>
+  Object.keys(entry.oldValue || {}).filter(
+    (field) =>
+      field === "amenityIds" ||
+      (Property.rawAttributes[field] &&
+        !NON_REVERTIBLE_FIELDS.includes(field) &&
+        !WORKFLOW_FIELDS.includes(field))
+  );
+
+/**
+ * WORKFLOW_FIELDS an entry changed, which a revert leaves alone
+ * @param {Object} entry - AuditLog record
+ * @returns {string[]}
+ */
+const getSkippedWorkflowFields = (entry) =>
+  Object.keys(entry.oldValue || {}).filter((field) =>
+    WORKFLOW_FIELDS.includes(field)
+  );
+
+/**
+ * Later Property audit entries that touched any of the given fields
+ * @param {Object} entry - The entry being reverted
+ * @param {string[]} fields
+ * @param {Object} transaction
+ * @returns {Promise<Array<{ auditLogId: number, field: string,
+ *   changedAt: Date, changedBy: string }>>}
+ */
+const findConflictingChanges = async (entry, fields, transaction) => {
+  const laterEntries = await AuditLog.findAll({
+    where: {
+      recordId: entry.recordId,
+      entityType: "Property",
+      auditLogId: { [Op.gt]: entry.auditLogId },
+    },
+    order: [["auditLogId", "ASC"]],
+    transaction,
+  });
+
+  const conflicts = [];
+  laterEntries.forEach((later) => {
+    const touched = new Set([
+      ...Object.keys(later.oldValue || {}),
+      ...Object.keys(later.newValue || {}),
+    ]);
+    fields
+      .filter((field) => touched.has(field))
+      .forEach((field) =>
+        conflicts.push({
+          auditLogId: later.auditLogId,
+          field,
+          changedAt: later.createdAt,
+          changedBy: later.userId,
+        })
+      );
+  });
+
+  return conflicts;
+};
+
+/**
+ * Re-apply the oldValue side of a Property UPDATE audit entry.
+ *
+ * Refuses (409) when a later entry changed any of the same fields, unless
+ * `force` is set. WORKFLOW_FIELDS in the entry are left as they are, and the
+ * financial metrics are recomputed from the reverted inputs the same way
+ * updateProperty does. Writes its own UPDATE entry whose newValue carries
+ * `revertOfAuditLogId`, so a revert can itself be reverted.
+ *
+ * @param {Object} params
+ * @param {number} params.auditLogId
+ * @param {boolean} params.force
+ * @param {Object} params.user - req.user
+ * @param {string} params.userRole
+ * @param {string} params.ipAddress
+ * @param {string} params.userAgent
+ * @param {Object} transaction
+ * @returns {Promise<{ property: Object, revertedFields: string[],
+ *   skippedFields: string[], conflicts: Array, auditLogId: number }>}
+ */
+const revertPropertyUpdate = async (
+  { auditLogId, force, user, userRole, ipAddress, userAgent },
+  transaction
+) => {
+  const entry = await AuditLog.findByPk(auditLogId, { transaction });
+
+  if (!entry) {
+    throw createAppError("Audit log entry not found", 404);
+  }
+
+  if (entry.entityType !== "Property" || entry.operation !== "UPDATE") {
+    throw createAppError("Only Property UPDATE entries can be reverted", 400);
+  }
+
+  const fields = getRevertibleFields(entry);
+  const skippedFields = getSkippedWorkflowFields(entry);
+  if (fields.length === 0) {
+    throw createAppError(
+      skippedFields.length > 0
+        ? `This entry only changed ${skippedFields.join(", ")}, which can't be reverted here; use the matching property endpoint instead`
+        : "This entry has no revertible fields",
+      400
+    );
+  }
+
+  const property = await Property.findByPk(entry.recordId, {
+    transaction,
+    lock: transaction.LOCK.UPDATE,
+  });
+
+  if (!property) {
+    throw createAppError("Property no longer exists", 404);
+  }
+
+  const conflicts = await findConflictingChanges(entry, fields, transaction);
+  if (conflicts.length > 0 && !force) {
+    const summary = conflicts
+      .map((c) => `${c.field} (audit log ${c.auditLogId})`)
+      .join(", ");
+    throw createAppError(
+      `Later edits changed the same fields: ${summary}. Pass force=true to revert anyway`,
+      409
+    );
+  }
+
+  const updateData = {};
+  fields
+    .filter((field) => field !== "amenityIds")
+    .forEach((field) => {
+      updateData[field] = entry.oldValue[field];
+    });
+
+  const currentRecord = property.toJSON();
+  const { metrics } = reconcileFinancialMetrics(
+    { ...currentRecord, ...updateData },
+    updateData,
+    currentRecord
+  );
+  COMPUTED_FIELDS.forEach((field) => {
+    if (toNumber(currentRecord[field]) !== metrics[field]) {
+      updateData[field] = metrics[field];
+    } else {
+      delete updateData[field];
+    }
+  });
+
+  const oldValues = {};
+  const newValues = {};
+  Object.keys(updateData).forEach((field) => {
+    oldValues[field] = property[field];
+    newValues[field] = updateData[field];
+  });
+
+  if (Object.keys(updateData).length > 0) {
+    await property.update(updateData, { transaction });
+  }
+
+  if (fields.includes("amenityIds")) {
+    const currentAmenities = await property.getAmenities({
+      attributes: ["amenityId"],
+      raw: true,
+      transaction,
+    });
+
+    // Amenities deactivated since the edit can't be linked again
+    const restorable = await Amenity.findAll({
+      where: {
+        amenityId: { [Op.in]: entry.oldValue.amenityIds || [] },
+        isActive: true,
+      },
+      attributes: ["amenityId"],
+      transaction,
+    });
+    const amenityIds = restorable.map((a) => a.amenityId);
+
+    await property.setAmenities(amenityIds, { transaction });
+    oldValues.amenityIds = currentAmenities.map((a) => a.amenityId);
+    newValues.amenityIds = amenityIds;
+  }
+
+  newValues.updatedBy = userRole;
+  newValues.revertOfAuditLogId = entry.auditLogId;
+  if (conflicts.length > 0) {
+    newValues.forcedOverConflicts = [
+      ...new Set(conflicts.map((c) => c.auditLogId)),
+    ];
+  }
+
+  const revertEntry = await logUpdate({
+    userId: user.userId,
+    entityType: "Property",
+    recordId: property.propertyId,
+    oldValues,
+    newValues,
+    tableName: "properties",
+    ipAddress,
+    userAgent,
+    transaction,
+  });
+
+  return {
+    property,
+    revertedFields: fields,
+    skippedFields,
+    conflicts,
+    auditLogId: revertEntry.auditLogId,
+  };
+};
+
+module.exports = { getRevertibleFields, revertPropertyUpdate };
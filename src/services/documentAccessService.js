@@ -0,0 +1,72 @@
+const { Op } = require("sequelize");
+const { Property, PropertyDocumentAccess } = require("../models");
+const createAppError = require("../utils/appError");
+const { isPropertyParticipant } = require("./propertyAccessService");
+
+/**
+ * Whether an investor holds an active, unexpired grant for a property
+ * @param {string} propertyId
+ * @param {string} investorId
+ * @returns {Promise<boolean>}
+ */
+const hasInvestorGrant = async (propertyId, investorId) => {
+  const grant = await PropertyDocumentAccess.findOne({
+    where: {
+      propertyId,
+      investorId,
+      isActive: true,
+      [Op.or]: [{ expiresAt: null }, { expiresAt: { [Op.gt]: new Date() } }],
+    },
+    attributes: ["propertyId"],
+  });
+
+  return Boolean(grant);
+};
+
+/**
+ * Load a property whose document vault the user may use, or throw.
+ *
+ * Admins always pass. Otherwise the acting role (req.user.role) decides:
+ * the owner, the broker and the assigned sales person (or their manager)
+ * can read and manage documents; investors can only read, and only with
+ * an active grant.
+ *
+ * @param {Object} user - req.user ({ userId, role })
+ * @param {string} propertyId
+ * @param {Object} [options]
+ * @param {boolean} [options.manage] - Upload/delete/grant rather than read
+ * @returns {Promise<Object>} Property with ownerId, brokerId, salesId
+ */
+const findPropertyForDocuments = async (
+  user,
+  propertyId,
+  { manage = false } = {}
+) => {
+  const property = await Property.findOne({
+    where: { propertyId, isActive: true },
+    attributes: ["propertyId", "ownerId", "brokerId", "salesId"],
+  });
+
+  if (!property) {
+    throw createAppError("Property not found", 404);
+  }
+
+  let allowed = await isPropertyParticipant(user, property);
+
+  if (!allowed && user.role === "Investor" && !manage) {
+    allowed = await hasInvestorGrant(propertyId, user.userId);
+  }
+
+  if (!allowed) {
+    throw createAppError(
+      manage
+        ? "You don't have permission to manage this property's documents"
+        : "You don't have access to this property's documents",
+      403
+    );
+  }
+
+  return property;
+};
+
+module.exports = { hasInvestorGrant, findPropertyForDocuments };
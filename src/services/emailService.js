@@ -0,0 +1,301 @@
+const { Op } = require("sequelize");
+const { sequelize } = require("../config/dbConnection");
+const { User, Property, EmailOutbox } = require("../models");
+const {
+  EMAIL_ENABLED,
+  MAIL_FROM,
+  EMAIL_WORKER_INTERVAL_MS,
+  EMAIL_RETRY_DELAYS_MS,
+  EMAIL_MAX_ATTEMPTS,
+  LEASE_EXPIRY_REMINDER_DAYS,
+  getTransporter,
+} = require("../config/mail");
+const { createPollingWorker } = require("../utils/pollingWorker");
+const { TEMPLATES } = require("./emailTemplates");
+const {
+  filterByPreference,
+  getQuietHoursDeferrals,
+} = require("./notificationPreferenceService");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Rows claimed per outbox run
+const OUTBOX_BATCH_SIZE = 20;
+
+// A claimed row is picked up again after this if its worker died mid-send
+const CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Render a template for each recipient and add it to the outbox. Users
+ * without an email, inactive users and users who turned off email for the
+ * template's category are skipped; users in their quiet hours get the email
+ * when the quiet hours end. Never throws, so callers can fire it after their
+ * transaction without a try/catch of their own.
+ * @param {string[]} userIds - Recipients; falsy and duplicate ids are dropped
+ * @param {string} templateName - Key of TEMPLATES in emailTemplates.js
+ * @param {Object} context - Passed to the template along with the recipient
+ * @param {Object} [options]
+ * @param {string} [options.excludeUserId] - Usually the acting user
+ * @param {string} [options.dedupeKey] - Drop the email if one with the same
+ *   key (per recipient) was already queued
+ * @returns {Promise<number>} Emails queued
+ */
+const queueEmail = async (
+  userIds,
+  templateName,
+  context = {},
+  { excludeUserId = null, dedupeKey = null } = {}
+) => {
+  const recipientIds = [...new Set(userIds)].filter(
+    (userId) => userId && userId !== excludeUserId
+  );
+  if (recipientIds.length === 0) return 0;
+
+  try {
+    const template = TEMPLATES[templateName];
+    if (!template) {
+      throw new Error(`Unknown email template "${templateName}"`);
+    }
+
+    const users = await User.findAll({
+      where: {
+        userId: { [Op.in]: recipientIds },
+        isActive: true,
+        email: { [Op.ne]: null },
+      },
+      attributes: ["userId", "firstName", "lastName", "email", "mobileNumber"],
+    });
+
+    const wanted = new Set(
+      await filterByPreference(
+        users.map((user) => user.userId),
+        template.category,
+        "email"
+      )
+    );
+
+    const userDedupeKey = (userId) =>
+      dedupeKey ? `${dedupeKey}:${userId}` : null;
+
+    let alreadyQueued = new Set();
+    if (dedupeKey) {
+      const existing = await EmailOutbox.findAll({
+        where: {
+          dedupeKey: {
+            [Op.in]: users.map((user) => userDedupeKey(user.userId)),
+          },
+        },
+        attributes: ["userId"],
+      });
+      alreadyQueued = new Set(existing.map((email) => email.userId));
+    }
+
+    const recipients = users.filter(
+      (user) => wanted.has(user.userId) && !alreadyQueued.has(user.userId)
+    );
+    if (recipients.length === 0) return 0;
+
+    const deferrals = await getQuietHoursDeferrals(
+      recipients.map((user) => user.userId)
+    );
+    const rows = recipients.map((user) => {
+      const { subject, text, html } = template.render({
+        ...context,
+        user: user.toJSON(),
+      });
+      return {
+        userId: user.userId,
+        toAddress: user.email,
+        template: templateName,
+        subject,
+        textBody: text,
+        htmlBody: html,
+        dedupeKey: userDedupeKey(user.userId),
+        nextAttemptAt: deferrals.get(user.userId) || new Date(),
+      };
+    });
+
+    // ignoreDuplicates covers a concurrent run queueing the same key
+    await EmailOutbox.bulkCreate(rows, { ignoreDuplicates: true });
+    wakeWorker();
+    return rows.length;
+  } catch (err) {
+    console.error(`Email "${templateName}" failed to queue:`, err.message);
+    return 0;
+  }
+};
+
+/**
+ * Claim due outbox rows and send them. A failed send is retried after
+ * EMAIL_RETRY_DELAYS_MS; once attempts run out the row is marked failed.
+ * Safe to run from several processes at once (rows are claimed with
+ * SKIP LOCKED).
+ * @param {Object} [options]
+ * @param {number} [options.batchSize]
+ * @returns {Promise<{ claimed: number, sent: number, retrying: number, failed: number }>}
+ */
+const processEmailOutbox = async ({ batchSize = OUTBOX_BATCH_SIZE } = {}) => {
+  const summary = { claimed: 0, sent: 0, retrying: 0, failed: 0 };
+  if (!EMAIL_ENABLED) return summary;
+
+  const claimed = await sequelize.transaction(async (t) => {
+    const rows = await EmailOutbox.findAll({
+      where: { status: "pending", nextAttemptAt: { [Op.lte]: new Date() } },
+      order: [["nextAttemptAt", "ASC"]],
+      limit: batchSize,
+      lock: t.LOCK.UPDATE,
+      skipLocked: true,
+      transaction: t,
+    });
+    if (rows.length === 0) return rows;
+
+    await EmailOutbox.update(
+      { nextAttemptAt: new Date(Date.now() + CLAIM_TIMEOUT_MS) },
+      {
+        where: { emailId: { [Op.in]: rows.map((row) => row.emailId) } },
+        transaction: t,
+      }
+    );
+    return rows;
+  });
+  summary.claimed = claimed.length;
+
+  for (const email of claimed) {
+    const attempts = email.attempts + 1;
+    try {
+      await getTransporter().sendMail({
+        from: MAIL_FROM,
+        to: email.toAddress,
+        subject: email.subject,
+        text: email.textBody,
+        html: email.htmlBody,
+      });
+      await email.update({
+        status: "sent",
+        attempts,
+        sentAt: new Date(),
+        lastError: null,
+      });
+      summary.sent++;
+    } catch (err) {
+      const exhausted = attempts >= EMAIL_MAX_ATTEMPTS;
+      await email.update({
+        status: exhausted ? "failed" : "pending",
+        attempts,
+        lastError: err.message,
+        ...(!exhausted && {
+          nextAttemptAt: new Date(
+            Date.now() + EMAIL_RETRY_DELAYS_MS[attempts - 1]
+          ),
+        }),
+      });
+      summary[exhausted ? "failed" : "retrying"]++;
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Put failed emails back in the queue with a fresh set of attempts
+ * @param {Object} [options]
+ * @param {Date} [options.since] - Only rows created after this
+ * @returns {Promise<number>} Rows requeued
+ */
+const requeueFailedEmails = async ({ since } = {}) => {
+  const [updated] = await EmailOutbox.update(
+    { status: "pending", attempts: 0, nextAttemptAt: new Date() },
+    {
+      where: {
+        status: "failed",
+        ...(since && { createdAt: { [Op.gte]: since } }),
+      },
+    }
+  );
+  return updated;
+};
+
+/**
+ * Queue reminders for leases ending within the largest of
+ * LEASE_EXPIRY_REMINDER_DAYS. Each property gets one email per threshold it
+ * crosses, however often this runs, so it can run daily from cron.
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<{ properties: number, queued: number }>}
+ */
+const sendLeaseExpiryReminders = async ({ now = new Date() } = {}) => {
+  const thresholds = [...LEASE_EXPIRY_REMINDER_DAYS].sort((a, b) => a - b);
+  const today = now.toISOString().slice(0, 10);
+  const horizon = new Date(
+    Date.parse(today) + thresholds[thresholds.length - 1] * DAY_MS
+  )
+    .toISOString()
+    .slice(0, 10);
+
+  const properties = await Property.findAll({
+    where: {
+      isActive: true,
+      leaseEndDate: { [Op.between]: [today, horizon] },
+    },
+    attributes: [
+      "propertyId",
+      "ownerId",
+      "brokerId",
+      "salesId",
+      "propertyType",
+      "city",
+      "state",
+      "leaseEndDate",
+    ],
+  });
+
+  let queued = 0;
+  for (const property of properties) {
+    const { leaseEndDate } = property;
+    const daysLeft = Math.round(
+      (Date.parse(leaseEndDate) - Date.parse(today)) / DAY_MS
+    );
+    const threshold = thresholds.find((days) => daysLeft <= days);
+
+    queued += await queueEmail(
+      [property.ownerId, property.brokerId, property.salesId],
+      "leaseExpiring",
+      { property: property.toJSON(), leaseEndDate, daysLeft },
+      {
+        dedupeKey: `leaseExpiring:${property.propertyId}:${leaseEndDate}:${threshold}`,
+      }
+    );
+  }
+
+  return { properties: properties.length, queued };
+};
+
+// ============================================
+// IN-PROCESS WORKER
+// ============================================
+// A full batch means there may be more due
+const worker = createPollingWorker({
+  name: "Email outbox",
+  intervalMs: EMAIL_ENABLED ? EMAIL_WORKER_INTERVAL_MS : 0,
+  drain: async () => (await processEmailOutbox()).claimed === OUTBOX_BATCH_SIZE,
+});
+
+// Send newly queued emails now rather than at the next tick
+const wakeWorker = () => worker.wake();
+
+/**
+ * Drain the outbox every EMAIL_WORKER_INTERVAL_MS. Does nothing when email
+ * is disabled or the interval is 0.
+ */
+const startEmailWorker = () => worker.start();
+
+const stopEmailWorker = () => worker.stop();
+
+module.exports = {
+  queueEmail,
+  processEmailOutbox,
+  requeueFailedEmails,
+  sendLeaseExpiryReminders,
+  startEmailWorker,
+  stopEmailWorker,
+};
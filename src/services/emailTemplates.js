@@ -0,0 +1,143 @@
+const { APP_URL } = require("../config/mail");
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const greetingName = (user) => user.firstName || "there";
+
+// "Office in Pune, Maharashtra"
+const describeProperty = (property) => {
+  const place = [property.city, property.state].filter(Boolean).join(", ");
+  const type = property.propertyType || "Property";
+  return place ? `${type} in ${place}` : type;
+};
+
+const propertyUrl = (property) =>
+  `${APP_URL}/properties/${property.propertyId}`;
+
+const preferencesNote =
+  "You can turn these emails off in your notification preferences.";
+
+/**
+ * Build the text and HTML bodies from the same pieces so they never drift
+ * @param {Object} message
+ * @param {Object} message.user - Recipient
+ * @param {string[]} message.paragraphs - Plain text; escaped for HTML
+ * @param {{ label: string, url: string }} [message.action]
+ * @param {boolean} [message.optional] - Whether to mention preferences
+ * @returns {{ text: string, html: string }}
+ */
+const layout = ({ user, paragraphs, action, optional = true }) => {
+  const greeting = `Hi ${greetingName(user)},`;
+  const footer = optional ? preferencesNote : null;
+
+  const text = [
+    greeting,
+    ...paragraphs,
+    action && `${action.label}: ${action.url}`,
+    "— Pre-Lease",
+    footer,
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+
+  const html = [
+    `<p>${escapeHtml(greeting)}</p>`,
+    ...paragraphs.map((p) => `<p>${escapeHtml(p)}</p>`),
+    action &&
+      `<p><a href="${escapeHtml(action.url)}">${escapeHtml(action.label)}</a></p>`,
+    "<p>— Pre-Lease</p>",
+    footer && `<p style="color:#888;font-size:12px">${escapeHtml(footer)}</p>`,
+  ]
+    .filter(Boolean)
+    .join("\n");
+
+  return { text, html };
+};
+
+// ============================================
+// TEMPLATES
+// ============================================
+// Each template has the preference category it belongs to (null: always
+// sent) and a render(context) returning { subject, text, html }. context
+// always has the recipient as `user`.
+const TEMPLATES = {
+  propertyAssigned: {
+    category: "assignments",
+    render: ({ user, property }) => ({
+      subject: `New property assigned: ${describeProperty(property)}`,
+      ...layout({
+        user,
+        paragraphs: [`${describeProperty(property)} has been assigned to you.`],
+        action: { label: "View property", url: propertyUrl(property) },
+      }),
+    }),
+  },
+
+  propertyStatusChanged: {
+    category: "statusChanges",
+    render: ({ user, property, fromStatus, toStatus, remark }) => ({
+      subject: `${describeProperty(property)} is now ${toStatus}`,
+      ...layout({
+        user,
+        paragraphs: [
+          `The selling status of ${describeProperty(property)} changed from ${fromStatus} to ${toStatus}.`,
+          remark && `Remark: ${remark}`,
+        ].filter(Boolean),
+        action: { label: "View property", url: propertyUrl(property) },
+      }),
+    }),
+  },
+
+  propertyVerified: {
+    category: "verification",
+    render: ({ user, property }) => ({
+      subject: `${describeProperty(property)} is verified`,
+      ...layout({
+        user,
+        paragraphs: [
+          `Every verification check for ${describeProperty(property)} has passed, and the listing is now marked as verified.`,
+        ],
+        action: { label: "View property", url: propertyUrl(property) },
+      }),
+    }),
+  },
+
+  leaseExpiring: {
+    category: "leaseExpiry",
+    render: ({ user, property, leaseEndDate, daysLeft }) => ({
+      subject: `Lease ending in ${daysLeft} day${daysLeft === 1 ? "" : "s"}: ${describeProperty(property)}`,
+      ...layout({
+        user,
+        paragraphs: [
+          `The lease on ${describeProperty(property)} ends on ${leaseEndDate}.`,
+          "Now is a good time to start renewal talks with the tenant or plan for re-leasing.",
+        ],
+        action: { label: "View property", url: propertyUrl(property) },
+      }),
+    }),
+  },
+
+  userWelcome: {
+    category: null,
+    render: ({ user, roleName }) => ({
+      subject: "Your Pre-Lease account is ready",
+      ...layout({
+        user,
+        paragraphs: [
+          `An account has been created for you as ${roleName}.`,
+          `Sign in with your mobile number (${user.mobileNumber}); we'll send you a one-time code.`,
+        ],
+        action: { label: "Sign in", url: `${APP_URL}/login` },
+        optional: false,
+      }),
+    }),
+  },
+};
+
+module.exports = { TEMPLATES };
@@ -0,0 +1,237 @@
+const zlib = require("zlib");
+const { promisify } = require("util");
+const { Op } = require("sequelize");
+const { AuditLog } = require("../models");
+const ApiLog = require("../models/apiLog");
+const { getStorage } = require("./storage");
+const {
+  DAY_MS,
+  AUDIT_ARCHIVE_PREFIX,
+  getApiLogRetentionDays,
+} = require("../config/logRetention");
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const DEFAULT_ARCHIVE_BATCH_SIZE = 5000;
+const RESTORE_BATCH_SIZE = 1000;
+
+// audit-archive/audit-logs_<first day>_<last day>_<first id>-<last id>_<run>.jsonl.gz
+// The run timestamp keeps a later archive of restored rows from
+// overwriting the original object with the same id range.
+const ARCHIVE_KEY_PATTERN =
+  /audit-logs_(\d{4}-\d{2}-\d{2})_(\d{4}-\d{2}-\d{2})_(\d+)-(\d+)_\d+\.jsonl\.gz$/;
+
+const toDay = (date) => new Date(date).toISOString().slice(0, 10);
+
+const archiveKey = (rows, runAt) => {
+  const first = rows[0];
+  const last = rows[rows.length - 1];
+  const days = rows.map((row) => toDay(row.createdAt)).sort();
+  return `${AUDIT_ARCHIVE_PREFIX}audit-logs_${days[0]}_${days[days.length - 1]}_${first.auditLogId}-${last.auditLogId}_${runAt}.jsonl.gz`;
+};
+
+const readObject = async (key) => {
+  const chunks = [];
+  for await (const chunk of getStorage().createReadStream(key)) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Move AuditLog rows older than the cutoff into gzip JSONL archives in
+ * storage, one object per batch, oldest first. A batch is deleted only
+ * after its archive is written, so a failure leaves at worst the same rows
+ * in two archives (restore skips duplicates).
+ * @param {Object} options
+ * @param {Date} options.before - Archive rows created before this
+ * @param {number} [options.batchSize]
+ * @param {boolean} [options.dryRun] - Count only, write and delete nothing
+ * @returns {Promise<{ archivedRows: number, keys: string[] }>}
+ */
+const archiveAuditLogs = async ({
+  before,
+  batchSize = DEFAULT_ARCHIVE_BATCH_SIZE,
+  dryRun = false,
+}) => {
+  const where = { createdAt: { [Op.lt]: before } };
+
+  if (dryRun) {
+    return { archivedRows: await AuditLog.count({ where }), keys: [] };
+  }
+
+  const runAt = Date.now();
+  const keys = [];
+  let archivedRows = 0;
+
+  for (;;) {
+    const rows = await AuditLog.findAll({
+      where,
+      order: [["auditLogId", "ASC"]],
+      limit: batchSize,
+      raw: true,
+    });
+    if (rows.length === 0) break;
+
+    const key = archiveKey(rows, runAt);
+    const body = await gzip(
+      rows.map((row) => JSON.stringify(row)).join("\n") + "\n"
+    );
+    await getStorage().uploadBuffer(key, body, {
+      contentType: "application/gzip",
+      metadata: {
+        rowCount: String(rows.length),
+        firstAuditLogId: String(rows[0].auditLogId),
+        lastAuditLogId: String(rows[rows.length - 1].auditLogId),
+      },
+    });
+
+    // The immutability hooks on AuditLog refuse deletes; archival is the
+    // one path allowed to remove rows, and only once they are in storage
+    await AuditLog.destroy({
+      where: { auditLogId: { [Op.in]: rows.map((row) => row.auditLogId) } },
+      hooks: false,
+    });
+
+    keys.push(key);
+    archivedRows += rows.length;
+    if (rows.length < batchSize) break;
+  }
+
+  return { archivedRows, keys };
+};
+
+/**
+ * Archive objects, optionally limited to those overlapping a date range
+ * @param {Object} [options]
+ * @param {Date} [options.from]
+ * @param {Date} [options.to]
+ * @returns {Promise<Array<{ key: string, from: string, to: string,
+ *   firstAuditLogId: number, lastAuditLogId: number }>>}
+ */
+const listAuditArchives = async ({ from, to } = {}) => {
+  const keys = await getStorage().list(AUDIT_ARCHIVE_PREFIX);
+
+  return keys
+    .map((key) => {
+      const match = ARCHIVE_KEY_PATTERN.exec(key);
+      if (!match) return null;
+      return {
+        key,
+        from: match[1],
+        to: match[2],
+        firstAuditLogId: parseInt(match[3], 10),
+        lastAuditLogId: parseInt(match[4], 10),
+      };
+    })
+    .filter(
+      (archive) =>
+        archive &&
+        (!from || archive.to >= toDay(from)) &&
+        (!to || archive.from <= toDay(to))
+    )
+    .sort((a, b) => a.firstAuditLogId - b.firstAuditLogId);
+};
+
+/**
+ * Put archived rows back into audit_logs with their original ids and
+ * timestamps. Rows already present are skipped, so restoring twice is
+ * harmless. Restored rows are older than the cutoff, so the next archive
+ * run moves them into a new object again.
+ * @param {string} key - Archive object key
+ * @param {Object} [filter] - Restore only matching rows
+ * @param {string} [filter.entityType]
+ * @param {string} [filter.recordId]
+ * @param {string} [filter.userId]
+ * @returns {Promise<{ key: string, matchedRows: number, restoredRows: number }>}
+ */
+const restoreAuditArchive = async (key, filter = {}) => {
+  if (!ARCHIVE_KEY_PATTERN.test(key)) {
+    throw new Error(`Not an audit log archive: ${key}`);
+  }
+
+  const content = (await gunzip(await readObject(key))).toString("utf8");
+  const rows = content
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line))
+    .filter((row) =>
+      ["entityType", "recordId", "userId"].every(
+        (field) => !filter[field] || row[field] === filter[field]
+      )
+    );
+
+  let restoredRows = 0;
+  for (let i = 0; i < rows.length; i += RESTORE_BATCH_SIZE) {
+    const batch = rows.slice(i, i + RESTORE_BATCH_SIZE);
+    const existing = await AuditLog.findAll({
+      where: { auditLogId: { [Op.in]: batch.map((row) => row.auditLogId) } },
+      attributes: ["auditLogId"],
+      raw: true,
+    });
+    const existingIds = new Set(existing.map((row) => row.auditLogId));
+    const missing = batch.filter((row) => !existingIds.has(row.auditLogId));
+
+    if (missing.length > 0) {
+      await AuditLog.bulkCreate(missing);
+      restoredRows += missing.length;
+    }
+  }
+
+  return { key, matchedRows: rows.length, restoredRows };
+};
+
+/**
+ * Give ApiLog entries written before retention existed an expiresAt, so
+ * the TTL index covers them too. Each entry uses the retention of the
+ * environment it was logged in.
+ * @returns {Promise<number>} Entries updated
+ */
+const backfillApiLogExpiry = async () => {
+  const environments = await ApiLog.distinct("environment", {
+    expiresAt: null,
+  });
+
+  let updated = 0;
+  for (const environment of environments) {
+    const days = getApiLogRetentionDays(environment);
+    const classes = [
+      { status: { $lt: 400 }, days: days.success },
+      { status: { $gte: 400, $lt: 500 }, days: days.clientError },
+      {
+        status: { $not: { $lt: 500 } }, // 5xx and missing status
+        days: days.serverError,
+      },
+    ];
+
+    for (const statusClass of classes) {
+      const result = await ApiLog.updateMany(
+        {
+          environment,
+          expiresAt: null,
+          responseStatus: statusClass.status,
+        },
+        [
+          {
+            $set: {
+              expiresAt: {
+                $add: ["$requestTimestamp", statusClass.days * DAY_MS],
+              },
+            },
+          },
+        ]
+      );
+      updated += result.modifiedCount;
+    }
+  }
+
+  return updated;
+};
+
+module.exports = {
+  archiveAuditLogs,
+  listAuditArchives,
+  restoreAuditArchive,
+  backfillApiLogExpiry,
+};
@@ -0,0 +1,222 @@
+const { Op } = require("sequelize");
+const { sequelize } = require("../config/dbConnection");
+const { NotificationPreference, NotificationSetting } = require("../models");
+
+const { NOTIFICATION_CATEGORIES, CHANNEL_DEFAULTS } = NotificationPreference;
+const CHANNELS = Object.keys(CHANNEL_DEFAULTS);
+
+// Socket event -> preference category; unlisted events are always delivered
+const EVENT_CATEGORIES = {
+  "property:assigned": "assignments",
+  "property:unassigned": "assignments",
+  "property:statusChanged": "statusChanges",
+  "property:verificationUpdated": "verification",
+  "property:created": "newListings",
+  "property:imported": "newListings",
+};
+
+/**
+ * @param {string} type - Socket event name
+ * @returns {string|null}
+ */
+const getEventCategory = (type) => EVENT_CATEGORIES[type] || null;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MINUTES_PER_DAY = 24 * 60;
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+// Minutes since local midnight in the given timezone
+const localMinutes = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: timezone,
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find((p) => p.type === type).value);
+  return get("hour") * 60 + get("minute");
+};
+
+/**
+ * When a user's quiet hours end, if `now` falls inside them
+ * @param {Object|null} setting - NotificationSetting row
+ * @param {Date} [now]
+ * @returns {Date|null} null when not in quiet hours
+ */
+const getQuietHoursEnd = (setting, now = new Date()) => {
+  if (!setting || !setting.quietHoursStart || !setting.quietHoursEnd) {
+    return null;
+  }
+
+  const start = toMinutes(setting.quietHoursStart);
+  const end = toMinutes(setting.quietHoursEnd);
+  const current = localMinutes(now, setting.timezone);
+
+  const inWindow =
+    start <= end
+      ? current >= start && current < end
+      : current >= start || current < end;
+  if (!inWindow) return null;
+
+  const minutesLeft = (end - current + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  const endsAt = new Date(now.getTime() + minutesLeft * 60 * 1000);
+  endsAt.setSeconds(0, 0);
+  return endsAt;
+};
+
+/**
+ * The users who want `category` events on `channel`
+ * @param {string[]} userIds
+ * @param {string|null} category - null: no preference applies, all pass
+ * @param {"socket"|"email"|"sms"} channel
+ * @returns {Promise<string[]>}
+ */
+const filterByPreference = async (userIds, category, channel) => {
+  if (!category || userIds.length === 0) return userIds;
+
+  const rows = await NotificationPreference.findAll({
+    where: { userId: { [Op.in]: userIds }, category },
+    attributes: ["userId", channel],
+  });
+  const chosen = new Map(rows.map((row) => [row.userId, row[channel]]));
+
+  return userIds.filter((userId) =>
+    chosen.has(userId) ? chosen.get(userId) : CHANNEL_DEFAULTS[channel]
+  );
+};
+
+/**
+ * Users currently in their quiet hours, with the time each window ends
+ * @param {string[]} userIds
+ * @param {Date} [now]
+ * @returns {Promise<Map<string, Date>>}
+ */
+const getQuietHoursDeferrals = async (userIds, now = new Date()) => {
+  const deferrals = new Map();
+  if (userIds.length === 0) return deferrals;
+
+  const settings = await NotificationSetting.findAll({
+    where: {
+      userId: { [Op.in]: userIds },
+      quietHoursStart: { [Op.ne]: null },
+      quietHoursEnd: { [Op.ne]: null },
+    },
+  });
+  settings.forEach((setting) => {
+    const endsAt = getQuietHoursEnd(setting, now);
+    if (endsAt) deferrals.set(setting.userId, endsAt);
+  });
+  return deferrals;
+};
+
+/**
+ * A user's preferences for every category (defaults filled in) and their
+ * quiet hours
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {import("sequelize").Transaction} [options.transaction]
+ * @returns {Promise<{ preferences: Array, quietHours: Object|null }>}
+ */
+const getUserPreferences = async (userId, { transaction } = {}) => {
+  const [rows, setting] = await Promise.all([
+    NotificationPreference.findAll({ where: { userId }, transaction }),
+    NotificationSetting.findByPk(userId, { transaction }),
+  ]);
+
+  const preferences = NOTIFICATION_CATEGORIES.map((category) => {
+    const row = rows.find((r) => r.category === category);
+    return {
+      category,
+      ...Object.fromEntries(
+        CHANNELS.map((channel) => [
+          channel,
+          row ? row[channel] : CHANNEL_DEFAULTS[channel],
+        ])
+      ),
+    };
+  });
+
+  const quietHours =
+    setting && setting.quietHoursStart
+      ? {
+          start: setting.quietHoursStart,
+          end: setting.quietHoursEnd,
+          timezone: setting.timezone,
+        }
+      : null;
+
+  return { preferences, quietHours };
+};
+
+/**
+ * Save a user's changes. Channels left out of a preference keep their
+ * current value; quietHours null clears them, undefined leaves them alone.
+ * Input is expected to be validated by the caller.
+ * @param {string} userId
+ * @param {Object} changes
+ * @param {Array<{ category: string, socket?: boolean, email?: boolean, sms?: boolean }>} [changes.preferences]
+ * @param {{ start: string, end: string, timezone?: string }|null} [changes.quietHours]
+ * @returns {Promise<{ preferences: Array, quietHours: Object|null }>}
+ */
+const updateUserPreferences = (userId, { preferences = [], quietHours }) =>
+  sequelize.transaction(async (t) => {
+    for (const { category, ...channels } of preferences) {
+      const values = Object.fromEntries(
+        CHANNELS.filter((channel) => channel in channels).map((channel) => [
+          channel,
+          channels[channel],
+        ])
+      );
+      const [row, created] = await NotificationPreference.findOrCreate({
+        where: { userId, category },
+        defaults: values,
+        transaction: t,
+      });
+      if (!created) {
+        await row.update(values, { transaction: t });
+      }
+    }
+
+    if (quietHours !== undefined) {
+      await NotificationSetting.upsert(
+        {
+          userId,
+          quietHoursStart: quietHours ? quietHours.start : null,
+          quietHoursEnd: quietHours ? quietHours.end : null,
+          ...(quietHours &&
+            quietHours.timezone && {
+              timezone: quietHours.timezone,
+            }),
+        },
+        { transaction: t }
+      );
+    }
+
+    return getUserPreferences(userId, { transaction: t });
+  });
+
+module.exports = {
+  NOTIFICATION_CATEGORIES,
+  CHANNELS,
+  TIME_PATTERN,
+  isValidTimezone,
+  getEventCategory,
+  getQuietHoursEnd,
+  filterByPreference,
+  getQuietHoursDeferrals,
+  getUserPreferences,
+  updateUserPreferences,
+};
@@ -0,0 +1,339 @@
+const { Op } = require("sequelize");
+const { Notification, User, Role, SalesRelationship } = require("../models");
+const { getIO, userRoom } = require("../config/socket");
+const { ADMIN_ROLES } = require("./propertyAccessService");
+const {
+  getEventCategory,
+  filterByPreference,
+  getQuietHoursDeferrals,
+} = require("./notificationPreferenceService");
+const { createPollingWorker } = require("../utils/pollingWorker");
+
+// Most notifications replayed to a socket on connect; older unread ones
+// stay in the inbox
+const MAX_REPLAY = 100;
+
+// Quiet hours are set to the minute, so held notifications are checked
+// once a minute
+const RELEASE_INTERVAL_MS = 60 * 1000;
+
+const isOnline = (io, userId) =>
+  (io.sockets.adapter.rooms.get(userRoom(userId))?.size || 0) > 0;
+
+/**
+ * Store a notification for each recipient who hasn't turned off in-app
+ * notifications for the event's category, and push it to their open
+ * sockets as `type`. Recipients in their quiet hours get the row undelivered;
+ * it reaches them once the quiet hours end. Delivery is best-effort: a
+ * socket failure is logged and the row stays undelivered for replay. Never
+ * throws, so callers can fire it after their transaction without a
+ * try/catch of their own.
+ * @param {string[]} userIds - Recipients; falsy and duplicate ids are dropped
+ * @param {string} type - Socket event name, e.g. "property:updated"
+ * @param {Object} data - Event payload
+ * @param {Object} [options]
+ * @param {string} [options.propertyId]
+ * @param {string} [options.excludeUserId] - Usually the acting user
+ * @returns {Promise<void>}
+ */
+const notifyUsers = async (
+  userIds,
+  type,
+  data,
+  { propertyId = null, excludeUserId = null } = {}
+) => {
+  const candidates = [...new Set(userIds)].filter(
+    (userId) => userId && userId !== excludeUserId
+  );
+  if (candidates.length === 0) return;
+
+  try {
+    const recipients = await filterByPreference(
+      candidates,
+      getEventCategory(type),
+      "socket"
+    );
+    if (recipients.length === 0) return;
+
+    let io = null;
+    try {
+      io = getIO();
+    } catch (socketErr) {
+      // Socket.IO not running (scripts); everything is replayed later
+    }
+
+    const now = new Date();
+    const quiet = await getQuietHoursDeferrals(recipients, now);
+    const notifications = await Notification.bulkCreate(
+      recipients.map((userId) => ({
+        userId,
+        type,
+        propertyId,
+        data,
+        deliveredAt:
+          io && isOnline(io, userId) && !quiet.has(userId) ? now : null,
+      }))
+    );
+
+    if (!io) return;
+    notifications
+      .filter((notification) => notification.deliveredAt)
+      .forEach((notification) => {
+        io.to(userRoom(notification.userId)).emit(type, {
+          notificationId: notification.notificationId,
+          ...data,
+        });
+      });
+  } catch (err) {
+    console.error(`Notification "${type}" failed:`, err.message);
+  }
+};
+
+/**
+ * Active users holding an admin role
+ * @returns {Promise<string[]>}
+ */
+const getAdminUserIds = async () => {
+  const admins = await User.findAll({
+    where: { isActive: true },
+    attributes: ["userId"],
+    include: [
+      {
+        model: Role,
+        as: "roles",
+        through: { attributes: [] },
+        where: { roleName: { [Op.in]: ADMIN_ROLES }, isActive: true },
+        attributes: [],
+      },
+    ],
+  });
+  return admins.map((admin) => admin.userId);
+};
+
+/**
+ * Active Sales Managers of a sales executive
+ * @param {string} salesExecutiveId
+ * @returns {Promise<string[]>}
+ */
+const getSalesManagerIds = async (salesExecutiveId) => {
+  const relationships = await SalesRelationship.findAll({
+    where: { salesExecutiveId, isActive: true },
+    attributes: ["salesManagerId"],
+  });
+  return relationships.map((r) => r.salesManagerId);
+};
+
+/**
+ * Everyone who works on the given properties: owners, brokers, assigned
+ * sales users, those sales users' managers and admins
+ * @param {Array<{ ownerId?: string, brokerId?: string, salesId?: string }>}
+ *   properties
+ * @returns {Promise<string[]>}
+ */
+const getPropertyAudience = async (properties) => {
+  const salesIds = [
+    ...new Set(properties.map((p) => p.salesId).filter(Boolean)),
+  ];
+  const [adminIds, ...managerIds] = await Promise.all([
+    getAdminUserIds(),
+    ...salesIds.map(getSalesManagerIds),
+  ]);
+  return [
+    ...properties.flatMap((p) => [p.ownerId, p.brokerId, p.salesId]),
+    ...managerIds.flat(),
+    ...adminIds,
+  ];
+};
+
+/**
+ * notifyUsers for the whole audience of one or more properties
+ * (getPropertyAudience). Never throws.
+ * @param {Object|Object[]} properties - Need ownerId, brokerId, salesId
+ * @param {string} type
+ * @param {Object} data
+ * @param {Object} [options] - As for notifyUsers
+ * @returns {Promise<void>}
+ */
+const notifyPropertyAudience = async (properties, type, data, options) => {
+  try {
+    const audience = await getPropertyAudience(
+      Array.isArray(properties) ? properties : [properties]
+    );
+    await notifyUsers(audience, type, data, options);
+  } catch (err) {
+    console.error(`Notification "${type}" failed:`, err.message);
+  }
+};
+
+// Send a user's undelivered notifications to `target` (a socket or their
+// room) as one "notifications:missed" event and mark them delivered
+const sendMissedNotifications = async (userId, target) => {
+  const missed = await Notification.findAll({
+    where: { userId, deliveredAt: null },
+    order: [["createdAt", "ASC"]],
+    limit: MAX_REPLAY,
+  });
+  if (missed.length === 0) return;
+
+  target.emit("notifications:missed", {
+    notifications: missed,
+    unreadCount: await getUnreadCount(userId),
+  });
+
+  await Notification.update(
+    { deliveredAt: new Date() },
+    {
+      where: {
+        notificationId: { [Op.in]: missed.map((n) => n.notificationId) },
+      },
+    }
+  );
+};
+
+/**
+ * Push undelivered notifications to a socket that just connected, unless
+ * the user is in their quiet hours (they are released when those end)
+ * @param {import("socket.io").Socket} socket
+ * @returns {Promise<void>}
+ */
+const replayMissedNotifications = async (socket) => {
+  const { userId } = socket.data.user;
+
+  const quiet = await getQuietHoursDeferrals([userId]);
+  if (quiet.has(userId)) return;
+
+  await sendMissedNotifications(userId, socket);
+};
+
+/**
+ * Send held notifications to connected users whose quiet hours have ended
+ * @returns {Promise<number>} Users notified
+ */
+const releaseHeldNotifications = async () => {
+  let io;
+  try {
+    io = getIO();
+  } catch (socketErr) {
+    return 0;
+  }
+
+  const onlineIds = [
+    ...new Set(
+      [...io.of("/").sockets.values()].map((socket) => socket.data.user.userId)
+    ),
+  ];
+  if (onlineIds.length === 0) return 0;
+
+  const pending = await Notification.findAll({
+    where: { userId: { [Op.in]: onlineIds }, deliveredAt: null },
+    attributes: ["userId"],
+    group: ["userId"],
+    raw: true,
+  });
+  const quiet = await getQuietHoursDeferrals(pending.map((row) => row.userId));
+  const due = pending
+    .map((row) => row.userId)
+    .filter((userId) => !quiet.has(userId));
+
+  for (const userId of due) {
+    await sendMissedNotifications(userId, io.to(userRoom(userId)));
+  }
+  return due.length;
+};
+
+// ============================================
+// IN-PROCESS WORKER
+// ============================================
+const worker = createPollingWorker({
+  name: "Notification release",
+  intervalMs: RELEASE_INTERVAL_MS,
+  drain: async () => {
+    await releaseHeldNotifications();
+    return false;
+  },
+});
+
+/**
+ * Check for notifications held by quiet hours every RELEASE_INTERVAL_MS
+ */
+const startNotificationWorker = () => worker.start();
+
+const stopNotificationWorker = () => worker.stop();
+
+/**
+ * A user's notifications, newest first
+ * @param {string} userId
+ * @param {Object} options
+ * @param {number} options.page
+ * @param {number} options.limit
+ * @param {boolean} [options.unreadOnly]
+ * @param {string} [options.type]
+ * @returns {Promise<{ count: number, rows: Array }>}
+ */
+const listNotifications = (userId, { page, limit, unreadOnly, type }) =>
+  Notification.findAndCountAll({
+    where: {
+      userId,
+      ...(unreadOnly && { readAt: null }),
+      ...(type && { type }),
+    },
+    order: [
+      ["createdAt", "DESC"],
+      ["notificationId", "DESC"],
+    ],
+    limit,
+    offset: (page - 1) * limit,
+  });
+
+/**
+ * @param {string} userId
+ * @returns {Promise<number>}
+ */
+const getUnreadCount = (userId) =>
+  Notification.count({ where: { userId, readAt: null } });
+
+/**
+ * Mark some of a user's notifications read; ids belonging to someone else
+ * are ignored
+ * @param {string} userId
+ * @param {string[]} notificationIds
+ * @returns {Promise<number>} Rows updated
+ */
+const markRead = async (userId, notificationIds) => {
+  const [updated] = await Notification.update(
+    { readAt: new Date() },
+    {
+      where: {
+        userId,
+        notificationId: { [Op.in]: notificationIds },
+        readAt: null,
+      },
+    }
+  );
+  return updated;
+};
+
+/**
+ * @param {string} userId
+ * @returns {Promise<number>} Rows updated
+ */
+const markAllRead = async (userId) => {
+  const [updated] = await Notification.update(
+    { readAt: new Date() },
+    { where: { userId, readAt: null } }
+  );
+  return updated;
+};
+
+module.exports = {
+  notifyUsers,
+  notifyPropertyAudience,
+  replayMissedNotifications,
+  releaseHeldNotifications,
+  startNotificationWorker,
+  stopNotificationWorker,
+  listNotifications,
+  getUnreadCount,
+  markRead,
+  markAllRead,
+};
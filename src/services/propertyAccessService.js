@@ -0,0 +1,29 @@
+const { Op } = require("sequelize");
+const { getSalesScope } = require("./salesAssignmentService");
+
+const ADMIN_ROLES = ["Admin", "Super Admin"];
+const SALES_ROLES = ["Sales Manager", "Sales Executive"];
+
+/**
+ * Whether the acting role (req.user.role) works on this listing: admins,
+ * its owner, its broker, or the assigned sales person (or their manager)
+ * @param {Object} user - req.user ({ userId, role })
+ * @param {Object} property - Needs ownerId, brokerId, salesId
+ * @returns {Promise<boolean>}
+ */
+const isPropertyParticipant = async (user, property) => {
+  if (ADMIN_ROLES.includes(user.role)) return true;
+  if (user.role === "Owner") return property.ownerId === user.userId;
+  if (user.role === "Broker") return property.brokerId === user.userId;
+
+  if (SALES_ROLES.includes(user.role)) {
+    const scope = await getSalesScope(user);
+    return typeof scope === "string"
+      ? property.salesId === scope
+      : scope[Op.in].includes(property.salesId);
+  }
+
+  return false;
+};
+
+module.exports = { ADMIN_ROLES, isPropertyParticipant };
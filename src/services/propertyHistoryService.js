@@ -0,0 +1,203 @@
+const { Op } = require("sequelize");
+const {
+  Property,
+  PropertyAmenity,
+  Amenity,
+  AuditLog,
+  User,
+} = require("../models");
+const { touchesField } = require("./auditLogQueryService");
+
+// Audit entries keyed by a propertyId that make up its timeline. Investor
+// notes are private and document downloads are keyed by document, so
+// neither shows up here.
+const HISTORY_ENTITY_TYPES = ["Property", "PropertyMedia"];
+
+// Newest first; auditLogId breaks ties between entries in one transaction
+const NEWEST_FIRST = [
+  ["createdAt", "DESC"],
+  ["auditLogId", "DESC"],
+];
+
+/**
+ * Field-level changes of one audit entry. INSERTs list every field with
+ * `from: null`, DELETEs every field with `to: null`.
+ * @param {Object} entry - AuditLog record (plain)
+ * @returns {Array<{ field: string, from: *, to: * }>}
+ */
+const toFieldChanges = (entry) => {
+  const oldValue = entry.oldValue || {};
+  const newValue = entry.newValue || {};
+  const fields = [
+    ...new Set([...Object.keys(oldValue), ...Object.keys(newValue)]),
+  ];
+
+  return fields.map((field) => ({
+    field,
+    from: oldValue[field] === undefined ? null : oldValue[field],
+    to: newValue[field] === undefined ? null : newValue[field],
+  }));
+};
+
+/**
+ * One page of a property's change timeline, newest first
+ * @param {string} propertyId
+ * @param {Object} options
+ * @param {number} options.page
+ * @param {number} options.limit
+ * @param {string} [options.entityType] - One of HISTORY_ENTITY_TYPES
+ * @param {string} [options.field] - Only entries touching this field
+ * @param {Date} [options.from]
+ * @param {Date} [options.to]
+ * @returns {Promise<{ count: number, entries: Array }>}
+ */
+const getPropertyTimeline = async (
+  propertyId,
+  { page, limit, entityType, field, from, to }
+) => {
+  const where = {
+    recordId: propertyId,
+    entityType: entityType || { [Op.in]: HISTORY_ENTITY_TYPES },
+  };
+
+  if (from || to) {
+    where.createdAt = {};
+    if (from) where.createdAt[Op.gte] = from;
+    if (to) where.createdAt[Op.lte] = to;
+  }
+
+  if (field) {
+    Object.assign(where, touchesField(field));
+  }
+
+  const { count, rows } = await AuditLog.findAndCountAll({
+    where,
+    include: [
+      {
+        model: User,
+        as: "user",
+        attributes: ["userId", "firstName", "lastName", "email"],
+      },
+    ],
+    order: NEWEST_FIRST,
+    limit,
+    offset: (page - 1) * limit,
+  });
+
+  const entries = rows.map((row) => {
+    const entry = row.toJSON();
+    return {
+      auditLogId: entry.auditLogId,
+      operation: entry.operation,
+      entityType: entry.entityType,
+      changedAt: entry.createdAt,
+      changedBy: entry.user
+        ? {
+            userId: entry.user.userId,
+            name: [entry.user.firstName, entry.user.lastName]
+              .filter(Boolean)
+              .join(" "),
+            email: entry.user.email,
+          }
+        : { userId: entry.userId },
+      changes: toFieldChanges(entry),
+    };
+  });
+
+  return { count, entries };
+};
+
+/**
+ * Rebuild a property as it stood at `asOf` by starting from its current
+ * state and undoing every later Property audit entry (newest first).
+ * A purged property starts from the record saved in its DELETE entry.
+ *
+ * Only columns of the properties table and the logged amenityIds are
+ * restored; media, connectivity and certifications aren't versioned.
+ *
+ * @param {string} propertyId
+ * @param {Date} asOf
+ * @returns {Promise<{ property: Object, changesUndone: number }|null>}
+ *   null when the property didn't exist at that moment
+ */
+const reconstructPropertyAsOf = async (propertyId, asOf) => {
+  const laterEntries = await AuditLog.findAll({
+    where: {
+      recordId: propertyId,
+      entityType: "Property",
+      createdAt: { [Op.gt]: asOf },
+    },
+    order: NEWEST_FIRST,
+  });
+
+  let state;
+  let amenityIds;
+  let entries = laterEntries;
+
+  const current = await Property.findByPk(propertyId);
+  if (current) {
+    state = current.toJSON();
+    const links = await PropertyAmenity.findAll({
+      where: { propertyId },
+      attributes: ["amenityId"],
+    });
+    amenityIds = links.map((link) => link.amenityId);
+  } else {
+    // Hard-deleted (admin purge): the DELETE entry holds the last state
+    const deletion = laterEntries.find((e) => e.operation === "DELETE");
+    if (!deletion) return null;
+
+    state = { ...deletion.oldValue };
+    amenityIds = state.amenityIds;
+    entries = laterEntries.filter(
+      (e) =>
+        e.createdAt < deletion.createdAt ||
+        (e.createdAt.getTime() === deletion.createdAt.getTime() &&
+          e.auditLogId < deletion.auditLogId)
+    );
+  }
+
+  for (const entry of entries) {
+    // Created after asOf
+    if (entry.operation === "INSERT") return null;
+    if (entry.operation !== "UPDATE" || !entry.oldValue) continue;
+
+    Object.entries(entry.oldValue).forEach(([field, value]) => {
+      if (field === "amenityIds") {
+        amenityIds = value;
+      } else if (Property.rawAttributes[field]) {
+        state[field] = value;
+      }
+    });
+  }
+
+  // Rows that predate audit logging carry no INSERT entry
+  if (state.createdAt && new Date(state.createdAt) > asOf) return null;
+
+  // Keep only real columns (DELETE snapshots carry extra keys)
+  const property = {};
+  Object.keys(Property.rawAttributes).forEach((field) => {
+    if (state[field] !== undefined) property[field] = state[field];
+  });
+
+  // Purge snapshots only keep an amenity count, so the list can be unknown
+  if (!amenityIds) {
+    property.amenities = null;
+  } else {
+    property.amenities =
+      amenityIds.length > 0
+        ? await Amenity.findAll({
+            where: { amenityId: { [Op.in]: amenityIds } },
+            attributes: ["amenityId", "amenityName"],
+          })
+        : [];
+  }
+
+  return { property, changesUndone: entries.length };
+};
+
+module.exports = {
+  HISTORY_ENTITY_TYPES,
+  getPropertyTimeline,
+  reconstructPropertyAsOf,
+};
@@ -0,0 +1,543 @@
+const path = require("path");
+const { Readable } = require("stream");
+const ExcelJS = require("exceljs");
+const { ValidationError } = require("sequelize");
+const {
+  Property,
+  Amenity,
+  Caretaker,
+  PropertyCertification,
+  PropertyConnectivity,
+} = require("../models");
+const { sequelize } = require("../config/dbConnection");
+const createAppError = require("../utils/appError");
+const { logInsert } = require("../utils/logs");
+const { reconcileFinancialMetrics } = require("../utils/propertyFinancials");
+const {
+  PREDEFINED_CERTIFICATIONS,
+  toPropertyAttributes,
+  buildCertificationRows,
+} = require("../utils/propertyFields");
+const {
+  loadSalesWorkload,
+  pickLeastLoadedSales,
+} = require("./salesAssignmentService");
+
+const MAX_IMPORT_ROWS = 500;
+
+// Columns take the same names as the createProperty form fields
+const TEXT_COLUMNS = [
+  "propertyType",
+  "carpetAreaUnit",
+  "ownershipType",
+  "buildingGrade",
+  "hvacType",
+  "furnishingStatus",
+  "titleStatus",
+  "occupancyCertificate",
+  "leaseRegistration",
+  "litigationDetails",
+  "reraNumber",
+  "tenantType",
+  "rentType",
+  "securityDepositType",
+  "maintenanceCostsIncluded",
+  "maintenanceType",
+  "microMarket",
+  "city",
+  "state",
+  "demandDrivers",
+  "upcomingDevelopments",
+  "description",
+  "otherAmenities",
+];
+
+const NUMERIC_COLUMNS = [
+  "carpetAreaSqft",
+  "completionYear",
+  "lastRefurbished",
+  "parkingSlots",
+  "parkingRatio",
+  "powerBackupKva",
+  "numberOfLifts",
+  "lockInPeriodYears",
+  "lockInPeriodMonths",
+  "leaseDurationYears",
+  "rentPerSqftMonthly",
+  "totalMonthlyRent",
+  "securityDepositMonths",
+  "securityDepositAmount",
+  "escalationFrequencyYears",
+  "annualEscalationPercent",
+  "maintenanceAmount",
+  "sellingPrice",
+  "propertyTaxAnnual",
+  "insuranceAnnual",
+  "otherCostsAnnual",
+  "additionalIncomeAnnual",
+  "annualGrossRent",
+  "grossRentalYield",
+  "netRentalYield",
+  "paybackPeriodYears",
+];
+
+const DATE_COLUMNS = ["leaseStartDate", "leaseEndDate"];
+const BOOLEAN_COLUMNS = ["hasPendingLitigation"];
+
+// Related records, looked up / split from a single cell:
+//   amenities      "Gym; Cafeteria"              (amenity names)
+//   caretakerName  "ABC Facility Services"
+//   connectivity   "Metro|MG Road|1.2; Airport||15"  (type|name|distanceKm)
+//   certifications "RERA; LEED; GRIHA"           (others kept as free text)
+const RELATION_COLUMNS = [
+  "amenities",
+  "caretakerName",
+  "connectivity",
+  "certifications",
+];
+
+const IMPORT_COLUMNS = [
+  ...TEXT_COLUMNS,
+  ...NUMERIC_COLUMNS,
+  ...DATE_COLUMNS,
+  ...BOOLEAN_COLUMNS,
+  ...RELATION_COLUMNS,
+];
+
+const LIST_SEPARATOR = ";";
+
+const splitList = (value) =>
+  value
+    .split(LIST_SEPARATOR)
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+// Normalise an exceljs cell value (rich text, formulas, dates...) to a string
+const cellToString = (value) => {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === "object") {
+    if (value.richText) return value.richText.map((part) => part.text).join("");
+    if (value.result !== undefined) return cellToString(value.result);
+    if (value.text !== undefined) return cellToString(value.text);
+    return "";
+  }
+  return String(value).trim();
+};
+
+/**
+ * Read the first sheet of an uploaded CSV/XLSX into row objects keyed by
+ * column name. Header matching is case-insensitive.
+ * @param {Object} file - multer memory-storage file
+ * @returns {Promise<{ rows: Array, unknownColumns: string[] }>}
+ */
+const parseSpreadsheet = async (file) => {
+  const workbook = new ExcelJS.Workbook();
+  const ext = path.extname(file.originalname).toLowerCase();
+
+  try {
+    if (ext === ".csv") {
+      // Keep every value as text; typed parsing happens per column below
+      await workbook.csv.read(Readable.from(file.buffer), {
+        map: (value) => value,
+      });
+    } else {
+      await workbook.xlsx.load(file.buffer);
+    }
+  } catch (err) {
+    throw createAppError(`Could not read spreadsheet: ${err.message}`, 400);
+  }
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet || sheet.rowCount < 2) {
+    throw createAppError("Spreadsheet has no data rows", 400);
+  }
+
+  const knownColumns = {};
+  IMPORT_COLUMNS.forEach((column) => {
+    knownColumns[column.toLowerCase()] = column;
+  });
+
+  const columnByIndex = {};
+  const unknownColumns = [];
+  sheet.getRow(1).eachCell((cell, colNumber) => {
+    const header = cellToString(cell.value);
+    const column = knownColumns[header.toLowerCase()];
+    if (column) {
+      columnByIndex[colNumber] = column;
+    } else if (header) {
+      unknownColumns.push(header);
+    }
+  });
+
+  const columns = Object.values(columnByIndex);
+  if (!columns.includes("city") || !columns.includes("state")) {
+    throw createAppError("Spreadsheet must have city and state columns", 400);
+  }
+
+  const rows = [];
+  sheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+
+    const values = {};
+    row.eachCell((cell, colNumber) => {
+      const column = columnByIndex[colNumber];
+      const value = cellToString(cell.value);
+      if (column && value) values[column] = value;
+    });
+
+    if (Object.keys(values).length > 0) {
+      rows.push({ rowNumber, values });
+    }
+  });
+
+  if (rows.length === 0) {
+    throw createAppError("Spreadsheet has no data rows", 400);
+  }
+
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw createAppError(
+      `Spreadsheet has ${rows.length} rows; at most ${MAX_IMPORT_ROWS} can be imported at once`,
+      400
+    );
+  }
+
+  return { rows, unknownColumns };
+};
+
+/**
+ * Amenity and caretaker lookups by lower-cased name
+ */
+const loadLookups = async () => {
+  const [amenities, caretakers] = await Promise.all([
+    Amenity.findAll({
+      where: { isActive: true },
+      attributes: ["amenityId", "amenityName"],
+    }),
+    Caretaker.findAll({
+      where: { isActive: true },
+      attributes: ["caretakerId", "caretakerName"],
+    }),
+  ]);
+
+  const amenityByName = {};
+  amenities.forEach((a) => {
+    amenityByName[a.amenityName.toLowerCase()] = a.amenityId;
+  });
+
+  const caretakerByName = {};
+  caretakers.forEach((c) => {
+    caretakerByName[c.caretakerName.toLowerCase()] = c.caretakerId;
+  });
+
+  return { amenityByName, caretakerByName };
+};
+
+/**
+ * Turn one spreadsheet row into createProperty-shaped fields
+ * @returns {{ fields: Object, amenityIds: number[], connectivity: Array,
+ *   certifications: Object|null, errors: string[] }}
+ */
+const parseRowValues = (values, lookups) => {
+  const fields = {};
+  const errors = [];
+
+  TEXT_COLUMNS.forEach((column) => {
+    if (values[column] !== undefined) fields[column] = values[column];
+  });
+
+  NUMERIC_COLUMNS.forEach((column) => {
+    if (values[column] === undefined) return;
+    const parsed = Number(values[column].replace(/,/g, ""));
+    if (isNaN(parsed)) {
+      errors.push(`${column} must be a number`);
+    } else {
+      fields[column] = parsed;
+    }
+  });
+
+  DATE_COLUMNS.forEach((column) => {
+    if (values[column] === undefined) return;
+    const value = values[column];
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(new Date(value))) {
+      errors.push(`${column} must be a date in YYYY-MM-DD format`);
+    } else {
+      fields[column] = value;
+    }
+  });
+
+  BOOLEAN_COLUMNS.forEach((column) => {
+    if (values[column] === undefined) return;
+    const value = values[column].toLowerCase();
+    if (["yes", "true", "1"].includes(value)) {
+      fields[column] = true;
+    } else if (["no", "false", "0"].includes(value)) {
+      fields[column] = false;
+    } else {
+      errors.push(`${column} must be yes or no`);
+    }
+  });
+
+  const amenityIds = [];
+  if (values.amenities) {
+    splitList(values.amenities).forEach((name) => {
+      const amenityId = lookups.amenityByName[name.toLowerCase()];
+      if (amenityId) {
+        amenityIds.push(amenityId);
+      } else {
+        errors.push(`Unknown amenity "${name}"`);
+      }
+    });
+  }
+
+  if (values.caretakerName) {
+    const caretakerId =
+      lookups.caretakerByName[values.caretakerName.toLowerCase()];
+    if (caretakerId) {
+      fields.caretakerId = caretakerId;
+    } else {
+      errors.push(`Unknown caretaker "${values.caretakerName}"`);
+    }
+  }
+
+  const connectivity = [];
+  if (values.connectivity) {
+    splitList(values.connectivity).forEach((entry, index) => {
+      const [connectivityType, name, distanceKm] = entry
+        .split("|")
+        .map((part) => part.trim());
+
+      if (!connectivityType) {
+        errors.push(`Connectivity entry ${index + 1}: type is required`);
+        return;
+      }
+      if (distanceKm && isNaN(parseFloat(distanceKm))) {
+        errors.push(
+          `Connectivity entry ${index + 1}: distanceKm must be a number`
+        );
+        return;
+      }
+
+      connectivity.push({
+        connectivityType,
+        name: name || null,
+        distanceKm: distanceKm ? parseFloat(distanceKm) : null,
+      });
+    });
+  }
+
+  let certifications = null;
+  if (values.certifications) {
+    certifications = { others: [] };
+    splitList(values.certifications).forEach((cert) => {
+      const predefined = PREDEFINED_CERTIFICATIONS.find(
+        (type) => type.toLowerCase() === cert.toLowerCase()
+      );
+      if (predefined) {
+        certifications[predefined.toLowerCase()] = true;
+      } else {
+        certifications.others.push(cert);
+      }
+    });
+  }
+
+  return { fields, amenityIds, connectivity, certifications, errors };
+};
+
+/**
+ * Validate a row end to end: parsing, required fields and the Property
+ * model's own validators (isIn lists etc.)
+ * @returns {Promise<Object>} Row report plus the attributes to insert
+ */
+const validateRow = async ({ rowNumber, values }, lookups) => {
+  const parsed = parseRowValues(values, lookups);
+  const errors = [...parsed.errors];
+
+  ["city", "state"].forEach((field) => {
+    if (!parsed.fields[field]) errors.push(`${field} is required`);
+  });
+
+  const propertyData = toPropertyAttributes(parsed.fields);
+  const { metrics, warnings } = reconcileFinancialMetrics(propertyData, {
+    totalMonthlyRent: parsed.fields.totalMonthlyRent,
+    annualGrossRent: parsed.fields.annualGrossRent,
+    grossRentalYield: parsed.fields.grossRentalYield,
+    netRentalYield: parsed.fields.netRentalYield,
+    paybackPeriodYears: parsed.fields.paybackPeriodYears,
+  });
+  Object.assign(propertyData, metrics);
+
+  try {
+    await Property.build(propertyData).validate();
+  } catch (err) {
+    if (!(err instanceof ValidationError)) throw err;
+    err.errors.forEach((item) => {
+      // `city`/`state` are already reported above with a clearer message
+      if (!["city", "state"].includes(item.path) || parsed.fields[item.path]) {
+        errors.push(`${item.path}: ${item.message}`);
+      }
+    });
+  }
+
+  // Same model rules the insert runs, so a dry run catches them too
+  for (const [index, conn] of parsed.connectivity.entries()) {
+    const messages = await PropertyConnectivity.getValidationErrors(conn);
+    messages.forEach((message) =>
+      errors.push(`Connectivity entry ${index + 1}: ${message}`)
+    );
+  }
+
+  return {
+    rowNumber,
+    errors,
+    warnings,
+    propertyData,
+    amenityIds: parsed.amenityIds,
+    connectivity: parsed.connectivity,
+    certifications: parsed.certifications,
+  };
+};
+
+/**
+ * Validate every row and, unless this is a dry run, insert all valid rows
+ * in a single transaction. Invalid rows are reported and skipped.
+ *
+ * @param {Object} params
+ * @param {Object} params.file - multer memory-storage file (CSV/XLSX)
+ * @param {boolean} params.dryRun
+ * @param {Object} params.user - { userId, userRole }
+ * @param {Object} params.requestMeta - { ipAddress, userAgent }
+ * @returns {Promise<{ report: Object, createdProperties: Object[] }>} The
+ *   import report, and the saved properties for notifications and webhooks
+ */
+const importProperties = async ({ file, dryRun, user, requestMeta }) => {
+  const { rows, unknownColumns } = await parseSpreadsheet(file);
+  const lookups = await loadLookups();
+
+  const results = [];
+  for (const row of rows) {
+    results.push(await validateRow(row, lookups));
+  }
+
+  const validRows = results.filter((row) => row.errors.length === 0);
+  const createdIds = {};
+  const assignedSalesIds = {};
+  const createdProperties = [];
+
+  if (!dryRun && validRows.length > 0) {
+    const workload = await loadSalesWorkload();
+
+    await sequelize.transaction(async (t) => {
+      for (const row of validRows) {
+        const propertyData = { ...row.propertyData };
+
+        if (user.userRole === "Owner") {
+          propertyData.ownerId = user.userId;
+        } else if (user.userRole === "Broker") {
+          propertyData.brokerId = user.userId;
+        }
+
+        const salesId = pickLeastLoadedSales(workload);
+        if (salesId) propertyData.salesId = salesId;
+
+        const property = await Property.create(propertyData, {
+          transaction: t,
+        });
+
+        if (row.amenityIds.length > 0) {
+          await property.setAmenities(row.amenityIds, { transaction: t });
+        }
+
+        if (row.connectivity.length > 0) {
+          await PropertyConnectivity.bulkCreate(
+            row.connectivity.map((conn) => ({
+              ...conn,
+              propertyId: property.propertyId,
+            })),
+            { transaction: t, validate: true }
+          );
+        }
+
+        const certificationRows = buildCertificationRows(
+          property.propertyId,
+          row.certifications
+        );
+        if (certificationRows.length > 0) {
+          await PropertyCertification.bulkCreate(certificationRows, {
+            transaction: t,
+            validate: true,
+          });
+        }
+
+        await logInsert({
+          userId: user.userId,
+          entityType: "Property",
+          recordId: property.propertyId,
+          newRecord: {
+            propertyId: property.propertyId,
+            city: property.city,
+            state: property.state,
+            propertyType: property.propertyType,
+            ownerId: property.ownerId,
+            brokerId: property.brokerId,
+            salesId: property.salesId,
+            createdBy: user.userRole,
+            importedFrom: file.originalname,
+            importRowNumber: row.rowNumber,
+            amenityCount: row.amenityIds.length,
+            connectivityCount: row.connectivity.length,
+            certificationCount: certificationRows.length,
+          },
+          tableName: "properties",
+          ipAddress: requestMeta.ipAddress,
+          userAgent: requestMeta.userAgent,
+          transaction: t,
+        });
+
+        createdIds[row.rowNumber] = property.propertyId;
+        assignedSalesIds[row.rowNumber] = property.salesId || null;
+        createdProperties.push({
+          propertyId: property.propertyId,
+          propertyType: property.propertyType,
+          city: property.city,
+          state: property.state,
+          ownerId: property.ownerId,
+          brokerId: property.brokerId,
+          salesId: property.salesId,
+        });
+      }
+    });
+  }
+
+  const report = {
+    dryRun,
+    fileName: file.originalname,
+    totalRows: results.length,
+    validRows: validRows.length,
+    invalidRows: results.length - validRows.length,
+    createdCount: Object.keys(createdIds).length,
+    unknownColumns,
+    rows: results.map((row) => ({
+      rowNumber: row.rowNumber,
+      status:
+        row.errors.length > 0
+          ? "invalid"
+          : createdIds[row.rowNumber]
+            ? "created"
+            : "valid",
+      propertyId: createdIds[row.rowNumber] || null,
+      salesId: assignedSalesIds[row.rowNumber] || null,
+      city: row.propertyData.city || null,
+      errors: row.errors,
+      warnings: row.warnings,
+    })),
+  };
+
+  return { report, createdProperties };
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  IMPORT_COLUMNS,
+  importProperties,
+};
@@ -0,0 +1,89 @@
+const { Op } = require("sequelize");
+const { Property, User, Role, SalesRelationship } = require("../models");
+const { sequelize } = require("../config/dbConnection");
+
+/**
+ * Active sales users and how many active properties each is handling
+ * @returns {Promise<{ salesUserIds: string[], countMap: Object }>}
+ */
+const loadSalesWorkload = async () => {
+  const salesUsers = await User.findAll({
+    where: { isActive: true },
+    attributes: ["userId"],
+    include: [
+      {
+        model: Role,
+        as: "roles",
+        through: { attributes: [] },
+        where: { roleName: "Sales", isActive: true },
+        attributes: [],
+      },
+    ],
+  });
+
+  const salesUserIds = salesUsers.map((u) => u.userId);
+  const countMap = {};
+
+  if (salesUserIds.length > 0) {
+    const propertyCounts = await Property.findAll({
+      where: { salesId: { [Op.in]: salesUserIds }, isActive: true },
+      attributes: [
+        "salesId",
+        [sequelize.fn("COUNT", sequelize.col("property_id")), "propertyCount"],
+      ],
+      group: ["salesId"],
+      raw: true,
+    });
+
+    propertyCounts.forEach((row) => {
+      countMap[row.salesId] = parseInt(row.propertyCount);
+    });
+  }
+
+  return { salesUserIds, countMap };
+};
+
+/**
+ * Pick the sales user with the fewest properties and count the new one
+ * against them, so repeated picks spread across the team
+ * @param {{ salesUserIds: string[], countMap: Object }} workload
+ * @returns {string|null} userId, or null when there are no sales users
+ */
+const pickLeastLoadedSales = (workload) => {
+  const { salesUserIds, countMap } = workload;
+  if (salesUserIds.length === 0) return null;
+
+  const salesId = salesUserIds.reduce((minId, id) => {
+    const count = countMap[id] || 0;
+    const minCount = countMap[minId] || 0;
+    return count < minCount ? id : minId;
+  }, salesUserIds[0]);
+
+  countMap[salesId] = (countMap[salesId] || 0) + 1;
+  return salesId;
+};
+
+/**
+ * salesId condition for the properties a sales user may see: a Sales
+ * Manager covers their active team plus their own; anyone else only theirs
+ * @param {Object} user - req.user ({ userId, role })
+ * @returns {Promise<string|Object>} Value for a `salesId` where condition
+ */
+const getSalesScope = async (user) => {
+  if (user.role !== "Sales Manager") return user.userId;
+
+  const relationships = await SalesRelationship.findAll({
+    where: {
+      salesManagerId: user.userId,
+      isActive: true,
+    },
+    attributes: ["salesExecutiveId"],
+  });
+
+  const teamMemberIds = relationships.map((r) => r.salesExecutiveId);
+  teamMemberIds.push(user.userId);
+
+  return { [Op.in]: teamMemberIds };
+};
+
+module.exports = { loadSalesWorkload, pickLeastLoadedSales, getSalesScope };
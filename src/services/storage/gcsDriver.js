@@ -0,0 +1,53 @@
+// services/storage/gcsDriver.js
+const fs = require("fs");
+const { pipeline } = require("stream/promises");
+const { bucket } = require("../../config/gcsClient");
+
+const writeStream = (key, { contentType, metadata } = {}) =>
+  bucket.file(key).createWriteStream({
+    resumable: false,
+    contentType,
+    metadata: { metadata },
+  });
+
+/**
+ * Google Cloud Storage driver (GCS_BUCKET_NAME, GCS_PROJECT_ID, GCS_KEY_FILE)
+ */
+module.exports = {
+  name: "gcs",
+
+  uploadBuffer: (key, buffer, options) =>
+    new Promise((resolve, reject) => {
+      const blobStream = writeStream(key, options);
+      blobStream.on("error", reject);
+      blobStream.on("finish", resolve);
+      blobStream.end(buffer);
+    }),
+
+  uploadFile: (key, filePath, options) =>
+    pipeline(fs.createReadStream(filePath), writeStream(key, options)),
+
+  createReadStream: (key) => bucket.file(key).createReadStream(),
+
+  delete: async (key) => {
+    await bucket.file(key).delete({ ignoreNotFound: true });
+  },
+
+  list: async (prefix) => {
+    const [files] = await bucket.getFiles({ prefix });
+    return files.map((file) => file.name);
+  },
+
+  getSignedUrl: async (key, { expiresInMs, downloadName }) => {
+    const [url] = await bucket.file(key).getSignedUrl({
+      version: "v4",
+      action: "read",
+      expires: Date.now() + expiresInMs,
+      ...(downloadName && {
+        responseDisposition: `attachment; filename="${downloadName}"`,
+      }),
+    });
+
+    return url;
+  },
+};
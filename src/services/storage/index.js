@@ -0,0 +1,38 @@
+// services/storage/index.js
+
+// STORAGE_DRIVER picks the backend: "gcs" (default) or "local".
+// Drivers are loaded lazily so the local driver works without any
+// GCS configuration.
+const DRIVERS = {
+  gcs: () => require("./gcsDriver"),
+  local: () => require("./localDriver"),
+};
+
+let driver = null;
+
+/**
+ * The configured storage driver. Every driver implements:
+ *   uploadBuffer(key, buffer, { contentType, metadata })
+ *   uploadFile(key, filePath, { contentType, metadata })
+ *   createReadStream(key)
+ *   delete(key)                      - missing objects are ignored
+ *   list(prefix)                     - keys starting with prefix
+ *   getSignedUrl(key, { expiresInMs, downloadName })
+ * @returns {Object}
+ */
+const getStorage = () => {
+  if (driver) return driver;
+
+  const driverName = process.env.STORAGE_DRIVER || "gcs";
+  const load = DRIVERS[driverName];
+  if (!load) {
+    throw new Error(
+      `Unknown STORAGE_DRIVER "${driverName}". Must be one of: ${Object.keys(DRIVERS).join(", ")}`
+    );
+  }
+
+  driver = load();
+  return driver;
+};
+
+module.exports = { getStorage };
@@ -0,0 +1,171 @@
+// services/storage/localDriver.js
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { pipeline } = require("stream/promises");
+
+// Objects live under this directory; each has a "<key>.meta.json" sidecar
+// holding its content type and custom metadata
+const ROOT_DIR = path.resolve(
+  process.env.LOCAL_STORAGE_DIR || path.join(process.cwd(), "storage")
+);
+
+// Where the storage router is reachable (see routers/storage.js)
+const BASE_URL =
+  process.env.LOCAL_STORAGE_BASE_URL ||
+  `http://localhost:${process.env.PORT || 3000}/api/v1/storage`;
+
+const META_SUFFIX = ".meta.json";
+
+const getSecret = () => {
+  const secret = process.env.LOCAL_STORAGE_SECRET;
+  if (!secret) {
+    throw new Error("LOCAL_STORAGE_SECRET must be set for the local driver");
+  }
+  return secret;
+};
+
+/**
+ * Absolute path for a key, refusing anything that escapes ROOT_DIR
+ * @param {string} key
+ * @returns {string}
+ */
+const resolveKey = (key) => {
+  const filePath = path.resolve(ROOT_DIR, key);
+  if (!filePath.startsWith(ROOT_DIR + path.sep) || key.endsWith(META_SUFFIX)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return filePath;
+};
+
+const prepare = async (key, { contentType, metadata } = {}) => {
+  const filePath = resolveKey(key);
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(
+    filePath + META_SUFFIX,
+    JSON.stringify({ contentType, metadata })
+  );
+  return filePath;
+};
+
+// HMAC over everything the URL grants: the key, its expiry and disposition
+const sign = (key, expires, downloadName = "") =>
+  crypto
+    .createHmac("sha256", getSecret())
+    .update(`${key}\n${expires}\n${downloadName}`)
+    .digest("hex");
+
+/**
+ * Check a signed URL's query against the key it was issued for
+ * @param {string} key
+ * @param {{ expires: string, signature: string, download?: string }} query
+ * @returns {boolean}
+ */
+const verifySignedUrl = (key, { expires, signature, download }) => {
+  const expiresAt = parseInt(expires, 10);
+  if (!expiresAt || expiresAt < Date.now() || typeof signature !== "string") {
+    return false;
+  }
+
+  const expected = Buffer.from(sign(key, expiresAt, download || ""), "hex");
+  const given = Buffer.from(signature, "hex");
+  return (
+    expected.length === given.length && crypto.timingSafeEqual(expected, given)
+  );
+};
+
+/**
+ * Content type and custom metadata stored alongside an object
+ * @param {string} key
+ * @returns {Promise<{ contentType?: string, metadata?: Object }|null>} null
+ *   when the object doesn't exist
+ */
+const getObjectInfo = async (key) => {
+  try {
+    const raw = await fs.promises.readFile(resolveKey(key) + META_SUFFIX);
+    return JSON.parse(raw);
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+};
+
+/**
+ * Local filesystem driver for development and tests. Signed URLs point at
+ * routers/storage.js and are checked with an HMAC (LOCAL_STORAGE_SECRET).
+ */
+module.exports = {
+  name: "local",
+
+  uploadBuffer: async (key, buffer, options) => {
+    const filePath = await prepare(key, options);
+    await fs.promises.writeFile(filePath, buffer);
+  },
+
+  uploadFile: async (key, sourcePath, options) => {
+    const filePath = await prepare(key, options);
+    await pipeline(
+      fs.createReadStream(sourcePath),
+      fs.createWriteStream(filePath)
+    );
+  },
+
+  createReadStream: (key) => fs.createReadStream(resolveKey(key)),
+
+  delete: async (key) => {
+    const filePath = resolveKey(key);
+    await Promise.all([
+      fs.promises.rm(filePath, { force: true }),
+      fs.promises.rm(filePath + META_SUFFIX, { force: true }),
+    ]);
+  },
+
+  list: async (prefix) => {
+    // Walk the deepest directory the prefix names, then match the rest
+    const dir = path.join(
+      ROOT_DIR,
+      prefix.slice(0, prefix.lastIndexOf("/") + 1)
+    );
+    if (dir !== ROOT_DIR && !dir.startsWith(ROOT_DIR + path.sep)) {
+      throw new Error(`Invalid storage prefix: ${prefix}`);
+    }
+
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, {
+        recursive: true,
+        withFileTypes: true,
+      });
+    } catch (err) {
+      if (err.code === "ENOENT") return [];
+      throw err;
+    }
+
+    return entries
+      .filter((entry) => entry.isFile() && !entry.name.endsWith(META_SUFFIX))
+      .map((entry) =>
+        path
+          .relative(ROOT_DIR, path.join(entry.parentPath, entry.name))
+          .split(path.sep)
+          .join("/")
+      )
+      .filter((key) => key.startsWith(prefix))
+      .sort();
+  },
+
+  getSignedUrl: async (key, { expiresInMs, downloadName }) => {
+    resolveKey(key);
+    const expires = Date.now() + expiresInMs;
+    const params = new URLSearchParams({
+      expires: String(expires),
+      signature: sign(key, expires, downloadName || ""),
+    });
+    if (downloadName) params.set("download", downloadName);
+
+    const encodedKey = key.split("/").map(encodeURIComponent).join("/");
+    return `${BASE_URL}/${encodedKey}?${params}`;
+  },
+
+  verifySignedUrl,
+  getObjectInfo,
+};
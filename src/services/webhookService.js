@@ -0,0 +1,382 @@
+const crypto = require("crypto");
+const dns = require("dns").promises;
+const net = require("net");
+const { Op } = require("sequelize");
+const { sequelize } = require("../config/dbConnection");
+const { WebhookEndpoint, WebhookDelivery } = require("../models");
+const createAppError = require("../utils/appError");
+const { createPollingWorker } = require("../utils/pollingWorker");
+const {
+  WEBHOOK_WORKER_INTERVAL_MS,
+  WEBHOOK_TIMEOUT_MS,
+  WEBHOOK_MAX_ATTEMPTS,
+  WEBHOOK_BACKOFF_BASE_MS,
+  WEBHOOK_BACKOFF_MAX_MS,
+} = require("../config/webhooks");
+
+// Rows claimed per worker run
+const DELIVERY_BATCH_SIZE = 20;
+
+// A claimed row is picked up again after this if its worker died mid-send
+const CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Partner responses are kept for the delivery log, truncated to this
+const MAX_RESPONSE_BODY_LENGTH = 2000;
+
+// Addresses a partner URL may not resolve to: unspecified, loopback,
+// private, shared (CGNAT) and link-local ranges, which would let an endpoint
+// reach this server's own network. IPv4-mapped IPv6 addresses are checked
+// against the IPv4 ranges.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.168.0.0", 16],
+].forEach(([network, prefix]) =>
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv4")
+);
+[
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7],
+  ["fe80::", 10],
+].forEach(([network, prefix]) =>
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv6")
+);
+
+/**
+ * @returns {string} New signing secret
+ */
+const generateWebhookSecret = () =>
+  `whsec_${crypto.randomBytes(24).toString("hex")}`;
+
+/**
+ * X-Webhook-Signature value: "t=<unix seconds>,v1=<hex HMAC-SHA256 of
+ * `${t}.${body}` keyed with the endpoint secret>". Partners recompute it
+ * from the raw body and reject old timestamps to stop replays.
+ * @param {string} secret
+ * @param {string} body - Exact request body
+ * @param {number} timestamp - Unix seconds
+ * @returns {string}
+ */
+const signWebhookPayload = (secret, body, timestamp) => {
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  return `t=${timestamp},v1=${signature}`;
+};
+
+// Exponential backoff with ±10% jitter so retries of one outage spread out
+const getRetryDelay = (attempts) => {
+  const delay = Math.min(
+    WEBHOOK_BACKOFF_BASE_MS * 2 ** (attempts - 1),
+    WEBHOOK_BACKOFF_MAX_MS
+  );
+  return Math.round(delay * (0.9 + Math.random() * 0.2));
+};
+
+/**
+ * Queue an event for every active endpoint subscribed to it. Never throws,
+ * so callers can fire it after their transaction without a try/catch of
+ * their own.
+ * @param {string} eventType - One of WebhookEndpoint.WEBHOOK_EVENTS
+ * @param {Object} data - Event payload
+ * @returns {Promise<void>}
+ */
+const dispatchWebhookEvent = async (eventType, data) => {
+  try {
+    const endpoints = await WebhookEndpoint.findAll({
+      where: { isActive: true },
+      attributes: ["endpointId", "events"],
+    });
+    const subscribed = endpoints.filter((endpoint) =>
+      endpoint.events.includes(eventType)
+    );
+    if (subscribed.length === 0) return;
+
+    const eventId = crypto.randomUUID();
+    const payload = {
+      id: eventId,
+      type: eventType,
+      createdAt: new Date().toISOString(),
+      data,
+    };
+
+    await WebhookDelivery.bulkCreate(
+      subscribed.map((endpoint) => ({
+        endpointId: endpoint.endpointId,
+        eventId,
+        eventType,
+        payload,
+      }))
+    );
+    worker.wake();
+  } catch (err) {
+    console.error(`Webhook "${eventType}" failed to queue:`, err.message);
+  }
+};
+
+/**
+ * Resolve a webhook URL's host and reject it if any address it resolves to
+ * is loopback, private or link-local. Checked when an endpoint is saved and
+ * again before every send, since DNS can change in between.
+ * @param {string} url
+ * @returns {Promise<void>}
+ * @throws {AppError} 400 if the host doesn't resolve or resolves to a
+ *   blocked address
+ */
+const assertPublicWebhookHost = async (url) => {
+  // URL keeps the brackets around an IPv6 literal
+  const host = new URL(url).hostname.replace(/^\[(.*)\]$/, "$1");
+
+  let addresses;
+  try {
+    addresses = await dns.lookup(host, { all: true, verbatim: true });
+  } catch (err) {
+    throw createAppError(`url host ${host} could not be resolved`, 400);
+  }
+
+  const blocked = addresses.some(({ address, family }) =>
+    BLOCKED_ADDRESSES.check(address, family === 6 ? "ipv6" : "ipv4")
+  );
+  if (blocked) {
+    throw createAppError(
+      "url must not point to a loopback, private or link-local address",
+      400
+    );
+  }
+};
+
+// Read at most MAX_RESPONSE_BODY_LENGTH characters of the partner's
+// response, then drop the rest of the stream
+const readResponseBody = async (response) => {
+  if (!response.body) return "";
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let text = "";
+  try {
+    while (text.length < MAX_RESPONSE_BODY_LENGTH) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      text += decoder.decode(value, { stream: true });
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+  return text.slice(0, MAX_RESPONSE_BODY_LENGTH);
+};
+
+// POST one delivery; resolves with the outcome, never rejects
+const sendDelivery = async (delivery, endpoint) => {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = Date.now();
+
+  try {
+    await assertPublicWebhookHost(endpoint.url);
+
+    const response = await fetch(endpoint.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "PreLease-Webhooks/1.0",
+        "X-Webhook-Id": delivery.deliveryId,
+        "X-Webhook-Event": delivery.eventType,
+        "X-Webhook-Signature": signWebhookPayload(
+          endpoint.secret,
+          body,
+          timestamp
+        ),
+      },
+      body,
+      // A redirect could point anywhere; treat it as a failure
+      redirect: "manual",
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+    });
+    const responseBody = await readResponseBody(response);
+
+    return {
+      ok: response.status >= 200 && response.status < 300,
+      statusCode: response.status,
+      responseBody,
+      error: null,
+      durationMs: Date.now() - startedAt,
+    };
+  } catch (err) {
+    return {
+      ok: false,
+      statusCode: null,
+      responseBody: null,
+      error: err.name === "TimeoutError" ? "Request timed out" : err.message,
+      durationMs: Date.now() - startedAt,
+    };
+  }
+};
+
+/**
+ * Claim due deliveries and send them. Non-2xx responses and network errors
+ * are retried with exponential backoff; after WEBHOOK_MAX_ATTEMPTS the
+ * delivery is dead-lettered. Safe to run from several processes at once
+ * (rows are claimed with SKIP LOCKED).
+ * @param {Object} [options]
+ * @param {number} [options.batchSize]
+ * @returns {Promise<{ claimed: number, delivered: number, retrying: number, dead: number }>}
+ */
+const processWebhookDeliveries = async ({
+  batchSize = DELIVERY_BATCH_SIZE,
+} = {}) => {
+  const summary = { claimed: 0, delivered: 0, retrying: 0, dead: 0 };
+
+  const claimed = await sequelize.transaction(async (t) => {
+    const rows = await WebhookDelivery.findAll({
+      where: { status: "pending", nextAttemptAt: { [Op.lte]: new Date() } },
+      order: [["nextAttemptAt", "ASC"]],
+      limit: batchSize,
+      lock: t.LOCK.UPDATE,
+      skipLocked: true,
+      transaction: t,
+    });
+    if (rows.length === 0) return rows;
+
+    await WebhookDelivery.update(
+      { nextAttemptAt: new Date(Date.now() + CLAIM_TIMEOUT_MS) },
+      {
+        where: { deliveryId: { [Op.in]: rows.map((row) => row.deliveryId) } },
+        transaction: t,
+      }
+    );
+    return rows;
+  });
+  summary.claimed = claimed.length;
+  if (claimed.length === 0) return summary;
+
+  const endpoints = await WebhookEndpoint.findAll({
+    where: {
+      endpointId: {
+        [Op.in]: [...new Set(claimed.map((row) => row.endpointId))],
+      },
+    },
+  });
+  const endpointsById = new Map(endpoints.map((e) => [e.endpointId, e]));
+
+  for (const delivery of claimed) {
+    const endpoint = endpointsById.get(delivery.endpointId);
+    if (!endpoint || !endpoint.isActive) {
+      await delivery.update({
+        status: "dead",
+        lastError: "Endpoint is inactive",
+      });
+      summary.dead++;
+      continue;
+    }
+
+    const attempts = delivery.attempts + 1;
+    const result = await sendDelivery(delivery, endpoint);
+    const logged = {
+      attempts,
+      lastStatusCode: result.statusCode,
+      lastResponseBody: result.responseBody,
+      lastDurationMs: result.durationMs,
+    };
+
+    if (result.ok) {
+      await delivery.update({
+        ...logged,
+        status: "delivered",
+        lastError: null,
+        deliveredAt: new Date(),
+      });
+      summary.delivered++;
+      continue;
+    }
+
+    const exhausted = attempts >= WEBHOOK_MAX_ATTEMPTS;
+    await delivery.update({
+      ...logged,
+      status: exhausted ? "dead" : "pending",
+      lastError: result.error || `Endpoint responded ${result.statusCode}`,
+      ...(!exhausted && {
+        nextAttemptAt: new Date(Date.now() + getRetryDelay(attempts)),
+      }),
+    });
+    summary[exhausted ? "dead" : "retrying"]++;
+  }
+
+  return summary;
+};
+
+/**
+ * Send a delivery's payload again as a new delivery (same event id, so the
+ * partner can de-duplicate). Works for any status; the original row is
+ * left as it was for the log.
+ * @param {string} deliveryId
+ * @param {string} userId - Admin asking for the redelivery
+ * @returns {Promise<Object>} The new WebhookDelivery
+ */
+const redeliverWebhook = async (deliveryId, userId) => {
+  const original = await WebhookDelivery.findByPk(deliveryId, {
+    include: [
+      {
+        model: WebhookEndpoint,
+        as: "endpoint",
+        attributes: ["endpointId", "isActive"],
+      },
+    ],
+  });
+  if (!original) {
+    throw createAppError("Delivery not found", 404);
+  }
+  if (!original.endpoint || !original.endpoint.isActive) {
+    throw createAppError(
+      "The endpoint is inactive; reactivate it before redelivering",
+      409
+    );
+  }
+
+  const delivery = await WebhookDelivery.create({
+    endpointId: original.endpointId,
+    eventId: original.eventId,
+    eventType: original.eventType,
+    payload: original.payload,
+    redeliveryOf: original.deliveryId,
+    redeliveredBy: userId,
+  });
+  worker.wake();
+  return delivery;
+};
+
+// ============================================
+// IN-PROCESS WORKER
+// ============================================
+// A full batch means there may be more due
+const worker = createPollingWorker({
+  name: "Webhook delivery",
+  intervalMs: WEBHOOK_WORKER_INTERVAL_MS,
+  drain: async () =>
+    (await processWebhookDeliveries()).claimed === DELIVERY_BATCH_SIZE,
+});
+
+/**
+ * Send due deliveries every WEBHOOK_WORKER_INTERVAL_MS. Does nothing when
+ * the interval is 0.
+ */
+const startWebhookWorker = () => worker.start();
+
+const stopWebhookWorker = () => worker.stop();
+
+module.exports = {
+  generateWebhookSecret,
+  signWebhookPayload,
+  assertPublicWebhookHost,
+  dispatchWebhookEvent,
+  processWebhookDeliveries,
+  redeliverWebhook,
+  startWebhookWorker,
+  stopWebhookWorker,
+};
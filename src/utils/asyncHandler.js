@@ -1,5 +1,10 @@
 const asyncHandler = (fn) => {
   return (req, res, next) => {
+    // Recorded here because Express resets req.baseUrl once an error
+    // leaves the router, before the request log is written
+    if (req.route) {
+      res.locals.routePattern = `${req.baseUrl}${req.route.path}`;
+    }
     Promise.resolve(fn(req, res, next)).catch(next);
   };
 };
@@ -0,0 +1,278 @@
+// utils/cashflowProjection.js
+const {
+  toNumber,
+  getMonthlyRent,
+  getMonthlyMaintenance,
+} = require("./propertyFinancials");
+
+const CASHFLOW_SCENARIOS = ["base", "lockInExit", "vacancy"];
+const CASHFLOW_GRANULARITIES = ["yearly", "monthly"];
+const DEFAULT_HORIZON_YEARS = 10;
+const MAX_HORIZON_YEARS = 30;
+const DEFAULT_VACANCY_MONTHS = 6;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// DATEONLY strings ("2024-04-01") and Dates → first day of that month (UTC)
+const toMonthStart = (value) => {
+  const date = new Date(value);
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+};
+
+const addMonths = (date, months) =>
+  new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+
+const monthIndex = (date) => date.getUTCFullYear() * 12 + date.getUTCMonth();
+
+const toDateOnly = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Build the occupancy rule for a scenario
+ * @returns {Function} (monthStart) => boolean
+ */
+const buildOccupancy = (scenario, dates, options) => {
+  const { leaseEnd, lockInEnd } = dates;
+  const vacancyMonths = options.vacancyMonths;
+
+  // Tenant leaves at `exitDate`, unit stays empty for `vacancyMonths`, then re-let
+  const withVacancy = (exitDate) => {
+    const reLetDate = addMonths(toMonthStart(exitDate), vacancyMonths);
+    return (month) => month < exitDate || month >= reLetDate;
+  };
+
+  if (scenario === "lockInExit") {
+    return withVacancy(lockInEnd);
+  }
+
+  if (scenario === "vacancy") {
+    return withVacancy(options.vacancyStartDate || leaseEnd);
+  }
+
+  // base: contracted lease only, unless renewal is assumed
+  return (month) =>
+    !leaseEnd || month < leaseEnd || options.assumeRenewal === true;
+};
+
+/**
+ * Project month-by-month rent, costs and net income for a property
+ *
+ * Rent escalates by annualEscalationPercent every escalationFrequencyYears
+ * (default every year), counted from leaseStartDate. Operating costs (tax,
+ * insurance, other) are always borne by the landlord; maintenance is borne by
+ * the landlord when included in rent, and during vacant months otherwise.
+ *
+ * @param {Object} property - Property fields (model attribute names)
+ * @param {Object} options
+ * @param {string} [options.scenario] - base | lockInExit | vacancy
+ * @param {string} [options.granularity] - yearly | monthly
+ * @param {number} [options.horizonYears] - Projection length in years
+ * @param {number} [options.vacancyMonths] - Empty months before re-letting
+ * @param {Date} [options.vacancyStartDate] - Vacancy start (vacancy scenario)
+ * @param {boolean} [options.assumeRenewal] - base: keep rent after lease end
+ * @param {Date} [options.startDate] - Projection start (defaults to today)
+ * @returns {Object} { assumptions, summary, schedule }
+ */
+const projectCashflow = (property, options = {}) => {
+  const scenario = options.scenario || "base";
+  const granularity = options.granularity || "yearly";
+  const vacancyMonths =
+    options.vacancyMonths !== undefined
+      ? options.vacancyMonths
+      : DEFAULT_VACANCY_MONTHS;
+
+  const baseMonthlyRent = getMonthlyRent(property) || 0;
+  const sellingPrice = toNumber(property.sellingPrice);
+
+  const today = toMonthStart(options.startDate || new Date());
+  const leaseStart = property.leaseStartDate
+    ? toMonthStart(property.leaseStartDate)
+    : today;
+  const leaseEnd = property.leaseEndDate
+    ? new Date(property.leaseEndDate)
+    : null;
+  const lockInMonths =
+    (toNumber(property.lockInPeriodYears) || 0) * 12 +
+    (toNumber(property.lockInPeriodMonths) || 0);
+  const lockInEnd =
+    lockInMonths > 0 ? addMonths(leaseStart, lockInMonths) : null;
+
+  const projectionStart = leaseStart > today ? leaseStart : today;
+
+  // Default horizon: the plain base case stops at the last month of the
+  // lease (no trailing vacant months), anything else runs 10 years
+  let totalMonths;
+  if (options.horizonYears) {
+    totalMonths =
+      Math.min(Math.max(options.horizonYears, 1), MAX_HORIZON_YEARS) * 12;
+  } else if (scenario === "base" && !options.assumeRenewal && leaseEnd) {
+    totalMonths = 0;
+    while (
+      totalMonths < MAX_HORIZON_YEARS * 12 &&
+      addMonths(projectionStart, totalMonths) < leaseEnd
+    ) {
+      totalMonths++;
+    }
+    totalMonths = Math.max(totalMonths, 1);
+  } else {
+    totalMonths = DEFAULT_HORIZON_YEARS * 12;
+  }
+
+  const escalationPercent = toNumber(property.annualEscalationPercent) || 0;
+  const escalationEveryMonths = Math.max(
+    1,
+    Math.round((toNumber(property.escalationFrequencyYears) || 1) * 12)
+  );
+
+  const monthlyOperatingCosts =
+    ((toNumber(property.propertyTaxAnnual) || 0) +
+      (toNumber(property.insuranceAnnual) || 0) +
+      (toNumber(property.otherCostsAnnual) || 0)) /
+    12;
+  const monthlyMaintenance = getMonthlyMaintenance(property) || 0;
+  const maintenanceIncluded =
+    property.maintenanceCostsIncluded === "Yes, included in rent";
+  const monthlyAdditionalIncome =
+    (toNumber(property.additionalIncomeAnnual) || 0) / 12;
+
+  const isOccupied = buildOccupancy(
+    scenario,
+    { leaseEnd, lockInEnd },
+    { ...options, vacancyMonths }
+  );
+
+  const months = [];
+  let cumulativeNetIncome = 0;
+  let paybackMonth = null;
+
+  for (let i = 0; i < totalMonths; i++) {
+    const month = addMonths(projectionStart, i);
+    const monthsSinceStart = monthIndex(month) - monthIndex(leaseStart);
+    const escalations =
+      monthsSinceStart > 0
+        ? Math.floor(monthsSinceStart / escalationEveryMonths)
+        : 0;
+    const contractRent =
+      baseMonthlyRent * Math.pow(1 + escalationPercent / 100, escalations);
+
+    const occupied = isOccupied(month);
+    const rent = occupied ? contractRent : 0;
+    const additionalIncome = occupied ? monthlyAdditionalIncome : 0;
+    const maintenanceCost =
+      maintenanceIncluded || !occupied ? monthlyMaintenance : 0;
+    const netIncome =
+      rent + additionalIncome - monthlyOperatingCosts - maintenanceCost;
+
+    cumulativeNetIncome += netIncome;
+    if (
+      paybackMonth === null &&
+      sellingPrice &&
+      cumulativeNetIncome >= sellingPrice
+    ) {
+      paybackMonth = i + 1;
+    }
+
+    months.push({
+      period: i + 1,
+      startDate: toDateOnly(month),
+      occupied,
+      rent,
+      additionalIncome,
+      maintenanceCost,
+      operatingCosts: monthlyOperatingCosts,
+      netIncome,
+      cumulativeNetIncome,
+    });
+  }
+
+  const formatRow = (row) => ({
+    ...row,
+    rent: round2(row.rent),
+    additionalIncome: round2(row.additionalIncome),
+    maintenanceCost: round2(row.maintenanceCost),
+    operatingCosts: round2(row.operatingCosts),
+    netIncome: round2(row.netIncome),
+    cumulativeNetIncome: round2(row.cumulativeNetIncome),
+  });
+
+  let schedule;
+  if (granularity === "monthly") {
+    schedule = months.map(formatRow);
+  } else {
+    // The last year is partial when the projection stops at lease end
+    schedule = [];
+    for (let year = 0; year * 12 < totalMonths; year++) {
+      const slice = months.slice(year * 12, year * 12 + 12);
+      const sum = (key) => slice.reduce((total, m) => total + m[key], 0);
+      schedule.push(
+        formatRow({
+          period: year + 1,
+          startDate: slice[0].startDate,
+          endDate: toDateOnly(
+            new Date(
+              addMonths(projectionStart, year * 12 + slice.length) - 86400000
+            )
+          ),
+          occupiedMonths: slice.filter((m) => m.occupied).length,
+          rent: sum("rent"),
+          additionalIncome: sum("additionalIncome"),
+          maintenanceCost: sum("maintenanceCost"),
+          operatingCosts: sum("operatingCosts"),
+          netIncome: sum("netIncome"),
+          cumulativeNetIncome: slice[slice.length - 1].cumulativeNetIncome,
+        })
+      );
+    }
+  }
+
+  const totals = months.reduce(
+    (acc, m) => ({
+      rent: acc.rent + m.rent,
+      additionalIncome: acc.additionalIncome + m.additionalIncome,
+      costs: acc.costs + m.maintenanceCost + m.operatingCosts,
+    }),
+    { rent: 0, additionalIncome: 0, costs: 0 }
+  );
+
+  return {
+    assumptions: {
+      scenario,
+      granularity,
+      horizonYears: round2(totalMonths / 12),
+      horizonMonths: totalMonths,
+      projectionStartDate: toDateOnly(projectionStart),
+      leaseStartDate: property.leaseStartDate || null,
+      leaseEndDate: property.leaseEndDate || null,
+      lockInEndDate: lockInEnd ? toDateOnly(lockInEnd) : null,
+      startingMonthlyRent: round2(baseMonthlyRent),
+      escalationPercent,
+      escalationEveryMonths,
+      maintenanceIncludedInRent: maintenanceIncluded,
+      vacancyMonths: scenario === "base" ? null : vacancyMonths,
+      assumeRenewal:
+        scenario === "base" ? options.assumeRenewal === true : null,
+      investment: sellingPrice,
+    },
+    summary: {
+      totalRent: round2(totals.rent),
+      totalAdditionalIncome: round2(totals.additionalIncome),
+      totalCosts: round2(totals.costs),
+      totalNetIncome: round2(cumulativeNetIncome),
+      vacantMonths: months.filter((m) => !m.occupied).length,
+      payback: sellingPrice
+        ? {
+            reached: paybackMonth !== null,
+            months: paybackMonth,
+            years: paybackMonth !== null ? round2(paybackMonth / 12) : null,
+          }
+        : null,
+    },
+    schedule,
+  };
+};
+
+module.exports = {
+  CASHFLOW_SCENARIOS,
+  CASHFLOW_GRANULARITIES,
+  MAX_HORIZON_YEARS,
+  projectCashflow,
+};
@@ -0,0 +1,21 @@
+// utils/csv.js
+
+/**
+ * One CSV line (RFC 4180 quoting). Text starting with = + - @ is prefixed
+ * with ' so spreadsheet apps don't evaluate it as a formula.
+ * @param {Array} values
+ * @returns {string}
+ */
+const toCsvLine = (values) =>
+  values
+    .map((value) => {
+      if (value === null || value === undefined) return "";
+      let text = String(value);
+      if (typeof value === "string" && /^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+      }
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    })
+    .join(",") + "\r\n";
+
+module.exports = { toCsvLine };
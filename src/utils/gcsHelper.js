@@ -1,5 +1,7 @@
 // utils/gcsHelper.js
-const { bucket } = require("../config/gcsClient");
+// Object helpers on top of the configured storage driver (GCS in
+// production, local disk when STORAGE_DRIVER=local; see services/storage)
+const { getStorage } = require("../services/storage");
 
 // Parse expiry string like "7d", "24h", "30m" into milliseconds
 const parseExpiry = (expiryStr) => {
@@ -26,41 +28,122 @@ const parseExpiry = (expiryStr) => {
 };
 
 /**
- * Generate a signed URL for a GCS object
+ * Generate a signed URL for a stored object
  * @param {string} gcsPath - The object path in the bucket
+ * @param {Object} [options]
+ * @param {string} [options.expiry] - Overrides GCS_SIGNED_URL_EXPIRY ("15m")
+ * @param {string} [options.downloadName] - Serve as an attachment with
+ *   this file name instead of inline
  * @returns {Promise<string>} - The signed URL
  */
-const getSignedUrl = async (gcsPath) => {
+const getSignedUrl = async (gcsPath, options = {}) => {
   if (!gcsPath) return null;
 
-  const expiryMs = parseExpiry(process.env.GCS_SIGNED_URL_EXPIRY);
+  const expiryMs = parseExpiry(
+    options.expiry || process.env.GCS_SIGNED_URL_EXPIRY
+  );
 
-  const [url] = await bucket.file(gcsPath).getSignedUrl({
-    version: "v4",
-    action: "read",   
-    expires: Date.now() + expiryMs,
+  return getStorage().getSignedUrl(gcsPath, {
+    expiresInMs: expiryMs,
+    downloadName: options.downloadName
+      ? options.downloadName.replace(/["\\\r\n]/g, "")
+      : undefined,
   });
-
-  return url;
 };
 
+// Write one buffer to the bucket
+const uploadBuffer = (gcsPath, buffer, contentType, metadata) =>
+  getStorage().uploadBuffer(gcsPath, buffer, { contentType, metadata });
+
+// Stream a file on disk (e.g. a multer temp file) to the bucket
+const uploadFile = (gcsPath, filePath, contentType, metadata) =>
+  getStorage().uploadFile(gcsPath, filePath, { contentType, metadata });
+
 /**
  * Generate signed URLs for an array of media records
+ *
+ * With a `size` (thumbnail | medium | large), photos that have processed
+ * variants get that size: `fileUrl` points at the WebP copy and `jpegUrl`
+ * at the JPEG fallback. Without one, or for media with no variants
+ * (videos, older uploads), `fileUrl` is the original. A video's
+ * `posterUrl` frame is signed as well.
+ *
  * @param {Array} mediaRecords - Array of objects with fileUrl property (GCS path)
+ * @param {string} [size] - Variant size to serve
  * @returns {Promise<Array>} - Same array with fileUrl replaced by signed URLs
  */
-const attachSignedUrls = async (mediaRecords) => {
+const attachSignedUrls = async (mediaRecords, size) => {
   if (!mediaRecords || mediaRecords.length === 0) return mediaRecords;
 
   return Promise.all(
     mediaRecords.map(async (record) => {
       const data = record.toJSON ? record.toJSON() : { ...record };
-      if (data.fileUrl) {
+      const variant = size && data.variants ? data.variants[size] : null;
+
+      if (variant) {
+        const [webpUrl, jpegUrl] = await Promise.all([
+          getSignedUrl(variant.webp),
+          getSignedUrl(variant.jpeg),
+        ]);
+        data.fileUrl = webpUrl;
+        data.jpegUrl = jpegUrl;
+      } else if (data.fileUrl) {
         data.fileUrl = await getSignedUrl(data.fileUrl);
       }
+
+      if (data.posterUrl) {
+        data.posterUrl = await getSignedUrl(data.posterUrl);
+      }
+
+      // Bucket paths of the other sizes aren't useful to clients
+      delete data.variants;
       return data;
     })
   );
 };
 
-module.exports = { getSignedUrl, attachSignedUrls };
+/**
+ * Every bucket path stored for a media record (original, variants and
+ * video poster)
+ * @param {Object} record - PropertyMedia record or plain object
+ * @returns {string[]}
+ */
+const getMediaPaths = (record) => {
+  const paths = [record.fileUrl, record.posterUrl];
+  Object.values(record.variants || {}).forEach((formats) => {
+    paths.push(...Object.values(formats));
+  });
+  return paths.filter(Boolean);
+};
+
+/**
+ * Delete an object from the bucket (missing objects are ignored)
+ * @param {string} gcsPath - The object path in the bucket
+ * @returns {Promise<void>}
+ */
+const deleteFile = async (gcsPath) => {
+  if (!gcsPath) return;
+
+  await getStorage().delete(gcsPath);
+};
+
+/**
+ * Delete a media record's original and all of its variants
+ * @param {Object} record - PropertyMedia record or plain object
+ * @returns {Promise<void>}
+ */
+const deleteMediaFiles = async (record) => {
+  await Promise.all(
+    getMediaPaths(record).map((gcsPath) => deleteFile(gcsPath))
+  );
+};
+
+module.exports = {
+  getSignedUrl,
+  uploadBuffer,
+  uploadFile,
+  attachSignedUrls,
+  getMediaPaths,
+  deleteFile,
+  deleteMediaFiles,
+};
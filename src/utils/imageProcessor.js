@@ -0,0 +1,72 @@
+// utils/imageProcessor.js
+const fs = require("fs");
+const sharp = require("sharp");
+
+// Longest-edge limits; images are never upscaled
+const IMAGE_SIZES = {
+  thumbnail: 320,
+  medium: 800,
+  large: 1600,
+};
+
+const IMAGE_FORMATS = {
+  webp: { contentType: "image/webp", options: { quality: 80 } },
+  jpeg: { contentType: "image/jpeg", options: { quality: 82, mozjpeg: true } },
+};
+
+// Formats whose originals are re-encoded to drop EXIF/GPS metadata
+const STRIPPABLE_FORMATS = ["jpeg", "png", "webp"];
+
+/**
+ * Apply EXIF orientation, then re-encode the original in its own format.
+ * sharp drops all metadata (EXIF, GPS, XMP, ICC) unless told to keep it.
+ * Formats that can't carry EXIF (e.g. GIF) are returned untouched.
+ * @param {Buffer|string} input - Image buffer or path to the image on disk
+ * @returns {Promise<Buffer>}
+ */
+const stripMetadata = async (input) => {
+  const { format } = await sharp(input).metadata();
+  if (!STRIPPABLE_FORMATS.includes(format)) {
+    return typeof input === "string" ? fs.promises.readFile(input) : input;
+  }
+
+  return sharp(input).rotate().toFormat(format).toBuffer();
+};
+
+/**
+ * Build every size × format variant of an uploaded photo
+ * @param {Buffer|string} input - Original image buffer or path on disk
+ * @returns {Promise<Array<{ size: string, format: string, contentType: string,
+ *   buffer: Buffer }>>}
+ */
+const createImageVariants = async (input) => {
+  const variants = [];
+
+  for (const [size, maxEdge] of Object.entries(IMAGE_SIZES)) {
+    // Decode + resize once per size, then encode each format from that
+    const resized = sharp(input).rotate().resize(maxEdge, maxEdge, {
+      fit: "inside",
+      withoutEnlargement: true,
+    });
+
+    for (const [format, { contentType, options }] of Object.entries(
+      IMAGE_FORMATS
+    )) {
+      variants.push({
+        size,
+        format,
+        contentType,
+        buffer: await resized.clone().toFormat(format, options).toBuffer(),
+      });
+    }
+  }
+
+  return variants;
+};
+
+module.exports = {
+  IMAGE_SIZES,
+  IMAGE_FORMATS,
+  stripMetadata,
+  createImageVariants,
+};
@@ -0,0 +1,246 @@
+// utils/investmentAnalysis.js
+const { toNumber } = require("./propertyFinancials");
+const { MAX_HORIZON_YEARS, projectCashflow } = require("./cashflowProjection");
+
+// Exit value uses the NOI of the year after the sale, so one projection year
+// is reserved beyond the holding period
+const MAX_HOLDING_YEARS = MAX_HORIZON_YEARS - 1;
+
+const DEFAULT_ANALYSIS_INPUTS = {
+  holdingYears: 10,
+  discountRatePercent: 10,
+  exitCapRatePercent: 8,
+  stampDutyPercent: 7,
+};
+
+const round2 = (value) =>
+  value === null ? null : Math.round(value * 100) / 100;
+
+const npv = (ratePercent, cashflows) =>
+  cashflows.reduce(
+    (total, cashflow, year) =>
+      total + cashflow / Math.pow(1 + ratePercent / 100, year),
+    0
+  );
+
+/**
+ * Internal rate of return by bisection
+ * @param {number[]} cashflows - Year 0 first
+ * @returns {number|null} Percent, or null when the flows never change sign
+ */
+const irr = (cashflows) => {
+  const hasOutflow = cashflows.some((cashflow) => cashflow < 0);
+  const hasInflow = cashflows.some((cashflow) => cashflow > 0);
+  if (!hasOutflow || !hasInflow) return null;
+
+  let low = -99.99;
+  let high = 1000;
+  let npvLow = npv(low, cashflows);
+  if (npvLow * npv(high, cashflows) > 0) return null;
+
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    const npvMid = npv(mid, cashflows);
+    if (Math.abs(npvMid) < 0.01) return mid;
+
+    if (npvLow * npvMid < 0) {
+      high = mid;
+    } else {
+      low = mid;
+      npvLow = npvMid;
+    }
+  }
+  return (low + high) / 2;
+};
+
+/**
+ * Yearly amortisation of a monthly-EMI loan
+ * @returns {{ monthlyInstalment: number, schedule: Array }}
+ */
+const buildAmortisation = (principal, annualRatePercent, tenureYears) => {
+  const months = Math.round(tenureYears * 12);
+  const monthlyRate = annualRatePercent / 100 / 12;
+  const monthlyInstalment =
+    monthlyRate === 0
+      ? principal / months
+      : (principal * monthlyRate) / (1 - Math.pow(1 + monthlyRate, -months));
+
+  const schedule = [];
+  let balance = principal;
+
+  for (let month = 1; month <= months; month++) {
+    const interest = balance * monthlyRate;
+    const principalPaid = Math.min(monthlyInstalment - interest, balance);
+    balance -= principalPaid;
+
+    const yearIndex = Math.ceil(month / 12) - 1;
+    if (!schedule[yearIndex]) {
+      schedule[yearIndex] = {
+        year: yearIndex + 1,
+        openingBalance: balance + principalPaid,
+        payment: 0,
+        interest: 0,
+        principal: 0,
+        closingBalance: 0,
+      };
+    }
+    const row = schedule[yearIndex];
+    row.payment += interest + principalPaid;
+    row.interest += interest;
+    row.principal += principalPaid;
+    row.closingBalance = Math.max(balance, 0);
+  }
+
+  return { monthlyInstalment, schedule };
+};
+
+/**
+ * Levered investment analysis for a property over a holding period
+ *
+ * Year-by-year NOI comes from projectCashflow (lease renewal assumed beyond
+ * the contracted term). The asset is sold at the end of the holding period
+ * for next year's NOI capitalised at the exit cap rate; any outstanding loan
+ * is repaid from the proceeds.
+ *
+ * @param {Object} property - Property fields (model attribute names)
+ * @param {Object} inputs
+ * @param {number} [inputs.holdingYears]
+ * @param {number} [inputs.discountRatePercent] - For NPV
+ * @param {number} [inputs.exitCapRatePercent]
+ * @param {number} [inputs.stampDutyPercent] - Stamp duty + registration
+ * @param {number} [inputs.loanAmount] - 0 / omitted for an all-cash purchase
+ * @param {number} [inputs.loanInterestRatePercent]
+ * @param {number} [inputs.loanTenureYears]
+ * @param {string} [inputs.scenario] - Passed through to projectCashflow
+ * @param {number} [inputs.vacancyMonths] - Passed through to projectCashflow
+ * @param {Date} [inputs.startDate] - Projection start (defaults to today)
+ * @returns {Object} { assumptions, returns, cashflows, amortisation }
+ */
+const analyseInvestment = (property, inputs = {}) => {
+  const options = { ...DEFAULT_ANALYSIS_INPUTS, ...inputs };
+  const {
+    holdingYears,
+    discountRatePercent,
+    exitCapRatePercent,
+    stampDutyPercent,
+  } = options;
+
+  const purchasePrice = toNumber(property.sellingPrice);
+  const acquisitionCosts = (purchasePrice * stampDutyPercent) / 100;
+  const loanAmount = options.loanAmount || 0;
+  const equityInvested = purchasePrice + acquisitionCosts - loanAmount;
+
+  const projection = projectCashflow(property, {
+    scenario: options.scenario,
+    vacancyMonths: options.vacancyMonths,
+    assumeRenewal: true,
+    granularity: "yearly",
+    horizonYears: holdingYears + 1,
+    startDate: options.startDate,
+  });
+
+  const loan =
+    loanAmount > 0
+      ? buildAmortisation(
+          loanAmount,
+          options.loanInterestRatePercent,
+          options.loanTenureYears
+        )
+      : null;
+
+  const exitNoi = projection.schedule[holdingYears].netIncome;
+  const exitValue = exitNoi > 0 ? exitNoi / (exitCapRatePercent / 100) : 0;
+
+  const cashflows = [];
+  for (let year = 1; year <= holdingYears; year++) {
+    const noi = projection.schedule[year - 1].netIncome;
+    const loanRow = loan ? loan.schedule[year - 1] : null;
+    const debtService = loanRow ? loanRow.payment : 0;
+
+    const isExitYear = year === holdingYears;
+    const loanPayoff = isExitYear && loanRow ? loanRow.closingBalance : 0;
+    const saleProceeds = isExitYear ? exitValue - loanPayoff : 0;
+
+    const cashflowBeforeSale = noi - debtService;
+    cashflows.push({
+      year,
+      netOperatingIncome: noi,
+      debtService,
+      cashflowBeforeSale,
+      saleProceeds,
+      equityCashflow: cashflowBeforeSale + saleProceeds,
+    });
+  }
+
+  const equityCashflows = [
+    -equityInvested,
+    ...cashflows.map((row) => row.equityCashflow),
+  ];
+  const totalDistributions = cashflows.reduce(
+    (total, row) => total + row.equityCashflow,
+    0
+  );
+  const averageCashflow =
+    cashflows.reduce((total, row) => total + row.cashflowBeforeSale, 0) /
+    holdingYears;
+
+  const percentOfEquity = (value) =>
+    equityInvested > 0 ? round2((value / equityInvested) * 100) : null;
+  const irrValue = irr(equityCashflows);
+
+  return {
+    assumptions: {
+      purchasePrice,
+      holdingYears,
+      discountRatePercent,
+      exitCapRatePercent,
+      stampDutyPercent,
+      acquisitionCosts: round2(acquisitionCosts),
+      loanAmount: round2(loanAmount),
+      loanInterestRatePercent: loan ? options.loanInterestRatePercent : null,
+      loanTenureYears: loan ? options.loanTenureYears : null,
+      equityInvested: round2(equityInvested),
+      projectionStartDate: projection.assumptions.projectionStartDate,
+      scenario: projection.assumptions.scenario,
+    },
+    returns: {
+      irrPercent: irrValue === null ? null : round2(irrValue),
+      npv: round2(npv(discountRatePercent, equityCashflows)),
+      equityMultiple:
+        equityInvested > 0 ? round2(totalDistributions / equityInvested) : null,
+      firstYearCashOnCashPercent: percentOfEquity(
+        cashflows[0].cashflowBeforeSale
+      ),
+      averageCashOnCashPercent: percentOfEquity(averageCashflow),
+      exitValue: round2(exitValue),
+      exitNetOperatingIncome: round2(exitNoi),
+    },
+    cashflows: cashflows.map((row) => ({
+      year: row.year,
+      netOperatingIncome: round2(row.netOperatingIncome),
+      debtService: round2(row.debtService),
+      cashflowBeforeSale: round2(row.cashflowBeforeSale),
+      saleProceeds: round2(row.saleProceeds),
+      equityCashflow: round2(row.equityCashflow),
+    })),
+    amortisation: loan
+      ? {
+          monthlyInstalment: round2(loan.monthlyInstalment),
+          schedule: loan.schedule.map((row) => ({
+            year: row.year,
+            openingBalance: round2(row.openingBalance),
+            payment: round2(row.payment),
+            interest: round2(row.interest),
+            principal: round2(row.principal),
+            closingBalance: round2(row.closingBalance),
+          })),
+        }
+      : null,
+  };
+};
+
+module.exports = {
+  MAX_HOLDING_YEARS,
+  DEFAULT_ANALYSIS_INPUTS,
+  analyseInvestment,
+};
@@ -1,41 +1,5 @@
-const ApiLog = require("../models/apiLog");
 const { AuditLog } = require("../models/index");
 
-const logRequest = async (req, responseData, startTime) => {
-  try {
-    const endTime = Date.now();
-
-    const safeHeaders = { ...req.headers };
-    if (safeHeaders.authorization) {
-      safeHeaders.authorization = "[REDACTED]";
-    }
-    if (safeHeaders.cookie) {
-      safeHeaders.cookie = "[REDACTED]";
-    }
-
-    await ApiLog.create({
-      userId: responseData.userId || null,
-      httpMethod: req.method,
-      endpoint: req.originalUrl || req.url,
-      requestHeaders: safeHeaders,
-      requestBody: responseData.requestBodyLog || null,
-      queryParams: req.query,
-      responseStatus: responseData.status,
-      responseBody: responseData.body,
-      ipAddress: req.ip,
-      userAgent: req.headers["user-agent"],
-      requestTimestamp: new Date(startTime),
-      responseTimestamp: new Date(endTime),
-      responseTimeMs: endTime - startTime,
-      errorMessage: responseData.error || null,
-      stackTrace: responseData.stackTrace || null,
-      environment: process.env.NODE_ENV || "development",
-    });
-  } catch (err) {
-    console.error("API log failed:", err.message);
-  }
-};
-
 const logInsert = async ({
   userId,
   entityType,
@@ -115,6 +79,34 @@ const logDelete = async ({
   );
 };
 
+// Read access to sensitive files; nothing changes, so only newValue
+// (what was handed out) is recorded
+const logDownload = async ({
+  userId,
+  entityType,
+  recordId,
+  details,
+  tableName,
+  ipAddress,
+  userAgent,
+  transaction,
+}) => {
+  return await AuditLog.create(
+    {
+      userId,
+      operation: "DOWNLOAD",
+      entityType,
+      recordId,
+      oldValue: null,
+      newValue: details,
+      tableName,
+      ipAddress,
+      userAgent,
+    },
+    { transaction }
+  );
+};
+
 const buildUpdateValues = (oldRecord, updateData) => {
   const oldValues = {};
   const newValues = {};
@@ -130,9 +122,9 @@ const buildUpdateValues = (oldRecord, updateData) => {
 };
 
 module.exports = {
-  logRequest,
   logInsert,
   logUpdate,
   logDelete,
+  logDownload,
   buildUpdateValues,
 };
@@ -0,0 +1,44 @@
+/**
+ * In-process worker that calls `drain` every intervalMs without ever
+ * overlapping itself. Used for the outbox-style queues (emails, webhooks).
+ * @param {Object} options
+ * @param {string} options.name - For error logs
+ * @param {number} options.intervalMs - 0 disables the worker
+ * @param {Function} options.drain - async () => boolean; return true while
+ *   there may be more work due right away
+ * @returns {{ start: Function, stop: Function, wake: Function }}
+ */
+const createPollingWorker = ({ name, intervalMs, drain }) => {
+  let timer = null;
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      while (await drain());
+    } catch (err) {
+      console.error(`${name} run failed:`, err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  return {
+    start: () => {
+      if (timer || !intervalMs) return;
+      timer = setInterval(run, intervalMs);
+      timer.unref();
+    },
+    stop: () => {
+      clearInterval(timer);
+      timer = null;
+    },
+    // Run now rather than at the next tick; no-op when not started
+    wake: () => {
+      if (timer) setImmediate(run);
+    },
+  };
+};
+
+module.exports = { createPollingWorker };
@@ -0,0 +1,190 @@
+// utils/propertyExport.js
+const { getTenureLeftYears } = require("./propertyFilters");
+
+const EXPORT_FORMATS = ["csv", "xlsx"];
+
+const EXPORT_CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+};
+
+// Values come back from Postgres as strings for DECIMAL columns
+const toNumberOrNull = (value) =>
+  value === null || value === undefined ? null : Number(value);
+
+/**
+ * Spreadsheet columns. `value` receives a plain property object with
+ * amenities, caretaker and connectivity included.
+ * Connectivity uses the same "type|name|distanceKm; ..." format as the
+ * bulk import, so an export can be edited and re-imported.
+ */
+const EXPORT_COLUMNS = [
+  { header: "propertyId", width: 38, value: (p) => p.propertyId },
+  { header: "propertyType", width: 14, value: (p) => p.propertyType },
+  { header: "city", width: 16, value: (p) => p.city },
+  { header: "state", width: 16, value: (p) => p.state },
+  { header: "microMarket", width: 20, value: (p) => p.microMarket },
+  {
+    header: "carpetAreaSqft",
+    width: 14,
+    value: (p) => toNumberOrNull(p.carpetArea),
+  },
+  { header: "carpetAreaUnit", width: 14, value: (p) => p.carpetAreaUnit },
+  { header: "buildingGrade", width: 12, value: (p) => p.buildingGrade },
+  { header: "ownershipType", width: 16, value: (p) => p.ownershipType },
+  { header: "completionYear", width: 14, value: (p) => p.completionYear },
+  { header: "furnishingStatus", width: 16, value: (p) => p.furnishingStatus },
+  { header: "tenantType", width: 16, value: (p) => p.tenantType },
+  { header: "leaseStartDate", width: 14, value: (p) => p.leaseStartDate },
+  { header: "leaseEndDate", width: 14, value: (p) => p.leaseEndDate },
+  {
+    header: "tenureLeftYears",
+    width: 14,
+    value: (p) => getTenureLeftYears(p.leaseEndDate),
+  },
+  { header: "lockInPeriodYears", width: 16, value: (p) => p.lockInPeriodYears },
+  {
+    header: "lockInPeriodMonths",
+    width: 16,
+    value: (p) => p.lockInPeriodMonths,
+  },
+  { header: "rentType", width: 12, value: (p) => p.rentType },
+  {
+    header: "rentPerSqftMonthly",
+    width: 16,
+    value: (p) => toNumberOrNull(p.rentPerSqftMonthly),
+  },
+  {
+    header: "totalMonthlyRent",
+    width: 16,
+    value: (p) => toNumberOrNull(p.totalMonthlyRent),
+  },
+  {
+    header: "annualGrossRent",
+    width: 16,
+    value: (p) => toNumberOrNull(p.annualGrossRent),
+  },
+  {
+    header: "annualEscalationPercent",
+    width: 16,
+    value: (p) => toNumberOrNull(p.annualEscalationPercent),
+  },
+  {
+    header: "escalationFrequencyYears",
+    width: 16,
+    value: (p) => p.escalationFrequencyYears,
+  },
+  {
+    header: "securityDepositMonths",
+    width: 16,
+    value: (p) => p.securityDepositMonths,
+  },
+  {
+    header: "maintenanceCostsIncluded",
+    width: 22,
+    value: (p) => p.maintenanceCostsIncluded,
+  },
+  { header: "maintenanceType", width: 14, value: (p) => p.maintenanceType },
+  {
+    header: "maintenanceAmount",
+    width: 16,
+    value: (p) => toNumberOrNull(p.maintenanceAmount),
+  },
+  {
+    header: "sellingPrice",
+    width: 16,
+    value: (p) => toNumberOrNull(p.sellingPrice),
+  },
+  {
+    header: "propertyTaxAnnual",
+    width: 16,
+    value: (p) => toNumberOrNull(p.propertyTaxAnnual),
+  },
+  {
+    header: "insuranceAnnual",
+    width: 16,
+    value: (p) => toNumberOrNull(p.insuranceAnnual),
+  },
+  {
+    header: "otherCostsAnnual",
+    width: 16,
+    value: (p) => toNumberOrNull(p.otherCostsAnnual),
+  },
+  {
+    header: "totalOperatingAnnualCosts",
+    width: 18,
+    value: (p) => toNumberOrNull(p.totalOperatingAnnualCosts),
+  },
+  {
+    header: "additionalIncomeAnnual",
+    width: 18,
+    value: (p) => toNumberOrNull(p.additionalIncomeAnnual),
+  },
+  {
+    header: "grossRentalYield",
+    width: 14,
+    value: (p) => toNumberOrNull(p.grossRentalYield),
+  },
+  {
+    header: "netRentalYield",
+    width: 14,
+    value: (p) => toNumberOrNull(p.netRentalYield),
+  },
+  {
+    header: "paybackPeriodYears",
+    width: 16,
+    value: (p) => toNumberOrNull(p.paybackPeriodYears),
+  },
+  { header: "titleStatus", width: 16, value: (p) => p.titleStatus },
+  {
+    header: "occupancyCertificate",
+    width: 18,
+    value: (p) => p.occupancyCertificate,
+  },
+  { header: "leaseRegistration", width: 18, value: (p) => p.leaseRegistration },
+  { header: "reraNumber", width: 20, value: (p) => p.reraNumber },
+  { header: "isVerified", width: 12, value: (p) => p.isVerified },
+  {
+    header: "amenities",
+    width: 30,
+    value: (p) => (p.amenities || []).map((a) => a.amenityName).join("; "),
+  },
+  {
+    header: "caretakerName",
+    width: 20,
+    value: (p) => (p.caretaker ? p.caretaker.caretakerName : null),
+  },
+  {
+    header: "connectivity",
+    width: 40,
+    value: (p) =>
+      (p.connectivity || [])
+        .map((c) =>
+          [c.connectivityType, c.name || "", c.distanceKm ?? ""].join("|")
+        )
+        .join("; "),
+  },
+  {
+    header: "createdAt",
+    width: 22,
+    value: (p) => (p.createdAt ? new Date(p.createdAt).toISOString() : null),
+  },
+];
+
+/**
+ * Cell values for one property, in EXPORT_COLUMNS order
+ * @param {Object} property - Plain property object
+ * @returns {Array}
+ */
+const toExportRow = (property) =>
+  EXPORT_COLUMNS.map((column) => {
+    const value = column.value(property);
+    return value === undefined ? null : value;
+  });
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_CONTENT_TYPES,
+  EXPORT_COLUMNS,
+  toExportRow,
+};
@@ -0,0 +1,137 @@
+// utils/propertyFields.js
+
+// Certifications offered as checkboxes; anything else goes in `others`
+const PREDEFINED_CERTIFICATIONS = ["RERA", "LEED", "IGBC"];
+
+/**
+ * Map createProperty request fields to Property model attributes
+ * @param {Object} fields - Request field names (carpetAreaSqft, parkingSlots, ...)
+ * @returns {Object} Property attributes (financial metrics and owner/broker
+ *   /sales ids are filled in by the caller)
+ */
+const toPropertyAttributes = (fields) => ({
+  propertyType: fields.propertyType || null,
+  carpetArea: fields.carpetAreaSqft || null,
+  carpetAreaUnit: fields.carpetAreaUnit || "Sq. Feet",
+  completionYear: fields.completionYear || null,
+  lastRefurbishedYear: fields.lastRefurbished || null,
+  ownershipType: fields.ownershipType || null,
+  buildingGrade: fields.buildingGrade || null,
+  parkingFourWheeler: fields.parkingSlots || 0,
+  parkingTwoWheeler: fields.parkingRatio || 0,
+  powerBackup: fields.powerBackupKva || null,
+  numberOfLifts: fields.numberOfLifts || null,
+  hvacType: fields.hvacType || null,
+  furnishingStatus: fields.furnishingStatus || null,
+  maintainedById: fields.caretakerId || null,
+  titleStatus: fields.titleStatus || null,
+  occupancyCertificate: fields.occupancyCertificate || null,
+  leaseRegistration: fields.leaseRegistration || null,
+  hasPendingLitigation:
+    fields.hasPendingLitigation !== undefined
+      ? fields.hasPendingLitigation
+      : false,
+  litigationDetails: fields.litigationDetails || null,
+  reraNumber: fields.reraNumber || null,
+  tenantType: fields.tenantType || null,
+  leaseStartDate: fields.leaseStartDate || null,
+  leaseEndDate: fields.leaseEndDate || null,
+  lockInPeriodYears: fields.lockInPeriodYears || null,
+  lockInPeriodMonths: fields.lockInPeriodMonths || null,
+  leaseDurationYears: fields.leaseDurationYears || null,
+  rentType: fields.rentType || "Per Sq Ft",
+  rentPerSqftMonthly: fields.rentPerSqftMonthly || null,
+  totalMonthlyRent: fields.totalMonthlyRent || null,
+  securityDepositType: fields.securityDepositType || "Months of Rent",
+  securityDepositMonths: fields.securityDepositMonths || null,
+  securityDepositAmount: fields.securityDepositAmount || null,
+  escalationFrequencyYears: fields.escalationFrequencyYears || null,
+  annualEscalationPercent: fields.annualEscalationPercent || null,
+  maintenanceCostsIncluded: fields.maintenanceCostsIncluded || null,
+  maintenanceType: fields.maintenanceType || null,
+  maintenanceAmount: fields.maintenanceAmount || null,
+  microMarket: fields.microMarket || null,
+  city: fields.city,
+  state: fields.state,
+  demandDrivers: fields.demandDrivers || null,
+  upcomingDevelopments: fields.upcomingDevelopments || null,
+  description: fields.description || null,
+  additionalDescription: fields.otherAmenities || null,
+  sellingPrice: fields.sellingPrice || null,
+  propertyTaxAnnual: fields.propertyTaxAnnual || null,
+  insuranceAnnual: fields.insuranceAnnual || null,
+  otherCostsAnnual: fields.otherCostsAnnual || null,
+  additionalIncomeAnnual: fields.additionalIncomeAnnual || null,
+  isActive: true,
+});
+
+// Request fields named differently from the attribute toPropertyAttributes
+// fills from them; every other request field keeps its name
+const RENAMED_REQUEST_FIELDS = {
+  carpetAreaSqft: "carpetArea",
+  lastRefurbished: "lastRefurbishedYear",
+  parkingSlots: "parkingFourWheeler",
+  parkingRatio: "parkingTwoWheeler",
+  powerBackupKva: "powerBackup",
+  caretakerId: "maintainedById",
+  otherAmenities: "additionalDescription",
+};
+
+/**
+ * Map updateProperty request fields to Property model attributes the same
+ * way create does, keeping only the attributes whose request field was sent
+ * @param {Object} fields - Request fields present in the update
+ * @returns {Object} Property attributes to update
+ */
+const toPropertyUpdateAttributes = (fields) => {
+  const attributes = toPropertyAttributes(fields);
+  const update = {};
+  Object.keys(fields).forEach((field) => {
+    const attribute = RENAMED_REQUEST_FIELDS[field] || field;
+    if (attribute !== "isActive" && attribute in attributes) {
+      update[attribute] = attributes[attribute];
+    }
+  });
+  return update;
+};
+
+/**
+ * PropertyCertification rows from the `certifications` payload
+ * ({ rera: true, leed: false, igbc: true, others: ["GRIHA"] })
+ * @returns {Array} Rows ready for bulkCreate
+ */
+const buildCertificationRows = (propertyId, certifications) => {
+  if (!certifications) return [];
+
+  const rows = [];
+  for (const certType of PREDEFINED_CERTIFICATIONS) {
+    if (certifications[certType.toLowerCase()] === true) {
+      rows.push({
+        propertyId,
+        certificationType: certType,
+        certificationDetails: null,
+      });
+    }
+  }
+
+  if (certifications.others && Array.isArray(certifications.others)) {
+    certifications.others.forEach((otherCert, index) => {
+      if (otherCert && otherCert.trim()) {
+        rows.push({
+          propertyId,
+          certificationType: `OTHER_${index + 1}`,
+          certificationDetails: otherCert.trim(),
+        });
+      }
+    });
+  }
+
+  return rows;
+};
+
+module.exports = {
+  PREDEFINED_CERTIFICATIONS,
+  toPropertyAttributes,
+  toPropertyUpdateAttributes,
+  buildCertificationRows,
+};
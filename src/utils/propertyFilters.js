@@ -0,0 +1,99 @@
+// utils/propertyFilters.js
+const { Op } = require("sequelize");
+
+// Comma-separated list → exact match on any; single value → partial match
+const textFilter = (value) => {
+  if (value.includes(",")) {
+    return { [Op.in]: value.split(",").map((v) => v.trim()) };
+  }
+  return { [Op.iLike]: `%${value}%` };
+};
+
+/**
+ * Where-clause conditions for the property list filters shared by
+ * getAllProperties, getAssignedProperties and the export endpoints
+ * (price, rent, ROI, tenure, location and property types)
+ * @param {Object} query - req.query
+ * @returns {Object} Sequelize where conditions (without isActive / scoping)
+ */
+const buildPropertyFilters = (query) => {
+  const {
+    minPrice,
+    maxPrice,
+    propertyTypes,
+    minRent,
+    maxRent,
+    minROI,
+    maxROI,
+    minTenure,
+    maxTenure,
+    city,
+    state,
+    microMarket,
+  } = query;
+
+  const whereClause = {};
+
+  if (minPrice || maxPrice) {
+    whereClause.sellingPrice = {};
+    if (minPrice) whereClause.sellingPrice[Op.gte] = parseFloat(minPrice);
+    if (maxPrice) whereClause.sellingPrice[Op.lte] = parseFloat(maxPrice);
+  }
+
+  if (propertyTypes) {
+    const typesArray = propertyTypes.split(",").map((type) => type.trim());
+    whereClause.propertyType = { [Op.in]: typesArray };
+  }
+
+  if (minRent || maxRent) {
+    whereClause.annualGrossRent = {};
+    if (minRent) whereClause.annualGrossRent[Op.gte] = parseFloat(minRent);
+    if (maxRent) whereClause.annualGrossRent[Op.lte] = parseFloat(maxRent);
+  }
+
+  if (minROI || maxROI) {
+    whereClause.grossRentalYield = {};
+    if (minROI) whereClause.grossRentalYield[Op.gte] = parseFloat(minROI);
+    if (maxROI) whereClause.grossRentalYield[Op.lte] = parseFloat(maxROI);
+  }
+
+  if (minTenure || maxTenure) {
+    const now = new Date();
+    whereClause.leaseEndDate = {};
+
+    if (minTenure) {
+      const minDate = new Date(now);
+      minDate.setFullYear(minDate.getFullYear() + parseInt(minTenure));
+      whereClause.leaseEndDate[Op.gte] = minDate;
+    }
+
+    if (maxTenure) {
+      const maxDate = new Date(now);
+      maxDate.setFullYear(maxDate.getFullYear() + parseInt(maxTenure));
+      whereClause.leaseEndDate[Op.lte] = maxDate;
+    }
+  }
+
+  if (city) whereClause.city = textFilter(city);
+  if (state) whereClause.state = textFilter(state);
+  if (microMarket) whereClause.microMarket = textFilter(microMarket);
+
+  return whereClause;
+};
+
+/**
+ * Years left on the lease from `from` (default today; 0 once expired, null
+ * without an end date)
+ * @param {string|Date|null} leaseEndDate
+ * @param {Date} [from]
+ * @returns {number|null}
+ */
+const getTenureLeftYears = (leaseEndDate, from = new Date()) => {
+  if (!leaseEndDate) return null;
+
+  const diffTime = new Date(leaseEndDate) - from;
+  const diffYears = diffTime / (1000 * 60 * 60 * 24 * 365.25);
+  return Math.max(0, parseFloat(diffYears.toFixed(2)));
+};
+
+module.exports = { buildPropertyFilters, getTenureLeftYears };
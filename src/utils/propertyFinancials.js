@@ -0,0 +1,196 @@
+// utils/propertyFinancials.js
+
+const SQ_METERS_TO_SQ_FEET = 10.7639;
+
+// Metrics the server derives; client-supplied values are only kept when
+// the inputs needed to compute them are missing
+const COMPUTED_FIELDS = [
+  "totalMonthlyRent",
+  "annualGrossRent",
+  "totalOperatingAnnualCosts",
+  "grossRentalYield",
+  "netRentalYield",
+  "paybackPeriodYears",
+];
+
+// DECIMAL(5, 2) columns can't hold values above this
+const MAX_RATIO_VALUE = 999.99;
+
+// Parse DECIMAL strings / form values into numbers (null when blank)
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === "") return null;
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? null : parsed;
+};
+
+const round2 = (value) =>
+  value === null ? null : Math.round(value * 100) / 100;
+
+/**
+ * Carpet area converted to square feet
+ * @param {Object} property - Property fields (model attribute names)
+ * @returns {number|null}
+ */
+const getCarpetAreaSqft = (property) => {
+  const area = toNumber(property.carpetArea);
+  if (area === null) return null;
+  return property.carpetAreaUnit === "Sq. Meters"
+    ? area * SQ_METERS_TO_SQ_FEET
+    : area;
+};
+
+/**
+ * Monthly rent from rent type: per sq ft × carpet area, or the lump sum
+ * @param {Object} property - Property fields (model attribute names)
+ * @returns {number|null}
+ */
+const getMonthlyRent = (property) => {
+  if (property.rentType === "Lump Sum") {
+    return toNumber(property.totalMonthlyRent);
+  }
+
+  const rentPerSqft = toNumber(property.rentPerSqftMonthly);
+  const areaSqft = getCarpetAreaSqft(property);
+  if (rentPerSqft === null || areaSqft === null) return null;
+  return rentPerSqft * areaSqft;
+};
+
+/**
+ * Monthly maintenance charge (per sq ft × carpet area, or the lump sum)
+ * @param {Object} property - Property fields (model attribute names)
+ * @returns {number|null}
+ */
+const getMonthlyMaintenance = (property) => {
+  const amount = toNumber(property.maintenanceAmount);
+  if (amount === null) return null;
+
+  if (property.maintenanceType === "Per Sq Ft") {
+    const areaSqft = getCarpetAreaSqft(property);
+    return areaSqft === null ? null : amount * areaSqft;
+  }
+  return amount;
+};
+
+/**
+ * Annual maintenance the landlord pays. Only counted when maintenance is
+ * included in the rent; otherwise the tenant pays it on top.
+ * @param {Object} property - Property fields (model attribute names)
+ * @returns {number}
+ */
+const getLandlordAnnualMaintenance = (property) => {
+  if (property.maintenanceCostsIncluded !== "Yes, included in rent") return 0;
+  return (getMonthlyMaintenance(property) || 0) * 12;
+};
+
+/**
+ * Compute rent, cost, yield and payback metrics for a property
+ * @param {Object} property - Property fields (model attribute names)
+ * @returns {Object} Values for COMPUTED_FIELDS (null when not computable)
+ */
+const computeFinancialMetrics = (property) => {
+  const monthlyRent = getMonthlyRent(property);
+  const sellingPrice = toNumber(property.sellingPrice);
+
+  const annualGrossRent = monthlyRent === null ? null : monthlyRent * 12;
+
+  const costParts = [
+    toNumber(property.propertyTaxAnnual),
+    toNumber(property.insuranceAnnual),
+    toNumber(property.otherCostsAnnual),
+  ];
+  const landlordMaintenance = getLandlordAnnualMaintenance(property);
+  const hasCosts =
+    costParts.some((cost) => cost !== null) || landlordMaintenance > 0;
+  const totalOperatingAnnualCosts = hasCosts
+    ? costParts.reduce((sum, cost) => sum + (cost || 0), 0) +
+      landlordMaintenance
+    : null;
+
+  let grossRentalYield = null;
+  let netRentalYield = null;
+  let paybackPeriodYears = null;
+
+  if (annualGrossRent !== null && sellingPrice) {
+    const netOperatingIncome =
+      annualGrossRent +
+      (toNumber(property.additionalIncomeAnnual) || 0) -
+      (totalOperatingAnnualCosts || 0);
+
+    grossRentalYield = (annualGrossRent / sellingPrice) * 100;
+    netRentalYield = (netOperatingIncome / sellingPrice) * 100;
+    paybackPeriodYears =
+      netOperatingIncome > 0 ? sellingPrice / netOperatingIncome : null;
+  }
+
+  const fitsColumn = (value) =>
+    value !== null && Math.abs(value) <= MAX_RATIO_VALUE ? value : null;
+
+  return {
+    totalMonthlyRent: round2(monthlyRent),
+    annualGrossRent: round2(annualGrossRent),
+    totalOperatingAnnualCosts: round2(totalOperatingAnnualCosts),
+    grossRentalYield: round2(fitsColumn(grossRentalYield)),
+    netRentalYield: round2(fitsColumn(netRentalYield)),
+    paybackPeriodYears: round2(fitsColumn(paybackPeriodYears)),
+  };
+};
+
+/**
+ * Compute metrics and compare them with what the client sent
+ * @param {Object} property - Property fields (model attribute names)
+ * @param {Object} clientValues - Client-supplied values for COMPUTED_FIELDS
+ * @param {Object} [storedValues] - Current values on update; kept for a
+ *   field that can't be computed and wasn't sent
+ * @returns {{ metrics: Object, warnings: Array }} metrics to store (computed,
+ *   or the client/stored value when not computable) and per-field mismatch
+ *   warnings
+ */
+const reconcileFinancialMetrics = (
+  property,
+  clientValues = {},
+  storedValues = {}
+) => {
+  const computed = computeFinancialMetrics(property);
+  const metrics = {};
+  const warnings = [];
+
+  COMPUTED_FIELDS.forEach((field) => {
+    const provided = toNumber(clientValues[field]);
+    const calculated = computed[field];
+
+    if (calculated === null) {
+      metrics[field] =
+        clientValues[field] !== undefined
+          ? provided
+          : toNumber(storedValues[field]);
+      return;
+    }
+
+    metrics[field] = calculated;
+
+    // Allow 1% (min 0.01) difference for client-side rounding
+    const tolerance = Math.max(0.01, Math.abs(calculated) * 0.01);
+    if (provided !== null && Math.abs(provided - calculated) > tolerance) {
+      warnings.push({
+        field,
+        provided,
+        computed: calculated,
+        message: `${field} does not match the value calculated from the property's financial inputs; the calculated value was stored`,
+      });
+    }
+  });
+
+  return { metrics, warnings };
+};
+
+module.exports = {
+  SQ_METERS_TO_SQ_FEET,
+  COMPUTED_FIELDS,
+  toNumber,
+  getCarpetAreaSqft,
+  getMonthlyRent,
+  getMonthlyMaintenance,
+  getLandlordAnnualMaintenance,
+  computeFinancialMetrics,
+  reconcileFinancialMetrics,
+};
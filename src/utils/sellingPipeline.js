@@ -0,0 +1,63 @@
+// utils/sellingPipeline.js
+
+// Sales pipeline stages in order (Property.sellingStatus)
+const SELLING_STATUSES = [
+  "verification of requirement",
+  "confirm property match",
+  "align visits",
+  "negotiations",
+  "closing",
+  "documentation",
+  "final closure",
+];
+
+// Allowed moves from each stage. Forward moves go one stage at a time;
+// rollbacks cover deals that fall through and go back to an earlier stage.
+const ALLOWED_TRANSITIONS = {
+  "verification of requirement": ["confirm property match"],
+  "confirm property match": ["align visits", "verification of requirement"],
+  "align visits": ["negotiations", "confirm property match"],
+  negotiations: ["closing", "align visits", "confirm property match"],
+  closing: ["documentation", "negotiations"],
+  documentation: ["final closure", "negotiations"],
+  "final closure": [],
+};
+
+/**
+ * Get the stages a property can move to from its current stage
+ * @param {string} fromStatus - Current selling status
+ * @returns {Array<string>} Allowed target stages
+ */
+const getAllowedTransitions = (fromStatus) => {
+  return ALLOWED_TRANSITIONS[fromStatus] || [];
+};
+
+/**
+ * Check if a move between two stages is permitted
+ * @param {string} fromStatus - Current selling status
+ * @param {string} toStatus - Requested selling status
+ * @returns {boolean}
+ */
+const canTransition = (fromStatus, toStatus) => {
+  return getAllowedTransitions(fromStatus).includes(toStatus);
+};
+
+/**
+ * Check if a move goes back to an earlier stage
+ * @param {string} fromStatus - Current selling status
+ * @param {string} toStatus - Requested selling status
+ * @returns {boolean}
+ */
+const isRollback = (fromStatus, toStatus) => {
+  return (
+    SELLING_STATUSES.indexOf(toStatus) < SELLING_STATUSES.indexOf(fromStatus)
+  );
+};
+
+module.exports = {
+  SELLING_STATUSES,
+  ALLOWED_TRANSITIONS,
+  getAllowedTransitions,
+  canTransition,
+  isRollback,
+};
@@ -0,0 +1,33 @@
+const { once } = require("events");
+
+/**
+ * Write a chunk to a streamed response, waiting for "drain" when its buffer
+ * is full. Rejects if the client goes away first, so an export stops instead
+ * of waiting forever for a drain that never comes.
+ * @param {import("stream").Writable} stream
+ * @param {string|Buffer} chunk
+ * @returns {Promise<void>}
+ */
+const writeWithBackpressure = async (stream, chunk) => {
+  if (stream.destroyed) {
+    throw new Error("Client closed the connection");
+  }
+  if (stream.write(chunk)) return;
+
+  const controller = new AbortController();
+  try {
+    await Promise.race([
+      once(stream, "drain", { signal: controller.signal }),
+      once(stream, "close", { signal: controller.signal }),
+    ]);
+  } finally {
+    // Removes the listener that didn't fire
+    controller.abort();
+  }
+
+  if (stream.destroyed) {
+    throw new Error("Client closed the connection");
+  }
+};
+
+module.exports = { writeWithBackpressure };
@@ -13,6 +13,12 @@ const isValidReraNumber = (rera) => {
   return reraRegex.test(rera);
 };
 
+const isValidUuid = (value) => {
+  const uuidRegex =
+    /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  return typeof value === "string" && uuidRegex.test(value);
+};
+
 const sanitizeString = (str) => {
   if (!str) return "";
   return str.trim().replace(/[<>]/g, "");
@@ -32,6 +38,7 @@ module.exports = {
   isValidEmail,
   isValidPhone,
   isValidReraNumber,
+  isValidUuid,
   sanitizeString,
   validateRequiredFields,
 };
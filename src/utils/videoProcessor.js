@@ -0,0 +1,87 @@
+// utils/videoProcessor.js
+const { execFile } = require("child_process");
+const { path: ffmpegPath } = require("@ffmpeg-installer/ffmpeg");
+const { path: ffprobePath } = require("@ffprobe-installer/ffprobe");
+
+// Give up on a file that takes longer than this to probe / grab a frame from
+const PROCESS_TIMEOUT_MS = 60 * 1000;
+
+const run = (binary, args, options = {}) =>
+  new Promise((resolve, reject) => {
+    execFile(
+      binary,
+      args,
+      {
+        timeout: PROCESS_TIMEOUT_MS,
+        maxBuffer: 20 * 1024 * 1024,
+        ...options,
+      },
+      (err, stdout) => (err ? reject(err) : resolve(stdout))
+    );
+  });
+
+/**
+ * Duration, resolution and codec of the first video stream
+ * @param {string} filePath - Video file on disk
+ * @returns {Promise<{ durationSeconds: number|null, width: number|null,
+ *   height: number|null, codec: string|null }>}
+ */
+const probeVideo = async (filePath) => {
+  const output = await run(ffprobePath, [
+    "-v",
+    "error",
+    "-print_format",
+    "json",
+    "-show_format",
+    "-show_streams",
+    "-select_streams",
+    "v:0",
+    filePath,
+  ]);
+
+  const { format = {}, streams = [] } = JSON.parse(output);
+  const stream = streams[0];
+  if (!stream) {
+    throw new Error("no video stream found");
+  }
+
+  const duration = parseFloat(stream.duration || format.duration);
+
+  return {
+    durationSeconds: isNaN(duration) ? null : Math.round(duration * 100) / 100,
+    width: stream.width || null,
+    height: stream.height || null,
+    codec: stream.codec_name || null,
+  };
+};
+
+/**
+ * Grab a single frame as a JPEG, one second in (or halfway through
+ * shorter clips) to skip black lead-in frames
+ * @param {string} filePath - Video file on disk
+ * @param {number|null} durationSeconds
+ * @returns {Promise<Buffer>}
+ */
+const extractPosterFrame = (filePath, durationSeconds) => {
+  const seekSeconds = durationSeconds ? Math.min(1, durationSeconds / 2) : 0;
+
+  return run(
+    ffmpegPath,
+    [
+      "-ss",
+      String(seekSeconds),
+      "-i",
+      filePath,
+      "-frames:v",
+      "1",
+      "-f",
+      "image2",
+      "-c:v",
+      "mjpeg",
+      "pipe:1",
+    ],
+    { encoding: "buffer" }
+  );
+};
+
+module.exports = { probeVideo, extractPosterFrame };